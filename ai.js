@@ -1,61 +1,258 @@
-const axios = require('axios');
+const EventEmitter = require('events');
+const { AI_ERROR_CODES, createAIError, createProvider } = require('./llm-providers');
+const { configEvents, getConfig } = require('./config');
+const { createCircuitBreaker } = require('./circuit-breaker');
 
-const AI_MODEL = "llama-3.1-8b-instant";
-const GROQ_API_URL = 'https://api.groq.com/openai/v1/chat/completions';
+const BASE_RETRY_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 4000;
+// Waits the provider asks for beyond this pause AI calls instead of holding up the caller
+const MAX_RETRY_WAIT_MS = 10 * 1000;
+const FAILURE_THRESHOLD = 3;
+const PAUSE_MS = 30 * 1000;
+const MAX_PAUSE_MS = 10 * 60 * 1000;
 
 /**
- * Generates an AI reply using the Groq API.
- * @param {string} userMessage The message from the user.
- * @param {string} systemInstruction The system-level instruction for the AI (e.g., persona).
- * @param {string} apiKey Optional API key to use (will fall back to env var if not provided).
- * @returns {Promise<string>} The AI-generated reply.
+ * @typedef {object} AIStatus
+ * @property {'ok' | 'failing' | 'paused'} state - failing: the latest requests failed; paused: AI
+ *   requests are refused until `retryAt` (see getAICompletion)
+ * @property {{code: string, message: string}|null} error - The latest failure
+ * @property {string|null} retryAt - ISO 8601 time requests are tried again, while paused
+ * @property {number} failures - Failed requests in a row
+ * @property {string} updatedAt - ISO 8601 timestamp
  */
-async function getAIReply(userMessage, systemInstruction = "", apiKey = null) {
-    const groqApiKey = apiKey || process.env.GROQ_API_KEY;
-    
-    if (!groqApiKey) {
-        throw new Error('GROQ_API_KEY is not set. Please add your API key in Settings.');
-    }
-
-    const payload = {
-        model: AI_MODEL,
-        messages: [
-            { role: 'system', content: systemInstruction },
-            { role: 'user', content: userMessage }
-        ],
-        max_tokens: 150,
-        temperature: 0.7
+
+/** Emits 'status' with an AIStatus whenever AI requests start or stop failing. */
+const aiEvents = new EventEmitter();
+
+function toStatus({ state, failures, openUntil, lastError }) {
+    return {
+        state: state === 'closed' ? (failures > 0 ? 'failing' : 'ok') : 'paused',
+        error: lastError ? { code: lastError.code, message: lastError.message } : null,
+        retryAt: openUntil ? new Date(openUntil).toISOString() : null,
+        failures,
+        updatedAt: new Date().toISOString()
     };
+}
 
-    try {
-        const response = await axios.post(GROQ_API_URL, payload, {
-            headers: {
-                'Authorization': `Bearer ${groqApiKey}`,
-                'Content-Type': 'application/json'
-            },
-            timeout: 15000 // 15 seconds timeout
-        });
-
-        if (response.data.choices && response.data.choices.length > 0) {
-            let reply = response.data.choices[0].message.content.trim();
-            // Soft limit around 15 words for brevity, but allow longer natural responses when needed
-            let words = reply.split(/\s+/);
-            if (words.length > 25) {
-                // Only truncate if extremely long, keeping it natural
-                reply = words.slice(0, 25).join(' ') + '...';
+const breaker = createCircuitBreaker({
+    failureThreshold: FAILURE_THRESHOLD,
+    cooldownMs: PAUSE_MS,
+    maxCooldownMs: MAX_PAUSE_MS,
+    onChange: state => aiEvents.emit('status', toStatus(state))
+});
+
+// A new key or provider deserves a fresh try
+configEvents.on('change', ({ changed }) => {
+    if (changed.some(key => key === 'groqApiKey' || key.startsWith('llm'))) {
+        breaker.reset();
+    }
+});
+
+/**
+ * The current health of AI requests.
+ * @returns {AIStatus}
+ */
+function getAIStatus() {
+    return toStatus(breaker.getState());
+}
+
+/**
+ * Ends a pause in AI requests, so the next one is tried right away.
+ * @returns {AIStatus}
+ */
+function resetAIStatus() {
+    breaker.reset();
+    return getAIStatus();
+}
+
+/**
+ * How long to wait before retrying a failed request.
+ * @param {Error} error An AI error (see llm-providers.createAIError).
+ * @param {number} attempt 1 for the first retry.
+ * @returns {number|null} Milliseconds, or null when the provider asks for a longer wait than is
+ *   worth holding a caller for.
+ */
+function getRetryDelay(error, attempt) {
+    if (typeof error.retryAfterMs === 'number') {
+        return error.retryAfterMs <= MAX_RETRY_WAIT_MS ? error.retryAfterMs + Math.random() * BASE_RETRY_DELAY_MS : null;
+    }
+    // Exponential backoff with jitter, so parallel requests don't retry in step
+    const backoff = Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+    return backoff / 2 + Math.random() * backoff / 2;
+}
+
+/**
+ * How long to pause AI requests right away after an error that retrying soon won't fix.
+ * @param {Error} error
+ * @returns {number|undefined} undefined to just count the failure.
+ */
+function getPauseDuration(error) {
+    switch (error.code) {
+        case 'AUTH':
+            // Until the settings change (see configEvents above)
+            return MAX_PAUSE_MS;
+        case 'QUOTA_EXCEEDED':
+            return error.retryAfterMs ?? MAX_PAUSE_MS;
+        case 'RATE_LIMITED':
+            return error.retryAfterMs > MAX_RETRY_WAIT_MS ? error.retryAfterMs : undefined;
+        default:
+            return undefined;
+    }
+}
+
+function getCircuitOpenError() {
+    const { openUntil, lastError } = breaker.getState();
+    const reason = lastError ? `: ${lastError.message}` : '.';
+    if (!openUntil) {
+        return createAIError('CIRCUIT_OPEN', `AI requests are paused while a test request runs${reason}`);
+    }
+    const retryAfterMs = Math.max(0, openUntil - Date.now());
+    return createAIError('CIRCUIT_OPEN',
+        `AI requests are paused for ${Math.ceil(retryAfterMs / 1000)}s after failing${reason}`, { retryAfterMs });
+}
+
+/**
+ * The active LLM provider settings, from the config store.
+ * @returns {Promise<import('./llm-providers').ProviderConfig>}
+ */
+async function getProviderConfig() {
+    const config = await getConfig();
+    return {
+        provider: config.llmProvider,
+        baseUrl: config.llmBaseUrl,
+        model: config.llmModel,
+        apiKey: config.llmProvider === 'groq' ? config.groqApiKey : config.llmApiKey,
+        authHeader: config.llmAuthHeader,
+        requestOptions: config.llmRequestOptions,
+        timeout: config.llmTimeoutMs
+    };
+}
+
+/**
+ * Rough token count for budgeting (about 4 characters per token plus per-message overhead).
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4) + 4;
+}
+
+/**
+ * The text a message contributes to the conversation: its content, or the transcript of a voice note.
+ * @param {object} message
+ * @returns {string}
+ */
+function getMessageText(message) {
+    const content = typeof message?.content === 'string' ? message.content.trim() : '';
+    if (content) return content;
+    const transcript = message?.transcript?.text;
+    return typeof transcript === 'string' ? transcript.trim() : '';
+}
+
+/**
+ * Turns stored chat messages into a chat-completion message list.
+ * Received messages become `user` turns and sent messages `assistant` turns; consecutive
+ * messages from the same side are merged. The oldest turns are dropped first when the
+ * context window or token budget is exceeded, but the latest turn is always kept.
+ * @param {Array<{direction: string, content: string}>} history Messages, oldest first.
+ * @param {object} [options]
+ * @param {number} [options.maxMessages] Maximum number of stored messages to consider.
+ * @param {number} [options.maxTokens] Approximate token budget for the whole list.
+ * @returns {Array<{role: 'user'|'assistant', content: string}>}
+ */
+function buildConversation(history, { maxMessages = 12, maxTokens = 1500 } = {}) {
+    const turns = [];
+    for (const message of (history || []).slice(-maxMessages)) {
+        const content = getMessageText(message);
+        if (!content) continue;
+        const role = message.direction === 'sent' ? 'assistant' : 'user';
+        const last = turns[turns.length - 1];
+        if (last && last.role === role) {
+            last.content += `\n${content}`;
+        } else {
+            turns.push({ role, content });
+        }
+    }
+
+    let tokens = turns.reduce((sum, turn) => sum + estimateTokens(turn.content), 0);
+    while (turns.length > 1 && tokens > maxTokens) {
+        tokens -= estimateTokens(turns.shift().content);
+    }
+    // The model expects the conversation to open with the other person.
+    while (turns.length > 1 && turns[0].role === 'assistant') {
+        turns.shift();
+    }
+    return turns;
+}
+
+/**
+ * Sends a chat-completion request to the active provider and returns the raw text.
+ * Transient failures (timeouts, rate limits, server errors) are retried with backoff, up to the
+ * llmMaxRetries setting. After repeated failures, or an error that needs a change like a bad API
+ * key, requests are refused for a while without calling the provider (see getAIStatus).
+ * @param {Array<{role: string, content: string}>} messages Including the system message.
+ * @param {object} [options]
+ * @param {number} [options.maxTokens=150]
+ * @param {number} [options.temperature=0.7]
+ * @returns {Promise<string>} Throws an AI error with a `code` from llm-providers.AI_ERROR_CODES.
+ */
+async function getAICompletion(messages, { maxTokens = 150, temperature = 0.7 } = {}) {
+    const [config, { llmMaxRetries }] = await Promise.all([getProviderConfig(), getConfig()]);
+    const provider = createProvider(config);
+    if (!breaker.canRequest()) {
+        throw getCircuitOpenError();
+    }
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            if (config.provider === 'groq' && !config.apiKey) {
+                throw createAIError('AUTH', 'GROQ_API_KEY is not set. Please add your API key in Settings.', { provider: 'groq' });
             }
+            const reply = (await provider.complete(messages, { maxTokens, temperature })).trim();
+            breaker.recordSuccess();
             return reply;
-        } else {
-            throw new Error('Invalid response structure from Groq API.');
+        } catch (caught) {
+            const error = AI_ERROR_CODES[caught.code]
+                ? caught
+                : createAIError('UNAVAILABLE', `Failed to get AI reply from ${provider.name}: ${caught.message}`, { provider: provider.name });
+            const delay = error.transient && attempt <= llmMaxRetries ? getRetryDelay(error, attempt) : null;
+            if (delay !== null) {
+                console.warn(`${provider.name} request failed (${error.code}), retrying in ${Math.round(delay)} ms:`, error.message);
+                await new Promise(resolve => setTimeout(resolve, delay));
+                continue;
+            }
+            console.error(`Error calling ${provider.name} API (${error.code}):`, error.message);
+            console.error('Model:', provider.model);
+            breaker.recordFailure(error, { openForMs: getPauseDuration(error) });
+            throw error;
         }
+    }
+}
+
+/**
+ * Generates an AI reply with the active LLM provider (see llm-providers.js).
+ * @param {string|Array<{role: string, content: string}>} userMessage The message from the user, or a
+ *   multi-turn conversation (see buildConversation).
+ * @param {string} systemInstruction The system-level instruction for the AI (e.g., persona).
+ * @param {object} [options]
+ * @param {number} [options.maxWords=25] Longer replies are cut off here.
+ * @param {number} [options.maxTokens=150]
+ * @returns {Promise<string>} The AI-generated reply.
+ */
+async function getAIReply(userMessage, systemInstruction = "", { maxWords = 25, maxTokens = 150 } = {}) {
+    const messages = [
+        { role: 'system', content: systemInstruction },
+        ...(Array.isArray(userMessage) ? userMessage : [{ role: 'user', content: userMessage }])
+    ];
 
-    } catch (error) {
-        console.error('Error calling Groq API:', error.response ? error.response.data : error.message);
-        console.error('API Key exists:', !!groqApiKey);
-        console.error('API URL:', GROQ_API_URL);
-        console.error('Model:', AI_MODEL);
-        throw new Error('Failed to get AI reply from Groq.');
+    let reply = await getAICompletion(messages, { maxTokens, temperature: 0.7 });
+    // Soft limit around 15 words for brevity, but allow longer natural responses when needed
+    let words = reply.split(/\s+/);
+    if (words.length > maxWords) {
+        // Only truncate if extremely long, keeping it natural
+        reply = words.slice(0, maxWords).join(' ') + '...';
     }
+    return reply;
 }
 
-module.exports = { getAIReply };
+module.exports = { aiEvents, getAIStatus, resetAIStatus, getAIReply, getAICompletion, buildConversation, getMessageText, estimateTokens, getProviderConfig };
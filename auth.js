@@ -0,0 +1,373 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { readState, updateState } = require('./data-storage');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_COOKIE = 'ava_session';
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const API_TOKEN_PREFIX = 'ava_';
+const MIN_PASSWORD_LENGTH = 8;
+const SCRYPT_KEY_LENGTH = 64;
+// Don't rewrite the state on every request just to bump lastUsedAt
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const MAX_LOGIN_FAILURES = 5;
+const LOGIN_FAILURE_WINDOW_MS = 15 * 60 * 1000;
+
+/**
+ * @typedef {object} Session
+ * @property {string} createdAt - ISO 8601 timestamp
+ * @property {string} expiresAt - ISO 8601 timestamp
+ */
+
+/**
+ * @typedef {object} ApiToken
+ * @property {string} id
+ * @property {string} name
+ * @property {string} hash - SHA-256 of the token; the token itself is never stored
+ * @property {string} prefix - First characters of the token, to tell tokens apart
+ * @property {string} createdAt - ISO 8601 timestamp
+ * @property {string|null} lastUsedAt - ISO 8601 timestamp
+ */
+
+/**
+ * @typedef {object} AuthState
+ * @property {string|null} passwordHash - 'scrypt:<salt hex>:<key hex>'
+ * @property {Object.<string, Session>} sessions - Keyed by SHA-256 of the session token
+ * @property {Object.<string, ApiToken>} apiTokens - Keyed by token ID
+ */
+
+/** @type {AuthState|null} In-memory copy; this module is the only writer of state.auth */
+let authCache = null;
+
+function emptyAuthState() {
+    return { passwordHash: null, sessions: {}, apiTokens: {} };
+}
+
+async function getAuthState() {
+    if (!authCache) {
+        const state = await readState();
+        authCache = { ...emptyAuthState(), ...(state.auth || {}) };
+    }
+    return authCache;
+}
+
+/**
+ * Applies a change to state.auth atomically and refreshes the in-memory copy.
+ * @param {(auth: AuthState) => any} mutator
+ * @returns {Promise<any>} The mutator's return value.
+ */
+async function updateAuthState(mutator) {
+    let result;
+    let next;
+    await updateState((state) => {
+        state.auth = { ...emptyAuthState(), ...(state.auth || {}) };
+        result = mutator(state.auth);
+        next = state.auth;
+    });
+    authCache = next;
+    return result;
+}
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const key = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+    return `scrypt:${salt.toString('hex')}:${key.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, saltHex, keyHex] = String(stored || '').split(':');
+    if (scheme !== 'scrypt' || !saltHex || !keyHex) return false;
+    const expected = Buffer.from(keyHex, 'hex');
+    const actual = await scrypt(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+function validateNewPassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+    }
+}
+
+function pruneExpiredSessions(auth) {
+    const now = Date.now();
+    for (const [key, session] of Object.entries(auth.sessions)) {
+        if (new Date(session.expiresAt).getTime() <= now) {
+            delete auth.sessions[key];
+        }
+    }
+}
+
+function addSession(auth) {
+    pruneExpiredSessions(auth);
+    const token = crypto.randomBytes(32).toString('hex');
+    const createdAt = new Date();
+    auth.sessions[sha256(token)] = {
+        createdAt: createdAt.toISOString(),
+        expiresAt: new Date(createdAt.getTime() + SESSION_TTL_MS).toISOString()
+    };
+    return token;
+}
+
+/**
+ * @returns {Promise<boolean>} Whether the first-run password has been set.
+ */
+async function isPasswordSet() {
+    return Boolean((await getAuthState()).passwordHash);
+}
+
+/**
+ * Sets the password on first run and logs in.
+ * @param {string} password
+ * @returns {Promise<string>} A new session token.
+ */
+async function setupPassword(password) {
+    validateNewPassword(password);
+    const passwordHash = await hashPassword(password);
+    return updateAuthState((auth) => {
+        if (auth.passwordHash) {
+            throw new Error('A password is already set.');
+        }
+        auth.passwordHash = passwordHash;
+        return addSession(auth);
+    });
+}
+
+/**
+ * Checks the password and starts a session.
+ * @param {string} password
+ * @returns {Promise<string|null>} A new session token, or null if the password is wrong.
+ */
+async function login(password) {
+    const { passwordHash } = await getAuthState();
+    if (!passwordHash || !(await verifyPassword(password, passwordHash))) {
+        return null;
+    }
+    return updateAuthState(addSession);
+}
+
+/**
+ * Ends a session.
+ * @param {string} sessionToken
+ */
+async function logout(sessionToken) {
+    if (!sessionToken) return;
+    const key = sha256(sessionToken);
+    if (!(await getAuthState()).sessions[key]) return;
+    await updateAuthState((auth) => {
+        delete auth.sessions[key];
+    });
+}
+
+/**
+ * Changes the password and ends every other session.
+ * @param {string} currentPassword
+ * @param {string} newPassword
+ * @param {string} [keepSessionToken] - Session that stays logged in
+ * @returns {Promise<boolean>} False if the current password is wrong.
+ */
+async function changePassword(currentPassword, newPassword, keepSessionToken) {
+    validateNewPassword(newPassword);
+    const { passwordHash } = await getAuthState();
+    if (!(await verifyPassword(currentPassword, passwordHash))) {
+        return false;
+    }
+    const newHash = await hashPassword(newPassword);
+    const keepKey = keepSessionToken ? sha256(keepSessionToken) : null;
+    await updateAuthState((auth) => {
+        auth.passwordHash = newHash;
+        for (const key of Object.keys(auth.sessions)) {
+            if (key !== keepKey) delete auth.sessions[key];
+        }
+    });
+    return true;
+}
+
+function toPublicToken({ hash, ...token }) {
+    return token;
+}
+
+/**
+ * Lists API tokens (without their hashes).
+ * @returns {Promise<Array<Omit<ApiToken, 'hash'>>>}
+ */
+async function listApiTokens() {
+    const { apiTokens } = await getAuthState();
+    return Object.values(apiTokens).map(toPublicToken);
+}
+
+/**
+ * Creates an API token. The returned `token` is the only time it is shown.
+ * @param {string} name
+ * @returns {Promise<Omit<ApiToken, 'hash'> & {token: string}>}
+ */
+async function createApiToken(name) {
+    if (typeof name !== 'string' || !name.trim()) {
+        throw new Error('Token name is required.');
+    }
+    const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+    const record = {
+        id: `tok_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+        name: name.trim().slice(0, 100),
+        hash: sha256(token),
+        prefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null
+    };
+    await updateAuthState((auth) => {
+        auth.apiTokens[record.id] = record;
+    });
+    return { ...toPublicToken(record), token };
+}
+
+/**
+ * Revokes an API token.
+ * @param {string} id
+ * @returns {Promise<boolean>} False if the token didn't exist.
+ */
+async function revokeApiToken(id) {
+    if (!(await getAuthState()).apiTokens[id]) return false;
+    return updateAuthState((auth) => {
+        if (!auth.apiTokens[id]) return false;
+        delete auth.apiTokens[id];
+        return true;
+    });
+}
+
+/**
+ * Parses a Cookie header into an object.
+ * @param {string} [header]
+ * @returns {Object.<string, string>}
+ */
+function parseCookies(header) {
+    const cookies = {};
+    for (const part of String(header || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index === -1) continue;
+        const name = part.slice(0, index).trim();
+        if (!name) continue;
+        try {
+            cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+        } catch (error) {
+            cookies[name] = part.slice(index + 1).trim();
+        }
+    }
+    return cookies;
+}
+
+/**
+ * Builds the Set-Cookie value for a session (or clears it when `token` is empty).
+ * @param {string|null} token
+ * @param {object} [options]
+ * @param {boolean} [options.secure] - Only send the cookie over HTTPS
+ * @returns {string}
+ */
+function buildSessionCookie(token, { secure = false } = {}) {
+    const parts = [
+        `${SESSION_COOKIE}=${token || ''}`,
+        'Path=/',
+        'HttpOnly',
+        'SameSite=Strict',
+        `Max-Age=${token ? Math.floor(SESSION_TTL_MS / 1000) : 0}`
+    ];
+    if (secure) parts.push('Secure');
+    return parts.join('; ');
+}
+
+/**
+ * Resolves the credentials of an HTTP request or WebSocket upgrade.
+ * Accepts the session cookie, `Authorization: Bearer <api token>` or `?token=<api token>`.
+ * @param {import('http').IncomingMessage} req
+ * @returns {Promise<{type: 'session', sessionToken: string}|{type: 'token', tokenId: string}|null>}
+ */
+async function authenticateRequest(req) {
+    const auth = await getAuthState();
+
+    const sessionToken = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (sessionToken) {
+        const session = auth.sessions[sha256(sessionToken)];
+        if (session && new Date(session.expiresAt).getTime() > Date.now()) {
+            return { type: 'session', sessionToken };
+        }
+    }
+
+    let apiToken = null;
+    const authorization = req.headers.authorization || '';
+    if (/^Bearer\s+/i.test(authorization)) {
+        apiToken = authorization.replace(/^Bearer\s+/i, '').trim();
+    } else {
+        apiToken = new URL(req.url || '/', 'http://localhost').searchParams.get('token');
+    }
+    if (!apiToken || !apiToken.startsWith(API_TOKEN_PREFIX)) {
+        return null;
+    }
+
+    const hash = sha256(apiToken);
+    const record = Object.values(auth.apiTokens)
+        .find(token => crypto.timingSafeEqual(Buffer.from(token.hash, 'hex'), Buffer.from(hash, 'hex')));
+    if (!record) {
+        return null;
+    }
+
+    const lastUsed = record.lastUsedAt ? new Date(record.lastUsedAt).getTime() : 0;
+    if (Date.now() - lastUsed > LAST_USED_RESOLUTION_MS) {
+        updateAuthState((latest) => {
+            if (latest.apiTokens[record.id]) {
+                latest.apiTokens[record.id].lastUsedAt = new Date().toISOString();
+            }
+        }).catch(error => console.error('Error updating API token usage:', error.message));
+    }
+    return { type: 'token', tokenId: record.id };
+}
+
+const loginFailures = new Map(); // client address -> timestamps of recent failures
+
+/**
+ * @param {string} clientKey - Usually the client IP
+ * @returns {number} Seconds until another login attempt is allowed (0 if allowed now).
+ */
+function getLoginRetryAfter(clientKey) {
+    const cutoff = Date.now() - LOGIN_FAILURE_WINDOW_MS;
+    const failures = (loginFailures.get(clientKey) || []).filter(time => time > cutoff);
+    if (failures.length === 0) {
+        loginFailures.delete(clientKey);
+        return 0;
+    }
+    loginFailures.set(clientKey, failures);
+    if (failures.length < MAX_LOGIN_FAILURES) return 0;
+    return Math.ceil((failures[0] + LOGIN_FAILURE_WINDOW_MS - Date.now()) / 1000);
+}
+
+function recordLoginFailure(clientKey) {
+    const failures = loginFailures.get(clientKey) || [];
+    failures.push(Date.now());
+    loginFailures.set(clientKey, failures.slice(-MAX_LOGIN_FAILURES));
+}
+
+function clearLoginFailures(clientKey) {
+    loginFailures.delete(clientKey);
+}
+
+module.exports = {
+    SESSION_COOKIE,
+    MIN_PASSWORD_LENGTH,
+    isPasswordSet,
+    setupPassword,
+    login,
+    logout,
+    changePassword,
+    listApiTokens,
+    createApiToken,
+    revokeApiToken,
+    parseCookies,
+    buildSessionCookie,
+    authenticateRequest,
+    getLoginRetryAfter,
+    recordLoginFailure,
+    clearLoginFailures
+};
@@ -0,0 +1,103 @@
+/**
+ * @typedef {object} CircuitState
+ * @property {'closed' | 'open' | 'half-open'} state - closed: calls go through; open: calls are
+ *   refused until `openUntil`; half-open: one trial call decides whether to close again
+ * @property {number} failures - Failed calls in a row
+ * @property {number|null} openUntil - Epoch ms, while open
+ * @property {Error|null} lastError
+ */
+
+/**
+ * @typedef {object} CircuitBreaker
+ * @property {() => boolean} canRequest - Whether a call may go through now. In half-open state
+ *   only the first caller gets true, as the trial.
+ * @property {() => void} recordSuccess
+ * @property {(error: Error, options?: {openForMs?: number}) => void} recordFailure - `openForMs`
+ *   opens the circuit right away for that long, for errors that won't go away by retrying
+ * @property {() => void} reset - Closes the circuit and forgets the failures
+ * @property {() => CircuitState} getState
+ */
+
+/**
+ * Creates a circuit breaker: after `failureThreshold` failed calls in a row, calls are refused for a
+ * cooldown that doubles (up to `maxCooldownMs`) each time the trial call after it fails too.
+ * @param {object} [options]
+ * @param {number} [options.failureThreshold=3]
+ * @param {number} [options.cooldownMs=30000]
+ * @param {number} [options.maxCooldownMs=600000]
+ * @param {(state: CircuitState) => void} [options.onChange] - Called after every success or failure
+ *   that changes the state, the failure count or the error
+ * @returns {CircuitBreaker}
+ */
+function createCircuitBreaker({ failureThreshold = 3, cooldownMs = 30000, maxCooldownMs = 600000, onChange } = {}) {
+    let state = 'closed';
+    let failures = 0;
+    let openUntil = null;
+    let lastError = null;
+    let cooldown = cooldownMs;
+    let trialRunning = false;
+
+    const getState = () => ({ state, failures, openUntil, lastError });
+    const notify = () => {
+        if (onChange) onChange(getState());
+    };
+
+    function open(durationMs) {
+        state = 'open';
+        openUntil = Date.now() + durationMs;
+        trialRunning = false;
+    }
+
+    return {
+        canRequest() {
+            if (state === 'open' && Date.now() >= openUntil) {
+                state = 'half-open';
+                openUntil = null;
+            }
+            if (state === 'open') return false;
+            if (state === 'half-open') {
+                if (trialRunning) return false;
+                trialRunning = true;
+            }
+            return true;
+        },
+        recordSuccess() {
+            const changed = state !== 'closed' || failures > 0;
+            state = 'closed';
+            failures = 0;
+            openUntil = null;
+            lastError = null;
+            cooldown = cooldownMs;
+            trialRunning = false;
+            if (changed) notify();
+        },
+        recordFailure(error, { openForMs } = {}) {
+            failures += 1;
+            lastError = error;
+            if (openForMs !== undefined) {
+                open(openForMs);
+            } else if (state === 'half-open') {
+                cooldown = Math.min(cooldown * 2, maxCooldownMs);
+                open(cooldown);
+            } else if (failures >= failureThreshold) {
+                open(cooldown);
+            }
+            notify();
+        },
+        reset() {
+            const changed = state !== 'closed' || failures > 0;
+            state = 'closed';
+            failures = 0;
+            openUntil = null;
+            lastError = null;
+            cooldown = cooldownMs;
+            trialRunning = false;
+            if (changed) notify();
+        },
+        getState
+    };
+}
+
+module.exports = {
+    createCircuitBreaker
+};
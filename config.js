@@ -0,0 +1,356 @@
+const EventEmitter = require('events');
+const { readState, updateState } = require('./data-storage');
+const { PROVIDER_NAMES } = require('./llm-providers');
+const { LANGUAGE_CODES } = require('./language');
+
+// Bump when settings are added (mark them with `since`), renamed or change meaning; see migrateConfig
+const CONFIG_VERSION = 5;
+const MASK_CHAR = '•';
+
+/**
+ * @typedef {object} SettingDefinition
+ * @property {'string' | 'enum' | 'url' | 'integer' | 'number' | 'json'} type
+ * @property {any} default
+ * @property {string} env - Variable imported from .env on the first start
+ * @property {number} [since] - Schema version that added the setting (default 1)
+ * @property {boolean} [secret] - Stored apart from the other settings and only returned masked
+ * @property {boolean} [envOnly] - Read from .env on every start and never stored; the settings API
+ *   can show it but not change it
+ * @property {string[]} [values] - Allowed values (enum)
+ * @property {number} [min]
+ * @property {number} [max]
+ * @property {number} [maxLength] - Longest accepted string
+ */
+
+/** @type {Object.<string, SettingDefinition>} */
+const CONFIG_SCHEMA = {
+    aiTraining: { type: 'string', default: '', env: 'AI_TRAINING', maxLength: 20000 },
+    llmProvider: { type: 'enum', default: 'groq', env: 'LLM_PROVIDER', values: PROVIDER_NAMES },
+    llmBaseUrl: { type: 'url', default: '', env: 'LLM_BASE_URL' },
+    llmModel: { type: 'string', default: '', env: 'LLM_MODEL', maxLength: 200 },
+    llmAuthHeader: { type: 'string', default: '', env: 'LLM_AUTH_HEADER', maxLength: 100 },
+    llmRequestOptions: { type: 'json', default: {}, env: 'LLM_REQUEST_OPTIONS' },
+    llmTimeoutMs: { type: 'integer', default: 15000, env: 'LLM_TIMEOUT_MS', min: 1000, max: 120000 },
+    llmMaxRetries: { type: 'integer', default: 2, env: 'LLM_MAX_RETRIES', min: 0, max: 5, since: 5 },
+    aiContextMessages: { type: 'integer', default: 12, env: 'AI_CONTEXT_MESSAGES', min: 1, max: 100 },
+    aiContextTokens: { type: 'integer', default: 1500, env: 'AI_CONTEXT_TOKENS', min: 100, max: 32000 },
+    draftAutosendMinutes: { type: 'number', default: 0, env: 'AI_DRAFT_AUTOSEND_MINUTES', min: 0, max: 7 * 24 * 60 },
+    groqApiKey: { type: 'string', default: '', env: 'GROQ_API_KEY', secret: true, maxLength: 500 },
+    llmApiKey: { type: 'string', default: '', env: 'LLM_API_KEY', secret: true, maxLength: 500 },
+    sttBackend: { type: 'enum', default: 'off', env: 'STT_BACKEND', values: ['off', 'cli', 'http'], since: 2 },
+    // Run through a shell, so it must not be settable over HTTP
+    sttCommand: { type: 'string', default: '', env: 'STT_COMMAND', envOnly: true, maxLength: 1000, since: 2 },
+    sttUrl: { type: 'url', default: '', env: 'STT_URL', since: 2 },
+    sttModel: { type: 'string', default: '', env: 'STT_MODEL', maxLength: 200, since: 2 },
+    sttLanguage: { type: 'string', default: '', env: 'STT_LANGUAGE', maxLength: 20, since: 2 },
+    sttTimeoutMs: { type: 'integer', default: 120000, env: 'STT_TIMEOUT_MS', min: 5000, max: 600000, since: 2 },
+    sttApiKey: { type: 'string', default: '', env: 'STT_API_KEY', secret: true, maxLength: 500, since: 2 },
+    myLanguage: { type: 'enum', default: 'en', env: 'MY_LANGUAGE', values: LANGUAGE_CODES, since: 3 },
+    translateIncoming: { type: 'enum', default: 'on', env: 'TRANSLATE_INCOMING', values: ['on', 'off'], since: 3 },
+    translateOutgoing: { type: 'enum', default: 'preferred', env: 'TRANSLATE_OUTGOING', values: ['off', 'preferred', 'detected'], since: 3 },
+    autoReplyMaxPerMinute: { type: 'integer', default: 5, env: 'AUTO_REPLY_MAX_PER_MINUTE', min: 0, max: 60, since: 4 },
+    autoReplyMaxPerHour: { type: 'integer', default: 40, env: 'AUTO_REPLY_MAX_PER_HOUR', min: 0, max: 1000, since: 4 },
+    autoReplyMaxConsecutive: { type: 'integer', default: 15, env: 'AUTO_REPLY_MAX_CONSECUTIVE', min: 0, max: 1000, since: 4 },
+    autoReplyLoopDetection: { type: 'enum', default: 'on', env: 'AUTO_REPLY_LOOP_DETECTION', values: ['on', 'off'], since: 4 }
+};
+
+const SECRET_KEYS = Object.keys(CONFIG_SCHEMA).filter(key => CONFIG_SCHEMA[key].secret);
+
+/**
+ * Emits 'change' with `{ changed, config }` after settings are saved: the names of the settings that
+ * changed and the new config (secrets included, so listeners must not pass it on).
+ */
+const configEvents = new EventEmitter();
+
+/** @type {object|null} In-memory copy of settings and secrets; this module is the only writer of state.config and state.secrets */
+let configCache = null;
+
+function defaultConfig() {
+    const config = {};
+    for (const [key, definition] of Object.entries(CONFIG_SCHEMA)) {
+        config[key] = structuredClone(definition.default);
+    }
+    return config;
+}
+
+/**
+ * Checks and converts one setting.
+ * @param {string} key
+ * @param {any} value
+ * @returns {any} The value in its stored type.
+ */
+function validateSetting(key, value) {
+    const definition = CONFIG_SCHEMA[key];
+    if (!definition) {
+        throw new Error(`Unknown setting "${key}".`);
+    }
+    // null (or an empty number field) resets a setting to its default
+    if (value === null) {
+        return structuredClone(definition.default);
+    }
+
+    switch (definition.type) {
+        case 'string':
+        case 'url': {
+            if (typeof value !== 'string') {
+                throw new Error(`${key} must be text.`);
+            }
+            const text = value.trim();
+            if (definition.maxLength && text.length > definition.maxLength) {
+                throw new Error(`${key} must be at most ${definition.maxLength} characters.`);
+            }
+            if (definition.type === 'url' && text && !/^https?:\/\/[^\s/]+/i.test(text)) {
+                throw new Error(`${key} must be an http(s) URL.`);
+            }
+            return text;
+        }
+        case 'enum': {
+            const choice = String(value).trim().toLowerCase();
+            if (!definition.values.includes(choice)) {
+                throw new Error(`${key} must be one of: ${definition.values.join(', ')}.`);
+            }
+            return choice;
+        }
+        case 'integer':
+        case 'number': {
+            if (typeof value === 'string' && !value.trim()) {
+                return definition.default;
+            }
+            const number = typeof value === 'string' ? Number(value) : value;
+            if (typeof number !== 'number' || !Number.isFinite(number)
+                || (definition.type === 'integer' && !Number.isInteger(number))) {
+                throw new Error(`${key} must be ${definition.type === 'integer' ? 'a whole number' : 'a number'}.`);
+            }
+            if (number < definition.min || number > definition.max) {
+                throw new Error(`${key} must be between ${definition.min} and ${definition.max}.`);
+            }
+            return number;
+        }
+        case 'json': {
+            let parsed = value;
+            if (typeof value === 'string') {
+                try {
+                    parsed = value.trim() ? JSON.parse(value) : {};
+                } catch (error) {
+                    throw new Error(`${key} must be valid JSON.`);
+                }
+            }
+            if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+                throw new Error(`${key} must be a JSON object.`);
+            }
+            return parsed;
+        }
+        default:
+            throw new Error(`Setting "${key}" has an unknown type.`);
+    }
+}
+
+/**
+ * Reads settings from environment variables (and so from .env).
+ * Values that fail validation are reported and left at their defaults.
+ * @param {object} [env=process.env]
+ * @returns {object} The settings that were set.
+ */
+function readConfigFromEnv(env = process.env) {
+    const imported = {};
+    for (const [key, definition] of Object.entries(CONFIG_SCHEMA)) {
+        const raw = env[definition.env];
+        if (raw === undefined || raw === '') continue;
+        try {
+            imported[key] = validateSetting(key, raw);
+        } catch (error) {
+            console.error(`Ignoring ${definition.env} from .env:`, error.message);
+        }
+    }
+    return imported;
+}
+
+/**
+ * Brings stored settings from an older schema version up to CONFIG_VERSION: settings added since
+ * are imported from .env like on a first start.
+ * @param {{version: number, settings: object}} stored
+ * @param {object} secrets
+ * @returns {{settings: object, secrets: object}}
+ */
+function migrateConfig(stored, secrets) {
+    const settings = { ...(stored.settings || {}) };
+    const migratedSecrets = { ...secrets };
+    const fromEnv = readConfigFromEnv();
+    for (const [key, value] of Object.entries(fromEnv)) {
+        if ((CONFIG_SCHEMA[key].since || 1) > (stored.version || 1)) {
+            (CONFIG_SCHEMA[key].secret ? migratedSecrets : settings)[key] = value;
+        }
+    }
+    return { settings, secrets: migratedSecrets };
+}
+
+/**
+ * Combines stored settings and secrets into one config, dropping unknown and invalid values.
+ * @param {object} settings
+ * @param {object} secrets
+ * @returns {object}
+ */
+function buildConfig(settings, secrets) {
+    const config = defaultConfig();
+    for (const [key, definition] of Object.entries(CONFIG_SCHEMA)) {
+        if (definition.envOnly) {
+            const raw = process.env[definition.env];
+            if (raw === undefined || raw === '') continue;
+            try {
+                config[key] = validateSetting(key, raw);
+            } catch (error) {
+                console.error(`Ignoring ${definition.env} from .env:`, error.message);
+            }
+            continue;
+        }
+        const source = definition.secret ? secrets : settings;
+        if (source[key] === undefined) continue;
+        try {
+            config[key] = validateSetting(key, source[key]);
+        } catch (error) {
+            console.error(`Ignoring stored setting ${key}:`, error.message);
+        }
+    }
+    return config;
+}
+
+function splitConfig(config) {
+    const settings = {};
+    const secrets = {};
+    for (const [key, value] of Object.entries(config)) {
+        if (CONFIG_SCHEMA[key].envOnly) continue;
+        (CONFIG_SCHEMA[key].secret ? secrets : settings)[key] = value;
+    }
+    return { settings, secrets };
+}
+
+/**
+ * Builds the config from what is stored in the state, migrating older versions and importing it
+ * from .env when nothing is stored yet.
+ * @param {object} state
+ * @returns {object}
+ */
+function readStoredConfig(state) {
+    if (!state.config) {
+        console.log('Imported settings from .env into the config store.');
+        return { ...defaultConfig(), ...readConfigFromEnv() };
+    }
+    if (state.config.version === CONFIG_VERSION) {
+        return buildConfig(state.config.settings || {}, state.secrets || {});
+    }
+    const migrated = migrateConfig(state.config, state.secrets || {});
+    return buildConfig(migrated.settings, migrated.secrets);
+}
+
+function storeConfig(state, config) {
+    const { settings, secrets } = splitConfig(config);
+    state.config = { version: CONFIG_VERSION, settings, updatedAt: new Date().toISOString() };
+    state.secrets = secrets;
+}
+
+/**
+ * Loads the config, importing it from .env on the first start.
+ * @returns {Promise<object>}
+ */
+async function loadConfig() {
+    const state = await readState();
+    if (state.config && state.config.version === CONFIG_VERSION) {
+        return buildConfig(state.config.settings || {}, state.secrets || {});
+    }
+
+    return updateState((latest) => {
+        const config = readStoredConfig(latest);
+        storeConfig(latest, config);
+        return config;
+    });
+}
+
+/**
+ * Current settings, secrets included. Server-side only: use getPublicConfig for anything sent out.
+ * @returns {Promise<object>} A copy.
+ */
+async function getConfig() {
+    if (!configCache) {
+        configCache = await loadConfig();
+    }
+    return structuredClone(configCache);
+}
+
+/**
+ * Masks a secret for display, keeping the last 4 characters of long values.
+ * @param {string} value
+ * @returns {string} '' when the secret is not set.
+ */
+function maskSecret(value) {
+    if (!value) return '';
+    return MASK_CHAR.repeat(8) + (value.length > 12 ? value.slice(-4) : '');
+}
+
+/**
+ * Settings safe to send to the browser: secrets are masked.
+ * @returns {Promise<object>}
+ */
+async function getPublicConfig() {
+    const config = await getConfig();
+    for (const key of SECRET_KEYS) {
+        config[key] = maskSecret(config[key]);
+    }
+    return { version: CONFIG_VERSION, ...config };
+}
+
+/**
+ * Validates and saves changed settings; they apply right away. Keys left out (or undefined) keep their
+ * value, null resets a setting to its default, and a masked secret sent back unchanged is ignored.
+ * Settings read from .env only (`envOnly`) can't be changed. Nothing is saved if any value is invalid.
+ * @param {object} changes
+ * @returns {Promise<string[]>} Names of the settings that changed.
+ */
+async function updateConfig(changes = {}) {
+    // Merged inside the state queue, so concurrent saves build on each other instead of
+    // overwriting each other's keys
+    const { changed, config } = await updateState((state) => {
+        const current = readStoredConfig(state);
+        const next = { ...current };
+        for (const [key, value] of Object.entries(changes)) {
+            if (value === undefined) continue;
+            if (!CONFIG_SCHEMA[key]) {
+                throw new Error(`Unknown setting "${key}".`);
+            }
+            if (CONFIG_SCHEMA[key].secret && typeof value === 'string' && value.includes(MASK_CHAR)) continue;
+            const validated = validateSetting(key, value);
+            if (CONFIG_SCHEMA[key].envOnly) {
+                // Sent back unchanged is fine; anything else has to go through .env
+                if (validated !== current[key]) {
+                    throw new Error(`${key} can only be set with ${CONFIG_SCHEMA[key].env} in .env.`);
+                }
+                continue;
+            }
+            next[key] = validated;
+        }
+
+        const changedKeys = Object.keys(next).filter(key => JSON.stringify(next[key]) !== JSON.stringify(current[key]));
+        if (changedKeys.length > 0 || state.config?.version !== CONFIG_VERSION) {
+            storeConfig(state, next);
+        }
+        return { changed: changedKeys, config: next };
+    });
+    configCache = config;
+    if (changed.length === 0) return [];
+
+    try {
+        configEvents.emit('change', { changed, config: structuredClone(config) });
+    } catch (error) {
+        console.error('Error in a config change listener:', error.message);
+    }
+    return changed;
+}
+
+module.exports = {
+    CONFIG_VERSION,
+    CONFIG_SCHEMA,
+    configEvents,
+    getConfig,
+    getPublicConfig,
+    updateConfig,
+    maskSecret
+};
@@ -0,0 +1,130 @@
+// Minimal 5-field cron parser: minute hour day-of-month month day-of-week, in server local time.
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+const MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+// How far ahead getNextCronTime looks before giving up (e.g. '0 0 30 2 *' never matches)
+const MAX_LOOKAHEAD_DAYS = 366 * 5;
+
+function parseNumber(value, field) {
+    if (!/^\d+$/.test(value)) {
+        throw new Error(`Invalid ${field.name} "${value}".`);
+    }
+    const number = parseInt(value, 10);
+    if (number < field.min || number > field.max) {
+        throw new Error(`${field.name} must be between ${field.min} and ${field.max}, got ${number}.`);
+    }
+    return number;
+}
+
+/**
+ * Parses one cron field ("*", "5", "1-5", "*\/15", "1,15,30", "10-20/5").
+ * @param {string} text
+ * @param {{name: string, min: number, max: number}} field
+ * @returns {{values: number[], any: boolean}}
+ */
+function parseField(text, field) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : parseNumber(stepText, { ...field, min: 1 });
+        let start;
+        let end;
+        if (range === '*') {
+            start = field.min;
+            end = field.max;
+        } else if (range.includes('-')) {
+            const [from, to] = range.split('-');
+            start = parseNumber(from, field);
+            end = parseNumber(to, field);
+            if (start > end) {
+                throw new Error(`Invalid ${field.name} range "${range}".`);
+            }
+        } else {
+            start = parseNumber(range, field);
+            end = stepText === undefined ? start : field.max;
+        }
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+    return { values: Array.from(values).sort((a, b) => a - b), any: text === '*' };
+}
+
+/**
+ * Parses a cron expression.
+ * @param {string} expression - Five fields, or a macro such as '@daily'
+ * @returns {{minutes: number[], hours: number[], days: number[], months: number[], weekdays: number[], anyDay: boolean, anyWeekday: boolean}}
+ */
+function parseCron(expression) {
+    const text = String(expression || '').trim().toLowerCase();
+    const fields = (MACROS[text] || text).split(/\s+/);
+    if (fields.length !== 5) {
+        throw new Error('A cron expression needs 5 fields: minute hour day-of-month month day-of-week.');
+    }
+    const [minutes, hours, days, months, weekdays] = fields.map((field, i) => parseField(field, FIELDS[i]));
+    return {
+        minutes: minutes.values,
+        hours: hours.values,
+        days: days.values,
+        months: months.values,
+        weekdays: Array.from(new Set(weekdays.values.map(day => day % 7))),
+        anyDay: days.any,
+        anyWeekday: weekdays.any
+    };
+}
+
+function matchesDay(cron, date) {
+    if (!cron.months.includes(date.getMonth() + 1)) return false;
+    const dayMatch = cron.days.includes(date.getDate());
+    const weekdayMatch = cron.weekdays.includes(date.getDay());
+    // Like classic cron: when both day fields are restricted, either one may match
+    if (!cron.anyDay && !cron.anyWeekday) return dayMatch || weekdayMatch;
+    if (!cron.anyDay) return dayMatch;
+    if (!cron.anyWeekday) return weekdayMatch;
+    return true;
+}
+
+/**
+ * Returns the first time after `after` that matches the expression.
+ * @param {string} expression
+ * @param {Date} [after=new Date()]
+ * @returns {Date|null} Null if nothing matches within the next five years.
+ */
+function getNextCronTime(expression, after = new Date()) {
+    const cron = parseCron(expression);
+    const start = new Date(after.getTime());
+    start.setSeconds(0, 0);
+    start.setMinutes(start.getMinutes() + 1);
+
+    const day = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+    for (let i = 0; i < MAX_LOOKAHEAD_DAYS; i++) {
+        if (matchesDay(cron, day)) {
+            for (const hour of cron.hours) {
+                for (const minute of cron.minutes) {
+                    const candidate = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour, minute);
+                    if (candidate >= start) return candidate;
+                }
+            }
+        }
+        day.setDate(day.getDate() + 1);
+    }
+    return null;
+}
+
+module.exports = { parseCron, getNextCronTime };
@@ -1,5 +1,8 @@
 const fs = require('fs').promises;
+const crypto = require('crypto');
 const path = require('path');
+const { extractInlineMedia } = require('./media-store');
+const { createSearchIndex } = require('./search-index');
 
 const CHATS_FILE_PATH = path.join(__dirname, 'chats.json');
 const STATE_FILE_PATH = path.join(__dirname, 'state.json');
@@ -10,6 +13,16 @@ const STATE_FILE_PATH = path.join(__dirname, 'state.json');
  * @property {string} text - The message content
  * @property {string} timestamp - ISO 8601 timestamp
  * @property {'sent' | 'received'} direction - 'sent' for outgoing, 'received' for incoming
+ * @property {'pending' | 'sent' | 'delivered' | 'read' | 'failed'} [status] - Delivery status of outgoing messages
+ * @property {string} [waMessageId] - WhatsApp's ID for an outgoing message stored under our own ID
+ * @property {boolean} [voiceNote] - Audio recorded in WhatsApp (ptt) rather than a sent audio file
+ * @property {number} [duration] - Length of audio and video in seconds, if WhatsApp reported it
+ * @property {import('./transcription').Transcript} [transcript] - Speech-to-text of audio messages
+ * @property {boolean} [isAIRewrite] - Sent in Semi-AI mode as a rewrite of what the user typed
+ * @property {string} [originalContent] - What the user typed, for rewrites and translations
+ * @property {string} [language] - Detected language of the content (a code from language.js)
+ * @property {string} [originalLanguage] - Language of originalContent, when it was translated
+ * @property {import('./translation').Translation} [translation] - Received text in the user's language
  */
 
 /**
@@ -17,63 +30,365 @@ const STATE_FILE_PATH = path.join(__dirname, 'state.json');
  */
 
 /**
- * Reads all chats from the JSON file.
- * @returns {Promise<Chats>}
+ * Reads and parses a JSON file. If the file is unparsable (e.g. truncated by a crash mid-write)
+ * or missing, the rotating `.bak` copy is restored in its place. A missing file is not restored
+ * while a write to it is queued, since that write is about to put it back; the backup's content
+ * is returned as is. A corrupt file with no usable backup is moved aside to
+ * `<file>.corrupt-<timestamp>` instead of being overwritten.
+ * @param {string} filePath
+ * @returns {Promise<object|null>} The parsed content, or null if there is nothing to read.
  */
-async function readChats() {
+async function readJsonFile(filePath) {
+    const fileName = path.basename(filePath);
+    let primaryError;
     try {
-        await fs.access(CHATS_FILE_PATH);
-        const data = await fs.readFile(CHATS_FILE_PATH, 'utf-8');
-        return JSON.parse(data);
+        return JSON.parse(await fs.readFile(filePath, 'utf-8'));
     } catch (error) {
-        if (error.code === 'ENOENT') {
-            return {};
+        primaryError = error;
+        if (error.code !== 'ENOENT') {
+            console.error(`Error reading ${fileName}:`, error.message);
+        }
+    }
+
+    const backupPath = `${filePath}.bak`;
+    try {
+        const parsed = JSON.parse(await fs.readFile(backupPath, 'utf-8'));
+        if (primaryError.code !== 'ENOENT' || !mutationQueues.has(filePath)) {
+            await fs.copyFile(backupPath, filePath);
+            console.warn(`Restored ${fileName} from ${path.basename(backupPath)}.`);
+        }
+        return parsed;
+    } catch (backupError) {
+        if (backupError.code !== 'ENOENT') {
+            console.error(`Error reading ${path.basename(backupPath)}:`, backupError.message);
         }
-        console.error('Error reading chats.json:', error);
-        return {};
     }
+
+    if (primaryError.code !== 'ENOENT') {
+        const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+        try {
+            await fs.rename(filePath, corruptPath);
+            console.error(`${fileName} is unreadable and has no usable backup; moved it to ${path.basename(corruptPath)}.`);
+        } catch (renameError) {
+            console.error(`Could not move aside unreadable ${fileName}:`, renameError.message);
+        }
+    }
+    return null;
 }
 
 /**
- * Writes chats to the JSON file.
- * @param {Chats} chatsData
+ * Writes JSON crash-safely: the data goes to a temp file that is fsynced and then renamed
+ * over the target, after the current file has been copied to `<file>.bak`. The target is
+ * never missing along the way, so concurrent readers see either the old or the new data.
+ * @param {string} filePath
+ * @param {any} data
  */
-async function writeChats(chatsData) {
+async function writeJsonFileAtomic(filePath, data) {
+    // The random part keeps two writes started in the same millisecond from sharing a temp file
+    const tmpPath = `${filePath}.${process.pid}.${Date.now()}.${crypto.randomBytes(4).toString('hex')}.tmp`;
     try {
-        const jsonString = JSON.stringify(chatsData, null, 2);
-        await fs.writeFile(CHATS_FILE_PATH, jsonString);
+        const handle = await fs.open(tmpPath, 'w');
+        try {
+            await handle.writeFile(JSON.stringify(data, null, 2));
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        try {
+            await fs.copyFile(filePath, `${filePath}.bak`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        await fs.rename(tmpPath, filePath);
     } catch (error) {
-        console.error('Error writing to chats.json:', error);
+        await fs.unlink(tmpPath).catch(() => {});
+        throw error;
     }
 }
 
+const mutationQueues = new Map();
+
 /**
- * Adds a new message to a chat.
- * @param {string} jid - The JID of the chat contact.
- * @param {Message} message - The message object.
+ * Runs `task` once every mutation previously queued for the same file has settled, so
+ * read-modify-write cycles from concurrent handlers never interleave.
+ * @template T
+ * @param {string} filePath - The file (queue key) being mutated.
+ * @param {() => Promise<T>} task
+ * @returns {Promise<T>}
+ */
+function enqueueMutation(filePath, task) {
+    const previous = mutationQueues.get(filePath) || Promise.resolve();
+    const run = previous.then(task);
+    const tail = run.catch(() => {});
+    mutationQueues.set(filePath, tail);
+    tail.then(() => {
+        if (mutationQueues.get(filePath) === tail) {
+            mutationQueues.delete(filePath);
+        }
+    });
+    return run;
+}
+
+/**
+ * Storage backend that keeps everything in chats.json and state.json.
+ * Every mutation rewrites the whole file, so it is only suited to small histories.
+ */
+const jsonBackend = {
+    name: 'json',
+
+    /**
+     * Reads all chats from the JSON file.
+     * @returns {Promise<Chats>}
+     */
+    async readChats() {
+        return (await readJsonFile(CHATS_FILE_PATH)) || {};
+    },
+
+    /**
+     * Writes chats to the JSON file.
+     * @param {Chats} chatsData
+     */
+    async writeChats(chatsData) {
+        try {
+            await writeJsonFileAtomic(CHATS_FILE_PATH, chatsData);
+        } catch (error) {
+            console.error('Error writing to chats.json:', error);
+        }
+    },
+
+    async getMessages(jid) {
+        const chats = await this.readChats();
+        return Array.isArray(chats[jid]) ? chats[jid] : null;
+    },
+
+    async hasChat(jid) {
+        return (await this.getMessages(jid)) !== null;
+    },
+
+    async hasMessageId(jid, id) {
+        const messages = await this.getMessages(jid);
+        return Boolean(messages && messages.some((m) => m.id === id));
+    },
+
+    async getMessagesBetween(jid, fromMs, toMs) {
+        const messages = await this.getMessages(jid);
+        return (messages || []).filter((m) => {
+            const ts = Date.parse(m?.timestamp || '');
+            return Number.isFinite(ts) && ts >= fromMs && ts <= toMs;
+        });
+    },
+
+    async appendMessage(jid, message) {
+        const chats = await this.readChats();
+        if (!chats[jid]) {
+            chats[jid] = [];
+        }
+        chats[jid].push(message);
+        await this.writeChats(chats);
+    },
+
+    async removeMessages(jid, ids) {
+        const chats = await this.readChats();
+        if (!Array.isArray(chats[jid])) {
+            return 0;
+        }
+        const idSet = new Set(ids);
+        const initialLength = chats[jid].length;
+        chats[jid] = chats[jid].filter(msg => !idSet.has(msg.id));
+        const removed = initialLength - chats[jid].length;
+        if (removed > 0) {
+            await this.writeChats(chats);
+        }
+        return removed;
+    },
+
+    async replaceMessages(jid, replacements) {
+        const chats = await this.readChats();
+        if (!Array.isArray(chats[jid])) {
+            return 0;
+        }
+        let replaced = 0;
+        chats[jid] = chats[jid].map((msg) => {
+            if (msg && Object.prototype.hasOwnProperty.call(replacements, msg.id)) {
+                replaced++;
+                return replacements[msg.id];
+            }
+            return msg;
+        });
+        if (replaced > 0) {
+            await this.writeChats(chats);
+        }
+        return replaced;
+    },
+
+    async ensureChats(jids) {
+        const chats = await this.readChats();
+        let changed = false;
+        for (const jid of jids) {
+            if (!chats[jid]) {
+                chats[jid] = [];
+                changed = true;
+            }
+        }
+        if (changed) {
+            await this.writeChats(chats);
+        }
+    },
+
+    async deleteChat(jid) {
+        const chats = await this.readChats();
+        if (!chats[jid]) {
+            return false;
+        }
+        delete chats[jid];
+        await this.writeChats(chats);
+        return true;
+    },
+
+    async readState() {
+        return (await readJsonFile(STATE_FILE_PATH)) || {};
+    },
+
+    async writeState(stateData) {
+        try {
+            await writeJsonFileAtomic(STATE_FILE_PATH, stateData);
+        } catch (error) {
+            console.error('Error writing to state.json:', error);
+        }
+    }
+};
+
+let activeBackend = null;
+
+/**
+ * Returns the configured storage backend, creating it on first use.
+ * STORAGE_BACKEND selects 'sqlite' (default) or 'json'. If the SQLite driver cannot be
+ * loaded we fall back to the JSON files so the app still starts.
+ * @returns {object} The storage backend.
+ */
+function getBackend() {
+    if (activeBackend) {
+        return activeBackend;
+    }
+    const requested = (process.env.STORAGE_BACKEND || 'sqlite').trim().toLowerCase();
+    if (requested === 'sqlite') {
+        try {
+            const { createSqliteBackend } = require('./sqlite-storage');
+            activeBackend = createSqliteBackend();
+            const result = activeBackend.migrateFromJson({ chatsPath: CHATS_FILE_PATH, statePath: STATE_FILE_PATH });
+            if (result.migrated) {
+                console.log(`Imported ${result.messages} messages from ${result.chats} chats into SQLite storage.`);
+            }
+            return activeBackend;
+        } catch (error) {
+            console.error('SQLite storage unavailable, falling back to JSON files:', error.message);
+        }
+    }
+    activeBackend = jsonBackend;
+    return activeBackend;
+}
+
+const searchIndex = createSearchIndex();
+let searchIndexBuilt = false;
+
+function indexChats(chats) {
+    searchIndex.clear();
+    for (const [jid, messages] of Object.entries(chats || {})) {
+        for (const message of Array.isArray(messages) ? messages : []) {
+            searchIndex.add(jid, message);
+        }
+    }
+}
+
+/**
+ * Builds the full-text search index from stored messages if that hasn't happened yet.
+ * Runs inside the chats mutation queue so no message is added or removed mid-build;
+ * afterwards every mutation below keeps the index current.
+ */
+async function ensureSearchIndex() {
+    if (searchIndexBuilt) return;
+    await enqueueMutation(CHATS_FILE_PATH, async () => {
+        if (searchIndexBuilt) return;
+        indexChats(await getBackend().readChats());
+        searchIndexBuilt = true;
+    });
+}
+
+/**
+ * Full-text search over all stored messages.
+ * @param {string} query - Words to look for; each must match a word or word prefix.
+ * @param {object} [filters] - jid, from, to, direction, limit, offset (see search-index.js).
+ * @returns {Promise<{total: number, hits: import('./search-index').SearchHit[]}>}
+ */
+async function searchMessages(query, filters = {}) {
+    await ensureSearchIndex();
+    return searchIndex.search(query, filters);
+}
+
+/**
+ * Reads all chats.
+ * @returns {Promise<Chats>}
+ */
+async function readChats() {
+    return getBackend().readChats();
+}
+
+/**
+ * Replaces all stored chats.
+ * @param {Chats} chatsData
+ */
+async function writeChats(chatsData) {
+    return enqueueMutation(CHATS_FILE_PATH, async () => {
+        await getBackend().writeChats(chatsData);
+        if (searchIndexBuilt) {
+            indexChats(chatsData);
+        }
+    });
+}
+
+/**
+ * Makes sure an (possibly empty) chat entry exists for each JID.
+ * @param {string[]} jids
+ */
+async function ensureChats(jids) {
+    return enqueueMutation(CHATS_FILE_PATH, () => getBackend().ensureChats(jids));
+}
+
+/**
+ * Gets the most recent text messages of a chat, including transcribed voice notes.
+ * @param {string} chatId - The JID of the chat contact.
+ * @param {number} limit - Maximum number of messages to return.
+ * @returns {Promise<Message[]>}
  */
 async function getChatHistory(chatId, limit = 10) {
     try {
-        const chats = await readChats();
-        const chat = chats[chatId];
-        if (chat && chat.messages) {
-            return chat.messages
-                .filter(msg => msg.subType === 'chat') // Only text messages
-                .slice(-limit); // Last N messages
+        const messages = await getBackend().getMessages(chatId);
+        if (!messages) {
+            return [];
         }
-        return [];
+        return messages
+            .filter(msg => ((msg.subType || 'chat') === 'chat' && msg.content) || msg.transcript?.text) // Only text
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp)) // Synced messages can arrive out of order
+            .slice(-limit); // Last N messages
     } catch (error) {
         console.error('Error getting chat history:', error);
         return [];
     }
 }
 
+/**
+ * Adds a new message to a chat unless it is a duplicate.
+ * @param {string} jid - The JID of the chat contact.
+ * @param {Message} message - The message object.
+ * @returns {Promise<boolean>} True if the message was stored.
+ */
 async function addMessageToChat(jid, message) {
-    const chats = await readChats();
-    if (!chats[jid]) {
-        chats[jid] = [];
-    }
-    if (message && message.id && chats[jid].some((m) => m.id === message.id)) {
+    return enqueueMutation(CHATS_FILE_PATH, () => insertMessageIfNew(jid, message));
+}
+
+async function insertMessageIfNew(jid, message) {
+    const backend = getBackend();
+    if (message && message.id && await backend.hasMessageId(jid, message.id)) {
         return false;
     }
     const msgContent = typeof message?.content === 'string' ? message.content.trim() : '';
@@ -81,7 +396,8 @@ async function addMessageToChat(jid, message) {
     const msgSubType = message?.subType || 'chat';
     const msgTs = Date.parse(message?.timestamp || '');
     if (msgContent && Number.isFinite(msgTs)) {
-        const duplicateByContent = chats[jid].some((m) => {
+        const nearby = await backend.getMessagesBetween(jid, msgTs - 8000, msgTs + 8000);
+        const duplicateByContent = nearby.some((m) => {
             const existingContent = typeof m?.content === 'string' ? m.content.trim() : '';
             const existingDirection = m?.direction || '';
             const existingSubType = m?.subType || 'chat';
@@ -97,27 +413,129 @@ async function addMessageToChat(jid, message) {
             return false;
         }
     }
-    chats[jid].push(message);
-    await writeChats(chats);
+    await backend.appendMessage(jid, message);
+    if (searchIndexBuilt) {
+        searchIndex.add(jid, message);
+    }
     return true;
 }
 
+/**
+ * Gets the messages of a chat within a time range, oldest first.
+ * @param {string} jid - The JID of the chat contact.
+ * @param {number} sinceMs - Start of the range (inclusive), in ms since the epoch.
+ * @param {number} untilMs - End of the range (inclusive), in ms since the epoch.
+ * @returns {Promise<Message[]>}
+ */
+async function getMessagesInRange(jid, sinceMs, untilMs) {
+    const messages = await getBackend().getMessagesBetween(jid, sinceMs, untilMs);
+    return messages.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+}
+
+/**
+ * Whether a chat is stored, without loading its messages where the backend allows.
+ * @param {string} jid - The JID of the chat contact.
+ * @returns {Promise<boolean>}
+ */
+async function chatExists(jid) {
+    return getBackend().hasChat(jid);
+}
+
+/**
+ * Looks up a stored message.
+ * @param {string} jid - The JID of the chat contact.
+ * @param {string} messageId - Our message ID or its WhatsApp ID (waMessageId).
+ * @returns {Promise<Message|null>}
+ */
+async function getMessage(jid, messageId) {
+    const messages = await getBackend().getMessages(jid);
+    return (messages || []).find(msg => msg.id === messageId || msg.waMessageId === messageId) || null;
+}
+
+/**
+ * Applies changes to a stored message.
+ * @param {string} jid - The JID of the chat contact.
+ * @param {string} messageId - Our message ID or its WhatsApp ID (waMessageId).
+ * @param {Partial<Message> | ((message: Message) => Partial<Message>|null)} changes - Fields to set, or a
+ *   function of the current message returning them (null to leave the message alone).
+ * @returns {Promise<Message|null>} The updated message, or null if it wasn't found or wasn't changed.
+ */
+async function updateMessage(jid, messageId, changes) {
+    return enqueueMutation(CHATS_FILE_PATH, async () => {
+        const messages = await getBackend().getMessages(jid);
+        const message = (messages || []).find(msg => msg.id === messageId || msg.waMessageId === messageId);
+        if (!message) return null;
+        const fields = typeof changes === 'function' ? changes(message) : changes;
+        if (!fields) return null;
+        const updated = { ...message, ...fields };
+        await getBackend().replaceMessages(jid, { [message.id]: updated });
+        if (searchIndexBuilt) {
+            searchIndex.add(jid, updated);
+        }
+        return updated;
+    });
+}
+
+/**
+ * Moves inline base64 media of already stored messages into the media store, one chat at
+ * a time. Messages that already reference the store are left alone, so it is safe to re-run.
+ * @returns {Promise<number>} Number of messages rewritten.
+ */
+async function migrateInlineMedia() {
+    const chats = await readChats();
+    let migrated = 0;
+    for (const [jid, messages] of Object.entries(chats)) {
+        const replacements = {};
+        for (const message of messages) {
+            if (!message?.id) continue;
+            try {
+                const rewritten = await extractInlineMedia(message);
+                if (rewritten) {
+                    replacements[message.id] = rewritten;
+                }
+            } catch (error) {
+                console.error(`Could not move media of message ${message.id} to the media store:`, error.message);
+            }
+        }
+        if (Object.keys(replacements).length > 0) {
+            migrated += await enqueueMutation(CHATS_FILE_PATH, async () => {
+                const replaced = await getBackend().replaceMessages(jid, replacements);
+                if (searchIndexBuilt) {
+                    Object.values(replacements).forEach(message => searchIndex.add(jid, message));
+                }
+                return replaced;
+            });
+        }
+    }
+    return migrated;
+}
+
 /**
  * @typedef {object} AppState
- * @property {object.<string, string>} chatModes - Mapping of JID to mode ('A', 'B', 'C')
- * @property {string} aiInstruction - Global instruction for AI in auto mode
+ * @property {object.<string, string>} chatModes - Mapping of JID to mode ('A', 'B', 'C', 'D')
+ * @property {object.<string, object>} [chatPersonas] - AI persona of a chat by JID (see personas.js)
+ * @property {object.<string, Draft>} [drafts] - Pending AI replies awaiting approval, by draft ID
  */
 
 /**
- * Reads the entire application state from the JSON file.
+ * @typedef {object} Draft
+ * @property {string} id - Draft ID
+ * @property {string} jid - The JID of the chat the reply belongs to
+ * @property {string} to - WhatsApp ID the reply is sent to
+ * @property {string} content - Reply text; can be edited until it is sent
+ * @property {string} [replyToId] - ID of the message being answered
+ * @property {string} createdAt - ISO 8601 timestamp
+ * @property {string|null} sendAt - ISO 8601 time to send automatically, or null to wait for approval
+ */
+
+/**
+ * Reads the entire application state.
  * @returns {Promise<AppState>}
  */
 async function readState() {
-    let state = { chatModes: {}, aiInstruction: process.env.AI_INSTRUCTION || "You are a helpful and friendly assistant." };
+    let state = { chatModes: {} };
     try {
-        await fs.access(STATE_FILE_PATH);
-        const data = await fs.readFile(STATE_FILE_PATH, 'utf-8');
-        const parsedState = JSON.parse(data);
+        const parsedState = await getBackend().readState();
         // Merge with defaults to ensure all properties exist
         state = { ...state, ...parsedState };
         // Ensure chatModes is an object
@@ -125,30 +543,48 @@ async function readState() {
             state.chatModes = {};
         }
     } catch (error) {
-        if (error.code !== 'ENOENT') { // Log error if it's not just "file not found"
-            console.error('Error reading state.json:', error);
-        }
-        // If file doesn't exist or is malformed, the default `state` object will be returned.
+        console.error('Error reading state:', error);
+        // If the state is unreadable, the default `state` object will be returned.
     }
     return state;
 }
 
 /**
- * Writes the entire application state to the JSON file.
+ * Writes the entire application state.
  * @param {AppState} stateData
  */
 async function writeState(stateData) {
+    return enqueueMutation(STATE_FILE_PATH, () => persistState(stateData));
+}
+
+async function persistState(stateData) {
     try {
-        await fs.writeFile(STATE_FILE_PATH, JSON.stringify(stateData, null, 2));
+        await getBackend().writeState(stateData);
     } catch (error) {
-        console.error('Error writing to state.json:', error);
+        console.error('Error writing state:', error);
     }
 }
 
+/**
+ * Reads the state, lets `mutator` modify it in place and writes it back, all inside the
+ * state file's mutation queue so concurrent updates cannot overwrite each other.
+ * @template T
+ * @param {(state: AppState) => T | Promise<T>} mutator
+ * @returns {Promise<T>} Whatever the mutator returned.
+ */
+async function updateState(mutator) {
+    return enqueueMutation(STATE_FILE_PATH, async () => {
+        const state = await readState();
+        const result = await mutator(state);
+        await persistState(state);
+        return result;
+    });
+}
+
 /**
  * Gets the interaction mode for a specific chat.
  * @param {string} jid The JID of the chat.
- * @returns {Promise<string>} The mode ('A', 'B', or 'C'). Defaults to 'A' (Manual).
+ * @returns {Promise<string>} The mode ('A', 'B', 'C' or 'D'). Defaults to 'A' (Manual).
  */
 async function getChatMode(jid) {
     const state = await readState();
@@ -158,131 +594,95 @@ async function getChatMode(jid) {
 /**
  * Sets the interaction mode for a specific chat.
  * @param {string} jid The JID of the chat.
- * @param {string} mode The mode to set ('A', 'B', or 'C').
+ * @param {string} mode The mode to set ('A', 'B', 'C' or 'D').
  */
 async function setChatMode(jid, mode) {
+    await updateState((state) => {
+        state.chatModes[jid] = mode;
+    });
+}
+
+/**
+ * Lists pending draft replies, oldest first.
+ * @param {string} [jid] Only return drafts for this chat.
+ * @returns {Promise<Draft[]>}
+ */
+async function getDrafts(jid) {
     const state = await readState();
-    state.chatModes[jid] = mode;
-    await writeState(state);
+    return Object.values(state.drafts || {})
+        .filter(draft => !jid || draft.jid === jid)
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
 }
 
 /**
- * Gets the dynamic AI instruction based on user settings.
+ * Stores a pending draft reply.
+ * @param {Draft} draft
+ * @returns {Promise<Draft>}
+ */
+async function addDraft(draft) {
+    await updateState((state) => {
+        state.drafts = state.drafts || {};
+        state.drafts[draft.id] = draft;
+    });
+    return draft;
+}
+
+/**
+ * Changes fields of a pending draft.
+ * @param {string} id The draft ID.
+ * @param {Partial<Draft>} changes
+ * @returns {Promise<Draft|null>} The updated draft, or null if it no longer exists.
+ */
+async function updateDraft(id, changes) {
+    return updateState((state) => {
+        const draft = state.drafts?.[id];
+        if (!draft) return null;
+        Object.assign(draft, changes, { id: draft.id, jid: draft.jid, to: draft.to });
+        return draft;
+    });
+}
+
+/**
+ * Removes a pending draft. Callers that send the draft remove it first, so a draft
+ * approved and auto-sent at the same moment only goes out once.
+ * @param {string} id The draft ID.
+ * @returns {Promise<Draft|null>} The removed draft, or null if it was already gone.
+ */
+async function removeDraft(id) {
+    return updateState((state) => {
+        const draft = state.drafts?.[id];
+        if (!draft) return null;
+        delete state.drafts[id];
+        return draft;
+    });
+}
+
+/**
+ * Gets the dynamic AI instruction based on user settings: the training text, the chat's persona
+ * if it has one, and the schedule.
+ * @param {string} [jid] - The chat the instruction is for; without it only the global persona is used
  * @returns {Promise<string>} The AI instruction.
  */
-async function getAIInstruction() {
-    const fs = require('fs');
-    const path = require('path');
-    const envPath = path.join(__dirname, '.env');
-    
+async function getAIInstruction(jid) {
     // Default generic instruction
     const DEFAULT_INSTRUCTION = "You are Ava, an AI assistant. Respond professionally, politely, and concisely.";
-    
-    let aiTraining = '';
-    let aiSchedule = '';
-    
-    try {
-        const envContent = await fs.promises.readFile(envPath, 'utf-8');
-        const lines = envContent.split('\n');
-        lines.forEach(line => {
-            if (line.startsWith('AI_TRAINING=')) {
-                aiTraining = line.substring('AI_TRAINING=').replace(/"/g, '').trim();
-            }
-            if (line.startsWith('AI_SCHEDULE=')) {
-                aiSchedule = line.substring('AI_SCHEDULE=').replace(/"/g, '').trim();
-            }
-        });
-    } catch (error) {
-        console.error('Error reading settings:', error);
-    }
-    
+
+    // Required here: config.js, schedule.js and personas.js depend on this module
+    const { getConfig } = require('./config');
+    const { buildScheduleContext } = require('./schedule');
+    const { getPersona, buildPersonaContext } = require('./personas');
+
     // Use user training or default instruction
-    let baseInstruction = DEFAULT_INSTRUCTION;
-    if (aiTraining) {
-        baseInstruction = aiTraining;
+    let baseInstruction = (await getConfig()).aiTraining || DEFAULT_INSTRUCTION;
+    if (jid) {
+        baseInstruction += buildPersonaContext(await getPersona(jid));
     }
-    
-    // If no schedule, return just the instruction without schedule context
-    if (!aiSchedule) {
+    try {
+        return baseInstruction + await buildScheduleContext();
+    } catch (error) {
+        console.error('Error reading schedule:', error.message);
         return baseInstruction;
     }
-    
-    // Add schedule context
-    const now = new Date();
-    const currentTime = now.toTimeString('en-US', { hour: '2-digit', hour12: false, minute: '2-digit' });
-    const currentDay = now.toLocaleDateString('en-US', { weekday: 'long' });
-    
-    let scheduleContext = `\n\nCurrent Context: Today is ${currentDay}. Current time is ${currentTime}.`;
-    
-    // Parse schedule and determine current activity
-    const scheduleLines = aiSchedule.split('\n');
-    const currentHour = now.getHours();
-    const currentMinute = now.getMinutes();
-    const currentTimeInMinutes = currentHour * 60 + currentMinute;
-    
-    let currentActivity = 'Available';
-    
-    for (const line of scheduleLines) {
-        const trimmedLine = line.trim();
-        if (trimmedLine && trimmedLine.includes(':')) {
-            const parts = trimmedLine.split(':');
-            if (parts.length >= 2) {
-                const timeRange = parts[0].trim();
-                const activity = parts.slice(1).join(':').trim();
-                
-                // Parse time ranges like "6:00-7:00" (24-hour format)
-                const timeMatch = timeRange.match(/(\d{1,2}:\d{2})\s*[-–]\s*(\d{1,2}:\d{2})/);
-                if (timeMatch) {
-                    const startTime = timeMatch[1];
-                    const endTime = timeMatch[2];
-                    
-                    const startMinutes = convert24HourTimeToMinutes(startTime);
-                    const endMinutes = convert24HourTimeToMinutes(endTime);
-                    
-                    if (currentTimeInMinutes >= startMinutes && currentTimeInMinutes <= endMinutes) {
-                        currentActivity = activity;
-                    }
-                }
-                
-                scheduleContext += ` ${timeRange}: ${activity}. `;
-            }
-        }
-    }
-    
-    scheduleContext += `\n\nCurrent Status: Currently ${currentActivity}.`;
-    
-    // Add specific guidance based on activity
-    if (currentActivity.includes('Study') || currentActivity.includes('Homework') || currentActivity.includes('Programming') || currentActivity.includes('Coding')) {
-        scheduleContext += ' The user is busy. Tell when they will be free. Ask if urgent.';
-    } else if (currentActivity.includes('School')) {
-        scheduleContext += ' The user is at school. Will reply later.';
-    } else if (currentActivity.includes('Sleep')) {
-        scheduleContext += ' The user is sleeping. Will reply in the morning.';
-    } else {
-        scheduleContext += ' The user is available.';
-    }
-    
-    function convert24HourTimeToMinutes(timeStr) {
-        const match = timeStr.match(/(\d{1,2}):(\d{2})/);
-        if (!match) return 0;
-        
-        const hours = parseInt(match[1]);
-        const minutes = parseInt(match[2]);
-        
-        return hours * 60 + minutes;
-    }
-    
-    return baseInstruction + scheduleContext;
-}
-
-/**
- * Sets the global AI instruction.
- * @param {string} instruction The new AI instruction.
- */
-async function setAIInstruction(instruction) {
-    const state = await readState();
-    state.aiInstruction = instruction;
-    await writeState(state);
 }
 
 /**
@@ -293,19 +693,12 @@ async function setAIInstruction(instruction) {
  */
 async function deleteMessageFromChat(chatId, messageId) {
     try {
-        const chats = await readChats();
-        if (!chats[chatId] || !Array.isArray(chats[chatId])) {
-            return false;
-        }
-        
-        const initialLength = chats[chatId].length;
-        chats[chatId] = chats[chatId].filter(msg => msg.id !== messageId);
-        
-        if (chats[chatId].length < initialLength) {
-            await writeChats(chats);
-            return true;
-        }
-        return false;
+        const removed = await enqueueMutation(CHATS_FILE_PATH, async () => {
+            const count = await getBackend().removeMessages(chatId, [messageId]);
+            searchIndex.remove(chatId, messageId);
+            return count;
+        });
+        return removed > 0;
     } catch (error) {
         console.error('Error deleting message:', error);
         return false;
@@ -320,34 +713,36 @@ async function deleteMessageFromChat(chatId, messageId) {
  */
 async function deleteMessageFromChatPartial(chatId, messageId) {
     try {
-        const chats = await readChats();
-        if (!chats[chatId] || !Array.isArray(chats[chatId])) {
-            return false;
-        }
-        
-        const initialLength = chats[chatId].length;
-        
-        // Try to find a message where either ID contains the other
-        chats[chatId] = chats[chatId].filter(msg => {
-            // Skip if IDs match exactly
-            if (msg.id === messageId) return false;
-            // Check for partial matches (useful when message gets new ID after sending)
-            const msgIdPart = msg.id.split('_').slice(1).join('_');
-            const searchIdPart = messageId.split('_').slice(1).join('_');
-            return !(msg.id.includes(searchIdPart) || messageId.includes(msgIdPart));
-        });
-        
-        if (chats[chatId].length < initialLength) {
-            await writeChats(chats);
-            return true;
-        }
-        return false;
+        return await enqueueMutation(CHATS_FILE_PATH, () => deleteMatchingMessages(chatId, messageId));
     } catch (error) {
         console.error('Error deleting message (partial):', error);
         return false;
     }
 }
 
+async function deleteMatchingMessages(chatId, messageId) {
+    const messages = await getBackend().getMessages(chatId);
+    if (!Array.isArray(messages)) {
+        return false;
+    }
+    
+    // Try to find a message where either ID contains the other
+    const idsToDelete = messages.filter(msg => {
+        // Match if IDs match exactly
+        if (msg.id === messageId) return true;
+        // Check for partial matches (useful when message gets new ID after sending)
+        const msgIdPart = msg.id.split('_').slice(1).join('_');
+        const searchIdPart = messageId.split('_').slice(1).join('_');
+        return msg.id.includes(searchIdPart) || messageId.includes(msgIdPart);
+    }).map(msg => msg.id);
+    
+    if (idsToDelete.length === 0) {
+        return false;
+    }
+    const removed = await getBackend().removeMessages(chatId, idsToDelete);
+    idsToDelete.forEach(id => searchIndex.remove(chatId, id));
+    return removed > 0;
+}
 
 /**
  * Deletes an entire chat.
@@ -356,14 +751,11 @@ async function deleteMessageFromChatPartial(chatId, messageId) {
  */
 async function deleteChat(chatId) {
     try {
-        const chats = await readChats();
-        if (!chats[chatId]) {
-            return false;
-        }
-        
-        delete chats[chatId];
-        await writeChats(chats);
-        return true;
+        return await enqueueMutation(CHATS_FILE_PATH, async () => {
+            const deleted = await getBackend().deleteChat(chatId);
+            searchIndex.removeChat(chatId);
+            return deleted;
+        });
     } catch (error) {
         console.error('Error deleting chat:', error);
         return false;
@@ -373,15 +765,30 @@ async function deleteChat(chatId) {
 module.exports = {
     readChats,
     writeChats,
+    ensureChats,
     addMessageToChat,
+    chatExists,
+    getMessage,
+    updateMessage,
     getChatHistory,
+    getMessagesInRange,
     getChatMode,
     setChatMode,
+    getDrafts,
+    addDraft,
+    updateDraft,
+    removeDraft,
     getAIInstruction,
-    setAIInstruction,
     readState,
     writeState,
+    updateState,
     deleteMessageFromChat,
     deleteMessageFromChatPartial,
-    deleteChat
+    deleteChat,
+    migrateInlineMedia,
+    ensureSearchIndex,
+    searchMessages,
+    getBackend,
+    CHATS_FILE_PATH,
+    STATE_FILE_PATH
 };
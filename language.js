@@ -0,0 +1,253 @@
+/**
+ * Language detection for chat messages. Scripts other than Latin mostly name their language
+ * outright; Latin-script text is told apart with character trigrams, which also separates
+ * Hinglish (Hindi written in Latin letters) from English without a word list.
+ */
+
+/** Supported languages by code. 'hi-latn' is Hinglish. */
+const LANGUAGES = {
+    en: 'English',
+    'hi-latn': 'Hinglish (Hindi in Latin letters)',
+    hi: 'Hindi',
+    es: 'Spanish',
+    fr: 'French',
+    de: 'German',
+    pt: 'Portuguese',
+    it: 'Italian',
+    bn: 'Bengali',
+    pa: 'Punjabi',
+    gu: 'Gujarati',
+    ta: 'Tamil',
+    te: 'Telugu',
+    kn: 'Kannada',
+    ml: 'Malayalam',
+    ar: 'Arabic',
+    ru: 'Russian',
+    el: 'Greek',
+    he: 'Hebrew',
+    th: 'Thai',
+    zh: 'Chinese',
+    ja: 'Japanese',
+    ko: 'Korean'
+};
+
+const LANGUAGE_CODES = Object.keys(LANGUAGES);
+
+// Scripts that (for our purposes) belong to one language
+const SCRIPT_LANGUAGES = {
+    Devanagari: 'hi',
+    Bengali: 'bn',
+    Gurmukhi: 'pa',
+    Gujarati: 'gu',
+    Tamil: 'ta',
+    Telugu: 'te',
+    Kannada: 'kn',
+    Malayalam: 'ml',
+    Arabic: 'ar',
+    Cyrillic: 'ru',
+    Greek: 'el',
+    Hebrew: 'he',
+    Thai: 'th',
+    Hangul: 'ko',
+    Hiragana: 'ja',
+    Katakana: 'ja',
+    Han: 'zh'
+};
+
+const SCRIPT_PATTERNS = Object.keys(SCRIPT_LANGUAGES).map(script => [script, new RegExp(`\\p{Script=${script}}`, 'u')]);
+const LATIN_LETTER = /\p{Script=Latin}/u;
+
+// Latin-script text shorter than this is too ambiguous to call
+const MIN_LATIN_LETTERS = 8;
+// Below this, a detection is a guess and nothing should be done with it
+const MIN_CONFIDENCE = 0.3;
+
+// Everyday chat text the trigram profiles are built from
+const SAMPLES = {
+    en: `hey how are you doing today? i am fine thanks, what about you. did you get my message last night?
+        can you call me when you are free. i will be there in ten minutes, just leaving the house now.
+        what time is the meeting tomorrow? let me know if you need anything else. that sounds good to me.
+        sorry i missed your call, i was in the shower. are we still going to the movies this weekend?
+        i think we should do it on friday instead. please send me the address and the photos from the trip.
+        thank you so much for your help, really appreciate it. where are you right now? i have to go to work.
+        do you want to have dinner together? it was the best day ever. no problem at all, see you soon.
+        could you pick up some milk on the way back. my phone was dead, that is why i did not reply.
+        have a good night and sleep well. happy birthday, hope you have a great year ahead.
+        can we move our appointment to next week? the schedule changed again, they told us this morning.`,
+    'hi-latn': `kya haal hai bhai? main theek hu, tum batao kya chal raha hai. kal raat tumne mera message dekha?
+        jab free ho toh mujhe call karna. main das minute mein pahunch raha hu, abhi ghar se nikla hu.
+        kal meeting kitne baje hai? kuch aur chahiye toh bata dena. haan yeh sahi rahega mere liye.
+        sorry yaar call miss ho gaya, main naha raha tha. kya hum is weekend movie dekhne chal rahe hain?
+        mujhe lagta hai hum shukravar ko karte hain. please mujhe address aur trip ki photos bhej do.
+        bahut bahut shukriya tumhari madad ke liye. abhi tum kahan ho? mujhe kaam pe jana hai.
+        kya tum saath mein khana khaoge? aaj ka din bahut accha tha. koi baat nahi, jaldi milte hain.
+        wapas aate hue doodh le aana. mera phone band ho gaya tha isliye reply nahi kiya.
+        accha chalo so jao, shubh ratri. janamdin ki bahut badhai ho, tumhara saal bahut accha jaye.`,
+    es: `hola como estas hoy? estoy bien gracias, y tu que tal. viste mi mensaje de anoche?
+        puedes llamarme cuando estes libre. llego en diez minutos, acabo de salir de casa.
+        a que hora es la reunion de manana? avisame si necesitas algo mas. eso me parece bien.
+        perdon no vi tu llamada, estaba en la ducha. seguimos con lo del cine este fin de semana?
+        creo que mejor lo hacemos el viernes. por favor mandame la direccion y las fotos del viaje.
+        muchas gracias por tu ayuda, de verdad. donde estas ahora? tengo que ir a trabajar.
+        quieres cenar juntos? fue el mejor dia de todos. no pasa nada, nos vemos pronto.
+        puedes comprar leche de camino a casa. se me murio el telefono, por eso no te conteste.
+        que descanses y buenas noches. feliz cumpleanos, que tengas un gran ano.`,
+    fr: `salut comment ca va aujourd'hui? je vais bien merci, et toi. tu as vu mon message d'hier soir?
+        tu peux m'appeler quand tu es libre. j'arrive dans dix minutes, je viens de partir de la maison.
+        a quelle heure est la reunion demain? dis moi si tu as besoin d'autre chose. ca me va tres bien.
+        desole j'ai rate ton appel, j'etais sous la douche. on va toujours au cinema ce week-end?
+        je pense qu'on devrait plutot le faire vendredi. envoie moi l'adresse et les photos du voyage s'il te plait.
+        merci beaucoup pour ton aide, c'est vraiment gentil. tu es ou maintenant? je dois aller au travail.
+        tu veux diner avec moi? c'etait la meilleure journee. pas de probleme, a bientot.
+        tu peux acheter du lait en rentrant. mon telephone n'avait plus de batterie, c'est pour ca que je n'ai pas repondu.
+        bonne nuit et dors bien. joyeux anniversaire, je te souhaite une tres belle annee.`,
+    de: `hallo wie geht es dir heute? mir geht es gut danke, und dir. hast du meine nachricht von gestern abend gesehen?
+        kannst du mich anrufen wenn du zeit hast. ich bin in zehn minuten da, bin gerade von zu hause los.
+        wann ist das treffen morgen? sag mir bescheid wenn du noch etwas brauchst. das passt mir gut.
+        sorry ich habe deinen anruf verpasst, ich war unter der dusche. gehen wir am wochenende noch ins kino?
+        ich glaube wir sollten es lieber am freitag machen. schick mir bitte die adresse und die fotos von der reise.
+        vielen dank fur deine hilfe, wirklich nett. wo bist du gerade? ich muss zur arbeit.
+        willst du zusammen zu abend essen? das war der beste tag. kein problem, bis bald.
+        kannst du auf dem ruckweg milch mitbringen. mein handy war leer, deshalb habe ich nicht geantwortet.
+        gute nacht und schlaf gut. alles gute zum geburtstag, ich wunsche dir ein tolles jahr.`,
+    pt: `oi tudo bem com voce hoje? estou bem obrigado, e voce. viu minha mensagem de ontem a noite?
+        pode me ligar quando estiver livre. chego em dez minutos, acabei de sair de casa.
+        que horas e a reuniao amanha? me avisa se precisar de mais alguma coisa. para mim esta otimo.
+        desculpa perdi sua ligacao, estava no banho. ainda vamos ao cinema neste fim de semana?
+        acho melhor a gente fazer na sexta. por favor me manda o endereco e as fotos da viagem.
+        muito obrigado pela ajuda, de verdade. onde voce esta agora? tenho que ir trabalhar.
+        quer jantar junto? foi o melhor dia de todos. sem problema, ate logo.
+        pode comprar leite no caminho de volta. meu celular descarregou, por isso nao respondi.
+        boa noite e durma bem. feliz aniversario, que voce tenha um otimo ano.`,
+    it: `ciao come stai oggi? sto bene grazie, e tu. hai visto il mio messaggio di ieri sera?
+        puoi chiamarmi quando sei libero. arrivo tra dieci minuti, sono appena uscito di casa.
+        a che ora e la riunione domani? fammi sapere se ti serve altro. per me va benissimo.
+        scusa ho perso la tua chiamata, ero sotto la doccia. andiamo ancora al cinema questo fine settimana?
+        penso che sia meglio farlo venerdi. per favore mandami l'indirizzo e le foto del viaggio.
+        grazie mille per il tuo aiuto, davvero. dove sei adesso? devo andare al lavoro.
+        vuoi cenare insieme? e stata la giornata migliore. nessun problema, a presto.
+        puoi comprare il latte tornando a casa. il telefono era scarico, per questo non ho risposto.
+        buona notte e dormi bene. buon compleanno, ti auguro un anno fantastico.`
+};
+
+/**
+ * Lowercased words with accents removed, so "mañana" and "manana" count the same.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function toWords(text) {
+    return text
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/\p{M}/gu, '')
+        .split(/[^a-z]+/)
+        .filter(Boolean);
+}
+
+function countTrigrams(words, counts = new Map()) {
+    for (const word of words) {
+        const padded = ` ${word} `;
+        for (let i = 0; i + 3 <= padded.length; i++) {
+            const trigram = padded.slice(i, i + 3);
+            counts.set(trigram, (counts.get(trigram) || 0) + 1);
+        }
+    }
+    return counts;
+}
+
+const PROFILES = Object.entries(SAMPLES).map(([language, sample]) => {
+    const counts = countTrigrams(toWords(sample));
+    let total = 0;
+    for (const count of counts.values()) total += count;
+    return { language, counts, total };
+});
+const VOCABULARY_SIZE = new Set(PROFILES.flatMap(profile => [...profile.counts.keys()])).size;
+
+/**
+ * @typedef {object} DetectedLanguage
+ * @property {string} language - A LANGUAGES code, or 'und' when unsure
+ * @property {number} confidence - 0 to 1
+ * @property {string} script - Dominant script, e.g. 'Latin' or 'Devanagari'
+ */
+
+/**
+ * Guesses the language of a text from its script, and for Latin script from its trigrams.
+ * @param {string} text
+ * @returns {DetectedLanguage}
+ */
+function detectLanguage(text) {
+    const cleaned = String(text || '')
+        .replace(/https?:\/\/\S+/g, ' ')
+        .replace(/@\d+/g, ' ');
+
+    const scriptCounts = {};
+    let letters = 0;
+    for (const char of cleaned) {
+        if (!/\p{L}/u.test(char)) continue;
+        letters++;
+        const script = LATIN_LETTER.test(char) ? 'Latin' : SCRIPT_PATTERNS.find(([, pattern]) => pattern.test(char))?.[0] || 'Other';
+        scriptCounts[script] = (scriptCounts[script] || 0) + 1;
+    }
+    if (letters === 0) {
+        return { language: 'und', confidence: 0, script: 'None' };
+    }
+
+    // Kana is what tells Japanese apart from Chinese, even when most characters are Han
+    if ((scriptCounts.Hiragana || 0) + (scriptCounts.Katakana || 0) > 0 && scriptCounts.Han) {
+        scriptCounts.Hiragana = (scriptCounts.Hiragana || 0) + scriptCounts.Han;
+        delete scriptCounts.Han;
+    }
+    const [script, count] = Object.entries(scriptCounts).sort((a, b) => b[1] - a[1])[0];
+    if (script !== 'Latin') {
+        const language = SCRIPT_LANGUAGES[script] || 'und';
+        return { language, confidence: language === 'und' ? 0 : count / letters, script };
+    }
+    if (count < MIN_LATIN_LETTERS) {
+        return { language: 'und', confidence: 0, script };
+    }
+
+    // Naive Bayes over trigrams with add-one smoothing
+    const trigrams = countTrigrams(toWords(cleaned));
+    let trigramCount = 0;
+    const scores = PROFILES.map(({ language, counts, total }) => {
+        let score = 0;
+        for (const [trigram, occurrences] of trigrams) {
+            score += occurrences * Math.log(((counts.get(trigram) || 0) + 1) / (total + VOCABULARY_SIZE));
+        }
+        return { language, score };
+    }).sort((a, b) => b.score - a.score);
+    for (const occurrences of trigrams.values()) trigramCount += occurrences;
+
+    // How much more likely the winner is per trigram, squashed into 0..1
+    const margin = (scores[0].score - scores[1].score) / Math.max(trigramCount, 1);
+    const confidence = Math.min(1, margin * 2) * (count / letters);
+    return { language: scores[0].language, confidence: Number(confidence.toFixed(2)), script };
+}
+
+/**
+ * Whether text in one language needs translating for a reader of another. Hindi and Hinglish are
+ * different here: Hinglish readers may not read Devanagari.
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+function isDifferentLanguage(from, to) {
+    return Boolean(from && to && from !== 'und' && to !== 'und' && from !== to);
+}
+
+/**
+ * @param {string} code
+ * @returns {string} The language's English name, or the code itself if unknown.
+ */
+function getLanguageName(code) {
+    return LANGUAGES[code] || code;
+}
+
+module.exports = {
+    LANGUAGES,
+    LANGUAGE_CODES,
+    MIN_CONFIDENCE,
+    detectLanguage,
+    isDifferentLanguage,
+    getLanguageName
+};
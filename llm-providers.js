@@ -0,0 +1,222 @@
+const axios = require('axios');
+
+/**
+ * @typedef {object} ProviderConfig
+ * @property {'groq' | 'openai' | 'mock'} provider - Which provider to use
+ * @property {string} [baseUrl] - Base URL of an OpenAI-compatible API, e.g. 'http://localhost:11434/v1' (openai only)
+ * @property {string} [model] - Model name sent with each request
+ * @property {string} [apiKey] - API key; optional for local servers
+ * @property {string} [authHeader] - Header that carries the API key (default 'Authorization', sent as 'Bearer <key>')
+ * @property {object} [requestOptions] - Extra fields merged into every request body (e.g. top_p, stop)
+ * @property {number} [timeout] - Request timeout in ms
+ */
+
+/**
+ * @typedef {object} Provider
+ * @property {string} name
+ * @property {string} model
+ * @property {(messages: Array<{role: string, content: string}>, options?: {maxTokens?: number, temperature?: number}) => Promise<string>} complete
+ */
+
+const PROVIDER_DEFAULTS = {
+    groq: {
+        baseUrl: 'https://api.groq.com/openai/v1',
+        model: 'llama-3.1-8b-instant'
+    },
+    openai: {
+        baseUrl: 'http://localhost:11434/v1',
+        model: 'llama3.1'
+    },
+    mock: {
+        model: 'mock-echo'
+    }
+};
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+/**
+ * What went wrong in an AI request. Errors thrown by providers carry one of these as `code`.
+ * `transient` errors are worth retrying soon; the others need a change or a longer wait.
+ */
+const AI_ERROR_CODES = {
+    AUTH: { transient: false },
+    RATE_LIMITED: { transient: true },
+    QUOTA_EXCEEDED: { transient: false },
+    TIMEOUT: { transient: true },
+    UNAVAILABLE: { transient: true },
+    INVALID_RESPONSE: { transient: true },
+    BAD_REQUEST: { transient: false },
+    CIRCUIT_OPEN: { transient: false }
+};
+
+/**
+ * Creates an error for a failed AI request.
+ * @param {keyof AI_ERROR_CODES} code
+ * @param {string} message - Shown to the user
+ * @param {object} [details]
+ * @param {number} [details.status] - HTTP status of the provider's response
+ * @param {number|null} [details.retryAfterMs] - How long the provider asked us to wait
+ * @param {string} [details.provider]
+ * @returns {Error & {code: string, transient: boolean, status?: number, retryAfterMs: number|null}}
+ */
+function createAIError(code, message, { status, retryAfterMs = null, provider } = {}) {
+    const error = new Error(message);
+    error.code = code;
+    error.transient = AI_ERROR_CODES[code]?.transient ?? false;
+    error.status = status;
+    error.retryAfterMs = retryAfterMs;
+    error.provider = provider;
+    return error;
+}
+
+/**
+ * Reads a wait time from a Retry-After header (seconds or an HTTP date) or from Groq's
+ * x-ratelimit-reset-* headers ('7.66s', '2m59.56s', '1h2m').
+ * @param {object} headers
+ * @returns {number|null} Milliseconds, or null if the response doesn't say.
+ */
+function parseRetryAfter(headers = {}) {
+    const retryAfter = headers['retry-after'];
+    if (retryAfter !== undefined && retryAfter !== '') {
+        const seconds = Number(retryAfter);
+        if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+        const date = Date.parse(retryAfter);
+        if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+    }
+    const reset = headers['x-ratelimit-reset-requests'] || headers['x-ratelimit-reset-tokens'];
+    const match = typeof reset === 'string' && reset.match(/^(?:(\d+)h)?(?:(\d+)m(?!s))?(?:([\d.]+)s)?(?:(\d+)ms)?$/);
+    if (match && match[0]) {
+        const [, hours = 0, minutes = 0, seconds = 0, millis = 0] = match;
+        return Math.round(((Number(hours) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000 + Number(millis));
+    }
+    return null;
+}
+
+/**
+ * Turns an axios error from a provider request into an AI error (see createAIError).
+ * @param {Error} error
+ * @param {string} name - Provider name
+ * @returns {Error}
+ */
+function classifyProviderError(error, name) {
+    const label = name === 'groq' ? 'Groq' : `The ${name} server`;
+    const { response } = error;
+    if (!response) {
+        if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || /timeout/i.test(error.message)) {
+            return createAIError('TIMEOUT', `${label} did not answer in time.`, { provider: name });
+        }
+        return createAIError('UNAVAILABLE', `${label} could not be reached (${error.code || error.message}).`, { provider: name });
+    }
+
+    const { status } = response;
+    const body = response.data?.error || response.data || {};
+    const detail = typeof body.message === 'string' ? body.message : '';
+    // Groq sends its rate-limit headers on every response; they only mean "wait" on these
+    const retryAfterMs = status === 429 || status === 503 ? parseRetryAfter(response.headers) : null;
+    const details = { status, retryAfterMs, provider: name };
+    if (status === 401 || status === 403) {
+        return createAIError('AUTH', `${label} rejected the API key (${status}). Check it in Settings.`, details);
+    }
+    if (status === 402 || body.code === 'insufficient_quota' || body.type === 'insufficient_quota'
+        || (status === 429 && /quota|billing|per day|\b(?:TPD|RPD)\b/i.test(detail))) {
+        return createAIError('QUOTA_EXCEEDED', `Usage limit reached on ${name === 'groq' ? 'Groq' : `the ${name} server`}${detail ? `: ${detail}` : '.'}`, details);
+    }
+    if (status === 429) {
+        return createAIError('RATE_LIMITED', `${label} is rate limiting requests${detail ? `: ${detail}` : '.'}`, details);
+    }
+    if (status === 408 || status >= 500) {
+        return createAIError('UNAVAILABLE', `${label} had an error (${status}).`, details);
+    }
+    return createAIError('BAD_REQUEST', `${label} refused the request (${status})${detail ? `: ${detail}` : '.'}`, details);
+}
+
+/**
+ * Provider for any API that speaks the OpenAI chat-completions protocol (Groq, Ollama, llama.cpp, vLLM...).
+ * @param {string} name
+ * @param {ProviderConfig} config
+ * @returns {Provider}
+ */
+function createOpenAICompatibleProvider(name, config) {
+    const defaults = PROVIDER_DEFAULTS[name] || PROVIDER_DEFAULTS.openai;
+    // Groq always talks to its own endpoint; the base URL setting is for self-hosted servers.
+    const baseUrl = ((name === 'openai' && config.baseUrl) || defaults.baseUrl).replace(/\/+$/, '');
+    const model = config.model || defaults.model;
+    const authHeader = config.authHeader || 'Authorization';
+
+    return {
+        name,
+        model,
+        async complete(messages, { maxTokens = 150, temperature = 0.7 } = {}) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (config.apiKey) {
+                headers[authHeader] = authHeader.toLowerCase() === 'authorization'
+                    ? `Bearer ${config.apiKey}`
+                    : config.apiKey;
+            }
+            const payload = {
+                model,
+                messages,
+                max_tokens: maxTokens,
+                temperature,
+                ...(config.requestOptions || {})
+            };
+
+            let response;
+            try {
+                response = await axios.post(`${baseUrl}/chat/completions`, payload, {
+                    headers,
+                    timeout: config.timeout || DEFAULT_TIMEOUT_MS
+                });
+            } catch (error) {
+                throw classifyProviderError(error, name);
+            }
+
+            const content = response.data?.choices?.[0]?.message?.content;
+            if (typeof content !== 'string') {
+                throw createAIError('INVALID_RESPONSE', `Invalid response structure from ${name} API.`, { provider: name });
+            }
+            return content;
+        }
+    };
+}
+
+/**
+ * Offline provider that echoes the latest user message back. Deterministic, never touches the network.
+ * @returns {Provider}
+ */
+function createMockProvider() {
+    return {
+        name: 'mock',
+        model: PROVIDER_DEFAULTS.mock.model,
+        async complete(messages) {
+            const lastUser = [...(messages || [])].reverse().find(message => message.role === 'user');
+            const text = (lastUser?.content || '').trim();
+            return text ? `Echo: ${text}` : 'Echo: (empty message)';
+        }
+    };
+}
+
+/**
+ * Creates the provider described by `config`.
+ * @param {ProviderConfig} config
+ * @returns {Provider}
+ */
+function createProvider(config) {
+    switch (config.provider) {
+        case 'groq':
+        case 'openai':
+            return createOpenAICompatibleProvider(config.provider, config);
+        case 'mock':
+            return createMockProvider();
+        default:
+            throw new Error(`Unknown LLM provider "${config.provider}". Use groq, openai or mock.`);
+    }
+}
+
+module.exports = {
+    PROVIDER_NAMES: Object.keys(PROVIDER_DEFAULTS),
+    PROVIDER_DEFAULTS,
+    AI_ERROR_CODES,
+    createAIError,
+    createProvider
+};
@@ -0,0 +1,181 @@
+const { getChatHistory } = require('./data-storage');
+const { getMessageText } = require('./ai');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+// A streak of automatic replies ends after this long without one
+const STREAK_RESET_MS = 30 * MINUTE_MS;
+// Answers faster than this are not typed by a person
+const FAST_ANSWER_MS = 3000;
+const MAX_FAST_ANSWERS = 3;
+const MAX_REPEATS = 3;
+const ECHO_SIMILARITY = 0.8;
+const RECENT_MESSAGES = 20;
+
+// Phrases auto-responders and AI assistants (including another Ava) introduce themselves with
+const BOT_PATTERNS = [
+    /\b(?:this is an? )?auto(?:mated|matic)(?:ally generated)? (?:message|reply|response)\b/i,
+    /\bauto[- ]?(?:reply|responder)\b/i,
+    /\bI(?:'m| am) an? (?:AI|artificial intelligence|virtual assistant|chat ?bot|bot)\b/i,
+    /\b(?:this is|I(?:'m| am)) [\p{L}\s]{1,30}?,? (?:an?|the|your) (?:AI|virtual|automated) (?:personal )?assistant\b/iu,
+    /\bdo not reply to this (?:message|number|chat)\b/i
+];
+
+/**
+ * @typedef {object} GuardVerdict
+ * @property {boolean} allowed
+ * @property {'rate-minute' | 'rate-hour' | 'consecutive' | 'echo' | 'bot' | 'repeated' | 'fast'} [reason]
+ * @property {string} [detail] - Why, in words for the user
+ */
+
+/**
+ * What the guard remembers per chat. Kept in memory: after a restart every chat starts clean.
+ * @type {Map<string, {replies: number[], streak: number, lastReplyAt: number, fastAnswers: number}>}
+ */
+const chats = new Map();
+
+function getChatKey(jid) {
+    return String(jid).replace(/@.*$/, '');
+}
+
+function getEntry(jid) {
+    const key = getChatKey(jid);
+    if (!chats.has(key)) {
+        chats.set(key, { replies: [], streak: 0, lastReplyAt: 0, fastAnswers: 0 });
+    }
+    return chats.get(key);
+}
+
+function normalizeText(text) {
+    return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Whether two texts are the same message, allowing for small edits in longer ones and for one
+ * quoting the other (e.g. a reply echoed without Ava's greeting).
+ * @param {string} a - Normalized text
+ * @param {string} b - Normalized text
+ * @returns {boolean}
+ */
+function isSameText(a, b) {
+    if (!a || !b) return false;
+    if (a === b) return true;
+    const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+    if (shorter.split(' ').length >= 6 && longer.includes(shorter)) return true;
+    const wordsA = new Set(a.split(' '));
+    const wordsB = new Set(b.split(' '));
+    if (wordsA.size < 4 || wordsB.size < 4) return false;
+    const shared = Array.from(wordsA).filter(word => wordsB.has(word)).length;
+    return shared / (wordsA.size + wordsB.size - shared) >= ECHO_SIMILARITY;
+}
+
+/**
+ * Checks the content of a received message for signs that a bot is on the other end.
+ * @param {string} jid
+ * @param {object} message - The stored message
+ * @returns {Promise<GuardVerdict>}
+ */
+async function checkContent(jid, message) {
+    const text = getMessageText(message);
+    if (BOT_PATTERNS.some(pattern => pattern.test(text))) {
+        return { allowed: false, reason: 'bot', detail: 'The message looks like it came from an auto-responder or another AI assistant.' };
+    }
+
+    const normalized = normalizeText(text);
+    if (!normalized) return { allowed: true };
+    const history = (await getChatHistory(jid, RECENT_MESSAGES)).filter(msg => msg.id !== message.id);
+    // Very short texts ("ok", "thanks") come up too often to say anything
+    if (normalized.length >= 12) {
+        const ourRecent = history.filter(msg => msg.direction === 'sent').slice(-5);
+        if (ourRecent.some(msg => isSameText(normalized, normalizeText(getMessageText(msg))))) {
+            return { allowed: false, reason: 'echo', detail: 'The contact sent back one of our own replies.' };
+        }
+    }
+    const theirRecent = history.filter(msg => msg.direction === 'received').slice(-(MAX_REPEATS - 1));
+    if (theirRecent.length === MAX_REPEATS - 1
+        && theirRecent.every(msg => normalizeText(getMessageText(msg)) === normalized)) {
+        return { allowed: false, reason: 'repeated', detail: `The contact sent the same message ${MAX_REPEATS} times in a row.` };
+    }
+    return { allowed: true };
+}
+
+/**
+ * Decides whether an automatic reply (AI or auto-reply rule) may be sent to a received message.
+ * Call it once per received message: it also keeps track of how fast the contact answers.
+ * @param {string} jid
+ * @param {object} message - The stored received message
+ * @param {object} limits
+ * @param {number} limits.maxPerMinute - 0 for no limit
+ * @param {number} limits.maxPerHour - 0 for no limit
+ * @param {number} limits.maxConsecutive - Replies in a row without the user writing; 0 for no limit
+ * @param {boolean} limits.detectLoops - Whether to look for bot-like and echoed messages
+ * @returns {Promise<GuardVerdict>}
+ */
+async function checkAutoReply(jid, message, { maxPerMinute, maxPerHour, maxConsecutive, detectLoops }) {
+    const entry = getEntry(jid);
+    const now = Date.now();
+    entry.replies = entry.replies.filter(time => now - time < HOUR_MS);
+    if (entry.lastReplyAt && now - entry.lastReplyAt > STREAK_RESET_MS) {
+        entry.streak = 0;
+    }
+
+    if (detectLoops) {
+        entry.fastAnswers = entry.lastReplyAt && now - entry.lastReplyAt < FAST_ANSWER_MS ? entry.fastAnswers + 1 : 0;
+        if (entry.fastAnswers >= MAX_FAST_ANSWERS) {
+            return { allowed: false, reason: 'fast', detail: `The contact answered within ${FAST_ANSWER_MS / 1000} seconds ${MAX_FAST_ANSWERS} times in a row, which people can't type that fast.` };
+        }
+        const verdict = await checkContent(jid, message);
+        if (!verdict.allowed) return verdict;
+    }
+
+    const lastMinute = entry.replies.filter(time => now - time < MINUTE_MS).length;
+    if (maxPerMinute > 0 && lastMinute >= maxPerMinute) {
+        return { allowed: false, reason: 'rate-minute', detail: `${lastMinute} automatic replies were sent in the last minute (limit ${maxPerMinute}).` };
+    }
+    if (maxPerHour > 0 && entry.replies.length >= maxPerHour) {
+        return { allowed: false, reason: 'rate-hour', detail: `${entry.replies.length} automatic replies were sent in the last hour (limit ${maxPerHour}).` };
+    }
+    if (maxConsecutive > 0 && entry.streak >= maxConsecutive) {
+        return { allowed: false, reason: 'consecutive', detail: `${entry.streak} automatic replies were sent in a row without you writing (limit ${maxConsecutive}).` };
+    }
+    return { allowed: true };
+}
+
+/**
+ * Counts an automatic reply (or draft) towards the limits of a chat.
+ * @param {string} jid
+ */
+function recordAutoReply(jid) {
+    const entry = getEntry(jid);
+    const now = Date.now();
+    entry.replies.push(now);
+    entry.streak += 1;
+    entry.lastReplyAt = now;
+}
+
+/**
+ * Ends the streak of automatic replies in a chat, because the user wrote or approved something.
+ * @param {string} jid
+ */
+function recordHumanMessage(jid) {
+    const entry = chats.get(getChatKey(jid));
+    if (entry) {
+        entry.streak = 0;
+        entry.fastAnswers = 0;
+    }
+}
+
+/**
+ * Forgets everything about a chat, e.g. after its automatic replies were paused.
+ * @param {string} jid
+ */
+function resetChat(jid) {
+    chats.delete(getChatKey(jid));
+}
+
+module.exports = {
+    checkAutoReply,
+    recordAutoReply,
+    recordHumanMessage,
+    resetChat
+};
@@ -0,0 +1,158 @@
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const path = require('path');
+
+const MEDIA_DIR = path.join(__dirname, 'media');
+const HASH_PATTERN = /^[a-f0-9]{64}$/;
+
+/**
+ * @typedef {object} MediaRef
+ * @property {string} hash - SHA-256 of the file content (hex)
+ * @property {string} mimetype - MIME type, e.g. 'image/jpeg'
+ * @property {number} size - Size in bytes
+ * @property {string} [filename] - Original filename, if known
+ */
+
+function isValidHash(hash) {
+    return typeof hash === 'string' && HASH_PATTERN.test(hash);
+}
+
+function getMediaPath(hash) {
+    if (!isValidHash(hash)) {
+        throw new Error(`Invalid media hash: ${hash}`);
+    }
+    // Two-level fan-out keeps directories small.
+    return path.join(MEDIA_DIR, hash.slice(0, 2), hash);
+}
+
+function getMetaPath(hash) {
+    return `${getMediaPath(hash)}.json`;
+}
+
+/**
+ * Strips a `data:<mime>;base64,` prefix and returns the raw buffer plus the prefix mimetype.
+ * @param {string|Buffer} data
+ * @returns {{buffer: Buffer, mimetype: string|null}}
+ */
+function toBuffer(data) {
+    if (Buffer.isBuffer(data)) {
+        return { buffer: data, mimetype: null };
+    }
+    if (typeof data !== 'string') {
+        throw new Error('Media data must be a base64 string or a Buffer.');
+    }
+    const match = data.match(/^data:([^;,]+)?(?:;[^,]*)?,/);
+    if (match) {
+        return { buffer: Buffer.from(data.slice(match[0].length), 'base64'), mimetype: match[1] || null };
+    }
+    return { buffer: Buffer.from(data, 'base64'), mimetype: null };
+}
+
+async function writeFileAtomic(filePath, content) {
+    // The same file may be saved twice at once; each save needs its own temp file
+    const tmpPath = `${filePath}.${process.pid}.${Date.now()}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    try {
+        await fs.writeFile(tmpPath, content);
+        await fs.rename(tmpPath, filePath);
+    } catch (error) {
+        await fs.unlink(tmpPath).catch(() => {});
+        throw error;
+    }
+}
+
+/**
+ * Stores a media payload under its SHA-256 hash. Identical content is only written once.
+ * @param {string|Buffer} data - Base64 string, data URL or Buffer.
+ * @param {object} [info]
+ * @param {string} [info.mimetype]
+ * @param {string} [info.filename]
+ * @returns {Promise<MediaRef>}
+ */
+async function saveMedia(data, { mimetype, filename } = {}) {
+    const { buffer, mimetype: prefixMimetype } = toBuffer(data);
+    if (buffer.length === 0) {
+        throw new Error('Media payload is empty.');
+    }
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+    const ref = {
+        hash,
+        mimetype: mimetype || prefixMimetype || 'application/octet-stream',
+        size: buffer.length
+    };
+    if (filename) {
+        ref.filename = filename;
+    }
+
+    const filePath = getMediaPath(hash);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    try {
+        await fs.access(filePath);
+    } catch (error) {
+        await writeFileAtomic(filePath, buffer);
+        await writeFileAtomic(getMetaPath(hash), JSON.stringify({ mimetype: ref.mimetype, size: ref.size }));
+    }
+    return ref;
+}
+
+/**
+ * Looks up a stored media file.
+ * @param {string} hash
+ * @returns {Promise<{path: string, mimetype: string, size: number}|null>} Null if unknown.
+ */
+async function getMediaInfo(hash) {
+    if (!isValidHash(hash)) {
+        return null;
+    }
+    const filePath = getMediaPath(hash);
+    try {
+        const stat = await fs.stat(filePath);
+        let mimetype = 'application/octet-stream';
+        try {
+            mimetype = JSON.parse(await fs.readFile(getMetaPath(hash), 'utf-8')).mimetype || mimetype;
+        } catch (error) {
+            // Metadata is optional; serve as a generic binary.
+        }
+        return { path: filePath, mimetype, size: stat.size };
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+/**
+ * Reads a stored media file back as base64 (for re-sending through WPPConnect).
+ * @param {string} hash
+ * @returns {Promise<string>}
+ */
+async function readMediaBase64(hash) {
+    const data = await fs.readFile(getMediaPath(hash));
+    return data.toString('base64');
+}
+
+const MEDIA_SUBTYPES = new Set(['image', 'sticker', 'video', 'audio', 'ptt', 'document']);
+
+/**
+ * Moves a message's inline base64 `content` into the media store.
+ * @param {object} message
+ * @returns {Promise<object|null>} The rewritten message, or null if it has no inline media.
+ */
+async function extractInlineMedia(message) {
+    if (!message || message.media || !MEDIA_SUBTYPES.has(message.subType)) {
+        return null;
+    }
+    const content = typeof message.content === 'string' ? message.content : '';
+    if (content.length < 100 || /\s/.test(content.slice(0, 100))) {
+        return null;
+    }
+    const media = await saveMedia(content, { mimetype: message.mimetype, filename: message.filename });
+    return { ...message, content: '', mimetype: media.mimetype, media };
+}
+
+module.exports = {
+    MEDIA_DIR,
+    isValidHash,
+    saveMedia,
+    getMediaInfo,
+    readMediaBase64,
+    extractInlineMedia
+};
@@ -0,0 +1,22 @@
+require('dotenv').config();
+
+const { createSqliteBackend } = require('./sqlite-storage');
+const { CHATS_FILE_PATH, STATE_FILE_PATH } = require('./data-storage');
+
+// One-time import of chats.json / state.json into the SQLite store.
+// Usage: npm run migrate-storage [-- --force]
+const force = process.argv.includes('--force');
+
+try {
+    const backend = createSqliteBackend();
+    const result = backend.migrateFromJson({ chatsPath: CHATS_FILE_PATH, statePath: STATE_FILE_PATH }, force);
+    if (result.migrated) {
+        console.log(`Imported ${result.messages} messages from ${result.chats} chats.`);
+    } else {
+        console.log(`Nothing imported: ${result.reason}. Use --force to import again.`);
+    }
+    backend.db.close();
+} catch (error) {
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+}
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const { readState, updateState } = require('./data-storage');
+
+const MAX_ATTEMPTS = 8;
+const BASE_RETRY_DELAY_MS = 15 * 1000;
+const MAX_RETRY_DELAY_MS = 10 * 60 * 1000;
+const WORKER_INTERVAL_MS = 15 * 1000;
+
+/**
+ * @typedef {object} OutboxJob
+ * @property {string} id
+ * @property {string} jid - Chat the message belongs to
+ * @property {string} messageId - ID of the stored message, which stays 'pending' while queued
+ * @property {string} [text] - Message text (the caption for media)
+ * @property {object|null} media - MediaRef from media-store.js, for files
+ * @property {string} [subType] - Media type (image, video, audio, document, sticker)
+ * @property {number} attempts - Failed attempts so far; time spent disconnected doesn't count
+ * @property {string} nextAttemptAt - ISO 8601 timestamp
+ * @property {string|null} sendingAt - ISO 8601 timestamp while a send is in progress
+ * @property {string|null} lastError
+ * @property {string} createdAt - ISO 8601 timestamp
+ */
+
+/**
+ * Delay before the next attempt: 15s, 30s, 1m, 2m... capped at 10 minutes.
+ * @param {number} attempts - Failed attempts so far
+ * @returns {number} Milliseconds
+ */
+function getRetryDelay(attempts) {
+    return Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Lists queued messages, oldest first.
+ * @param {string} [jid] - Only messages for this chat
+ * @returns {Promise<OutboxJob[]>}
+ */
+async function getOutbox(jid) {
+    const state = await readState();
+    return (state.outbox || []).filter(job => !jid || job.jid === jid);
+}
+
+/**
+ * Queues a stored message for sending.
+ * @param {object} options
+ * @param {string} options.jid
+ * @param {string} options.messageId
+ * @param {string} [options.text]
+ * @param {object} [options.media]
+ * @param {string} [options.subType]
+ * @param {string} [options.error] - Why the first attempt failed; counts as one attempt
+ * @returns {Promise<OutboxJob>}
+ */
+async function enqueueOutgoing({ jid, messageId, text, media, subType, error }) {
+    const now = Date.now();
+    const attempts = error ? 1 : 0;
+    const job = {
+        id: `out_${now}_${crypto.randomBytes(4).toString('hex')}`,
+        jid,
+        messageId,
+        text: typeof text === 'string' ? text : '',
+        media: media || null,
+        subType: subType || null,
+        attempts,
+        nextAttemptAt: new Date(attempts ? now + getRetryDelay(attempts) : now).toISOString(),
+        sendingAt: null,
+        lastError: error || null,
+        createdAt: new Date(now).toISOString()
+    };
+    await updateState((state) => {
+        state.outbox = (state.outbox || []).filter(queued => queued.messageId !== messageId);
+        state.outbox.push(job);
+    });
+    return job;
+}
+
+/**
+ * Claims due jobs so a message is never sent by two runs at once.
+ * @param {boolean} force - Claim every waiting job, not just the due ones
+ * @returns {Promise<OutboxJob[]>} Copies of the claimed jobs.
+ */
+async function claimJobs(force) {
+    const nowMs = Date.now();
+    const isDue = job => !job.sendingAt && (force || new Date(job.nextAttemptAt).getTime() <= nowMs);
+    // Cheap read first so idle ticks don't rewrite the state
+    const { outbox } = await readState();
+    if (!(outbox || []).some(isDue)) return [];
+
+    return updateState((state) => {
+        const claimed = [];
+        for (const job of state.outbox || []) {
+            if (!isDue(job)) continue;
+            job.sendingAt = new Date().toISOString();
+            claimed.push({ ...job });
+        }
+        return claimed;
+    });
+}
+
+/**
+ * Records the outcome of an attempt.
+ * @param {OutboxJob} job
+ * @param {Error|null} error
+ * @returns {Promise<boolean>} True if the message was given up on.
+ */
+async function finishAttempt(job, error) {
+    return updateState((state) => {
+        const queue = state.outbox || [];
+        const queued = queue.find(entry => entry.id === job.id);
+        if (!error || !queued) {
+            state.outbox = queue.filter(entry => entry.id !== job.id);
+            return false;
+        }
+        queued.attempts += 1;
+        queued.sendingAt = null;
+        queued.lastError = error.message || String(error);
+        if (error.permanent || queued.attempts >= MAX_ATTEMPTS) {
+            state.outbox = queue.filter(entry => entry.id !== job.id);
+            return true;
+        }
+        queued.nextAttemptAt = new Date(Date.now() + getRetryDelay(queued.attempts)).toISOString();
+        return false;
+    });
+}
+
+let isProcessing = false;
+let runAgain = false; // Messages were queued or a flush was requested while a run was in progress
+let forceNext = false;
+
+/**
+ * Sends every due message in the outbox. Failed sends are retried with exponential backoff;
+ * after MAX_ATTEMPTS, or on an error marked `permanent`, the message is given up on.
+ * @param {object} handlers
+ * @param {(job: OutboxJob) => Promise<object>} handlers.send - Sends one job and returns WPPConnect's sent message; throws on failure
+ * @param {(job: OutboxJob, sentMessage: object) => Promise<void>} handlers.onSent
+ * @param {(job: OutboxJob, reason: string) => Promise<void>} handlers.onFailed - Called once the message is given up on
+ * @param {() => boolean} handlers.isReady - Whether WhatsApp is connected
+ * @param {object} [options]
+ * @param {boolean} [options.force=false] - Send every queued message now, ignoring backoff
+ */
+async function processOutbox(handlers, { force = false } = {}) {
+    if (isProcessing) {
+        runAgain = true;
+        forceNext = forceNext || force;
+        return;
+    }
+    // While WhatsApp is offline messages just wait; reconnecting flushes them
+    if (!handlers.isReady()) return;
+    isProcessing = true;
+    runAgain = false;
+    try {
+        const jobs = await claimJobs(force);
+        for (const job of jobs) {
+            let error = null;
+            let sentMessage = null;
+            try {
+                sentMessage = await handlers.send(job);
+            } catch (sendError) {
+                error = sendError || new Error('Sending failed');
+                console.error(`Error sending queued message ${job.messageId}:`, error.message);
+            }
+            const gaveUp = await finishAttempt(job, error);
+            try {
+                if (!error) {
+                    await handlers.onSent(job, sentMessage);
+                } else if (gaveUp) {
+                    await handlers.onFailed(job, error.message || String(error));
+                }
+            } catch (handlerError) {
+                console.error(`Error updating queued message ${job.messageId}:`, handlerError.message);
+            }
+        }
+    } catch (error) {
+        console.error('Error processing outbox:', error.message);
+    } finally {
+        isProcessing = false;
+        if (runAgain) {
+            const force = forceNext;
+            forceNext = false;
+            processOutbox(handlers, { force });
+        }
+    }
+}
+
+/**
+ * Starts the background worker. Messages that were being sent when the server stopped are
+ * given up on rather than sent again, since WhatsApp may already have delivered them.
+ * @param {object} handlers - See processOutbox
+ * @returns {Promise<NodeJS.Timeout>}
+ */
+async function startOutboxWorker(handlers) {
+    try {
+        const interrupted = await updateState((state) => {
+            const stale = (state.outbox || []).filter(job => job.sendingAt);
+            state.outbox = (state.outbox || []).filter(job => !job.sendingAt);
+            return stale;
+        });
+        for (const job of interrupted) {
+            await handlers.onFailed(job, 'Server stopped while sending; not retried to avoid a duplicate.');
+        }
+    } catch (error) {
+        console.error('Error recovering the outbox:', error.message);
+    }
+    processOutbox(handlers);
+    return setInterval(() => processOutbox(handlers), WORKER_INTERVAL_MS);
+}
+
+module.exports = {
+    getOutbox,
+    enqueueOutgoing,
+    processOutbox,
+    startOutboxWorker
+};
@@ -0,0 +1,193 @@
+const { readState, updateState } = require('./data-storage');
+const { LANGUAGE_CODES, getLanguageName } = require('./language');
+
+const PERSONA_TONES = ['default', 'professional', 'friendly', 'casual', 'playful'];
+const MAX_INSTRUCTION_LENGTH = 4000;
+const MAX_NOTES_LENGTH = 2000;
+const MAX_TOPICS = 20;
+const MAX_TOPIC_LENGTH = 100;
+
+const TONE_INSTRUCTIONS = {
+    professional: 'Keep a professional, respectful tone: complete sentences, no slang and no emojis.',
+    friendly: 'Be warm and friendly.',
+    casual: 'Keep it casual and relaxed, like texting a friend. Short sentences and the odd emoji are fine.',
+    playful: 'Be playful and light-hearted; jokes and emojis are welcome.'
+};
+
+/**
+ * How long replies may be. `maxWords` is where a reply gets cut off (see ai.getAIReply).
+ * @type {Object.<string, {maxWords: number, maxTokens: number, instruction: string}>}
+ */
+const REPLY_LENGTHS = {
+    short: { maxWords: 15, maxTokens: 80, instruction: 'Reply in one short sentence.' },
+    medium: { maxWords: 25, maxTokens: 150, instruction: '' },
+    long: { maxWords: 80, maxTokens: 400, instruction: 'Detailed replies of a few sentences are fine when the message calls for it.' }
+};
+
+/**
+ * @typedef {object} Persona
+ * @property {string} instruction - Extra instruction for this chat, on top of the global training
+ * @property {string} tone - One of PERSONA_TONES
+ * @property {string} language - Language to reply in, or '' to follow the conversation
+ * @property {string} replyLength - A key of REPLY_LENGTHS
+ * @property {string[]} allowedTopics - Only these are discussed; empty for anything
+ * @property {string} relationship - Notes about the contact and how they relate to the user
+ * @property {string} updatedAt - ISO 8601 timestamp
+ */
+
+function readText(value, name, maxLength) {
+    if (value === undefined || value === null) return '';
+    if (typeof value !== 'string') {
+        throw new Error(`${name} must be text.`);
+    }
+    const text = value.trim();
+    if (text.length > maxLength) {
+        throw new Error(`${name} must be at most ${maxLength} characters.`);
+    }
+    return text;
+}
+
+function readChoice(value, name, choices, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    const choice = String(value).trim().toLowerCase();
+    if (!choices.includes(choice)) {
+        throw new Error(`${name} must be one of: ${choices.join(', ')}.`);
+    }
+    return choice;
+}
+
+function normalizeTopics(topics) {
+    if (topics === undefined || topics === null || topics === '') return [];
+    // The UI sends one comma-separated field
+    const list = typeof topics === 'string' ? topics.split(',') : topics;
+    if (!Array.isArray(list)) {
+        throw new Error('allowedTopics must be an array of strings.');
+    }
+    const normalized = Array.from(new Set(list.map(topic => String(topic).trim()).filter(Boolean)));
+    if (normalized.length > MAX_TOPICS) {
+        throw new Error(`allowedTopics can have at most ${MAX_TOPICS} topics.`);
+    }
+    if (normalized.some(topic => topic.length > MAX_TOPIC_LENGTH)) {
+        throw new Error(`Topics must be at most ${MAX_TOPIC_LENGTH} characters.`);
+    }
+    return normalized;
+}
+
+/**
+ * Checks and normalizes persona fields.
+ * @param {object} input
+ * @returns {Omit<Persona, 'updatedAt'>}
+ */
+function validatePersona(input = {}) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new Error('A persona must be an object.');
+    }
+    return {
+        instruction: readText(input.instruction, 'instruction', MAX_INSTRUCTION_LENGTH),
+        tone: readChoice(input.tone, 'tone', PERSONA_TONES, 'default'),
+        language: readChoice(input.language, 'language', LANGUAGE_CODES, ''),
+        replyLength: readChoice(input.replyLength, 'replyLength', Object.keys(REPLY_LENGTHS), 'medium'),
+        allowedTopics: normalizeTopics(input.allowedTopics),
+        relationship: readText(input.relationship, 'relationship', MAX_NOTES_LENGTH)
+    };
+}
+
+function isEmptyPersona(persona) {
+    return !persona.instruction && persona.tone === 'default' && !persona.language
+        && persona.replyLength === 'medium' && persona.allowedTopics.length === 0 && !persona.relationship;
+}
+
+/**
+ * The AI persona of a chat.
+ * @param {string} jid
+ * @returns {Promise<Persona|null>} null when the chat uses the global persona only.
+ */
+async function getPersona(jid) {
+    const { chatPersonas } = await readState();
+    return chatPersonas?.[jid] || null;
+}
+
+/**
+ * All chats with their own persona.
+ * @returns {Promise<Object.<string, Persona>>}
+ */
+async function listPersonas() {
+    const { chatPersonas } = await readState();
+    return chatPersonas || {};
+}
+
+/**
+ * Saves the persona of a chat. A persona without any setting is removed.
+ * @param {string} jid
+ * @param {object} input
+ * @returns {Promise<Persona|null>}
+ */
+async function setPersona(jid, input) {
+    const fields = validatePersona(input);
+    const persona = isEmptyPersona(fields) ? null : { ...fields, updatedAt: new Date().toISOString() };
+    await updateState((state) => {
+        state.chatPersonas = state.chatPersonas || {};
+        if (persona) {
+            state.chatPersonas[jid] = persona;
+        } else {
+            delete state.chatPersonas[jid];
+        }
+    });
+    return persona;
+}
+
+/**
+ * Removes the persona of a chat, so it uses the global one again.
+ * @param {string} jid
+ * @returns {Promise<boolean>} Whether there was one.
+ */
+async function deletePersona(jid) {
+    const { chatPersonas } = await readState();
+    if (!chatPersonas?.[jid]) return false;
+    await updateState((state) => {
+        delete state.chatPersonas[jid];
+    });
+    return true;
+}
+
+/**
+ * Limits for AI replies in a chat.
+ * @param {Persona|null} persona
+ * @returns {{maxWords: number, maxTokens: number}}
+ */
+function getReplyLimits(persona) {
+    const { maxWords, maxTokens } = REPLY_LENGTHS[persona?.replyLength] || REPLY_LENGTHS.medium;
+    return { maxWords, maxTokens };
+}
+
+/**
+ * The part of the system prompt that is specific to one chat. It goes after the global training,
+ * so it can refine or override it.
+ * @param {Persona|null} persona
+ * @returns {string} Empty when the chat has no persona.
+ */
+function buildPersonaContext(persona) {
+    if (!persona) return '';
+    const lines = [];
+    if (persona.relationship) lines.push(`About the person you are talking to: ${persona.relationship}`);
+    if (persona.instruction) lines.push(persona.instruction);
+    if (TONE_INSTRUCTIONS[persona.tone]) lines.push(TONE_INSTRUCTIONS[persona.tone]);
+    if (persona.language) lines.push(`Always reply in ${getLanguageName(persona.language)}.`);
+    const { instruction: lengthInstruction } = REPLY_LENGTHS[persona.replyLength] || REPLY_LENGTHS.medium;
+    if (lengthInstruction) lines.push(lengthInstruction);
+    if (persona.allowedTopics.length > 0) {
+        lines.push(`Only discuss these topics: ${persona.allowedTopics.join(', ')}. For anything else, say politely that the owner will get back to them personally.`);
+    }
+    return lines.length > 0 ? `\n\nIn this chat (this takes precedence over the instructions above):\n${lines.join('\n')}` : '';
+}
+
+module.exports = {
+    PERSONA_TONES,
+    REPLY_LENGTHS,
+    getPersona,
+    listPersonas,
+    setPersona,
+    deletePersona,
+    getReplyLimits,
+    buildPersonaContext
+};
@@ -13,6 +13,8 @@ document.addEventListener('DOMContentLoaded', () => {
     const chatModeDropdown = document.getElementById('chat-mode-dropdown');
     const modeIndicator = document.getElementById('mode-indicator');
     const searchInput = document.querySelector('.search-box input');
+    const messageSearchResults = document.getElementById('message-search-results');
+    const draftPanel = document.getElementById('draft-panel');
     const scrollToBottomBtn = document.getElementById('scroll-to-bottom-btn');
     const syncContactsButton = document.getElementById('sync-contacts-button');
     const settingsButton = document.getElementById('settings-button');
@@ -21,13 +23,30 @@ document.addEventListener('DOMContentLoaded', () => {
     const saveSettingsBtn = document.getElementById('save-settings');
     const groqApiKeyInput = document.getElementById('groq-api-key');
     const aiTrainingTextarea = document.getElementById('ai-training');
-    const aiScheduleTextarea = document.getElementById('ai-schedule');
     const themeSelect = document.getElementById('theme-select');
+    const llmProviderSelect = document.getElementById('llm-provider');
+    const llmBaseUrlInput = document.getElementById('llm-base-url');
+    const llmModelInput = document.getElementById('llm-model');
+    const llmApiKeyInput = document.getElementById('llm-api-key');
+    const aiContextMessagesInput = document.getElementById('ai-context-messages');
+    const aiContextTokensInput = document.getElementById('ai-context-tokens');
+    const draftAutosendMinutesInput = document.getElementById('draft-autosend-minutes');
+    const autoReplyMaxPerMinuteInput = document.getElementById('auto-reply-max-per-minute');
+    const autoReplyMaxPerHourInput = document.getElementById('auto-reply-max-per-hour');
+    const autoReplyMaxConsecutiveInput = document.getElementById('auto-reply-max-consecutive');
+    const autoReplyLoopDetectionSelect = document.getElementById('auto-reply-loop-detection');
+    const sttBackendSelect = document.getElementById('stt-backend');
+    const sttCommandInput = document.getElementById('stt-command');
+    const sttUrlInput = document.getElementById('stt-url');
+    const sttModelInput = document.getElementById('stt-model');
+    const sttLanguageInput = document.getElementById('stt-language');
+    const sttApiKeyInput = document.getElementById('stt-api-key');
 
     // --- App State ---
     let allChatsData = {};
     let activeChatJid = null;
     let socket = null;
+    let pendingDrafts = {}; // AI replies waiting for approval, by draft ID
     
     // Virtual scrolling state
     let visibleChatItems = [];
@@ -41,11 +60,9 @@ document.addEventListener('DOMContentLoaded', () => {
     let isLoadingMore = false;
     let hasMoreChats = true;
     
-    // Settings state
+    // Settings state; only browser preferences live here, everything else is on the server
     let appSettings = {
-        groqApiKey: '',
-        aiTraining: '',
-        aiSchedule: ''
+        theme: ''
     };
 
     // --- WebSocket Connection ---
@@ -57,16 +74,16 @@ document.addEventListener('DOMContentLoaded', () => {
             socket.onopen = () => {
                 console.log('Connected to WebSocket server');
                 fetchInitialData();
+                loadAIStatus();
             };
 
             socket.onclose = () => {
                 console.log('Disconnected from WebSocket server');
-                setTimeout(connectWebSocket, 3000);
+                setTimeout(reconnectWebSocket, 3000);
             };
 
             socket.onerror = (error) => {
                 console.error('WebSocket error:', error);
-                setTimeout(connectWebSocket, 3000);
             };
 
             socket.onmessage = (event) => {
@@ -78,6 +95,27 @@ document.addEventListener('DOMContentLoaded', () => {
                     showQRCode(data.data);
                 } else if (data.type === 'connected') {
                     hideQRCode();
+                } else if (data.type === 'draft') {
+                    pendingDrafts[data.draft.id] = data.draft;
+                    onDraftsChanged(data.draft.jid);
+                } else if (data.type === 'draft-removed') {
+                    delete pendingDrafts[data.id];
+                    onDraftsChanged(data.jid);
+                } else if (data.type === 'ack') {
+                    handleAck(data);
+                } else if (data.type === 'transcript') {
+                    handleTranscript(data);
+                } else if (data.type === 'translation') {
+                    handleTranslation(data);
+                } else if (data.type === 'auto-reply-paused') {
+                    handleAutoReplyPaused(data);
+                } else if (data.type === 'ai-status') {
+                    renderAIStatus(data.status);
+                } else if (data.type === 'settings') {
+                    // Saved from another tab; don't overwrite edits in progress
+                    if (settingsModal.classList.contains('hidden')) {
+                        fillSettingsForm(data.settings);
+                    }
                 }
             };
 
@@ -104,6 +142,7 @@ document.addEventListener('DOMContentLoaded', () => {
                     }
                 }
                 renderChatList();
+                fetchDrafts();
             } else {
                 console.error('Failed to fetch initial chat data');
             }
@@ -112,6 +151,130 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    // --- Draft Replies ---
+    async function fetchDrafts() {
+        try {
+            const response = await fetch('/api/drafts');
+            if (response.ok) {
+                const data = await response.json();
+                pendingDrafts = {};
+                (data.drafts || []).forEach(draft => {
+                    pendingDrafts[draft.id] = draft;
+                });
+                renderChatList();
+                renderDraftPanel();
+            }
+        } catch (error) {
+            console.error('Error fetching drafts:', error);
+        }
+    }
+
+    function getDraftsForChat(jid) {
+        return Object.values(pendingDrafts)
+            .filter(draft => draft.jid === jid)
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    }
+
+    function onDraftsChanged(jid) {
+        renderChatList();
+        if (jid === activeChatJid) {
+            renderDraftPanel();
+        }
+    }
+
+    function renderDraftPanel() {
+        const drafts = activeChatJid ? getDraftsForChat(activeChatJid) : [];
+        // Keep the panel (and any text being edited) when nothing changed
+        const signature = drafts.map(draft => `${draft.id}:${draft.content}:${draft.sendAt}`).join('|');
+        if (draftPanel.dataset.signature === signature && draftPanel.dataset.jid === activeChatJid) return;
+        draftPanel.dataset.signature = signature;
+        draftPanel.dataset.jid = activeChatJid || '';
+
+        draftPanel.innerHTML = '';
+        draftPanel.classList.toggle('hidden', drafts.length === 0);
+
+        drafts.forEach(draft => {
+            const item = document.createElement('div');
+            item.className = 'draft-item';
+
+            const header = document.createElement('div');
+            header.className = 'draft-header';
+            header.textContent = draft.sendAt
+                ? `AI draft · sends automatically at ${new Date(draft.sendAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+                : 'AI draft · waiting for approval';
+
+            const textarea = document.createElement('textarea');
+            textarea.className = 'draft-text';
+            textarea.value = draft.content;
+            textarea.rows = 2;
+            textarea.addEventListener('change', () => updateDraftContent(draft.id, textarea.value));
+
+            const actions = document.createElement('div');
+            actions.className = 'draft-actions';
+            const discardBtn = document.createElement('button');
+            discardBtn.className = 'cancel-btn';
+            discardBtn.textContent = 'Discard';
+            discardBtn.addEventListener('click', () => discardDraft(draft.id));
+            const approveBtn = document.createElement('button');
+            approveBtn.className = 'confirm-btn';
+            approveBtn.textContent = 'Send';
+            approveBtn.addEventListener('click', () => approveDraft(draft.id, textarea.value, approveBtn));
+            actions.appendChild(discardBtn);
+            actions.appendChild(approveBtn);
+
+            item.appendChild(header);
+            item.appendChild(textarea);
+            item.appendChild(actions);
+            draftPanel.appendChild(item);
+        });
+    }
+
+    async function updateDraftContent(id, content) {
+        if (!content.trim()) return;
+        try {
+            await fetch(`/api/drafts/${encodeURIComponent(id)}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ content })
+            });
+        } catch (error) {
+            console.error('Error saving draft:', error);
+        }
+    }
+
+    async function approveDraft(id, content, button) {
+        button.disabled = true;
+        try {
+            const response = await fetch(`/api/drafts/${encodeURIComponent(id)}/approve`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ content })
+            });
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                showToast(data.error || 'Failed to send draft');
+                button.disabled = false;
+            }
+        } catch (error) {
+            console.error('Error approving draft:', error);
+            showToast('Error sending draft');
+            button.disabled = false;
+        }
+    }
+
+    async function discardDraft(id) {
+        try {
+            const response = await fetch(`/api/drafts/${encodeURIComponent(id)}`, { method: 'DELETE' });
+            if (response.ok || response.status === 404) {
+                const jid = pendingDrafts[id]?.jid;
+                delete pendingDrafts[id];
+                onDraftsChanged(jid);
+            }
+        } catch (error) {
+            console.error('Error discarding draft:', error);
+        }
+    }
+
     async function loadMoreChats() {
         if (isLoadingMore || !hasMoreChats) return;
         
@@ -162,7 +325,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
     function handleIncomingMessage(data) {
         console.log('Received message via WebSocket:', data);
-        const { from, subType, content, mimetype, timestamp, direction, contactName, contactProfilePicUrl, id, isOriginalInSemiAI, isAIRewrite } = data;
+        const { from, subType, content, mimetype, media, timestamp, direction, contactName, contactProfilePicUrl, id, isOriginalInSemiAI, isAIRewrite, originalContent, language, originalLanguage, translation, senderJid, senderName, status, error, voiceNote, duration, transcript } = data;
         
         // Normalize JID format - remove all suffixes (@c.us, @g.us, @lid, etc)
         let remoteJid = from.replace(/@.*$/, '');
@@ -195,15 +358,35 @@ document.addEventListener('DOMContentLoaded', () => {
             subType: subType,
             content: content,
             mimetype: mimetype,
+            media: media,
             timestamp: timestamp,
             direction: direction || 'received',
             isOriginalInSemiAI: isOriginalInSemiAI || false,
-            isAIRewrite: isAIRewrite || false
+            isAIRewrite: isAIRewrite || false,
+            originalContent: originalContent,
+            language: language,
+            originalLanguage: originalLanguage,
+            translation: translation,
+            senderJid: senderJid,
+            senderName: senderName,
+            status: status,
+            error: error,
+            voiceNote: voiceNote,
+            duration: duration,
+            transcript: transcript
         };
 
         // Check for duplicate message by ID or similar recent message (within 2 seconds)
         const existingMessage = allChatsData[remoteJid].messages.find(msg => msg.id === id);
         if (existingMessage) {
+            // A message sent from here comes back translated when the chat has another language
+            if (existingMessage.direction === 'sent' && content && existingMessage.content !== content) {
+                Object.assign(existingMessage, { content, isAIRewrite: Boolean(isAIRewrite), originalContent, language, originalLanguage });
+                renderChatList();
+                if (remoteJid === activeChatJid?.replace(/@.*$/, '')) {
+                    displayChat(remoteJid);
+                }
+            }
             return; // Skip duplicate completely
         }
         
@@ -211,6 +394,7 @@ document.addEventListener('DOMContentLoaded', () => {
         const recentDuplicate = allChatsData[remoteJid].messages.find(msg => 
             msg.content === content && 
             msg.subType === subType &&
+            (!media || msg.media?.hash === media.hash) &&
             Math.abs(new Date(msg.timestamp) - new Date(timestamp)) < 2000
         );
         if (recentDuplicate) {
@@ -228,6 +412,11 @@ document.addEventListener('DOMContentLoaded', () => {
         
         if (remoteJid === normalizedActiveChat) {
             displayChat(remoteJid); // Refresh entire chat to maintain correct order
+            if (messageData.direction === 'received') {
+                requestSmartReplies(remoteJid);
+            } else {
+                hideSmartReplies();
+            }
         }
     }
 
@@ -236,6 +425,15 @@ document.addEventListener('DOMContentLoaded', () => {
         return `https://api.dicebear.com/7.x/pixel-art/svg?seed=${encodeURIComponent(defaultSeed)}`;
     }
 
+    // Stable color per group participant, so the same person keeps the same label color
+    function getSenderColor(jid) {
+        let hash = 0;
+        for (const char of String(jid || '')) {
+            hash = (hash * 31 + char.charCodeAt(0)) % 360;
+        }
+        return `hsl(${hash}, 55%, 45%)`;
+    }
+
     // --- Rendering Functions ---
     function renderChatList() {
         // Get sorted and filtered JIDs
@@ -300,6 +498,7 @@ document.addEventListener('DOMContentLoaded', () => {
             const contactInfo = chat.contact;
             const previewText = lastMessage ? getMessagePreview(lastMessage) : 'New Chat';
             const chatTime = lastMessage ? new Date(lastMessage.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '';
+            const draftCount = getDraftsForChat(jid).length;
 
             const chatItem = document.createElement('div');
             chatItem.classList.add('chat-item');
@@ -340,6 +539,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 <div class="chat-item-content">
                     <div class="chat-item-header">
                         <span class="chat-item-name">${highlightedName}</span>
+                        ${draftCount ? `<span class="draft-badge" title="AI drafts waiting for approval">${draftCount}</span>` : ''}
                         <span class="chat-item-time">${chatTime}</span>
                     </div>
                     <p class="chat-item-last-message">${highlightedPreview}</p>
@@ -414,6 +614,11 @@ document.addEventListener('DOMContentLoaded', () => {
         if (type === 'image') return '📷 Photo';
         if (type === 'sticker') return '😀 Sticker';
         if (type === 'video') return '🎥 Video';
+        if (lastMessage.transcript?.text) {
+            const text = lastMessage.transcript.text;
+            return `🎤 ${text.substring(0, 50)}${text.length > 50 ? '...' : ''}`;
+        }
+        if (lastMessage.voiceNote) return '🎤 Voice message';
         if (type === 'audio' || type === 'ptt') return '🎵 Audio';
         if (type === 'document') return '📄 Document';
         return '[Media]';
@@ -450,6 +655,11 @@ document.addEventListener('DOMContentLoaded', () => {
 
         loadChatMode(jid);
         displayChat(jid);
+        renderDraftPanel();
+        hideSmartReplies();
+        closeRewritePreview();
+        loadContactLanguage(activeChatJid);
+        loadPersona(activeChatJid.replace(/@.*$/, ''));
         switchView('chat-conversation-view');
     }
 
@@ -459,7 +669,7 @@ document.addEventListener('DOMContentLoaded', () => {
         const messages = (allChatsData[jid]?.messages || [])
             .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
         messages.forEach(msg => {
-            appendMessage(msg.subType, msg.content, msg.mimetype, msg.direction, msg.timestamp, jid, msg.id, msg.isOriginalInSemiAI, msg.isAIRewrite);
+            appendMessage(msg.subType, msg.content, msg.mimetype, msg.direction, msg.timestamp, jid, msg.id, msg.isOriginalInSemiAI, msg.isAIRewrite, msg);
         });
         
         requestAnimationFrame(() => {
@@ -496,7 +706,8 @@ document.addEventListener('DOMContentLoaded', () => {
                 const modeMap = {
                     'A': 'manual',
                     'B': 'semiai', 
-                    'C': 'aiauto'
+                    'C': 'aiauto',
+                    'D': 'draft'
                 };
                 
                 const mappedMode = modeMap[mode] || 'manual';
@@ -514,18 +725,152 @@ document.addEventListener('DOMContentLoaded', () => {
 
     function updateModeIndicator(mode) {
         const modeIcons = {
+        'draft': `<i class="fas fa-pen-to-square"></i>`,
+            'draft': `<i class="fas fa-pen-to-square"></i> Draft`,
             'manual': `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 640 640" width="12" height="12"><path fill="currentColor" d="M416 208C416 305.2 330 384 224 384C197.3 384 171.9 379 148.8 370L67.2 413.2C57.9 418.1 46.5 416.4 39 409C31.5 401.6 29.8 390.1 34.8 380.8L70.4 313.6C46.3 284.2 32 247.6 32 208C32 110.8 118 32 224 32C330 32 416 110.8 416 208zM416 576C321.9 576 243.6 513.9 227.2 432C347.2 430.5 451.5 345.1 463 229.3C546.3 248.5 608 317.6 608 400C608 439.6 593.7 476.2 569.6 505.6L605.2 572.8C610.1 582.1 608.4 593.5 601 601C593.6 608.5 582.1 610.2 572.8 605.2L491.2 562C468.1 571 442.7 576 416 576z"/></svg> Manual`,
             'semiai': `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 640 640" width="12" height="12"><path fill="currentColor" d="M184 120C184 89.1 209.1 64 240 64L264 64C281.7 64 296 78.3 296 96L296 544C296 561.7 281.7 576 264 576L232 576C202.2 576 177.1 555.6 170 528C169.3 528 168.7 528 168 528C123.8 528 88 492.2 88 448C88 430 94 413.4 104 400C84.6 385.4 72 362.2 72 336C72 305.1 89.6 278.2 115.2 264.9C108.1 252.9 104 238.9 104 224C104 179.8 139.8 144 184 144L184 120zM456 120L456 144C500.2 144 536 179.8 536 224C536 239 531.9 253 524.8 264.9C550.5 278.2 568 305 568 336C568 362.2 555.4 385.4 536 400C546 413.4 552 430 552 448C552 492.2 516.2 528 472 528C471.3 528 470.7 528 470 528C462.9 555.6 437.8 576 408 576L376 576C358.3 576 344 561.7 344 544L344 96C344 78.3 358.3 64 376 64L400 64C430.9 64 456 89.1 456 120z"/></svg> SemiAI`,
             'aiauto': `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 640 640" width="12" height="12"><path fill="currentColor" d="M352 64C352 46.3 337.7 32 320 32C302.3 32 288 46.3 288 64L288 128L192 128C139 128 96 171 96 224L96 448C96 501 139 544 192 544L448 544C501 544 544 501 544 448L544 224C544 171 501 128 448 128L352 128L352 64zM160 432C160 418.7 170.7 408 184 408L216 408C229.3 408 240 418.7 240 432C240 445.3 229.3 456 216 456L184 456C170.7 456 160 445.3 160 432zM280 432C280 418.7 290.7 408 304 408L336 408C349.3 408 360 418.7 360 432C360 445.3 349.3 456 336 456L304 456C290.7 456 280 445.3 280 432zM400 432C400 418.7 410.7 408 424 408L456 408C469.3 408 480 418.7 480 432C480 445.3 469.3 456 456 456L424 456C410.7 456 400 445.3 400 432zM224 240C250.5 240 272 261.5 272 288C272 314.5 250.5 336 224 336C197.5 336 176 314.5 176 288C176 261.5 197.5 240 224 240zM368 288C368 261.5 389.5 240 416 240C442.5 240 464 261.5 464 288C464 314.5 442.5 336 416 336C389.5 336 368 314.5 368 288zM64 288C64 270.3 49.7 256 32 256C14.3 256 0 270.3 0 288L0 384C0 401.7 14.3 416 32 416C49.7 416 64 401.7 64 384L64 288zM608 256C590.3 256 576 270.3 576 288L576 384C576 401.7 590.3 416 608 416C625.7 416 640 401.7 640 384L640 288C640 270.3 625.7 256 608 256z"/></svg> AutoAI`
         };
         
-        modeIndicator.classList.remove('aiauto', 'semiai', 'manual');
+        modeIndicator.classList.remove('aiauto', 'semiai', 'manual', 'draft');
         modeIndicator.classList.add(mode);
         modeIndicator.innerHTML = modeIcons[mode] || modeIcons['manual'];
     }
 
     // --- Message Append Function ---
-    function appendMessage(subType, content, mimetype, direction, timestamp, senderJid, messageId, isOriginalInSemiAI = false, isAIRewrite = false) {
+    function getMediaUrl(media) {
+        return `/api/media/${encodeURIComponent(media.hash)}`;
+    }
+
+    function formatFileSize(bytes) {
+        if (!Number.isFinite(bytes)) return '';
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    function formatDuration(seconds) {
+        const total = Math.round(seconds);
+        return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+    }
+
+    // Shows the speech-to-text of an audio message under it, or a button to transcribe it
+    function renderTranscript(messageBubble, chatJid, messageId, message) {
+        messageBubble.querySelector('.message-transcript')?.remove();
+        const transcript = message.transcript;
+        const canTranscribe = Boolean(message.media?.hash) && sttBackendSelect.value !== 'off';
+        if (!transcript && !canTranscribe) return;
+
+        const container = document.createElement('div');
+        container.classList.add('message-transcript');
+        if (transcript?.status === 'pending') {
+            container.classList.add('pending');
+            container.textContent = 'Transcribing…';
+        } else if (transcript?.status === 'done') {
+            container.textContent = transcript.text || 'No speech detected';
+        } else {
+            if (transcript?.status === 'failed') {
+                container.classList.add('failed');
+                container.title = transcript.error || '';
+                container.appendChild(document.createTextNode("Couldn't transcribe. "));
+            }
+            if (canTranscribe) {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.classList.add('transcribe-button');
+                button.textContent = transcript ? 'Retry' : 'Transcribe';
+                button.addEventListener('click', () => requestTranscript(chatJid, messageId));
+                container.appendChild(button);
+            }
+        }
+        const timestampElement = messageBubble.querySelector('.message-timestamp');
+        messageBubble.insertBefore(container, timestampElement);
+    }
+
+    async function requestTranscript(chatJid, messageId) {
+        const jid = (chatJid || '').replace(/@.*$/, '');
+        try {
+            // Progress and the result arrive over the WebSocket
+            const response = await fetch(`/api/chats/${encodeURIComponent(jid)}/messages/${encodeURIComponent(messageId)}/transcribe`, {
+                method: 'POST'
+            });
+            const data = await response.json();
+            if (!data.success) {
+                showToast(data.error || 'Transcription failed');
+            }
+        } catch (error) {
+            console.error('Error transcribing message:', error);
+            showToast('Transcription failed');
+        }
+    }
+
+    function handleTranscript(data) {
+        const jid = (data.jid || '').replace(/@.*$/, '');
+        const message = allChatsData[jid]?.messages.find(msg => msg.id === data.id);
+        if (message) {
+            message.transcript = data.transcript;
+        }
+        if (data.transcript?.status === 'done') {
+            renderChatList();
+        }
+        if (jid === activeChatJid?.replace(/@.*$/, '')) {
+            const messageBubble = messageArea.querySelector(`[data-message-id="${CSS.escape(data.id)}"] .message-bubble`);
+            if (messageBubble) {
+                renderTranscript(messageBubble, jid, data.id, message || { transcript: data.transcript });
+            }
+        }
+    }
+
+    // Renders a message whose payload lives in the server-side media store.
+    // Elements only fetch their source once visible (images) or played (audio/video).
+    function renderStoredMedia(messageBubble, subType, media, caption) {
+        const mediaUrl = getMediaUrl(media);
+        if (subType === 'image' || subType === 'sticker') {
+            const img = document.createElement('img');
+            img.loading = 'lazy';
+            img.src = mediaUrl;
+            img.alt = subType === 'sticker' ? 'Sticker' : 'Image';
+            const maxSize = subType === 'sticker' ? '150px' : '200px';
+            img.style.cssText = `max-width: ${maxSize}; max-height: ${maxSize}; border-radius: 8px; cursor: pointer;`;
+            img.onclick = () => { img.style.maxWidth = '90vw'; img.style.maxHeight = '70vh'; };
+            img.onerror = () => {
+                messageBubble.innerHTML = `<div class="media-placeholder"><i class="fas fa-image"></i> Failed to load</div>`;
+            };
+            messageBubble.appendChild(img);
+        } else if (subType === 'audio' || subType === 'ptt') {
+            messageBubble.classList.add('audio-message');
+            const audio = document.createElement('audio');
+            audio.controls = true;
+            audio.preload = 'none';
+            audio.src = mediaUrl;
+            messageBubble.appendChild(audio);
+        } else if (subType === 'video') {
+            const video = document.createElement('video');
+            video.controls = true;
+            video.preload = 'none';
+            video.src = mediaUrl;
+            video.style.cssText = 'max-width: 240px; max-height: 240px; border-radius: 8px;';
+            messageBubble.appendChild(video);
+        } else {
+            const link = document.createElement('a');
+            link.href = mediaUrl;
+            link.download = media.filename || 'document';
+            link.classList.add('media-placeholder', 'media-document');
+            const icon = document.createElement('i');
+            icon.className = 'fas fa-file';
+            link.appendChild(icon);
+            link.appendChild(document.createTextNode(` ${media.filename || 'Document'} ${formatFileSize(media.size)}`));
+            messageBubble.appendChild(link);
+        }
+
+        if (caption) {
+            const captionText = document.createElement('p');
+            captionText.textContent = caption;
+            messageBubble.appendChild(captionText);
+        }
+    }
+
+    function appendMessage(subType, content, mimetype, direction, timestamp, senderJid, messageId, isOriginalInSemiAI = false, isAIRewrite = false, message = {}) {
         const messageGroup = document.createElement('div');
         messageGroup.classList.add('message-group', direction);
         if (isOriginalInSemiAI) {
@@ -536,22 +881,33 @@ document.addEventListener('DOMContentLoaded', () => {
         }
         messageGroup.setAttribute('data-message-id', messageId);
 
+        // Group messages carry the participant who wrote them
+        const participantJid = direction === 'received' ? message.senderJid : null;
+        const participantName = direction === 'received' ? (message.senderName || message.senderJid) : null;
+
         if (direction === 'received' && senderJid) {
             const avatar = document.createElement('img');
             avatar.classList.add('avatar', 'message-avatar');
-            avatar.src = allChatsData[senderJid]?.contact?.profilePicUrl || getAvatarUrl(senderJid);
-            avatar.alt = allChatsData[senderJid]?.contact?.name || 'Avatar';
+            if (participantJid) {
+                avatar.src = allChatsData[participantJid]?.contact?.profilePicUrl || getAvatarUrl(participantJid);
+                avatar.alt = participantName;
+            } else {
+                avatar.src = allChatsData[senderJid]?.contact?.profilePicUrl || getAvatarUrl(senderJid);
+                avatar.alt = allChatsData[senderJid]?.contact?.name || 'Avatar';
+            }
             messageGroup.appendChild(avatar);
         }
 
         const messageBubble = document.createElement('div');
         messageBubble.classList.add('message-bubble');
 
-        if (subType === 'audio' || subType === 'ptt') {
+        if (message.media && message.media.hash) {
+            renderStoredMedia(messageBubble, subType, message.media, content);
+        } else if (subType === 'audio' || subType === 'ptt') {
             messageBubble.classList.add('audio-message');
             messageBubble.innerHTML = `
-                <i class="fas fa-play"></i>
-                <span class="audio-duration">${new Date(timestamp).toLocaleTimeString([], { minute: '2-digit', second: '2-digit' })}</span>
+                <i class="fas fa-microphone"></i>
+                <span class="audio-duration">${message.duration ? formatDuration(message.duration) : 'Voice message'}</span>
             `;
         } else if (subType === 'image' || subType === 'sticker') {
             if (content && content.startsWith('UklGR')) {
@@ -612,6 +968,28 @@ document.addEventListener('DOMContentLoaded', () => {
             messageBubble.appendChild(messageText);
         }
 
+        if (participantName) {
+            const senderLabel = document.createElement('div');
+            senderLabel.classList.add('message-sender');
+            senderLabel.textContent = participantName;
+            senderLabel.style.color = getSenderColor(participantJid || participantName);
+            messageBubble.insertBefore(senderLabel, messageBubble.firstChild);
+        }
+
+        if (subType === 'audio' || subType === 'ptt') {
+            renderTranscript(messageBubble, senderJid, messageId, message);
+        }
+        renderTranslation(messageBubble, message);
+
+        if (isAIRewrite && message.originalContent) {
+            const original = document.createElement('div');
+            original.classList.add('message-original');
+            original.textContent = message.originalLanguage
+                ? `You wrote (${getLanguageName(message.originalLanguage)}): ${message.originalContent}`
+                : `You wrote: ${message.originalContent}`;
+            messageBubble.appendChild(original);
+        }
+
         // Add timestamp to all message types
         const timestampElement = document.createElement('div');
         timestampElement.classList.add('message-timestamp');
@@ -619,6 +997,9 @@ document.addEventListener('DOMContentLoaded', () => {
         messageBubble.appendChild(timestampElement);
 
         messageGroup.appendChild(messageBubble);
+        if (direction === 'sent' && message.status) {
+            renderMessageStatus(messageGroup, message.status, message.error);
+        }
         messageArea.appendChild(messageGroup);
         messageArea.scrollTop = messageArea.scrollHeight;
 
@@ -757,7 +1138,8 @@ document.addEventListener('DOMContentLoaded', () => {
             const backendModeMap = {
                 'manual': 'A',
                 'semiai': 'B',
-                'aiauto': 'C'
+                'aiauto': 'C',
+                'draft': 'D'
             };
             
             const backendMode = backendModeMap[mode] || 'A';
@@ -782,7 +1164,8 @@ document.addEventListener('DOMContentLoaded', () => {
         const modeDescriptions = {
             'manual': 'Manual Mode - No AI assistance',
             'semiai': 'SemiAI Mode - Messages will be formalized',
-            'aiauto': 'AiAuto Mode - AI will auto-respond'
+            'aiauto': 'AiAuto Mode - AI will auto-respond',
+            'draft': 'Draft Mode - AI replies wait for your approval'
         };
         
         const notification = document.createElement('div');
@@ -812,53 +1195,317 @@ document.addEventListener('DOMContentLoaded', () => {
         const messageText = messageInput.value.trim();
         if (!activeChatJid || !messageText) return;
 
+        // An edited rewrite goes out as written
+        if (editedRewrite && editedRewrite.jid === activeChatJid) {
+            sendText(messageText, { original: editedRewrite.original, skipTranslation: true });
+            return;
+        }
+        // In Semi-AI mode the rewrite is previewed first; nothing is sent until a version is picked
+        if (chatModeDropdown.value === 'semiai') {
+            openRewritePreview(messageText);
+            return;
+        }
+        sendText(messageText);
+    }
+
+    /**
+     * Sends text to the active chat without a Semi-AI rewrite. `original` is what the user typed when
+     * the text is an AI rewrite of it. Text that is already final (previews, suggestions) skips the
+     * translation into the contact's language too.
+     */
+    function sendText(messageText, { original, skipTranslation = false } = {}) {
         const messageId = `client_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
         const timestamp = new Date().toISOString();
-
-        // Add message to local data
-        if (!allChatsData[activeChatJid]) {
-            allChatsData[activeChatJid] = { 
-                messages: [], 
-                contact: allChatsData[activeChatJid]?.contact || { name: activeChatJid, profilePicUrl: getAvatarUrl(activeChatJid) }
-            };
-        }
+        const isAIRewrite = Boolean(original) && original !== messageText;
 
         // Send to WhatsApp through server
         // Normalize JID to match the format in allChatsData (remove all suffixes)
         const normalizedTo = activeChatJid.replace(/@.*$/, '');
         console.log('Sending message to:', normalizedTo, 'from chat:', activeChatJid);
-        socket.send(JSON.stringify({
+        // The text was already previewed (or the chat isn't in Semi-AI mode), so the server must not rewrite it
+        sendOutgoing({
             type: 'send',
             to: normalizedTo,
             message: messageText,
-            id: messageId
-        }));
+            id: messageId,
+            is_rewritten_preview: true,
+            skip_translation: skipTranslation,
+            original: isAIRewrite ? original : undefined
+        });
 
         // Add to local data - use normalized JID
         const normalizedChatJid = activeChatJid.replace(/@.*$/, '');
-        const currentMode = chatModeDropdown.value;
-        const isSemiAIMode = currentMode === 'semiai';
-        
         if (!allChatsData[normalizedChatJid]) {
             allChatsData[normalizedChatJid] = { messages: [], contact: { name: normalizedChatJid, profilePicUrl: getAvatarUrl(normalizedChatJid) } };
         }
-        allChatsData[normalizedChatJid].messages.push({
+        const localMessage = {
             id: messageId,
             subType: 'chat',
             content: messageText,
             timestamp: timestamp,
             direction: 'sent',
-            isOriginalInSemiAI: isSemiAIMode
-        });
+            isAIRewrite: isAIRewrite,
+            originalContent: isAIRewrite ? original : undefined,
+            status: 'pending'
+        };
+        allChatsData[normalizedChatJid].messages.push(localMessage);
 
         // Display immediately
-        appendMessage('chat', messageText, '', 'sent', timestamp, normalizedChatJid, messageId, isSemiAIMode);
+        appendMessage('chat', messageText, '', 'sent', timestamp, normalizedChatJid, messageId, false, isAIRewrite, localMessage);
         
         // Clear input and update UI
         messageInput.value = '';
+        hideSmartReplies();
+        closeRewritePreview();
         renderChatList();
     }
 
+    // --- Delivery Status ---
+    const STATUS_ICONS = {
+        pending: 'fa-clock',
+        sent: 'fa-check',
+        delivered: 'fa-check-double',
+        read: 'fa-check-double',
+        failed: 'fa-exclamation-circle'
+    };
+    const STATUS_LABELS = { pending: 'Sending', sent: 'Sent', delivered: 'Delivered', read: 'Read', failed: 'Not sent' };
+    // Messages sent from this page, kept until WhatsApp accepts them so a rejected send can be repeated
+    const unsentPayloads = new Map();
+
+    function sendOutgoing(payload) {
+        unsentPayloads.set(payload.id, payload);
+        socket.send(JSON.stringify(payload));
+    }
+
+    function renderMessageStatus(messageGroup, status, error) {
+        const timestampElement = messageGroup.querySelector('.message-timestamp');
+        if (!timestampElement) return;
+        timestampElement.querySelector('.message-status')?.remove();
+        messageGroup.querySelector('.message-failure')?.remove();
+        if (!STATUS_ICONS[status]) return;
+
+        const indicator = document.createElement('span');
+        indicator.classList.add('message-status', `status-${status}`);
+        indicator.title = status === 'failed' && error ? `${STATUS_LABELS[status]}: ${error}` : STATUS_LABELS[status];
+        indicator.innerHTML = `<i class="fas ${STATUS_ICONS[status]}"></i>`;
+        timestampElement.appendChild(indicator);
+
+        if (status === 'failed') {
+            const failure = document.createElement('div');
+            failure.classList.add('message-failure');
+            if (error) {
+                const reason = document.createElement('span');
+                reason.classList.add('message-error');
+                reason.textContent = error;
+                failure.appendChild(reason);
+            }
+            const retryButton = document.createElement('button');
+            retryButton.classList.add('message-retry');
+            retryButton.innerHTML = '<i class="fas fa-redo"></i> Retry';
+            retryButton.addEventListener('click', () => retrySend(messageGroup.getAttribute('data-message-id')));
+            failure.appendChild(retryButton);
+            messageGroup.querySelector('.message-bubble').appendChild(failure);
+        }
+    }
+
+    function handleAck(data) {
+        const jid = (data.jid || '').replace(/@.*$/, '');
+        const message = allChatsData[jid]?.messages.find(msg => msg.id === data.id);
+        if (message) {
+            message.status = data.status;
+            message.error = data.error;
+        }
+        if (data.status !== 'pending' && data.status !== 'failed') {
+            unsentPayloads.delete(data.id);
+        }
+        if (jid === activeChatJid?.replace(/@.*$/, '')) {
+            const messageGroup = messageArea.querySelector(`[data-message-id="${CSS.escape(data.id)}"]`);
+            if (messageGroup) {
+                renderMessageStatus(messageGroup, data.status, data.error);
+            }
+        }
+    }
+
+    function retrySend(messageId) {
+        if (!activeChatJid || !socket || socket.readyState !== WebSocket.OPEN) return;
+        const jid = activeChatJid.replace(/@.*$/, '');
+        handleAck({ jid, id: messageId, status: 'pending' });
+        // Messages the server never stored are sent again as they were; stored ones are retried by the server
+        const payload = unsentPayloads.get(messageId);
+        socket.send(JSON.stringify(payload || { type: 'retry', to: jid, id: messageId }));
+    }
+
+    // --- Scheduled Messages ---
+    const scheduleButton = document.getElementById('schedule-button');
+    const scheduleModal = document.getElementById('schedule-modal');
+    const scheduleTextInput = document.getElementById('schedule-text');
+    const scheduleTimeInput = document.getElementById('schedule-time');
+    const scheduleRepeatSelect = document.getElementById('schedule-repeat');
+    const scheduleCronItem = document.getElementById('schedule-cron-item');
+    const scheduleCronInput = document.getElementById('schedule-cron');
+    const scheduleCatchUpSelect = document.getElementById('schedule-catchup');
+    const scheduledList = document.getElementById('scheduled-list');
+    const confirmScheduleBtn = document.getElementById('confirm-schedule');
+
+    // Value for <input type="datetime-local"> in local time
+    function toLocalInputValue(date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    // Recurring schedules repeat at the chosen time of day (server time)
+    function buildCron(date, repeat) {
+        const time = `${date.getMinutes()} ${date.getHours()}`;
+        switch (repeat) {
+            case 'daily': return `${time} * * *`;
+            case 'weekly': return `${time} * * ${date.getDay()}`;
+            case 'monthly': return `${time} ${date.getDate()} * *`;
+            case 'yearly': return `${time} ${date.getDate()} ${date.getMonth() + 1} *`;
+            case 'custom': return scheduleCronInput.value.trim();
+            default: return null;
+        }
+    }
+
+    function openScheduleModal() {
+        if (!activeChatJid) return;
+        const inOneHour = new Date(Date.now() + 60 * 60 * 1000);
+        scheduleTextInput.value = messageInput.value.trim();
+        scheduleTimeInput.value = toLocalInputValue(inOneHour);
+        scheduleTimeInput.min = toLocalInputValue(new Date());
+        scheduleRepeatSelect.value = 'none';
+        scheduleCronInput.value = '';
+        scheduleCronItem.classList.add('hidden');
+        scheduleCatchUpSelect.value = 'send';
+        scheduledList.innerHTML = '';
+        scheduleModal.classList.remove('hidden');
+        loadScheduledMessages();
+    }
+
+    function closeScheduleModal() {
+        scheduleModal.classList.add('hidden');
+    }
+
+    async function loadScheduledMessages() {
+        const jid = activeChatJid.replace(/@.*$/, '');
+        try {
+            const response = await fetch(`/api/scheduled?jid=${encodeURIComponent(jid)}`);
+            if (!response.ok) return;
+            const data = await response.json();
+            renderScheduledMessages((data.jobs || []).filter(job => job.nextRunAt));
+        } catch (error) {
+            console.error('Error loading scheduled messages:', error);
+        }
+    }
+
+    function renderScheduledMessages(jobs) {
+        scheduledList.innerHTML = '';
+        if (jobs.length === 0) return;
+
+        const title = document.createElement('div');
+        title.className = 'scheduled-list-title';
+        title.textContent = 'Scheduled in this chat:';
+        scheduledList.appendChild(title);
+
+        jobs.forEach(job => {
+            const item = document.createElement('div');
+            item.className = 'scheduled-item';
+
+            const info = document.createElement('div');
+            info.className = 'scheduled-item-info';
+            const text = document.createElement('div');
+            text.className = 'scheduled-item-text';
+            text.textContent = job.text || job.media?.filename || 'Media';
+            const meta = document.createElement('div');
+            meta.className = 'scheduled-item-meta';
+            meta.textContent = new Date(job.nextRunAt).toLocaleString() + (job.cron ? ` · repeats (${job.cron})` : '');
+            info.appendChild(text);
+            info.appendChild(meta);
+
+            const cancelIcon = document.createElement('i');
+            cancelIcon.className = 'fas fa-xmark';
+            cancelIcon.title = 'Cancel';
+            cancelIcon.addEventListener('click', () => cancelScheduledMessage(job.id));
+
+            item.appendChild(info);
+            item.appendChild(cancelIcon);
+            scheduledList.appendChild(item);
+        });
+    }
+
+    async function cancelScheduledMessage(id) {
+        try {
+            const response = await fetch(`/api/scheduled/${encodeURIComponent(id)}`, { method: 'DELETE' });
+            if (!response.ok) {
+                showToast('Failed to cancel scheduled message');
+                return;
+            }
+            loadScheduledMessages();
+        } catch (error) {
+            console.error('Error cancelling scheduled message:', error);
+            showToast('Error cancelling scheduled message');
+        }
+    }
+
+    async function scheduleMessage() {
+        const text = scheduleTextInput.value.trim();
+        const date = new Date(scheduleTimeInput.value);
+        if (!text) {
+            showToast('Write a message first');
+            return;
+        }
+        if (Number.isNaN(date.getTime())) {
+            showToast('Pick a time');
+            return;
+        }
+        const cron = buildCron(date, scheduleRepeatSelect.value);
+        if (scheduleRepeatSelect.value === 'custom' && !cron) {
+            showToast('Enter a cron expression');
+            return;
+        }
+
+        confirmScheduleBtn.disabled = true;
+        try {
+            const response = await fetch('/api/scheduled', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    to: activeChatJid.replace(/@.*$/, ''),
+                    text,
+                    ...(cron ? { cron } : { sendAt: date.toISOString() }),
+                    catchUp: scheduleCatchUpSelect.value
+                })
+            });
+            const data = await response.json();
+            if (!data.success) {
+                showToast(data.error || 'Failed to schedule message');
+                return;
+            }
+            if (messageInput.value.trim() === text) {
+                messageInput.value = '';
+            }
+            showToast(`Scheduled for ${new Date(data.job.nextRunAt).toLocaleString()}`);
+            closeScheduleModal();
+        } catch (error) {
+            console.error('Error scheduling message:', error);
+            showToast('Error scheduling message');
+        } finally {
+            confirmScheduleBtn.disabled = false;
+        }
+    }
+
+    scheduleButton.addEventListener('click', openScheduleModal);
+    document.getElementById('close-schedule-modal').addEventListener('click', closeScheduleModal);
+    document.getElementById('cancel-schedule').addEventListener('click', closeScheduleModal);
+    confirmScheduleBtn.addEventListener('click', scheduleMessage);
+    scheduleRepeatSelect.addEventListener('change', () => {
+        scheduleCronItem.classList.toggle('hidden', scheduleRepeatSelect.value !== 'custom');
+    });
+    scheduleModal.addEventListener('click', (e) => {
+        if (e.target === scheduleModal) {
+            closeScheduleModal();
+        }
+    });
+
     // --- Event Listeners ---
     chatBackButton.addEventListener('click', () => {
         switchView('chat-list-view');
@@ -892,7 +1539,8 @@ document.addEventListener('DOMContentLoaded', () => {
                         content: base64Data,
                         mimetype: file.type,
                         timestamp: new Date().toISOString(),
-                        direction: 'sent'
+                        direction: 'sent',
+                        status: 'pending'
                     };
 
                     allChatsData[activeChatJid].messages.push(messageData);
@@ -900,18 +1548,19 @@ document.addEventListener('DOMContentLoaded', () => {
                     // Normalize JID
                     const normalizedChatJid = activeChatJid.replace(/@.*$/, '');
                     
-                    socket.send(JSON.stringify({
+                    sendOutgoing({
                         type: 'send-file',
+                        id: messageData.id,
                         to: normalizedChatJid,
                         subType: subType,
                         content: base64Data,
                         mimetype: file.type,
                         filename: file.name,
                         caption: file.name
-                    }));
+                    });
 
                     // Display immediately in UI
-                    appendMessage(subType, base64Data, file.type, 'sent', new Date().toISOString(), normalizedChatJid, messageData.id);
+                    appendMessage(subType, base64Data, file.type, 'sent', new Date().toISOString(), normalizedChatJid, messageData.id, false, false, messageData);
                 };
                 
                 reader.readAsDataURL(file);
@@ -922,10 +1571,133 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 
     // Search functionality
+    const MESSAGE_SEARCH_MIN_LENGTH = 2;
+    let messageSearchTimeout;
+    let messageSearchController = null;
+
     searchInput.addEventListener('input', () => {
         renderChatList();
+
+        clearTimeout(messageSearchTimeout);
+        const term = searchInput.value.trim();
+        if (term.length < MESSAGE_SEARCH_MIN_LENGTH) {
+            if (messageSearchController) messageSearchController.abort();
+            clearMessageSearchResults();
+            return;
+        }
+        messageSearchTimeout = setTimeout(() => searchMessages(term), 250); // Debounce typing
     });
 
+    async function searchMessages(term) {
+        if (messageSearchController) messageSearchController.abort();
+        messageSearchController = new AbortController();
+        try {
+            const response = await fetch(`/api/search?q=${encodeURIComponent(term)}&limit=20`, {
+                signal: messageSearchController.signal
+            });
+            if (!response.ok) {
+                console.error('Message search failed');
+                return;
+            }
+            const data = await response.json();
+            if (searchInput.value.trim() !== term) return; // Stale response
+            renderMessageSearchResults(data);
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Error searching messages:', error);
+            }
+        }
+    }
+
+    function clearMessageSearchResults() {
+        messageSearchResults.innerHTML = '';
+        messageSearchResults.classList.add('hidden');
+    }
+
+    // Builds the snippet with DOM nodes so message text is never parsed as HTML
+    function buildHighlightedSnippet(snippet, highlights) {
+        const fragment = document.createDocumentFragment();
+        let cursor = 0;
+        (highlights || []).forEach(([start, end]) => {
+            if (start > cursor) {
+                fragment.appendChild(document.createTextNode(snippet.slice(cursor, start)));
+            }
+            const mark = document.createElement('span');
+            mark.className = 'search-highlight';
+            mark.textContent = snippet.slice(start, end);
+            fragment.appendChild(mark);
+            cursor = end;
+        });
+        if (cursor < snippet.length) {
+            fragment.appendChild(document.createTextNode(snippet.slice(cursor)));
+        }
+        return fragment;
+    }
+
+    function renderMessageSearchResults(data) {
+        messageSearchResults.innerHTML = '';
+        messageSearchResults.classList.remove('hidden');
+
+        const header = document.createElement('div');
+        header.className = 'message-search-header';
+        header.textContent = data.total === 0
+            ? 'No messages found'
+            : `Messages (${data.total})`;
+        messageSearchResults.appendChild(header);
+
+        data.hits.forEach(hit => {
+            const item = document.createElement('div');
+            item.className = 'message-search-hit';
+
+            const top = document.createElement('div');
+            top.className = 'chat-item-header';
+            const name = document.createElement('span');
+            name.className = 'chat-item-name';
+            name.textContent = `${hit.direction === 'sent' ? 'You → ' : ''}${hit.contactName || hit.jid}`;
+            const time = document.createElement('span');
+            time.className = 'chat-item-time';
+            time.textContent = hit.timestamp ? new Date(hit.timestamp).toLocaleDateString() : '';
+            top.appendChild(name);
+            top.appendChild(time);
+
+            const snippet = document.createElement('p');
+            snippet.className = 'chat-item-last-message';
+            snippet.appendChild(buildHighlightedSnippet(hit.snippet, hit.highlights));
+
+            item.appendChild(top);
+            item.appendChild(snippet);
+            item.addEventListener('click', () => jumpToMessage(hit.jid, hit.id));
+            messageSearchResults.appendChild(item);
+        });
+    }
+
+    async function jumpToMessage(jid, messageId) {
+        const hasMessage = (allChatsData[jid]?.messages || []).some(msg => String(msg.id) === messageId);
+        if (!hasMessage) {
+            try {
+                const response = await fetch(`/api/chats/${encodeURIComponent(jid)}/messages`);
+                if (!response.ok) {
+                    console.error('Failed to load chat for search hit');
+                    return;
+                }
+                const data = await response.json();
+                allChatsData[jid] = { ...(allChatsData[jid] || {}), messages: data.messages, contact: data.contact };
+            } catch (error) {
+                console.error('Error loading chat for search hit:', error);
+                return;
+            }
+        }
+
+        showChatConversation(jid);
+        requestAnimationFrame(() => {
+            const messageElement = messageArea.querySelector(`[data-message-id="${CSS.escape(messageId)}"]`);
+            if (!messageElement) return;
+            messageElement.scrollIntoView({ block: 'center' });
+            messageElement.classList.add('search-hit');
+            setTimeout(() => messageElement.classList.remove('search-hit'), 2000);
+        });
+    }
+
     // Virtual scrolling functionality
     let scrollTimeout;
     chatItemsContainer.addEventListener('scroll', () => {
@@ -956,6 +1728,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
     const modeLabels = {
         'aiauto': 'AutoAI',
+        'draft': 'Draft',
         'semiai': 'SemiAI',
         'manual': 'Manual'
     };
@@ -1058,18 +1831,88 @@ document.addEventListener('DOMContentLoaded', () => {
     function loadSettings() {
         const savedSettings = localStorage.getItem('whatsAppAssistantSettings');
         if (savedSettings) {
-            appSettings = JSON.parse(savedSettings);
-            groqApiKeyInput.value = appSettings.groqApiKey;
-            aiTrainingTextarea.value = appSettings.aiTraining;
-            aiScheduleTextarea.value = appSettings.aiSchedule;
+            // Older versions also kept API keys here; keep only the theme
+            const { theme } = JSON.parse(savedSettings);
+            appSettings = { theme: theme || '' };
+            localStorage.setItem('whatsAppAssistantSettings', JSON.stringify(appSettings));
             if (appSettings.theme) {
                 themeSelect.value = appSettings.theme;
                 applyTheme(appSettings.theme);
                 updateThemeSelector(appSettings.theme);
             }
         }
+        loadServerSettings();
+    }
+
+    // API keys arrive masked. A masked key sent back unchanged is ignored by the server;
+    // clearing the field removes the key.
+    function fillSettingsForm(settings) {
+        groqApiKeyInput.value = settings.groqApiKey || '';
+        aiTrainingTextarea.value = settings.aiTraining || '';
+        llmProviderSelect.value = settings.llmProvider || 'groq';
+        llmBaseUrlInput.value = settings.llmBaseUrl || '';
+        llmModelInput.value = settings.llmModel || '';
+        llmApiKeyInput.value = settings.llmApiKey || '';
+        aiContextMessagesInput.value = settings.aiContextMessages;
+        aiContextTokensInput.value = settings.aiContextTokens;
+        draftAutosendMinutesInput.value = settings.draftAutosendMinutes;
+        autoReplyMaxPerMinuteInput.value = settings.autoReplyMaxPerMinute;
+        autoReplyMaxPerHourInput.value = settings.autoReplyMaxPerHour;
+        autoReplyMaxConsecutiveInput.value = settings.autoReplyMaxConsecutive;
+        autoReplyLoopDetectionSelect.value = settings.autoReplyLoopDetection || 'on';
+        sttBackendSelect.value = settings.sttBackend || 'off';
+        sttCommandInput.value = settings.sttCommand || '';
+        sttUrlInput.value = settings.sttUrl || '';
+        sttModelInput.value = settings.sttModel || '';
+        sttLanguageInput.value = settings.sttLanguage || '';
+        sttApiKeyInput.value = settings.sttApiKey || '';
+        myLanguageSelect.value = settings.myLanguage || 'en';
+        translateIncomingSelect.value = settings.translateIncoming || 'on';
+        translateOutgoingSelect.value = settings.translateOutgoing || 'preferred';
+        updateProviderFields();
+        updateSttFields();
+    }
+
+    async function loadServerSettings() {
+        try {
+            const response = await fetch('/api/settings');
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            fillSettingsForm(await response.json());
+        } catch (error) {
+            console.error('Error loading settings:', error);
+        }
+    }
+
+    // Typing into a masked key replaces it rather than appending to the mask
+    [groqApiKeyInput, llmApiKeyInput, sttApiKeyInput].forEach(input => {
+        input.addEventListener('focus', () => {
+            if (input.value.includes('•')) input.select();
+        });
+    });
+
+    // Base URL and key only apply to self-hosted OpenAI-compatible servers
+    function updateProviderFields() {
+        const provider = llmProviderSelect.value;
+        document.querySelectorAll('.llm-custom-setting').forEach(item => {
+            item.style.display = provider === 'openai' ? '' : 'none';
+        });
+        document.querySelectorAll('.llm-model-setting').forEach(item => {
+            item.style.display = provider === 'mock' ? 'none' : '';
+        });
+    }
+
+    llmProviderSelect.addEventListener('change', updateProviderFields);
+
+    // Show only the fields of the chosen transcription backend
+    function updateSttFields() {
+        const backend = sttBackendSelect.value;
+        document.querySelectorAll('[data-stt-backend]').forEach(item => {
+            item.style.display = item.dataset.sttBackend.split(' ').includes(backend) ? '' : 'none';
+        });
     }
 
+    sttBackendSelect.addEventListener('change', updateSttFields);
+
     function applyTheme(theme) {
         if (theme === 'royal') {
             document.body.setAttribute('data-theme', 'royal');
@@ -1098,13 +1941,34 @@ document.addEventListener('DOMContentLoaded', () => {
     }
     
     function saveSettings() {
-        appSettings.groqApiKey = groqApiKeyInput.value;
-        appSettings.aiTraining = aiTrainingTextarea.value;
-        appSettings.aiSchedule = aiScheduleTextarea.value;
         appSettings.theme = themeSelect.value;
         applyTheme(themeSelect.value);
         updateThemeSelector(themeSelect.value);
         localStorage.setItem('whatsAppAssistantSettings', JSON.stringify(appSettings));
+
+        const serverSettings = {
+            groqApiKey: groqApiKeyInput.value.trim(),
+            aiTraining: aiTrainingTextarea.value,
+            llmProvider: llmProviderSelect.value,
+            llmBaseUrl: llmBaseUrlInput.value.trim(),
+            llmModel: llmModelInput.value.trim(),
+            llmApiKey: llmApiKeyInput.value.trim(),
+            aiContextMessages: aiContextMessagesInput.value,
+            aiContextTokens: aiContextTokensInput.value,
+            draftAutosendMinutes: draftAutosendMinutesInput.value,
+            autoReplyMaxPerMinute: autoReplyMaxPerMinuteInput.value,
+            autoReplyMaxPerHour: autoReplyMaxPerHourInput.value,
+            autoReplyMaxConsecutive: autoReplyMaxConsecutiveInput.value,
+            autoReplyLoopDetection: autoReplyLoopDetectionSelect.value,
+            sttBackend: sttBackendSelect.value,
+            sttUrl: sttUrlInput.value.trim(),
+            sttModel: sttModelInput.value.trim(),
+            sttLanguage: sttLanguageInput.value.trim(),
+            sttApiKey: sttApiKeyInput.value.trim(),
+            myLanguage: myLanguageSelect.value,
+            translateIncoming: translateIncomingSelect.value,
+            translateOutgoing: translateOutgoingSelect.value
+        };
         
         // Save to server
         fetch('/api/settings', {
@@ -1112,15 +1976,16 @@ document.addEventListener('DOMContentLoaded', () => {
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify(appSettings)
+            body: JSON.stringify(serverSettings)
         })
         .then(response => response.json())
         .then(data => {
             if (data.success) {
+                fillSettingsForm(data.settings);
                 showToast('Settings saved!');
                 settingsModal.classList.add('hidden');
             } else {
-                showToast('Failed to save settings');
+                showToast(data.error || 'Failed to save settings');
             }
         })
         .catch(error => {
@@ -1134,7 +1999,7 @@ document.addEventListener('DOMContentLoaded', () => {
     const toastMessage = document.getElementById('toast-message');
     let toastTimeout;
 
-    function showToast(message) {
+    function showToast(message, duration = 3000) {
         toastMessage.textContent = message;
         toast.classList.remove('hidden');
         
@@ -1149,7 +2014,7 @@ document.addEventListener('DOMContentLoaded', () => {
             setTimeout(() => {
                 toast.classList.add('hidden');
             }, 300);
-        }, 3000);
+        }, duration);
     }
 
     // --- Contacts Sync ---
@@ -1397,6 +2262,10 @@ document.addEventListener('DOMContentLoaded', () => {
     
     function openSettings() {
         settingsModal.classList.remove('hidden');
+        loadServerSettings();
+        loadApiTokens();
+        loadSchedule();
+        loadRules();
     }
 
     // --- Settings Event Listeners ---
@@ -1416,6 +2285,1299 @@ document.addEventListener('DOMContentLoaded', () => {
         settingsModal.classList.remove('hidden');
     });
 
+    // --- AI Schedule ---
+    const scheduleNow = document.getElementById('schedule-now');
+    const scheduleTimezoneInput = document.getElementById('schedule-timezone');
+    const scheduleWeek = document.getElementById('schedule-week');
+    const scheduleBlocksList = document.getElementById('schedule-blocks');
+    const scheduleExceptionsList = document.getElementById('schedule-exceptions');
+    const scheduleImportText = document.getElementById('schedule-import-text');
+    const SCHEDULE_DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const SCHEDULE_WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0];
+    let scheduleStatuses = ['available', 'busy', 'away', 'sleeping'];
+    let scheduleDraft = { timezone: '', blocks: [], exceptions: [] };
+
+    if (Intl.supportedValuesOf) {
+        const timezoneList = document.getElementById('schedule-timezones');
+        Intl.supportedValuesOf('timeZone').forEach(zone => {
+            const option = document.createElement('option');
+            option.value = zone;
+            timezoneList.appendChild(option);
+        });
+    }
+
+    function toDayMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    function renderScheduleNow(current) {
+        if (!current) {
+            scheduleNow.textContent = '';
+            return;
+        }
+        const until = current.until && current.status !== 'available' ? ` until ${current.until}` : '';
+        scheduleNow.textContent = `Now (${current.day} ${current.time}): ${current.activity} · ${current.status}${until}`;
+    }
+
+    async function loadSchedule() {
+        try {
+            const response = await fetch('/api/schedule');
+            if (!response.ok) return;
+            const data = await response.json();
+            scheduleStatuses = data.statuses || scheduleStatuses;
+            scheduleDraft = data.schedule;
+            scheduleTimezoneInput.value = scheduleDraft.timezone;
+            renderScheduleNow(data.current);
+            renderScheduleEditor();
+        } catch (error) {
+            console.error('Error loading schedule:', error);
+        }
+    }
+
+    // Seven bars, one per weekday; overnight blocks continue on the next day's bar
+    function renderScheduleWeek() {
+        scheduleWeek.innerHTML = '';
+        SCHEDULE_WEEK_ORDER.forEach(day => {
+            const row = document.createElement('div');
+            row.className = 'schedule-week-row';
+            const label = document.createElement('span');
+            label.className = 'schedule-week-day';
+            label.textContent = SCHEDULE_DAYS[day];
+            const bar = document.createElement('div');
+            bar.className = 'schedule-week-bar';
+
+            const addSegment = (block, from, to) => {
+                const segment = document.createElement('div');
+                segment.className = `schedule-segment status-${block.status}`;
+                segment.style.left = `${(from / 1440) * 100}%`;
+                segment.style.width = `${((to - from) / 1440) * 100}%`;
+                segment.title = `${block.activity} (${block.start}-${block.end}, ${block.status})`;
+                bar.appendChild(segment);
+            };
+            scheduleDraft.blocks.forEach(block => {
+                if (!block.start || !block.end) return;
+                const start = toDayMinutes(block.start);
+                const end = toDayMinutes(block.end) || 1440;
+                if (start < end) {
+                    if (block.days.includes(day)) addSegment(block, start, end);
+                    return;
+                }
+                if (block.days.includes(day)) addSegment(block, start, 1440);
+                if (block.days.includes((day + 6) % 7)) addSegment(block, 0, end);
+            });
+
+            row.appendChild(label);
+            row.appendChild(bar);
+            scheduleWeek.appendChild(row);
+        });
+    }
+
+    function createScheduleInput(type, value, placeholder, onChange) {
+        const input = document.createElement('input');
+        input.type = type;
+        input.value = value || '';
+        if (placeholder) input.placeholder = placeholder;
+        input.addEventListener('change', () => {
+            onChange(input.value);
+            renderScheduleWeek();
+        });
+        return input;
+    }
+
+    function createStatusSelect(entry) {
+        const select = document.createElement('select');
+        scheduleStatuses.forEach(status => {
+            const option = document.createElement('option');
+            option.value = status;
+            option.textContent = status;
+            select.appendChild(option);
+        });
+        select.value = entry.status;
+        select.addEventListener('change', () => {
+            entry.status = select.value;
+            renderScheduleWeek();
+        });
+        return select;
+    }
+
+    function createRemoveIcon(list, entry) {
+        const icon = document.createElement('i');
+        icon.className = 'fas fa-trash';
+        icon.title = 'Remove';
+        icon.addEventListener('click', () => {
+            list.splice(list.indexOf(entry), 1);
+            renderScheduleEditor();
+        });
+        return icon;
+    }
+
+    function renderScheduleBlock(block) {
+        const row = document.createElement('div');
+        row.className = 'schedule-row';
+
+        const days = document.createElement('div');
+        days.className = 'schedule-day-toggles';
+        SCHEDULE_WEEK_ORDER.forEach(day => {
+            const toggle = document.createElement('button');
+            toggle.type = 'button';
+            toggle.className = 'schedule-day-toggle' + (block.days.includes(day) ? ' active' : '');
+            toggle.textContent = SCHEDULE_DAYS[day].charAt(0);
+            toggle.title = SCHEDULE_DAYS[day];
+            toggle.addEventListener('click', () => {
+                block.days = block.days.includes(day)
+                    ? block.days.filter(other => other !== day)
+                    : [...block.days, day];
+                toggle.classList.toggle('active', block.days.includes(day));
+                renderScheduleWeek();
+            });
+            days.appendChild(toggle);
+        });
+
+        const times = document.createElement('div');
+        times.className = 'schedule-row-line';
+        times.appendChild(createScheduleInput('time', block.start, '', value => { block.start = value; }));
+        times.appendChild(createScheduleInput('time', block.end, '', value => { block.end = value; }));
+        times.appendChild(createStatusSelect(block));
+        times.appendChild(createRemoveIcon(scheduleDraft.blocks, block));
+
+        const details = document.createElement('div');
+        details.className = 'schedule-row-line';
+        details.appendChild(createScheduleInput('text', block.activity, 'Activity, e.g. Study', value => { block.activity = value; }));
+        details.appendChild(createScheduleInput('text', block.hint, 'Hint for the AI (optional)', value => { block.hint = value; }));
+
+        row.appendChild(days);
+        row.appendChild(times);
+        row.appendChild(details);
+        return row;
+    }
+
+    function renderScheduleException(exception) {
+        const row = document.createElement('div');
+        row.className = 'schedule-row';
+
+        const dates = document.createElement('div');
+        dates.className = 'schedule-row-line';
+        dates.appendChild(createScheduleInput('date', exception.from, '', value => { exception.from = value; }));
+        dates.appendChild(createScheduleInput('date', exception.to, '', value => { exception.to = value; }));
+        dates.appendChild(createStatusSelect(exception));
+        dates.appendChild(createRemoveIcon(scheduleDraft.exceptions, exception));
+
+        const times = document.createElement('div');
+        times.className = 'schedule-row-line';
+        const start = createScheduleInput('time', exception.start, '', value => { exception.start = value || null; });
+        const end = createScheduleInput('time', exception.end, '', value => { exception.end = value || null; });
+        start.title = 'Leave both times empty for the whole day';
+        end.title = start.title;
+        times.appendChild(start);
+        times.appendChild(end);
+
+        const details = document.createElement('div');
+        details.className = 'schedule-row-line';
+        details.appendChild(createScheduleInput('text', exception.activity, 'Activity, e.g. On holiday', value => { exception.activity = value; }));
+        details.appendChild(createScheduleInput('text', exception.hint, 'Hint for the AI (optional)', value => { exception.hint = value; }));
+
+        row.appendChild(dates);
+        row.appendChild(times);
+        row.appendChild(details);
+        return row;
+    }
+
+    function renderScheduleEditor() {
+        scheduleBlocksList.innerHTML = '';
+        scheduleDraft.blocks.forEach(block => scheduleBlocksList.appendChild(renderScheduleBlock(block)));
+        scheduleExceptionsList.innerHTML = '';
+        scheduleDraft.exceptions.forEach(exception => scheduleExceptionsList.appendChild(renderScheduleException(exception)));
+        renderScheduleWeek();
+    }
+
+    async function saveSchedule() {
+        try {
+            const response = await fetch('/api/schedule', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ...scheduleDraft, timezone: scheduleTimezoneInput.value.trim() })
+            });
+            const data = await response.json();
+            if (!data.success) {
+                showToast(data.error || 'Failed to save schedule');
+                return;
+            }
+            scheduleDraft = data.schedule;
+            renderScheduleNow(data.current);
+            renderScheduleEditor();
+            showToast('Schedule saved');
+        } catch (error) {
+            console.error('Error saving schedule:', error);
+            showToast('Error saving schedule');
+        }
+    }
+
+    async function importScheduleText() {
+        const text = scheduleImportText.value.trim();
+        if (!text) {
+            showToast('Paste your schedule first');
+            return;
+        }
+        try {
+            const response = await fetch('/api/schedule/import', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ text })
+            });
+            const data = await response.json();
+            if (!data.success) {
+                showToast(data.error || 'Failed to import schedule');
+                return;
+            }
+            scheduleDraft.blocks.push(...data.blocks);
+            renderScheduleEditor();
+            // Keep unreadable lines so they can be fixed and imported again
+            scheduleImportText.value = data.skipped.join('\n');
+            showToast(data.skipped.length > 0
+                ? `Added ${data.blocks.length} blocks; ${data.skipped.length} lines not understood`
+                : `Added ${data.blocks.length} blocks. Save to keep them.`);
+        } catch (error) {
+            console.error('Error importing schedule:', error);
+            showToast('Error importing schedule');
+        }
+    }
+
+    document.getElementById('add-schedule-block-btn').addEventListener('click', () => {
+        scheduleDraft.blocks.push({ days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00', activity: '', status: 'busy', hint: null });
+        renderScheduleEditor();
+    });
+    document.getElementById('add-schedule-exception-btn').addEventListener('click', () => {
+        const today = toLocalInputValue(new Date()).slice(0, 10);
+        scheduleDraft.exceptions.push({ from: today, to: today, start: null, end: null, activity: '', status: 'away', hint: null });
+        renderScheduleEditor();
+    });
+    document.getElementById('save-schedule-btn').addEventListener('click', saveSchedule);
+    document.getElementById('schedule-import-btn').addEventListener('click', importScheduleText);
+
+    // --- Auto-reply Rules ---
+    const ruleList = document.getElementById('rule-list');
+    const ruleEditor = document.getElementById('rule-editor');
+    const ruleNameInput = document.getElementById('rule-name');
+    const rulePatternInput = document.getElementById('rule-pattern');
+    const ruleTagsInput = document.getElementById('rule-tags');
+    const ruleHoursInput = document.getElementById('rule-hours');
+    const ruleDaysBox = document.getElementById('rule-days');
+    const ruleModesBox = document.getElementById('rule-modes');
+    const rulePriorityInput = document.getElementById('rule-priority');
+    const ruleCooldownInput = document.getElementById('rule-cooldown');
+    const ruleTemplateInput = document.getElementById('rule-template');
+    const ruleTest = document.getElementById('rule-test');
+    const ruleTestTextInput = document.getElementById('rule-test-text');
+    const ruleTestResult = document.getElementById('rule-test-result');
+    const RULE_DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    let editingRuleId = null;
+
+    function splitTags(text) {
+        return text.split(',').map(tag => tag.trim()).filter(Boolean);
+    }
+
+    function getCheckedValues(box) {
+        return Array.from(box.querySelectorAll('input:checked')).map(input => input.value);
+    }
+
+    function setCheckedValues(box, values) {
+        box.querySelectorAll('input').forEach(input => {
+            input.checked = values.includes(input.value);
+        });
+    }
+
+    async function loadRules() {
+        try {
+            const response = await fetch('/api/rules');
+            if (!response.ok) return;
+            const data = await response.json();
+            renderRules(data.rules || []);
+        } catch (error) {
+            console.error('Error loading rules:', error);
+        }
+    }
+
+    function describeRule(rule) {
+        const parts = [rule.pattern ? `/${rule.pattern}/` : 'any message'];
+        if (rule.tags.length > 0) parts.push(rule.tags.map(tag => `#${tag}`).join(' '));
+        if (rule.days.length > 0) parts.push(rule.days.map(day => RULE_DAY_NAMES[day]).join(','));
+        if (rule.hours) parts.push(rule.hours);
+        parts.push(`priority ${rule.priority}`);
+        return parts.join(' · ');
+    }
+
+    function renderRules(rules) {
+        ruleList.innerHTML = '';
+        rules.forEach(rule => {
+            const item = document.createElement('div');
+            item.className = 'rule-item' + (rule.enabled ? '' : ' disabled');
+
+            const info = document.createElement('span');
+            info.className = 'rule-item-info';
+            info.textContent = `${rule.name} `;
+            const meta = document.createElement('span');
+            meta.className = 'rule-item-meta';
+            meta.textContent = describeRule(rule);
+            info.appendChild(meta);
+
+            const toggleIcon = document.createElement('i');
+            toggleIcon.className = rule.enabled ? 'fas fa-toggle-on' : 'fas fa-toggle-off';
+            toggleIcon.title = rule.enabled ? 'Disable' : 'Enable';
+            toggleIcon.addEventListener('click', () => saveRuleChanges(rule.id, { enabled: !rule.enabled }));
+
+            const editIcon = document.createElement('i');
+            editIcon.className = 'fas fa-pen';
+            editIcon.title = 'Edit';
+            editIcon.addEventListener('click', () => openRuleEditor(rule));
+
+            const deleteIcon = document.createElement('i');
+            deleteIcon.className = 'fas fa-trash';
+            deleteIcon.title = 'Delete';
+            deleteIcon.addEventListener('click', () => deleteRule(rule));
+
+            item.appendChild(info);
+            item.appendChild(toggleIcon);
+            item.appendChild(editIcon);
+            item.appendChild(deleteIcon);
+            ruleList.appendChild(item);
+        });
+    }
+
+    function openRuleEditor(rule) {
+        editingRuleId = rule ? rule.id : null;
+        ruleNameInput.value = rule ? rule.name : '';
+        rulePatternInput.value = rule ? rule.pattern : '';
+        ruleTagsInput.value = rule ? rule.tags.join(', ') : '';
+        ruleHoursInput.value = rule?.hours || '';
+        setCheckedValues(ruleDaysBox, rule ? rule.days.map(String) : []);
+        setCheckedValues(ruleModesBox, rule ? rule.modes : ['C']);
+        rulePriorityInput.value = rule ? rule.priority : 0;
+        ruleCooldownInput.value = rule ? rule.cooldownMinutes : 60;
+        ruleTemplateInput.value = rule ? rule.template : '';
+        // Testing runs against the saved rule
+        ruleTest.classList.toggle('hidden', !rule);
+        ruleTestTextInput.value = '';
+        ruleTestResult.classList.add('hidden');
+        ruleEditor.classList.remove('hidden');
+        ruleNameInput.focus();
+    }
+
+    function closeRuleEditor() {
+        editingRuleId = null;
+        ruleEditor.classList.add('hidden');
+    }
+
+    async function saveRuleChanges(id, changes) {
+        try {
+            const response = await fetch(id ? `/api/rules/${encodeURIComponent(id)}` : '/api/rules', {
+                method: id ? 'PUT' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(changes)
+            });
+            const data = await response.json();
+            if (!data.success) {
+                showToast(data.error || 'Failed to save rule');
+                return null;
+            }
+            loadRules();
+            return data.rule;
+        } catch (error) {
+            console.error('Error saving rule:', error);
+            showToast('Error saving rule');
+            return null;
+        }
+    }
+
+    async function saveRule() {
+        const rule = await saveRuleChanges(editingRuleId, {
+            name: ruleNameInput.value.trim(),
+            pattern: rulePatternInput.value,
+            tags: splitTags(ruleTagsInput.value),
+            hours: ruleHoursInput.value.trim() || null,
+            days: getCheckedValues(ruleDaysBox).map(Number),
+            modes: getCheckedValues(ruleModesBox),
+            priority: Number(rulePriorityInput.value) || 0,
+            cooldownMinutes: Number(ruleCooldownInput.value) || 0,
+            template: ruleTemplateInput.value
+        });
+        if (!rule) return;
+        showToast('Rule saved');
+        // Stay open on new rules so they can be tested right away
+        if (editingRuleId) {
+            closeRuleEditor();
+        } else {
+            openRuleEditor(rule);
+        }
+    }
+
+    async function deleteRule(rule) {
+        if (!confirm(`Delete the rule "${rule.name}"?`)) return;
+        try {
+            const response = await fetch(`/api/rules/${encodeURIComponent(rule.id)}`, { method: 'DELETE' });
+            if (!response.ok) {
+                showToast('Failed to delete rule');
+                return;
+            }
+            if (editingRuleId === rule.id) closeRuleEditor();
+            loadRules();
+        } catch (error) {
+            console.error('Error deleting rule:', error);
+            showToast('Error deleting rule');
+        }
+    }
+
+    async function testRule() {
+        if (!editingRuleId) return;
+        try {
+            const response = await fetch(`/api/rules/${encodeURIComponent(editingRuleId)}/test`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    text: ruleTestTextInput.value,
+                    ...(activeChatJid ? { to: activeChatJid.replace(/@.*$/, '') } : {})
+                })
+            });
+            const data = await response.json();
+            if (!data.success) {
+                showToast(data.error || 'Failed to test rule');
+                return;
+            }
+            let result = data.matched ? 'Would reply:' : `No reply: ${data.reason}.`;
+            if (data.reply) {
+                result += data.matched ? `\n${data.reply}` : `\nAfter the cooldown it would reply:\n${data.reply}`;
+            }
+            ruleTestResult.textContent = result;
+            ruleTestResult.classList.remove('hidden');
+        } catch (error) {
+            console.error('Error testing rule:', error);
+            showToast('Error testing rule');
+        }
+    }
+
+    document.getElementById('add-rule-btn').addEventListener('click', () => openRuleEditor(null));
+    document.getElementById('cancel-rule-btn').addEventListener('click', closeRuleEditor);
+    document.getElementById('save-rule-btn').addEventListener('click', saveRule);
+    document.getElementById('rule-test-btn').addEventListener('click', testRule);
+
+    // Tags of the open chat, used by rules
+    document.getElementById('chat-tags-button').addEventListener('click', async () => {
+        if (!activeChatJid) return;
+        const jid = activeChatJid.replace(/@.*$/, '');
+        try {
+            const data = await (await fetch('/api/tags')).json();
+            const current = (data.contacts && data.contacts[jid]) || [];
+            const input = prompt('Tags for this contact (comma-separated):', current.join(', '));
+            if (input === null) return;
+            const response = await fetch(`/api/contacts/${encodeURIComponent(jid)}/tags`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ tags: splitTags(input) })
+            });
+            const result = await response.json();
+            if (!result.success) {
+                showToast(result.error || 'Failed to save tags');
+                return;
+            }
+            showToast(result.tags.length > 0 ? `Tags: ${result.tags.join(', ')}` : 'Tags removed');
+        } catch (error) {
+            console.error('Error updating contact tags:', error);
+            showToast('Error updating tags');
+        }
+    });
+
+    // --- Chat Summary ---
+    const summaryModal = document.getElementById('summary-modal');
+    const summaryRangeSelect = document.getElementById('summary-range');
+    const summaryResult = document.getElementById('summary-result');
+
+    function renderSummary(data) {
+        summaryResult.innerHTML = '';
+        const overview = document.createElement('p');
+        overview.textContent = data.summary.overview;
+        summaryResult.appendChild(overview);
+
+        const sections = [
+            ['Key points', data.summary.keyPoints],
+            ['Questions for you', data.summary.questionsForMe],
+            ['To do', data.summary.actionItems]
+        ];
+        sections.forEach(([title, items]) => {
+            if (!items || items.length === 0) return;
+            const heading = document.createElement('h4');
+            heading.textContent = title;
+            const list = document.createElement('ul');
+            items.forEach(item => {
+                const entry = document.createElement('li');
+                entry.textContent = item;
+                list.appendChild(entry);
+            });
+            summaryResult.append(heading, list);
+        });
+
+        const meta = document.createElement('div');
+        meta.classList.add('summary-meta');
+        meta.textContent = `${data.messageCount} messages` +
+            (data.cached ? ` · summarized ${new Date(data.createdAt).toLocaleString()}` : '');
+        summaryResult.appendChild(meta);
+    }
+
+    async function loadSummary(force = false) {
+        if (!activeChatJid) return;
+        const jid = activeChatJid.replace(/@.*$/, '');
+        const hours = Number(summaryRangeSelect.value);
+        summaryResult.textContent = 'Summarizing…';
+        try {
+            const response = await fetch(`/api/chats/${encodeURIComponent(jid)}/summary`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ since: new Date(Date.now() - hours * 60 * 60 * 1000).toISOString(), force })
+            });
+            const data = await response.json();
+            if (!data.success) {
+                summaryResult.textContent = data.error || 'Could not summarize this chat.';
+                return;
+            }
+            renderSummary(data);
+        } catch (error) {
+            console.error('Error summarizing chat:', error);
+            summaryResult.textContent = 'Could not summarize this chat.';
+        }
+    }
+
+    function closeSummary() {
+        summaryModal.classList.add('hidden');
+    }
+
+    document.getElementById('chat-summary-button').addEventListener('click', () => {
+        if (!activeChatJid) return;
+        summaryModal.classList.remove('hidden');
+        loadSummary();
+    });
+    summaryRangeSelect.addEventListener('change', () => loadSummary());
+    document.getElementById('refresh-summary').addEventListener('click', () => loadSummary(true));
+    document.getElementById('done-summary').addEventListener('click', closeSummary);
+    document.getElementById('close-summary-modal').addEventListener('click', closeSummary);
+    summaryModal.addEventListener('click', (e) => {
+        if (e.target === summaryModal) {
+            closeSummary();
+        }
+    });
+
+    // --- Chat Persona ---
+    const personaModal = document.getElementById('persona-modal');
+    const personaButton = document.getElementById('chat-persona-button');
+    const personaFields = {
+        relationship: document.getElementById('persona-relationship'),
+        instruction: document.getElementById('persona-instruction'),
+        tone: document.getElementById('persona-tone'),
+        language: document.getElementById('persona-language'),
+        replyLength: document.getElementById('persona-reply-length'),
+        allowedTopics: document.getElementById('persona-topics')
+    };
+    const personaPreviewText = document.getElementById('persona-preview-text');
+
+    function fillPersonaForm(persona) {
+        personaFields.relationship.value = persona?.relationship || '';
+        personaFields.instruction.value = persona?.instruction || '';
+        personaFields.tone.value = persona?.tone || 'default';
+        personaFields.language.value = persona?.language || '';
+        personaFields.replyLength.value = persona?.replyLength || 'medium';
+        personaFields.allowedTopics.value = (persona?.allowedTopics || []).join(', ');
+        personaButton.classList.toggle('active', Boolean(persona));
+    }
+
+    async function loadPersonaPreview(jid) {
+        try {
+            const data = await (await fetch(`/api/ai-instruction?jid=${encodeURIComponent(jid)}`)).json();
+            personaPreviewText.textContent = data.instruction || '';
+        } catch (error) {
+            console.error('Error loading AI prompt:', error);
+            personaPreviewText.textContent = '';
+        }
+    }
+
+    async function loadPersona(jid) {
+        try {
+            const data = await (await fetch(`/api/contacts/${encodeURIComponent(jid)}/persona`)).json();
+            if (activeChatJid?.replace(/@.*$/, '') !== jid) return;
+            fillPersonaForm(data.success ? data.persona : null);
+        } catch (error) {
+            console.error('Error loading persona:', error);
+        }
+    }
+
+    async function savePersona() {
+        if (!activeChatJid) return;
+        const jid = activeChatJid.replace(/@.*$/, '');
+        const persona = Object.fromEntries(Object.entries(personaFields).map(([key, field]) => [key, field.value]));
+        try {
+            const response = await fetch(`/api/contacts/${encodeURIComponent(jid)}/persona`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(persona)
+            });
+            const result = await response.json();
+            if (!result.success) {
+                showToast(result.error || 'Failed to save persona');
+                return;
+            }
+            fillPersonaForm(result.persona);
+            closePersona();
+            showToast(result.persona ? 'Persona saved' : 'This chat uses your AI training again');
+        } catch (error) {
+            console.error('Error saving persona:', error);
+            showToast('Error saving persona');
+        }
+    }
+
+    async function resetPersona() {
+        if (!activeChatJid) return;
+        const jid = activeChatJid.replace(/@.*$/, '');
+        try {
+            const response = await fetch(`/api/contacts/${encodeURIComponent(jid)}/persona`, { method: 'DELETE' });
+            // 404: there was nothing to reset
+            if (!response.ok && response.status !== 404) {
+                const result = await response.json();
+                showToast(result.error || 'Failed to reset persona');
+                return;
+            }
+            fillPersonaForm(null);
+            loadPersonaPreview(jid);
+            showToast('This chat uses your AI training again');
+        } catch (error) {
+            console.error('Error resetting persona:', error);
+            showToast('Error resetting persona');
+        }
+    }
+
+    function closePersona() {
+        personaModal.classList.add('hidden');
+    }
+
+    personaButton.addEventListener('click', async () => {
+        if (!activeChatJid) return;
+        const jid = activeChatJid.replace(/@.*$/, '');
+        personaPreviewText.textContent = '';
+        personaModal.classList.remove('hidden');
+        await loadPersona(jid);
+        loadPersonaPreview(jid);
+    });
+    document.getElementById('save-persona').addEventListener('click', savePersona);
+    document.getElementById('reset-persona').addEventListener('click', resetPersona);
+    document.getElementById('cancel-persona').addEventListener('click', closePersona);
+    document.getElementById('close-persona-modal').addEventListener('click', closePersona);
+    personaModal.addEventListener('click', (e) => {
+        if (e.target === personaModal) {
+            closePersona();
+        }
+    });
+
+    // --- Smart Replies ---
+    const smartRepliesBar = document.getElementById('smart-replies');
+    const SMART_REPLY_MODES = ['manual', 'semiai'];
+    let smartReplyTimer = null;
+    let smartReplyRequest = 0;
+
+    function hideSmartReplies() {
+        clearTimeout(smartReplyTimer);
+        smartReplyRequest++; // Answers still on their way are dropped
+        smartRepliesBar.innerHTML = '';
+        smartRepliesBar.classList.add('hidden');
+    }
+
+    function renderSmartReplies(suggestions) {
+        smartRepliesBar.innerHTML = '';
+        smartRepliesBar.classList.toggle('hidden', suggestions.length === 0);
+        suggestions.forEach(suggestion => {
+            const chip = document.createElement('div');
+            chip.className = 'smart-reply-chip';
+            chip.title = `${suggestion.style} reply · click to send`;
+
+            const text = document.createElement('span');
+            text.className = 'smart-reply-text';
+            text.textContent = suggestion.text;
+            text.addEventListener('click', () => sendText(suggestion.text, { skipTranslation: true }));
+
+            const editBtn = document.createElement('button');
+            editBtn.className = 'smart-reply-edit';
+            editBtn.title = 'Edit before sending';
+            editBtn.innerHTML = '<i class="fas fa-pen"></i>';
+            editBtn.addEventListener('click', () => {
+                messageInput.value = suggestion.text;
+                hideSmartReplies();
+                messageInput.focus();
+            });
+
+            chip.append(text, editBtn);
+            smartRepliesBar.appendChild(chip);
+        });
+    }
+
+    // Suggestions are only offered where a person writes the reply; a burst of messages asks once
+    function requestSmartReplies(jid) {
+        if (!SMART_REPLY_MODES.includes(chatModeDropdown.value)) return;
+        clearTimeout(smartReplyTimer);
+        const request = ++smartReplyRequest;
+        smartReplyTimer = setTimeout(async () => {
+            try {
+                const response = await fetch('/api/ai-suggest', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ jid })
+                });
+                const data = await response.json();
+                // The chat may have changed, or the user replied, while the AI was thinking
+                if (request !== smartReplyRequest || activeChatJid !== jid) return;
+                if (!data.success) {
+                    console.error('Error getting smart replies:', data.error);
+                    return;
+                }
+                renderSmartReplies(data.suggestions || []);
+            } catch (error) {
+                console.error('Error getting smart replies:', error);
+            }
+        }, 800);
+    }
+
+    // --- Semi-AI Rewrite Preview ---
+    const rewritePreview = document.getElementById('rewrite-preview');
+    const rewriteDiff = document.getElementById('rewrite-diff');
+    const rewriteToneButtons = document.querySelectorAll('#rewrite-tones button');
+    const sendRewriteBtn = document.getElementById('send-rewrite');
+    const editRewriteBtn = document.getElementById('edit-rewrite');
+    let rewriteState = null; // { jid, original, tone, rewritten, request }
+    let rewriteRequest = 0;
+    let editedRewrite = null; // { jid, original } while a rewrite is being edited in the input
+
+    // Word-level diff of two texts, as runs of 'same', 'removed' and 'added' text
+    function diffWords(before, after) {
+        const a = before.split(/(\s+)/).filter(Boolean);
+        const b = after.split(/(\s+)/).filter(Boolean);
+        if (a.length * b.length > 250000) {
+            return [{ type: 'removed', text: before }, { type: 'added', text: after }];
+        }
+        // Longest common subsequence, filled from the end so the walk below can go forwards
+        const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+        const parts = [];
+        const push = (type, text) => {
+            const last = parts[parts.length - 1];
+            if (last && last.type === type) last.text += text;
+            else parts.push({ type, text });
+        };
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                push('same', a[i]);
+                i++;
+                j++;
+            } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+                push('removed', a[i++]);
+            } else {
+                push('added', b[j++]);
+            }
+        }
+        while (i < a.length) push('removed', a[i++]);
+        while (j < b.length) push('added', b[j++]);
+        return parts;
+    }
+
+    function renderDiffLine(label, parts, hiddenType) {
+        const line = document.createElement('div');
+        line.className = 'rewrite-line';
+        const title = document.createElement('span');
+        title.className = 'rewrite-label';
+        title.textContent = label;
+        line.appendChild(title);
+        parts.forEach(part => {
+            if (part.type === hiddenType) return;
+            const span = document.createElement('span');
+            span.textContent = part.text;
+            if (part.type !== 'same') span.className = `diff-${part.type}`;
+            line.appendChild(span);
+        });
+        return line;
+    }
+
+    function renderRewritePreview() {
+        rewriteDiff.innerHTML = '';
+        rewriteToneButtons.forEach(button => button.classList.toggle('active', button.dataset.tone === rewriteState.tone));
+        const ready = typeof rewriteState.rewritten === 'string';
+        sendRewriteBtn.disabled = !ready;
+        editRewriteBtn.disabled = !ready;
+
+        if (rewriteState.error) {
+            rewriteDiff.appendChild(renderDiffLine('You wrote', [{ type: 'same', text: rewriteState.original }]));
+            const error = document.createElement('div');
+            error.className = 'rewrite-status';
+            error.textContent = rewriteState.error;
+            rewriteDiff.appendChild(error);
+            return;
+        }
+        if (!ready) {
+            rewriteDiff.appendChild(renderDiffLine('You wrote', [{ type: 'same', text: rewriteState.original }]));
+            const status = document.createElement('div');
+            status.className = 'rewrite-status';
+            status.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Rewriting…';
+            rewriteDiff.appendChild(status);
+            return;
+        }
+        const parts = diffWords(rewriteState.original, rewriteState.rewritten);
+        rewriteDiff.appendChild(renderDiffLine('You wrote', parts, 'added'));
+        rewriteDiff.appendChild(renderDiffLine('Rewrite', parts, 'removed'));
+        if (rewriteState.rewritten === rewriteState.original) {
+            const status = document.createElement('div');
+            status.className = 'rewrite-status';
+            status.textContent = 'Nothing to change.';
+            rewriteDiff.appendChild(status);
+        }
+    }
+
+    async function requestRewrite(tone) {
+        const request = ++rewriteRequest;
+        rewriteState = { ...rewriteState, tone, rewritten: undefined, error: undefined };
+        renderRewritePreview();
+        try {
+            const response = await fetch('/api/rewrite', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ message: rewriteState.original, tone, jid: rewriteState.jid })
+            });
+            const data = await response.json();
+            if (request !== rewriteRequest) return; // Closed, or another tone was picked meanwhile
+            if (!data.success) {
+                rewriteState.error = data.error || 'Could not rewrite the message.';
+            } else {
+                rewriteState.rewritten = data.rewritten;
+            }
+        } catch (error) {
+            if (request !== rewriteRequest) return;
+            console.error('Error rewriting message:', error);
+            rewriteState.error = 'Could not rewrite the message.';
+        }
+        renderRewritePreview();
+    }
+
+    function openRewritePreview(text) {
+        rewriteState = { jid: activeChatJid, original: text, tone: 'fix' };
+        rewritePreview.classList.remove('hidden');
+        hideSmartReplies();
+        requestRewrite('fix');
+    }
+
+    function closeRewritePreview() {
+        rewriteRequest++;
+        rewriteState = null;
+        editedRewrite = null;
+        rewritePreview.classList.add('hidden');
+    }
+
+    rewriteToneButtons.forEach(button => {
+        button.addEventListener('click', () => {
+            if (rewriteState) requestRewrite(button.dataset.tone);
+        });
+    });
+    document.getElementById('send-original').addEventListener('click', () => {
+        if (rewriteState && rewriteState.jid === activeChatJid) sendText(rewriteState.original, { skipTranslation: true });
+    });
+    sendRewriteBtn.addEventListener('click', () => {
+        if (rewriteState && rewriteState.jid === activeChatJid && rewriteState.rewritten) {
+            sendText(rewriteState.rewritten, { original: rewriteState.original, skipTranslation: true });
+        }
+    });
+    editRewriteBtn.addEventListener('click', () => {
+        if (!rewriteState || !rewriteState.rewritten) return;
+        const { jid, original, rewritten } = rewriteState;
+        closeRewritePreview();
+        editedRewrite = { jid, original };
+        messageInput.value = rewritten;
+        messageInput.focus();
+    });
+    messageInput.addEventListener('input', () => {
+        if (!messageInput.value.trim()) editedRewrite = null;
+    });
+    document.getElementById('close-rewrite-preview').addEventListener('click', () => {
+        closeRewritePreview();
+        messageInput.focus();
+    });
+
+    // --- Languages ---
+    const myLanguageSelect = document.getElementById('my-language');
+    const translateIncomingSelect = document.getElementById('translate-incoming');
+    const translateOutgoingSelect = document.getElementById('translate-outgoing');
+    const chatLanguageSelect = document.getElementById('chat-language');
+    let languageNames = {};
+
+    function getLanguageName(code) {
+        return languageNames[code] || code;
+    }
+
+    // Shows the translation of a received message under the original
+    function renderTranslation(messageBubble, message) {
+        messageBubble.querySelector('.message-translation')?.remove();
+        if (!message.translation?.text) return;
+        const container = document.createElement('div');
+        container.classList.add('message-translation');
+        const label = document.createElement('span');
+        label.classList.add('message-translation-label');
+        label.textContent = message.language ? `Translated from ${getLanguageName(message.language)}` : 'Translated';
+        container.append(label, document.createTextNode(message.translation.text));
+        messageBubble.insertBefore(container, messageBubble.querySelector('.message-timestamp'));
+    }
+
+    function handleTranslation(data) {
+        const jid = (data.jid || '').replace(/@.*$/, '');
+        const message = allChatsData[jid]?.messages.find(msg => msg.id === data.id);
+        if (message) {
+            message.language = data.language;
+            message.translation = data.translation;
+        }
+        if (jid === activeChatJid?.replace(/@.*$/, '')) {
+            const messageBubble = messageArea.querySelector(`[data-message-id="${CSS.escape(data.id)}"] .message-bubble`);
+            if (messageBubble) {
+                renderTranslation(messageBubble, message || data);
+            }
+            // The contact's language may have just been detected
+            loadContactLanguage(jid);
+        }
+    }
+
+    async function loadLanguages() {
+        try {
+            const data = await (await fetch('/api/languages')).json();
+            languageNames = data.languages || {};
+            const options = Object.entries(languageNames);
+            [myLanguageSelect, chatLanguageSelect, personaFields.language].forEach(select => {
+                const current = select.value;
+                select.querySelectorAll('option[data-language]').forEach(option => option.remove());
+                options.forEach(([code, name]) => {
+                    const option = document.createElement('option');
+                    option.value = code;
+                    option.textContent = name;
+                    option.dataset.language = code;
+                    select.appendChild(option);
+                });
+                select.value = current;
+            });
+        } catch (error) {
+            console.error('Error loading languages:', error);
+        }
+    }
+
+    async function loadContactLanguage(jid) {
+        const chatJid = jid.replace(/@.*$/, '');
+        try {
+            const data = await (await fetch(`/api/contacts/${encodeURIComponent(chatJid)}/language`)).json();
+            if (!data.success || activeChatJid !== chatJid) return;
+            chatLanguageSelect.value = data.preferred || '';
+            chatLanguageSelect.options[0].textContent = data.detected ? `Auto (${getLanguageName(data.detected)})` : 'Auto';
+            chatLanguageSelect.title = data.effective
+                ? `Messages you write are sent in ${getLanguageName(data.effective)}`
+                : 'Messages you write are sent as written';
+        } catch (error) {
+            console.error('Error loading contact language:', error);
+        }
+    }
+
+    chatLanguageSelect.addEventListener('change', async () => {
+        if (!activeChatJid) return;
+        const jid = activeChatJid.replace(/@.*$/, '');
+        try {
+            const response = await fetch(`/api/contacts/${encodeURIComponent(jid)}/language`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ language: chatLanguageSelect.value || null })
+            });
+            const result = await response.json();
+            if (!result.success) {
+                showToast(result.error || 'Failed to save language');
+                return;
+            }
+            showToast(result.preferred ? `Messages will be sent in ${getLanguageName(result.preferred)}` : 'Language set to auto');
+            loadContactLanguage(jid);
+        } catch (error) {
+            console.error('Error saving contact language:', error);
+            showToast('Error saving language');
+        }
+    });
+
+    loadLanguages();
+
+    // --- Auto-reply Protection ---
+    // The server switched a chat back to Manual because it looked like a loop or a flood
+    function handleAutoReplyPaused(data) {
+        const jid = (data.jid || '').replace(/@.*$/, '');
+        const name = allChatsData[jid]?.contact?.name || jid;
+        if (jid === activeChatJid?.replace(/@.*$/, '')) {
+            loadChatMode(activeChatJid);
+        }
+        showToast(`Automatic replies to ${name} were stopped and the chat is in Manual mode. ${data.detail || ''}`, 8000);
+    }
+
+    // --- AI Status ---
+    // Shown while AI requests fail, so it's clear why Auto-AI went quiet
+    const aiStatusBanner = document.getElementById('ai-status-banner');
+    const aiStatusText = document.getElementById('ai-status-text');
+
+    function renderAIStatus(status) {
+        if (!status || status.state === 'ok') {
+            aiStatusBanner.classList.remove('visible');
+            return;
+        }
+        const reason = status.error?.message || 'Unknown error';
+        if (status.state === 'paused') {
+            const until = status.retryAt ? ` until ${new Date(status.retryAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' })}` : '';
+            aiStatusText.textContent = `AI paused${until}. ${reason}`;
+        } else {
+            aiStatusText.textContent = `AI requests are failing. ${reason}`;
+        }
+        aiStatusBanner.classList.add('visible');
+    }
+
+    async function loadAIStatus() {
+        try {
+            const data = await (await fetch('/api/ai-status')).json();
+            if (data.success) renderAIStatus(data.status);
+        } catch (error) {
+            console.error('Error loading AI status:', error);
+        }
+    }
+
+    document.getElementById('ai-status-retry').addEventListener('click', async () => {
+        try {
+            const data = await (await fetch('/api/ai-status/reset', { method: 'POST' })).json();
+            if (data.success) renderAIStatus(data.status);
+            showToast('The next AI request will be tried right away');
+        } catch (error) {
+            console.error('Error resetting AI status:', error);
+            showToast('Error resetting AI status');
+        }
+    });
+
+    // --- Authentication ---
+    const authModal = document.getElementById('auth-modal');
+    const authForm = document.getElementById('auth-form');
+    const authTitle = document.getElementById('auth-title');
+    const authHint = document.getElementById('auth-hint');
+    const authPasswordInput = document.getElementById('auth-password');
+    const authConfirmItem = document.getElementById('auth-confirm-item');
+    const authConfirmInput = document.getElementById('auth-password-confirm');
+    const authError = document.getElementById('auth-error');
+    const authSubmitBtn = document.getElementById('auth-submit');
+    const currentPasswordInput = document.getElementById('current-password');
+    const newPasswordInput = document.getElementById('new-password');
+    const changePasswordBtn = document.getElementById('change-password-btn');
+    const apiTokenList = document.getElementById('api-token-list');
+    const apiTokenNameInput = document.getElementById('api-token-name');
+    const createApiTokenBtn = document.getElementById('create-api-token-btn');
+    const apiTokenNew = document.getElementById('api-token-new');
+    const logoutBtn = document.getElementById('logout-btn');
+    let isSettingUpPassword = false;
+    let minPasswordLength = 8;
+
+    async function fetchAuthStatus() {
+        const response = await fetch('/api/auth/status');
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+    }
+
+    // Connects once logged in; otherwise asks for the password (or a new one on first run)
+    async function startSession() {
+        try {
+            const status = await fetchAuthStatus();
+            minPasswordLength = status.minPasswordLength || minPasswordLength;
+            if (status.authenticated) {
+                connectWebSocket();
+            } else {
+                showAuthModal(!status.passwordSet);
+            }
+        } catch (error) {
+            console.error('Error checking login status:', error);
+            setTimeout(startSession, 3000);
+        }
+    }
+
+    async function reconnectWebSocket() {
+        try {
+            const status = await fetchAuthStatus();
+            if (!status.authenticated) {
+                showAuthModal(!status.passwordSet);
+                return;
+            }
+        } catch (error) {
+            // Server unreachable; keep retrying
+        }
+        connectWebSocket();
+    }
+
+    function showAuthModal(isSetup) {
+        isSettingUpPassword = isSetup;
+        authTitle.textContent = isSetup ? 'Set a Password' : 'Log In';
+        authHint.textContent = isSetup
+            ? `Choose a password of at least ${minPasswordLength} characters. You'll need it to open Ava.`
+            : 'Enter your password to continue.';
+        authSubmitBtn.textContent = isSetup ? 'Set Password' : 'Log In';
+        authPasswordInput.autocomplete = isSetup ? 'new-password' : 'current-password';
+        authConfirmItem.classList.toggle('hidden', !isSetup);
+        authConfirmInput.required = isSetup;
+        authError.textContent = '';
+        authModal.classList.remove('hidden');
+        authPasswordInput.focus();
+    }
+
+    authForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const password = authPasswordInput.value;
+        if (isSettingUpPassword && password !== authConfirmInput.value) {
+            authError.textContent = 'Passwords do not match.';
+            return;
+        }
+        authSubmitBtn.disabled = true;
+        try {
+            const response = await fetch(isSettingUpPassword ? '/api/auth/setup' : '/api/auth/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ password })
+            });
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                authError.textContent = data.error || 'Login failed.';
+                return;
+            }
+            authPasswordInput.value = '';
+            authConfirmInput.value = '';
+            authModal.classList.add('hidden');
+            connectWebSocket();
+        } catch (error) {
+            console.error('Error logging in:', error);
+            authError.textContent = 'Could not reach the server.';
+        } finally {
+            authSubmitBtn.disabled = false;
+        }
+    });
+
+    changePasswordBtn.addEventListener('click', async () => {
+        try {
+            const response = await fetch('/api/auth/password', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    currentPassword: currentPasswordInput.value,
+                    newPassword: newPasswordInput.value
+                })
+            });
+            const data = await response.json();
+            if (!data.success) {
+                showToast(data.error || 'Failed to change password');
+                return;
+            }
+            currentPasswordInput.value = '';
+            newPasswordInput.value = '';
+            showToast('Password changed');
+        } catch (error) {
+            console.error('Error changing password:', error);
+            showToast('Error changing password');
+        }
+    });
+
+    async function loadApiTokens() {
+        try {
+            const response = await fetch('/api/auth/tokens');
+            if (!response.ok) return;
+            const data = await response.json();
+            renderApiTokens(data.tokens || []);
+        } catch (error) {
+            console.error('Error loading API tokens:', error);
+        }
+    }
+
+    function renderApiTokens(tokens) {
+        apiTokenList.innerHTML = '';
+        tokens.forEach(token => {
+            const item = document.createElement('div');
+            item.className = 'api-token-item';
+
+            const info = document.createElement('span');
+            info.className = 'api-token-info';
+            const lastUsed = token.lastUsedAt ? new Date(token.lastUsedAt).toLocaleDateString() : 'never';
+            info.textContent = `${token.name} `;
+            const meta = document.createElement('span');
+            meta.className = 'api-token-meta';
+            meta.textContent = `${token.prefix}… · last used ${lastUsed}`;
+            info.appendChild(meta);
+
+            const revokeIcon = document.createElement('i');
+            revokeIcon.className = 'fas fa-trash';
+            revokeIcon.title = 'Revoke';
+            revokeIcon.addEventListener('click', () => revokeApiToken(token));
+
+            item.appendChild(info);
+            item.appendChild(revokeIcon);
+            apiTokenList.appendChild(item);
+        });
+    }
+
+    async function revokeApiToken(token) {
+        if (!confirm(`Revoke the token "${token.name}"? Scripts using it will stop working.`)) return;
+        try {
+            const response = await fetch(`/api/auth/tokens/${encodeURIComponent(token.id)}`, { method: 'DELETE' });
+            if (!response.ok) {
+                showToast('Failed to revoke token');
+                return;
+            }
+            loadApiTokens();
+        } catch (error) {
+            console.error('Error revoking API token:', error);
+            showToast('Error revoking token');
+        }
+    }
+
+    createApiTokenBtn.addEventListener('click', async () => {
+        const name = apiTokenNameInput.value.trim();
+        if (!name) {
+            showToast('Enter a name for the token');
+            return;
+        }
+        try {
+            const response = await fetch('/api/auth/tokens', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name })
+            });
+            const data = await response.json();
+            if (!data.success) {
+                showToast(data.error || 'Failed to create token');
+                return;
+            }
+            apiTokenNameInput.value = '';
+            // Shown once; only a hash is kept on the server
+            apiTokenNew.textContent = 'Copy this token now, it will not be shown again:';
+            const code = document.createElement('code');
+            code.textContent = data.token.token;
+            apiTokenNew.appendChild(code);
+            apiTokenNew.classList.remove('hidden');
+            loadApiTokens();
+        } catch (error) {
+            console.error('Error creating API token:', error);
+            showToast('Error creating token');
+        }
+    });
+
+    logoutBtn.addEventListener('click', async () => {
+        try {
+            await fetch('/api/auth/logout', { method: 'POST' });
+        } catch (error) {
+            console.error('Error logging out:', error);
+        }
+        window.location.reload();
+    });
+
     // --- QR Code Display ---
     const qrCodeModal = document.getElementById('qr-code-modal');
     const qrCodeImage = document.getElementById('qr-code-image');
@@ -1441,6 +3603,8 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // --- Initialize ---
     loadSettings();
+    updateProviderFields();
+    updateSttFields();
     updateScrollButtonIcon(appSettings.theme || 'kawaii');
-    connectWebSocket();
+    startSession();
 });
\ No newline at end of file
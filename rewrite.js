@@ -0,0 +1,79 @@
+const { getAICompletion, estimateTokens } = require('./ai');
+const { isDifferentLanguage, getLanguageName } = require('./language');
+const { detectMessageLanguage } = require('./translation');
+
+/**
+ * Tones a message can be rewritten in. 'fix' is the Semi-AI default: grammar and punctuation only,
+ * plus a translation when the message is not in the language it should be sent in.
+ */
+const REWRITE_TONES = ['fix', 'formal', 'friendly', 'short'];
+
+const TONE_INSTRUCTIONS = {
+    formal: 'Rewrite the message in a clear, polite, formal tone. Preserve the meaning.',
+    friendly: 'Rewrite the message in a warm, casual, friendly tone. Preserve the meaning.',
+    short: 'Rewrite the message as briefly as possible while keeping everything it says.'
+};
+
+// Hinglish is easy to translate too literally, so the model gets a few examples
+const HINGLISH_EXAMPLES = 'Examples: "mai theek hu" -> "I am fine", "tum kya kar rahe ho" -> "What are you doing", "kya haal hai" -> "How are you".';
+
+function buildRequest(text, tone, translateTo, sourceLanguage) {
+    const name = translateTo && getLanguageName(translateTo);
+    let instruction;
+    if (tone !== 'fix') {
+        instruction = `${TONE_INSTRUCTIONS[tone]} ${translateTo ? `Write it in ${name}.` : 'Keep the language of the message.'} Output ONLY the rewritten message.`;
+    } else if (translateTo) {
+        const examples = translateTo === 'en' && ['hi', 'hi-latn'].includes(sourceLanguage) ? ` ${HINGLISH_EXAMPLES}` : '';
+        instruction = `Translate the message into ${name} and fix its grammar/punctuation.${examples} Output ONLY the ${name} text.`;
+    } else {
+        instruction = 'Fix grammar/punctuation only. Output ONLY the fixed text, nothing else.';
+    }
+    return `${instruction}
+Input: ${text}
+Output:`;
+}
+
+/**
+ * Whether the model answered with the rewrite rather than chatting about it.
+ * @param {string} rewritten
+ * @param {string} original
+ * @param {boolean} lengthMayChange - False for a plain grammar fix
+ * @returns {boolean}
+ */
+function looksLikeRewrite(rewritten, original, lengthMayChange) {
+    const lower = rewritten.toLowerCase();
+    if (!rewritten || lower.includes("i'd be happy") || lower.includes('i can help') || lower.includes('here is')) {
+        return false;
+    }
+    // A grammar fix that grew much longer added content
+    return lengthMayChange || rewritten.length <= original.length * 1.5;
+}
+
+/**
+ * Rewrites a message before it is sent.
+ * @param {string} text
+ * @param {string} [tone='fix'] - One of REWRITE_TONES
+ * @param {object} [options]
+ * @param {string} [options.language] - Language the result should be in; the text is translated
+ *   when it is confidently in another one
+ * @returns {Promise<string>} The rewrite, or the original text when the model did not follow the
+ *   instructions. Throws when the tone is unknown or the AI request fails.
+ */
+async function rewriteMessage(text, tone = 'fix', { language } = {}) {
+    if (!REWRITE_TONES.includes(tone)) {
+        throw new Error(`tone must be one of: ${REWRITE_TONES.join(', ')}.`);
+    }
+    const sourceLanguage = detectMessageLanguage(text);
+    const translateTo = isDifferentLanguage(sourceLanguage, language) ? language : null;
+    const answer = await getAICompletion([
+        { role: 'system', content: 'You are a text formatter. Return ONLY the rewritten text, no explanations.' },
+        { role: 'user', content: buildRequest(text, tone, translateTo, sourceLanguage) }
+    ], { maxTokens: Math.max(150, estimateTokens(text) * 3), temperature: tone === 'fix' ? 0.2 : 0.7 });
+    const rewritten = answer.trim().replace(/^(?:Output:\s*)/i, '').replace(/^"([\s\S]*)"$/, '$1').trim();
+    return looksLikeRewrite(rewritten, text, tone !== 'fix' || Boolean(translateTo)) ? rewritten : text;
+}
+
+module.exports = {
+    REWRITE_TONES,
+    rewriteMessage
+};
@@ -0,0 +1,437 @@
+const crypto = require('crypto');
+const { readState, updateState } = require('./data-storage');
+
+const RULE_MODES = ['A', 'B', 'C', 'D'];
+const DEFAULT_COOLDOWN_MINUTES = 60;
+const MAX_PATTERN_LENGTH = 500;
+const MAX_TEMPLATE_LENGTH = 4096;
+// Patterns only see the start of long messages, which bounds the time a slow pattern can take
+const MAX_MATCH_TEXT_LENGTH = 2000;
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * @typedef {object} Rule
+ * @property {string} id
+ * @property {string} name
+ * @property {boolean} enabled
+ * @property {number} priority - Higher runs first; the first matching rule wins
+ * @property {string} pattern - Regular expression tested against the message text; empty matches everything
+ * @property {string} flags - RegExp flags, 'i' by default
+ * @property {string[]} tags - Only contacts with at least one of these tags; empty for everyone
+ * @property {string|null} hours - 'HH:MM-HH:MM' in server local time; may wrap past midnight
+ * @property {number[]} days - Weekdays (0 = Sunday); empty for every day
+ * @property {string[]} modes - Chat modes the rule applies in
+ * @property {string} template - Reply text; see renderTemplate for variables
+ * @property {number} cooldownMinutes - Minimum time between two replies to the same contact
+ * @property {string} createdAt - ISO 8601 timestamp
+ * @property {string} updatedAt - ISO 8601 timestamp
+ */
+
+/**
+ * @typedef {object} RuleContext
+ * @property {string} jid - Chat the message arrived in
+ * @property {string} text - Message text
+ * @property {string} [mode] - Chat mode; not checked when omitted
+ * @property {string[]} [tags] - Contact tags; read from the stored tags when omitted
+ * @property {string} [contactName]
+ * @property {string} [activity] - Current schedule activity
+ * @property {Date} [now]
+ */
+
+function normalizeTags(tags) {
+    if (tags === undefined || tags === null) return [];
+    if (!Array.isArray(tags)) {
+        throw new Error('tags must be an array of strings.');
+    }
+    const normalized = tags
+        .map(tag => String(tag).trim().toLowerCase())
+        .filter(Boolean);
+    return Array.from(new Set(normalized));
+}
+
+function parseTime(text) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(text.trim());
+    if (!match) return null;
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    if (hours > 23 || minutes > 59) return null;
+    return hours * 60 + minutes;
+}
+
+/**
+ * Parses 'HH:MM-HH:MM' into minutes since midnight.
+ * @param {string} hours
+ * @returns {{start: number, end: number}}
+ */
+function parseHours(hours) {
+    const [from, to, ...rest] = String(hours).split('-');
+    const start = from === undefined ? null : parseTime(from);
+    const end = to === undefined ? null : parseTime(to);
+    if (rest.length > 0 || start === null || end === null) {
+        throw new Error('hours must look like "HH:MM-HH:MM".');
+    }
+    return { start, end };
+}
+
+function isWithinHours(hours, now) {
+    const { start, end } = parseHours(hours);
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    // Ranges such as 22:00-07:00 wrap past midnight
+    return start <= end
+        ? minutes >= start && minutes < end
+        : minutes >= start || minutes < end;
+}
+
+/**
+ * Whether a pattern repeats a group that itself contains a repeat, like (a+)+ or (\w*\s)*. Such
+ * patterns can take exponential time on text that almost matches, blocking the server.
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function hasNestedQuantifier(pattern) {
+    const groups = []; // For each open group, whether it contains a quantifier
+    let inClass = false;
+    let afterRepeatingGroup = false; // The previous token closed a group that contains a quantifier
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (inClass) {
+            if (char === '\\') i++;
+            else if (char === ']') inClass = false;
+            continue;
+        }
+        const bounds = char === '{' ? /^\{\d+(,\d*)?\}/.exec(pattern.slice(i)) : null;
+        if (char === '*' || char === '+' || bounds) {
+            if (afterRepeatingGroup) return true;
+            if (groups.length > 0) groups[groups.length - 1] = true;
+            if (bounds) i += bounds[0].length - 1;
+            afterRepeatingGroup = false;
+        } else if (char === ')') {
+            afterRepeatingGroup = Boolean(groups.pop());
+            if (afterRepeatingGroup && groups.length > 0) groups[groups.length - 1] = true;
+        } else {
+            if (char === '\\') i++;
+            else if (char === '[') inClass = true;
+            else if (char === '(') groups.push(false);
+            afterRepeatingGroup = false;
+        }
+    }
+    return false;
+}
+
+/**
+ * Validates rule fields, filling in defaults for a new rule.
+ * @param {Partial<Rule>} input
+ * @param {Rule} [existing] - The rule being updated; omitted fields keep their value
+ * @returns {Rule}
+ */
+function buildRule(input, existing) {
+    const now = new Date().toISOString();
+    const rule = existing
+        ? { ...existing }
+        : {
+            id: `rule_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+            name: '',
+            enabled: true,
+            priority: 0,
+            pattern: '',
+            flags: 'i',
+            tags: [],
+            hours: null,
+            days: [],
+            modes: ['C'],
+            template: '',
+            cooldownMinutes: DEFAULT_COOLDOWN_MINUTES,
+            createdAt: now
+        };
+    const { name, enabled, priority, pattern, flags, tags, hours, days, modes, template, cooldownMinutes } = input || {};
+
+    if (name !== undefined) rule.name = String(name).trim().slice(0, 100);
+    if (enabled !== undefined) rule.enabled = Boolean(enabled);
+    if (priority !== undefined) {
+        if (!Number.isFinite(Number(priority))) {
+            throw new Error('priority must be a number.');
+        }
+        rule.priority = Number(priority);
+    }
+    if (pattern !== undefined) rule.pattern = typeof pattern === 'string' ? pattern : '';
+    if (flags !== undefined) rule.flags = typeof flags === 'string' ? flags : '';
+    if (rule.pattern.length > MAX_PATTERN_LENGTH) {
+        throw new Error(`pattern must be at most ${MAX_PATTERN_LENGTH} characters.`);
+    }
+    if (/[gy]/.test(rule.flags)) {
+        throw new Error('The g and y flags are not supported.');
+    }
+    try {
+        new RegExp(rule.pattern, rule.flags);
+    } catch (error) {
+        throw new Error(`Invalid pattern: ${error.message}`);
+    }
+    if (hasNestedQuantifier(rule.pattern)) {
+        throw new Error('Invalid pattern: a repeated group must not contain a repeat, like (a+)+.');
+    }
+    if (tags !== undefined) rule.tags = normalizeTags(tags);
+    if (hours !== undefined) {
+        rule.hours = hours ? String(hours).replace(/\s+/g, '') : null;
+        if (rule.hours) parseHours(rule.hours);
+    }
+    if (days !== undefined) {
+        const weekdays = Array.isArray(days) ? days.map(Number) : null;
+        if (!weekdays || weekdays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+            throw new Error('days must be an array of weekdays from 0 (Sunday) to 6.');
+        }
+        rule.days = Array.from(new Set(weekdays)).sort((a, b) => a - b);
+    }
+    if (modes !== undefined) {
+        if (!Array.isArray(modes) || modes.length === 0 || modes.some(mode => !RULE_MODES.includes(mode))) {
+            throw new Error(`modes must be a non-empty array of: ${RULE_MODES.join(', ')}.`);
+        }
+        rule.modes = Array.from(new Set(modes));
+    }
+    if (template !== undefined) rule.template = typeof template === 'string' ? template : '';
+    if (!rule.template.trim()) {
+        throw new Error('template must not be empty.');
+    }
+    if (rule.template.length > MAX_TEMPLATE_LENGTH) {
+        throw new Error(`template must be at most ${MAX_TEMPLATE_LENGTH} characters.`);
+    }
+    if (cooldownMinutes !== undefined) {
+        const minutes = Number(cooldownMinutes);
+        if (!Number.isFinite(minutes) || minutes < 0) {
+            throw new Error('cooldownMinutes must be a number of minutes (0 for none).');
+        }
+        rule.cooldownMinutes = minutes;
+    }
+    if (!rule.name) rule.name = rule.pattern || 'Any message';
+    rule.updatedAt = now;
+    return rule;
+}
+
+function sortRules(rules) {
+    return rules.sort((a, b) => (b.priority - a.priority) || a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Lists rules in evaluation order.
+ * @returns {Promise<Rule[]>}
+ */
+async function listRules() {
+    const state = await readState();
+    return sortRules(Object.values(state.rules || {}));
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<Rule|null>}
+ */
+async function getRule(id) {
+    const state = await readState();
+    return state.rules?.[id] || null;
+}
+
+/**
+ * Stores a new rule.
+ * @param {Partial<Rule>} input
+ * @returns {Promise<Rule>}
+ */
+async function createRule(input) {
+    const rule = buildRule(input);
+    await updateState((state) => {
+        state.rules = state.rules || {};
+        state.rules[rule.id] = rule;
+    });
+    return rule;
+}
+
+/**
+ * Changes a rule.
+ * @param {string} id
+ * @param {Partial<Rule>} changes
+ * @returns {Promise<Rule|null>} The updated rule, or null if unknown.
+ */
+async function updateRule(id, changes) {
+    return updateState((state) => {
+        const latest = state.rules?.[id];
+        if (!latest) return null;
+        state.rules[id] = buildRule(changes, latest);
+        return state.rules[id];
+    });
+}
+
+/**
+ * Removes a rule together with its cooldowns.
+ * @param {string} id
+ * @returns {Promise<boolean>} False if the rule didn't exist.
+ */
+async function deleteRule(id) {
+    return updateState((state) => {
+        if (!state.rules?.[id]) return false;
+        delete state.rules[id];
+        if (state.ruleCooldowns) delete state.ruleCooldowns[id];
+        return true;
+    });
+}
+
+/**
+ * Lists tags of every tagged contact.
+ * @returns {Promise<Object.<string, string[]>>} Tags keyed by chat JID.
+ */
+async function getAllContactTags() {
+    const state = await readState();
+    return state.contactTags || {};
+}
+
+/**
+ * Replaces the tags of a contact.
+ * @param {string} jid
+ * @param {string[]} tags - An empty array removes every tag
+ * @returns {Promise<string[]>} The normalized tags.
+ */
+async function setContactTags(jid, tags) {
+    const normalized = normalizeTags(tags);
+    await updateState((state) => {
+        state.contactTags = state.contactTags || {};
+        if (normalized.length > 0) {
+            state.contactTags[jid] = normalized;
+        } else {
+            delete state.contactTags[jid];
+        }
+    });
+    return normalized;
+}
+
+/**
+ * Fills in a reply template. Variables: {name}, {first_name}, {time}, {date}, {day},
+ * {activity}, {message}, and {1}, {2}... for the pattern's capture groups.
+ * Unknown variables are left as they are.
+ * @param {string} template
+ * @param {RuleContext} context
+ * @param {string[]} [groups] - Capture groups of the pattern match
+ * @returns {string}
+ */
+function renderTemplate(template, context, groups = []) {
+    const now = context.now || new Date();
+    const name = context.contactName || '';
+    const variables = {
+        name,
+        first_name: name.split(/\s+/)[0] || '',
+        time: now.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' }),
+        date: now.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }),
+        day: WEEKDAYS[now.getDay()],
+        activity: context.activity || 'Available',
+        message: context.text || ''
+    };
+    return template.replace(/\{(\w+)\}/g, (placeholder, key) => {
+        if (/^\d+$/.test(key)) return groups[Number(key)] ?? '';
+        return Object.prototype.hasOwnProperty.call(variables, key) ? variables[key] : placeholder;
+    });
+}
+
+/**
+ * Checks one rule against a message.
+ * @param {Rule} rule
+ * @param {RuleContext} context
+ * @param {object} extra
+ * @param {string[]} extra.tags - Tags of the contact
+ * @param {string|null} extra.lastFiredAt - When the rule last replied to this contact
+ * @param {boolean} [extra.ignoreCooldown=false]
+ * @returns {{matched: boolean, reason: string, groups?: string[]}}
+ */
+function checkRule(rule, context, { tags, lastFiredAt, ignoreCooldown = false }) {
+    const now = context.now || new Date();
+    if (!rule.enabled) return { matched: false, reason: 'Rule is disabled' };
+    if (context.mode && !rule.modes.includes(context.mode)) {
+        return { matched: false, reason: `Rule doesn't apply in mode ${context.mode}` };
+    }
+    if (rule.tags.length > 0 && !rule.tags.some(tag => tags.includes(tag))) {
+        return { matched: false, reason: `Contact has none of the tags: ${rule.tags.join(', ')}` };
+    }
+    if (rule.days.length > 0 && !rule.days.includes(now.getDay())) {
+        return { matched: false, reason: `Not active on ${WEEKDAYS[now.getDay()]}` };
+    }
+    if (rule.hours && !isWithinHours(rule.hours, now)) {
+        return { matched: false, reason: `Outside ${rule.hours}` };
+    }
+    const match = new RegExp(rule.pattern, rule.flags).exec((context.text || '').slice(0, MAX_MATCH_TEXT_LENGTH));
+    if (!match) return { matched: false, reason: 'Pattern does not match' };
+    if (!ignoreCooldown && lastFiredAt && rule.cooldownMinutes > 0) {
+        const readyAt = new Date(lastFiredAt).getTime() + rule.cooldownMinutes * 60 * 1000;
+        if (readyAt > now.getTime()) {
+            return { matched: false, reason: `Cooling down until ${new Date(readyAt).toISOString()}` };
+        }
+    }
+    return { matched: true, reason: 'Matched', groups: Array.from(match) };
+}
+
+/**
+ * Finds the highest-priority rule that matches a message.
+ * @param {RuleContext} context
+ * @returns {Promise<{rule: Rule, reply: string}|null>}
+ */
+async function evaluateRules(context) {
+    const state = await readState();
+    const rules = sortRules(Object.values(state.rules || {}));
+    if (rules.length === 0) return null;
+
+    const tags = context.tags || state.contactTags?.[context.jid] || [];
+    for (const rule of rules) {
+        const lastFiredAt = state.ruleCooldowns?.[rule.id]?.[context.jid] || null;
+        const result = checkRule(rule, context, { tags, lastFiredAt });
+        if (result.matched) {
+            return { rule, reply: renderTemplate(rule.template, context, result.groups) };
+        }
+    }
+    return null;
+}
+
+/**
+ * Starts a rule's cooldown for a contact.
+ * @param {string} ruleId
+ * @param {string} jid
+ */
+async function recordRuleFired(ruleId, jid) {
+    await updateState((state) => {
+        if (!state.rules?.[ruleId]) return;
+        state.ruleCooldowns = state.ruleCooldowns || {};
+        state.ruleCooldowns[ruleId] = state.ruleCooldowns[ruleId] || {};
+        state.ruleCooldowns[ruleId][jid] = new Date().toISOString();
+    });
+}
+
+/**
+ * Dry-runs a rule: reports whether it would fire and what it would send, without sending
+ * anything or starting a cooldown.
+ * @param {string} id
+ * @param {RuleContext} context
+ * @returns {Promise<{matched: boolean, reason: string, reply: string|null, cooldownIgnored: boolean}|null>} Null if unknown.
+ */
+async function testRule(id, context) {
+    const state = await readState();
+    const rule = state.rules?.[id];
+    if (!rule) return null;
+    const tags = context.tags || state.contactTags?.[context.jid] || [];
+    const lastFiredAt = state.ruleCooldowns?.[id]?.[context.jid] || null;
+    const result = checkRule(rule, context, { tags, lastFiredAt });
+    // Report a cooldown but still show the reply it would send once it's over
+    const preview = result.matched ? result : checkRule(rule, context, { tags, lastFiredAt, ignoreCooldown: true });
+    return {
+        matched: result.matched,
+        reason: result.reason,
+        reply: preview.matched ? renderTemplate(rule.template, context, preview.groups) : null,
+        cooldownIgnored: !result.matched && preview.matched
+    };
+}
+
+module.exports = {
+    RULE_MODES,
+    listRules,
+    getRule,
+    createRule,
+    updateRule,
+    deleteRule,
+    getAllContactTags,
+    setContactTags,
+    renderTemplate,
+    evaluateRules,
+    recordRuleFired,
+    testRule
+};
@@ -0,0 +1,503 @@
+const crypto = require('crypto');
+const { readState, updateState } = require('./data-storage');
+
+const SCHEDULE_VERSION = 1;
+const SCHEDULE_STATUSES = ['available', 'busy', 'away', 'sleeping'];
+// What the AI is told for each status unless a block has its own hint
+const STATUS_HINTS = {
+    available: 'The user is available.',
+    busy: 'The user is busy. Tell when they will be free. Ask if urgent.',
+    away: 'The user is away. Will reply later.',
+    sleeping: 'The user is sleeping. Will reply in the morning.'
+};
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MAX_ENTRIES = 200;
+const MAX_TEXT_LENGTH = 500;
+
+/**
+ * @typedef {object} ScheduleBlock
+ * @property {string} id
+ * @property {number[]} days - Weekdays the block starts on (0 = Sunday)
+ * @property {string} start - 'HH:MM'
+ * @property {string} end - 'HH:MM' ('24:00' for midnight); before `start` for overnight blocks
+ * @property {string} activity - e.g. 'Study'
+ * @property {'available' | 'busy' | 'away' | 'sleeping'} status
+ * @property {string|null} hint - Extra instruction for the AI while the block is active
+ */
+
+/**
+ * @typedef {object} ScheduleException
+ * One-off change such as a holiday or trip; it wins over the weekly blocks.
+ * @property {string} id
+ * @property {string} from - First day, 'YYYY-MM-DD'
+ * @property {string} to - Last day, 'YYYY-MM-DD'
+ * @property {string|null} start - 'HH:MM' on each day; null for the whole day
+ * @property {string|null} end - 'HH:MM'; null for the whole day
+ * @property {string} activity
+ * @property {'available' | 'busy' | 'away' | 'sleeping'} status
+ * @property {string|null} hint
+ */
+
+/**
+ * @typedef {object} Schedule
+ * @property {number} version
+ * @property {string} timezone - IANA time zone, e.g. 'Asia/Kolkata'
+ * @property {ScheduleBlock[]} blocks - When blocks overlap, the later one in the list wins
+ * @property {ScheduleException[]} exceptions
+ * @property {string|null} updatedAt - ISO 8601 timestamp
+ */
+
+/**
+ * @typedef {object} ScheduleStatus
+ * @property {string} activity
+ * @property {'available' | 'busy' | 'away' | 'sleeping'} status
+ * @property {string} hint - Instruction for the AI
+ * @property {string|null} until - 'HH:MM' when the block ends, or the last 'YYYY-MM-DD' of an all-day exception
+ * @property {'block' | 'exception' | 'default'} source
+ * @property {string} day - Weekday name in the schedule's time zone
+ * @property {string} time - 'HH:MM' in the schedule's time zone
+ * @property {string} date - 'YYYY-MM-DD' in the schedule's time zone
+ */
+
+function getServerTimezone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+function emptySchedule() {
+    return { version: SCHEDULE_VERSION, timezone: getServerTimezone(), blocks: [], exceptions: [], updatedAt: null };
+}
+
+function newId(prefix) {
+    return `${prefix}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+}
+
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function formatMinutes(minutes) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${pad(Math.floor(minutes / 60) % 24)}:${pad(minutes % 60)}`;
+}
+
+function validateTime(value, field, { allowMidnightEnd = false } = {}) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+    const hours = match ? Number(match[1]) : NaN;
+    const minutes = match ? Number(match[2]) : NaN;
+    const isMidnightEnd = allowMidnightEnd && hours === 24 && minutes === 0;
+    if (!match || minutes > 59 || (hours > 23 && !isMidnightEnd)) {
+        throw new Error(`${field} must be a time like "09:30".`);
+    }
+    return `${String(hours).padStart(2, '0')}:${match[2]}`;
+}
+
+function validateDate(value, field) {
+    const text = String(value || '').trim();
+    const date = new Date(`${text}T00:00:00Z`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== text) {
+        throw new Error(`${field} must be a date like "2025-12-24".`);
+    }
+    return text;
+}
+
+function validateTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (error) {
+        throw new Error(`Unknown time zone "${timezone}".`);
+    }
+    return timezone;
+}
+
+function normalizeText(value, field, { required = false } = {}) {
+    const text = typeof value === 'string' ? value.trim().slice(0, MAX_TEXT_LENGTH) : '';
+    if (required && !text) {
+        throw new Error(`${field} is required.`);
+    }
+    return text || null;
+}
+
+function normalizeStatus(status, field) {
+    const value = status || 'busy';
+    if (!SCHEDULE_STATUSES.includes(value)) {
+        throw new Error(`${field} must be one of: ${SCHEDULE_STATUSES.join(', ')}.`);
+    }
+    return value;
+}
+
+function normalizeBlock(block, index) {
+    const field = `blocks[${index}]`;
+    const days = Array.isArray(block?.days) ? block.days.map(Number) : null;
+    if (!days || days.length === 0 || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+        throw new Error(`${field}.days must be a non-empty array of weekdays from 0 (Sunday) to 6.`);
+    }
+    const start = validateTime(block.start, `${field}.start`);
+    const end = validateTime(block.end, `${field}.end`, { allowMidnightEnd: true });
+    if (start === end) {
+        throw new Error(`${field} must not start and end at the same time.`);
+    }
+    return {
+        id: typeof block.id === 'string' && block.id ? block.id : newId('blk'),
+        days: Array.from(new Set(days)).sort((a, b) => a - b),
+        start,
+        end,
+        activity: normalizeText(block.activity, `${field}.activity`, { required: true }),
+        status: normalizeStatus(block.status, `${field}.status`),
+        hint: normalizeText(block.hint, `${field}.hint`)
+    };
+}
+
+function normalizeException(exception, index) {
+    const field = `exceptions[${index}]`;
+    const from = validateDate(exception?.from, `${field}.from`);
+    const to = validateDate(exception.to || from, `${field}.to`);
+    if (to < from) {
+        throw new Error(`${field}.to must not be before ${field}.from.`);
+    }
+    const hasTimes = Boolean(exception.start || exception.end);
+    const start = hasTimes ? validateTime(exception.start, `${field}.start`) : null;
+    const end = hasTimes ? validateTime(exception.end, `${field}.end`, { allowMidnightEnd: true }) : null;
+    if (hasTimes && start === end) {
+        throw new Error(`${field} must not start and end at the same time.`);
+    }
+    return {
+        id: typeof exception.id === 'string' && exception.id ? exception.id : newId('exc'),
+        from,
+        to,
+        start,
+        end,
+        activity: normalizeText(exception.activity, `${field}.activity`, { required: true }),
+        status: normalizeStatus(exception.status, `${field}.status`),
+        hint: normalizeText(exception.hint, `${field}.hint`)
+    };
+}
+
+/**
+ * Validates a whole schedule, filling in IDs and defaults.
+ * @param {Partial<Schedule>} input
+ * @returns {Schedule}
+ */
+function normalizeSchedule(input) {
+    const blocks = input?.blocks ?? [];
+    const exceptions = input?.exceptions ?? [];
+    if (!Array.isArray(blocks) || !Array.isArray(exceptions)) {
+        throw new Error('blocks and exceptions must be arrays.');
+    }
+    if (blocks.length + exceptions.length > MAX_ENTRIES) {
+        throw new Error(`A schedule can have at most ${MAX_ENTRIES} blocks and exceptions.`);
+    }
+    return {
+        version: SCHEDULE_VERSION,
+        timezone: validateTimezone(input?.timezone || getServerTimezone()),
+        blocks: blocks.map(normalizeBlock),
+        exceptions: exceptions.map(normalizeException),
+        updatedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * @returns {Promise<Schedule>} The stored schedule, or an empty one.
+ */
+async function getSchedule() {
+    const state = await readState();
+    return state.schedule || emptySchedule();
+}
+
+/**
+ * Replaces the schedule.
+ * @param {Partial<Schedule>} input
+ * @returns {Promise<Schedule>}
+ */
+async function saveSchedule(input) {
+    const schedule = normalizeSchedule(input);
+    await updateState((state) => {
+        state.schedule = schedule;
+    });
+    return schedule;
+}
+
+/**
+ * Adds a one-off exception.
+ * @param {Partial<ScheduleException>} input
+ * @returns {Promise<ScheduleException>}
+ */
+async function addScheduleException(input) {
+    const exception = normalizeException(input, 0);
+    await updateState((state) => {
+        const schedule = state.schedule || emptySchedule();
+        if (schedule.blocks.length + schedule.exceptions.length >= MAX_ENTRIES) {
+            throw new Error(`A schedule can have at most ${MAX_ENTRIES} blocks and exceptions.`);
+        }
+        schedule.exceptions.push(exception);
+        schedule.updatedAt = new Date().toISOString();
+        state.schedule = schedule;
+    });
+    return exception;
+}
+
+/**
+ * Removes a one-off exception.
+ * @param {string} id
+ * @returns {Promise<boolean>} False if it didn't exist.
+ */
+async function removeScheduleException(id) {
+    return updateState((state) => {
+        const exceptions = state.schedule?.exceptions || [];
+        if (!exceptions.some(exception => exception.id === id)) return false;
+        state.schedule.exceptions = exceptions.filter(exception => exception.id !== id);
+        state.schedule.updatedAt = new Date().toISOString();
+        return true;
+    });
+}
+
+/**
+ * Date, weekday and time of day of an instant in a time zone.
+ * @param {Date} date
+ * @param {string} timezone
+ * @returns {{date: string, weekday: number, minutes: number}}
+ */
+function getLocalParts(date, timezone) {
+    const parts = {};
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        weekday: 'long',
+        hourCycle: 'h23'
+    });
+    for (const { type, value } of formatter.formatToParts(date)) {
+        parts[type] = value;
+    }
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        weekday: WEEKDAYS.indexOf(parts.weekday),
+        minutes: (Number(parts.hour) % 24) * 60 + Number(parts.minute)
+    };
+}
+
+function previousDate(dateKey) {
+    const date = new Date(`${dateKey}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() - 1);
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Whether a daily window is open. Overnight windows (end before start) run into the next
+ * day, so they count when they started today or yesterday.
+ * @returns {number|null} Minutes of day when the window closes, or null if it isn't open.
+ */
+function getWindowEnd(start, end, minutes, startedToday, startedYesterday) {
+    const startMinutes = toMinutes(start);
+    const endMinutes = toMinutes(end);
+    if (startMinutes < endMinutes) {
+        return startedToday && minutes >= startMinutes && minutes < endMinutes ? endMinutes : null;
+    }
+    if (startedToday && minutes >= startMinutes) return endMinutes;
+    if (startedYesterday && minutes < endMinutes) return endMinutes;
+    return null;
+}
+
+/**
+ * Works out what the schedule says at a given time. Exceptions win over weekly blocks;
+ * among overlapping entries of the same kind, the later one in the list wins.
+ * @param {Schedule} schedule
+ * @param {Date} [now=new Date()]
+ * @returns {ScheduleStatus}
+ */
+function resolveScheduleStatus(schedule, now = new Date()) {
+    const local = getLocalParts(now, schedule.timezone);
+    const yesterday = previousDate(local.date);
+    const yesterdayWeekday = (local.weekday + 6) % 7;
+    const base = { day: WEEKDAYS[local.weekday], time: formatMinutes(local.minutes), date: local.date };
+    const toStatus = (entry, source, until) => ({
+        activity: entry.activity,
+        status: entry.status,
+        hint: entry.hint || STATUS_HINTS[entry.status],
+        until,
+        source,
+        ...base
+    });
+
+    const inRange = (exception, date) => exception.from <= date && date <= exception.to;
+    for (const exception of [...schedule.exceptions].reverse()) {
+        if (!exception.start) {
+            if (inRange(exception, local.date)) return toStatus(exception, 'exception', exception.to);
+            continue;
+        }
+        const end = getWindowEnd(exception.start, exception.end, local.minutes,
+            inRange(exception, local.date), inRange(exception, yesterday));
+        if (end !== null) return toStatus(exception, 'exception', formatMinutes(end));
+    }
+
+    for (const block of [...schedule.blocks].reverse()) {
+        const end = getWindowEnd(block.start, block.end, local.minutes,
+            block.days.includes(local.weekday), block.days.includes(yesterdayWeekday));
+        if (end !== null) return toStatus(block, 'block', formatMinutes(end));
+    }
+
+    return { activity: 'Available', status: 'available', hint: STATUS_HINTS.available, until: null, source: 'default', ...base };
+}
+
+/**
+ * What the stored schedule says at a given time.
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<ScheduleStatus>}
+ */
+async function getScheduleStatus(now = new Date()) {
+    return resolveScheduleStatus(await getSchedule(), now);
+}
+
+/**
+ * Schedule context appended to the AI instruction: today's plan and the current status.
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<string>} Empty when no schedule is set up.
+ */
+async function buildScheduleContext(now = new Date()) {
+    const schedule = await getSchedule();
+    if (schedule.blocks.length === 0 && schedule.exceptions.length === 0) {
+        return '';
+    }
+    const current = resolveScheduleStatus(schedule, now);
+    const weekday = WEEKDAYS.indexOf(current.day);
+
+    let context = `\n\nCurrent Context: Today is ${current.day}. Current time is ${current.time} (${schedule.timezone}).`;
+    const today = schedule.blocks
+        .filter(block => block.days.includes(weekday))
+        .sort((a, b) => a.start.localeCompare(b.start));
+    if (today.length > 0) {
+        context += ` Today's schedule: ${today.map(block => `${block.start}-${block.end}: ${block.activity}`).join('; ')}.`;
+    }
+    context += `\n\nCurrent Status: Currently ${current.activity}`;
+    if (current.until && current.status !== 'available') {
+        context += current.source === 'exception' && !current.until.includes(':')
+            ? ` (through ${current.until})`
+            : ` (until ${current.until})`;
+    }
+    context += `. ${current.hint}`;
+    return context;
+}
+
+// --- Legacy AI_SCHEDULE text ---
+
+const DAY_WORDS = { sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6 };
+const TIME_PATTERN = '(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm)?';
+const LEGACY_LINE = new RegExp(`^(?:([a-z,\\s-]+?)\\s+)?${TIME_PATTERN}\\s*(?:-|–|to)\\s*${TIME_PATTERN}\\s*[:\\-–]?\\s*(.+)$`, 'i');
+
+function parseLegacyTime(hoursText, minutesText, meridiem) {
+    let hours = Number(hoursText);
+    const minutes = Number(minutesText || 0);
+    if (meridiem) {
+        if (hours < 1 || hours > 12) return null;
+        hours = (hours % 12) + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+    }
+    if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+function parseLegacyDays(text) {
+    if (!text) return [0, 1, 2, 3, 4, 5, 6];
+    const words = text.toLowerCase().trim();
+    if (/^(daily|every ?day)$/.test(words)) return [0, 1, 2, 3, 4, 5, 6];
+    if (words === 'weekdays') return [1, 2, 3, 4, 5];
+    if (words === 'weekends') return [0, 6];
+
+    const days = new Set();
+    for (const part of words.split(/\s*,\s*/)) {
+        const [from, to] = part.split(/\s*-\s*/).map(word => DAY_WORDS[word.slice(0, 3)]);
+        if (from === undefined || (part.includes('-') && to === undefined)) return null;
+        if (to === undefined) {
+            days.add(from);
+            continue;
+        }
+        for (let day = from; ; day = (day + 1) % 7) {
+            days.add(day);
+            if (day === to) break;
+        }
+    }
+    return Array.from(days).sort((a, b) => a - b);
+}
+
+// Status guessed from the activity, as the old parser picked its guidance
+function guessLegacyStatus(activity) {
+    if (/study|homework|programming|coding|work|meeting/i.test(activity)) return { status: 'busy', hint: null };
+    if (/school/i.test(activity)) return { status: 'away', hint: 'The user is at school. Will reply later.' };
+    if (/sleep/i.test(activity)) return { status: 'sleeping', hint: null };
+    return { status: 'available', hint: null };
+}
+
+/**
+ * Converts the old free-text schedule ("6:00-7:00: Study", "9AM-12PM: Work", optionally
+ * prefixed with days such as "Mon-Fri" or "Weekends") into blocks.
+ * @param {string} text
+ * @returns {{blocks: ScheduleBlock[], skipped: string[]}} Lines that couldn't be read are skipped.
+ */
+function parseLegacySchedule(text) {
+    const blocks = [];
+    const skipped = [];
+    for (const line of String(text || '').split(/\r?\n|\\n/)) {
+        const trimmedLine = line.trim();
+        if (!trimmedLine) continue;
+        const match = LEGACY_LINE.exec(trimmedLine);
+        if (!match) {
+            skipped.push(trimmedLine);
+            continue;
+        }
+        const [, dayText, startHours, startMinutes, startMeridiem, endHours, endMinutes, endMeridiem, activityText] = match;
+        // "9-5pm" starts at 9am and "1-5pm" at 1pm: a bare start takes the end's am/pm unless that puts it after the end
+        let meridiem = startMeridiem;
+        if (!meridiem && endMeridiem) {
+            const sameHalf = Number(startHours) % 12 <= Number(endHours) % 12;
+            meridiem = sameHalf ? endMeridiem : (endMeridiem.toLowerCase() === 'pm' ? 'am' : 'pm');
+        }
+        const days = parseLegacyDays(dayText);
+        const start = parseLegacyTime(startHours, startMinutes, meridiem);
+        const end = parseLegacyTime(endHours, endMinutes, endMeridiem);
+        if (!days || !start || !end || start === end || start === '24:00') {
+            skipped.push(trimmedLine);
+            continue;
+        }
+        const activity = activityText.trim().slice(0, MAX_TEXT_LENGTH);
+        blocks.push({
+            id: newId('blk'),
+            days,
+            start,
+            end,
+            activity,
+            ...guessLegacyStatus(activity)
+        });
+    }
+    return { blocks, skipped };
+}
+
+/**
+ * Imports the old AI_SCHEDULE text once, the first time the structured schedule is used.
+ * @param {string} [text] - The AI_SCHEDULE value
+ * @returns {Promise<{imported: number, skipped: string[]}|null>} Null if there was nothing to import.
+ */
+async function migrateLegacySchedule(text) {
+    if (!text || !text.trim()) return null;
+    const { blocks, skipped } = parseLegacySchedule(text);
+    const imported = await updateState((state) => {
+        if (state.schedule) return false;
+        state.schedule = { ...emptySchedule(), blocks, updatedAt: new Date().toISOString() };
+        return true;
+    });
+    return imported ? { imported: blocks.length, skipped } : null;
+}
+
+module.exports = {
+    SCHEDULE_STATUSES,
+    getSchedule,
+    saveSchedule,
+    addScheduleException,
+    removeScheduleException,
+    resolveScheduleStatus,
+    getScheduleStatus,
+    buildScheduleContext,
+    parseLegacySchedule,
+    migrateLegacySchedule
+};
@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+const { readState, updateState } = require('./data-storage');
+const { getNextCronTime } = require('./cron');
+
+const WORKER_INTERVAL_MS = 15 * 1000;
+// A run that starts later than this after its time counts as missed (server down, WhatsApp offline)
+const MISSED_AFTER_MS = 5 * 60 * 1000;
+const CATCH_UP_POLICIES = ['send', 'skip'];
+
+/**
+ * @typedef {object} ScheduledMessage
+ * @property {string} id
+ * @property {string} jid - Chat to send to
+ * @property {string} [text] - Message text (the caption for media)
+ * @property {object} [media] - MediaRef from media-store.js, with subType
+ * @property {string|null} cron - Cron expression for recurring jobs; null for one-shot jobs
+ * @property {'send' | 'skip'} catchUp - What to do with runs missed while offline: send once late, or skip to the next run
+ * @property {'scheduled' | 'sending' | 'sent' | 'failed' | 'missed'} status - 'sent', 'failed' and 'missed' are final for one-shot jobs
+ * @property {string|null} nextRunAt - ISO 8601 timestamp; null once a one-shot job is done
+ * @property {string|null} lastRunAt - ISO 8601 timestamp
+ * @property {string|null} lastError
+ * @property {number} runCount - Successful sends so far
+ * @property {string} createdAt - ISO 8601 timestamp
+ */
+
+/**
+ * Validates a new job and works out its first run.
+ * @param {object} options
+ * @param {string} options.jid
+ * @param {string} [options.text]
+ * @param {object} [options.media]
+ * @param {string} [options.sendAt] - ISO 8601 timestamp (one-shot)
+ * @param {string} [options.cron] - Cron expression (recurring)
+ * @param {'send' | 'skip'} [options.catchUp='send']
+ * @returns {ScheduledMessage}
+ */
+function buildScheduledMessage({ jid, text, media, sendAt, cron, catchUp = 'send' }) {
+    if (!jid) {
+        throw new Error('"to" is required.');
+    }
+    if (!media && (typeof text !== 'string' || !text.trim())) {
+        throw new Error('Message text must not be empty.');
+    }
+    if (!CATCH_UP_POLICIES.includes(catchUp)) {
+        throw new Error(`catchUp must be one of: ${CATCH_UP_POLICIES.join(', ')}.`);
+    }
+    if (Boolean(sendAt) === Boolean(cron)) {
+        throw new Error('Give either sendAt (one-shot) or cron (recurring).');
+    }
+
+    let nextRunAt;
+    if (cron) {
+        nextRunAt = getNextCronTime(cron); // Throws on invalid expressions
+        if (!nextRunAt) {
+            throw new Error(`The cron expression "${cron}" never matches.`);
+        }
+    } else {
+        nextRunAt = new Date(sendAt);
+        if (Number.isNaN(nextRunAt.getTime())) {
+            throw new Error('sendAt must be an ISO 8601 timestamp.');
+        }
+        if (nextRunAt.getTime() < Date.now() - MISSED_AFTER_MS) {
+            throw new Error('sendAt is in the past.');
+        }
+    }
+
+    return {
+        id: `sched_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+        jid,
+        text: typeof text === 'string' ? text : '',
+        media: media || null,
+        cron: cron || null,
+        catchUp,
+        status: 'scheduled',
+        nextRunAt: nextRunAt.toISOString(),
+        lastRunAt: null,
+        lastError: null,
+        runCount: 0,
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Lists scheduled messages, soonest first (finished one-shot jobs last).
+ * @param {string} [jid] - Only jobs for this chat
+ * @returns {Promise<ScheduledMessage[]>}
+ */
+async function getScheduledMessages(jid) {
+    const state = await readState();
+    return Object.values(state.scheduledMessages || {})
+        .filter(job => !jid || job.jid === jid)
+        .sort((a, b) => {
+            if (a.nextRunAt && b.nextRunAt) return a.nextRunAt.localeCompare(b.nextRunAt);
+            if (a.nextRunAt || b.nextRunAt) return a.nextRunAt ? -1 : 1;
+            return b.createdAt.localeCompare(a.createdAt);
+        });
+}
+
+/**
+ * Stores a new scheduled message.
+ * @param {object} options - See buildScheduledMessage
+ * @returns {Promise<ScheduledMessage>}
+ */
+async function addScheduledMessage(options) {
+    const job = buildScheduledMessage(options);
+    await updateState((state) => {
+        state.scheduledMessages = state.scheduledMessages || {};
+        state.scheduledMessages[job.id] = job;
+    });
+    return job;
+}
+
+/**
+ * Cancels a scheduled message.
+ * @param {string} id
+ * @returns {Promise<ScheduledMessage|null>} The removed job, or null if unknown.
+ */
+async function removeScheduledMessage(id) {
+    return updateState((state) => {
+        const job = state.scheduledMessages?.[id];
+        if (!job) return null;
+        delete state.scheduledMessages[id];
+        return job;
+    });
+}
+
+/**
+ * Next run of a recurring job strictly after `after`.
+ * @param {ScheduledMessage} job
+ * @param {Date} after
+ * @returns {string|null}
+ */
+function getNextRunAt(job, after) {
+    const next = getNextCronTime(job.cron, after);
+    return next ? next.toISOString() : null;
+}
+
+/**
+ * Claims every due job so each run is sent at most once, even across restarts.
+ * Missed runs are handled here according to the job's catchUp policy.
+ * @param {Date} now
+ * @returns {Promise<ScheduledMessage[]>} Jobs to send now (copies).
+ */
+async function claimDueJobs(now) {
+    const nowMs = now.getTime();
+    // Cheap read first so idle ticks don't rewrite the state
+    const { scheduledMessages } = await readState();
+    const hasDue = Object.values(scheduledMessages || {})
+        .some(job => job.status === 'scheduled' && job.nextRunAt && new Date(job.nextRunAt).getTime() <= nowMs);
+    if (!hasDue) return [];
+
+    return updateState((state) => {
+        const claimed = [];
+        for (const job of Object.values(state.scheduledMessages || {})) {
+            if (job.status !== 'scheduled' || !job.nextRunAt) continue;
+            const dueMs = new Date(job.nextRunAt).getTime();
+            if (dueMs > nowMs) continue;
+
+            const missed = nowMs - dueMs > MISSED_AFTER_MS;
+            if (missed && job.catchUp === 'skip') {
+                job.lastError = `Missed run at ${job.nextRunAt}`;
+                if (job.cron) {
+                    job.nextRunAt = getNextRunAt(job, now);
+                    if (!job.nextRunAt) job.status = 'missed';
+                } else {
+                    job.status = 'missed';
+                    job.nextRunAt = null;
+                }
+                continue;
+            }
+
+            // Recurring jobs move on right away; a catch-up sends once, however many runs were missed
+            if (job.cron) {
+                job.nextRunAt = getNextRunAt(job, now);
+            } else {
+                job.status = 'sending';
+            }
+            claimed.push({ ...job });
+        }
+        return claimed;
+    });
+}
+
+/**
+ * Records the outcome of a run.
+ * @param {ScheduledMessage} job
+ * @param {Error|null} error
+ */
+async function finishRun(job, error) {
+    await updateState((state) => {
+        const latest = state.scheduledMessages?.[job.id];
+        if (!latest) return; // Cancelled while sending
+        latest.lastRunAt = new Date().toISOString();
+        latest.lastError = error ? (error.message || String(error)) : null;
+        if (!error) latest.runCount += 1;
+        if (!latest.cron) {
+            latest.status = error ? 'failed' : 'sent';
+            latest.nextRunAt = null;
+        } else if (!latest.nextRunAt) {
+            latest.status = error ? 'failed' : 'sent';
+        }
+    });
+}
+
+let isProcessing = false;
+
+/**
+ * Sends every due job.
+ * @param {object} handlers
+ * @param {(job: ScheduledMessage) => Promise<void>} handlers.send - Sends one job; throws on failure
+ * @param {() => boolean} handlers.isReady - Whether WhatsApp is connected
+ */
+async function processScheduledMessages({ send, isReady }) {
+    // While WhatsApp is offline, due jobs wait and are caught up (or skipped) on reconnect
+    if (isProcessing || !isReady()) return;
+    isProcessing = true;
+    try {
+        const jobs = await claimDueJobs(new Date());
+        for (const job of jobs) {
+            let error = null;
+            try {
+                await send(job);
+            } catch (sendError) {
+                error = sendError;
+                console.error(`Error sending scheduled message ${job.id}:`, sendError.message);
+            }
+            await finishRun(job, error);
+        }
+    } catch (error) {
+        console.error('Error processing scheduled messages:', error.message);
+    } finally {
+        isProcessing = false;
+    }
+}
+
+/**
+ * Starts the background worker. One-shot jobs that were being sent when the server stopped are
+ * marked failed rather than sent again, since WhatsApp may already have delivered them.
+ * @param {object} handlers - See processScheduledMessages
+ * @returns {Promise<NodeJS.Timeout>}
+ */
+async function startScheduler(handlers) {
+    try {
+        await updateState((state) => {
+            for (const job of Object.values(state.scheduledMessages || {})) {
+                if (job.status === 'sending') {
+                    job.status = 'failed';
+                    job.nextRunAt = null;
+                    job.lastError = 'Server stopped while sending; not retried to avoid a duplicate.';
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Error recovering scheduled messages:', error.message);
+    }
+    processScheduledMessages(handlers);
+    return setInterval(() => processScheduledMessages(handlers), WORKER_INTERVAL_MS);
+}
+
+module.exports = {
+    CATCH_UP_POLICIES,
+    getScheduledMessages,
+    addScheduledMessage,
+    removeScheduledMessage,
+    processScheduledMessages,
+    startScheduler
+};
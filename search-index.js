@@ -0,0 +1,293 @@
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// BM25 tuning constants
+const K1 = 1.2;
+const B = 0.75;
+// Weight of a query term that only matches as a prefix of an indexed term.
+const PREFIX_WEIGHT = 0.5;
+const MAX_PREFIX_EXPANSIONS = 50;
+const SNIPPET_BEFORE = 60;
+const SNIPPET_AFTER = 100;
+
+/**
+ * @typedef {object} SearchHit
+ * @property {string} jid - Chat the message belongs to
+ * @property {string} id - Message ID
+ * @property {string} timestamp - ISO 8601 timestamp of the message
+ * @property {'sent' | 'received'} direction
+ * @property {string} subType
+ * @property {number} score - Relevance score (higher is better)
+ * @property {string} snippet - Excerpt of the message around the first match
+ * @property {Array<[number, number]>} highlights - [start, end) offsets of matches inside the snippet
+ */
+
+function normalizeToken(token) {
+    return token.toLowerCase().normalize('NFKD').replace(/\p{M}/gu, '');
+}
+
+function tokenize(text) {
+    if (typeof text !== 'string' || !text) return [];
+    return (text.match(TOKEN_PATTERN) || []).map(normalizeToken).filter(Boolean);
+}
+
+/**
+ * Builds the text of a message that should be searchable.
+ * @param {object} message
+ * @returns {string}
+ */
+function getSearchableText(message) {
+    const parts = [];
+    if (typeof message?.content === 'string' && message.content.trim()) {
+        parts.push(message.content.trim());
+    }
+    if (message?.media?.filename) {
+        parts.push(message.media.filename);
+    }
+    if (typeof message?.transcript?.text === 'string' && message.transcript.text) {
+        parts.push(message.transcript.text);
+    }
+    // Translations make messages findable in the user's own language
+    if (typeof message?.translation?.text === 'string' && message.translation.text) {
+        parts.push(message.translation.text);
+    }
+    if (typeof message?.originalContent === 'string' && message.originalContent) {
+        parts.push(message.originalContent);
+    }
+    return parts.join('\n');
+}
+
+function toTimestampMs(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value === 'number') return value;
+    const asNumber = Number(value);
+    if (Number.isFinite(asNumber) && /^\d+$/.test(String(value))) return asNumber;
+    const parsed = Date.parse(value);
+    return Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * Finds the matched words in `text` and cuts a snippet around the first one.
+ * @param {string} text
+ * @param {(token: string) => boolean} isMatch
+ * @returns {{snippet: string, highlights: Array<[number, number]>}}
+ */
+function buildSnippet(text, isMatch) {
+    const matches = [];
+    for (const found of text.matchAll(TOKEN_PATTERN)) {
+        if (isMatch(normalizeToken(found[0]))) {
+            matches.push([found.index, found.index + found[0].length]);
+        }
+    }
+    if (matches.length === 0) {
+        const snippet = text.length > SNIPPET_BEFORE + SNIPPET_AFTER
+            ? `${text.slice(0, SNIPPET_BEFORE + SNIPPET_AFTER)}…`
+            : text;
+        return { snippet, highlights: [] };
+    }
+
+    let start = Math.max(0, matches[0][0] - SNIPPET_BEFORE);
+    let end = Math.min(text.length, matches[0][1] + SNIPPET_AFTER);
+    // Don't cut words in half at the edges.
+    if (start > 0) {
+        const space = text.indexOf(' ', start);
+        if (space !== -1 && space < matches[0][0]) start = space + 1;
+    }
+    if (end < text.length) {
+        const space = text.lastIndexOf(' ', end);
+        if (space > matches[0][1]) end = space;
+    }
+
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    const highlights = matches
+        .filter(([s, e]) => s >= start && e <= end)
+        .map(([s, e]) => [s - start + prefix.length, e - start + prefix.length]);
+    return { snippet: `${prefix}${text.slice(start, end)}${suffix}`, highlights };
+}
+
+/**
+ * Creates an in-memory inverted index over message text, ranked with BM25.
+ * @returns {object} The index.
+ */
+function createSearchIndex() {
+    /** @type {Map<string, {jid: string, id: string, ts: number|null, timestamp: string, direction: string, subType: string, text: string, length: number}>} */
+    const docs = new Map();
+    /** @type {Map<string, Map<string, number>>} term -> (doc key -> term frequency) */
+    const postings = new Map();
+    let totalLength = 0;
+
+    const docKey = (jid, id) => `${jid}\u0000${id}`;
+
+    function remove(jid, id) {
+        const key = docKey(jid, id);
+        const doc = docs.get(key);
+        if (!doc) return false;
+        for (const term of new Set(tokenize(doc.text))) {
+            const termDocs = postings.get(term);
+            if (!termDocs) continue;
+            termDocs.delete(key);
+            if (termDocs.size === 0) postings.delete(term);
+        }
+        totalLength -= doc.length;
+        docs.delete(key);
+        return true;
+    }
+
+    function add(jid, message) {
+        if (!message || message.id === undefined || message.id === null) return false;
+        const id = String(message.id);
+        remove(jid, id);
+
+        const text = getSearchableText(message);
+        const terms = tokenize(text);
+        if (terms.length === 0) return false;
+
+        const key = docKey(jid, id);
+        const frequencies = new Map();
+        for (const term of terms) {
+            frequencies.set(term, (frequencies.get(term) || 0) + 1);
+        }
+        for (const [term, tf] of frequencies) {
+            if (!postings.has(term)) postings.set(term, new Map());
+            postings.get(term).set(key, tf);
+        }
+        docs.set(key, {
+            jid,
+            id,
+            ts: toTimestampMs(message.timestamp),
+            timestamp: message.timestamp,
+            direction: message.direction,
+            subType: message.subType || 'chat',
+            text,
+            length: terms.length
+        });
+        totalLength += terms.length;
+        return true;
+    }
+
+    function removeChat(jid) {
+        const prefix = `${jid}\u0000`;
+        for (const key of Array.from(docs.keys())) {
+            if (key.startsWith(prefix)) {
+                remove(jid, key.slice(prefix.length));
+            }
+        }
+    }
+
+    function clear() {
+        docs.clear();
+        postings.clear();
+        totalLength = 0;
+    }
+
+    /**
+     * Returns the indexed terms a query term matches, with their weight.
+     * @param {string} queryTerm
+     * @returns {Map<string, number>}
+     */
+    function expandTerm(queryTerm) {
+        const expansions = new Map();
+        if (postings.has(queryTerm)) {
+            expansions.set(queryTerm, 1);
+        }
+        if (queryTerm.length >= 2) {
+            for (const term of postings.keys()) {
+                if (expansions.size >= MAX_PREFIX_EXPANSIONS) break;
+                if (term !== queryTerm && term.startsWith(queryTerm)) {
+                    expansions.set(term, PREFIX_WEIGHT);
+                }
+            }
+        }
+        return expansions;
+    }
+
+    /**
+     * Searches indexed messages. Every query word must match (as a word or word prefix).
+     * @param {string} query
+     * @param {object} [filters]
+     * @param {string} [filters.jid] - Only search this chat
+     * @param {string|number} [filters.from] - Earliest timestamp (ISO 8601 or ms)
+     * @param {string|number} [filters.to] - Latest timestamp (ISO 8601 or ms)
+     * @param {'sent' | 'received'} [filters.direction]
+     * @param {number} [filters.limit=20]
+     * @param {number} [filters.offset=0]
+     * @returns {{total: number, hits: SearchHit[]}}
+     */
+    function search(query, { jid, from, to, direction, limit = 20, offset = 0 } = {}) {
+        const queryTerms = Array.from(new Set(tokenize(query)));
+        if (queryTerms.length === 0 || docs.size === 0) {
+            return { total: 0, hits: [] };
+        }
+
+        const fromMs = toTimestampMs(from);
+        const toMs = toTimestampMs(to);
+        const avgLength = totalLength / docs.size;
+        const scores = new Map();
+        const matchedTerms = new Set();
+
+        for (let i = 0; i < queryTerms.length; i++) {
+            const termScores = new Map();
+            for (const [term, weight] of expandTerm(queryTerms[i])) {
+                matchedTerms.add(term);
+                const termDocs = postings.get(term);
+                const idf = Math.log(1 + (docs.size - termDocs.size + 0.5) / (termDocs.size + 0.5));
+                for (const [key, tf] of termDocs) {
+                    const doc = docs.get(key);
+                    const norm = tf * (K1 + 1) / (tf + K1 * (1 - B + B * doc.length / avgLength));
+                    termScores.set(key, Math.max(termScores.get(key) || 0, idf * norm * weight));
+                }
+            }
+            // AND semantics: keep only documents that matched all previous terms too.
+            if (i === 0) {
+                for (const [key, score] of termScores) scores.set(key, score);
+            } else {
+                for (const key of Array.from(scores.keys())) {
+                    if (termScores.has(key)) {
+                        scores.set(key, scores.get(key) + termScores.get(key));
+                    } else {
+                        scores.delete(key);
+                    }
+                }
+            }
+            if (scores.size === 0) break;
+        }
+
+        const phrase = queryTerms.length > 1 ? queryTerms.join(' ') : null;
+        const ranked = [];
+        for (const [key, score] of scores) {
+            const doc = docs.get(key);
+            if (jid && doc.jid !== jid) continue;
+            if (direction && doc.direction !== direction) continue;
+            if (fromMs !== null && (doc.ts === null || doc.ts < fromMs)) continue;
+            if (toMs !== null && (doc.ts === null || doc.ts > toMs)) continue;
+            const phraseBonus = phrase && tokenize(doc.text).join(' ').includes(phrase) ? 1.5 : 1;
+            ranked.push({ doc, score: score * phraseBonus });
+        }
+        ranked.sort((a, b) => (b.score - a.score) || ((b.doc.ts || 0) - (a.doc.ts || 0)));
+
+        const isMatch = (token) => matchedTerms.has(token);
+        const hits = ranked.slice(offset, offset + limit).map(({ doc, score }) => ({
+            jid: doc.jid,
+            id: doc.id,
+            timestamp: doc.timestamp,
+            direction: doc.direction,
+            subType: doc.subType,
+            score: Math.round(score * 1000) / 1000,
+            ...buildSnippet(doc.text, isMatch)
+        }));
+        return { total: ranked.length, hits };
+    }
+
+    return {
+        add,
+        remove,
+        removeChat,
+        clear,
+        search,
+        get size() {
+            return docs.size;
+        }
+    };
+}
+
+module.exports = { createSearchIndex, getSearchableText, tokenize };
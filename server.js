@@ -3,41 +3,176 @@ require('dotenv').config();
 const { create, SocketState } = require('@wppconnect-team/wppconnect');
 const express = require('express');
 const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
 const WebSocket = require('ws');
 const path = require('path');
-const { readChats, writeChats, addMessageToChat, getChatHistory, getChatMode, setChatMode, getAIInstruction, setAIInstruction, readState, writeState, deleteMessageFromChat, deleteMessageFromChatPartial, deleteChat } = require('./data-storage');
+const { readChats, writeChats, ensureChats, addMessageToChat, chatExists, getMessage, updateMessage, getChatHistory, getChatMode, setChatMode, getAIInstruction, getDrafts, addDraft, updateDraft, removeDraft, readState, writeState, updateState, deleteMessageFromChat, deleteMessageFromChatPartial, deleteChat, migrateInlineMedia, ensureSearchIndex, searchMessages, getBackend } = require('./data-storage');
+const { saveMedia, getMediaInfo, readMediaBase64 } = require('./media-store');
+const { getScheduledMessages, addScheduledMessage, removeScheduledMessage, startScheduler } = require('./scheduler');
+const { enqueueOutgoing, processOutbox, startOutboxWorker } = require('./outbox');
+const { SCHEDULE_STATUSES, getSchedule, saveSchedule, addScheduleException, removeScheduleException, getScheduleStatus, parseLegacySchedule, migrateLegacySchedule } = require('./schedule');
+const { RULE_MODES, listRules, getRule, createRule, updateRule, deleteRule, getAllContactTags, setContactTags, evaluateRules, recordRuleFired, testRule } = require('./rules');
+const { WEBHOOK_EVENTS, listWebhooks, createWebhook, updateWebhook, deleteWebhook, getDeliveries, emitWebhookEvent, startWebhookWorker } = require('./webhooks');
 const axios = require('axios');
-const { getAIReply } = require('./ai');
+const multer = require('multer');
+const { aiEvents, getAIStatus, resetAIStatus, getAIReply, buildConversation, getMessageText } = require('./ai');
+const { configEvents, getConfig, getPublicConfig, updateConfig } = require('./config');
+const { isTranscriptionEnabled, transcribeMedia } = require('./transcription');
+const { resolveRange, summarizeChat, clearSummaries } = require('./summaries');
+const { suggestReplies } = require('./smart-replies');
+const { REWRITE_TONES, rewriteMessage } = require('./rewrite');
+const { LANGUAGES } = require('./language');
+const { detectMessageLanguage, getContactLanguage, setContactLanguage, processIncomingLanguage, prepareOutgoingText, getReplyLanguage } = require('./translation');
+const { PERSONA_TONES, REPLY_LENGTHS, getPersona, listPersonas, setPersona, deletePersona, getReplyLimits } = require('./personas');
+const { checkAutoReply, recordAutoReply, recordHumanMessage, resetChat: resetLoopGuard } = require('./loop-guard');
+const { MIN_PASSWORD_LENGTH, isPasswordSet, setupPassword, login, logout, changePassword, listApiTokens, createApiToken, revokeApiToken, buildSessionCookie, authenticateRequest, getLoginRetryAfter, recordLoginFailure, clearLoginFailures } = require('./auth');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
-const server = http.createServer(app);
 
-const contactCache = {};
-let syncProgress = { isRunning: false, processed: 0, total: 0 };
+// --- Authentication ---
+// Static files are public; everything under /api and the WebSocket needs a session or API token.
+function sendSessionCookie(req, res, token) {
+    res.setHeader('Set-Cookie', buildSessionCookie(token, { secure: req.secure }));
+}
 
-// Helper function to get stored API key from .env file
-async function getStoredApiKey() {
-    const fs = require('fs');
-    const path = require('path');
-    const envPath = path.join(__dirname, '.env');
-    
+app.get('/api/auth/status', async (req, res) => {
     try {
-        const envContent = fs.readFileSync(envPath, 'utf-8');
-        const lines = envContent.split('\n');
-        
-        for (const line of lines) {
-            if (line.startsWith('GROQ_API_KEY=')) {
-                return line.substring('GROQ_API_KEY='.length).trim();
-            }
+        const passwordSet = await isPasswordSet();
+        const auth = passwordSet ? await authenticateRequest(req) : null;
+        res.json({ passwordSet, authenticated: Boolean(auth), minPasswordLength: MIN_PASSWORD_LENGTH });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// First run only: choose the password
+app.post('/api/auth/setup', async (req, res) => {
+    try {
+        if (await isPasswordSet()) {
+            return res.status(409).json({ success: false, error: 'A password is already set.' });
+        }
+        const sessionToken = await setupPassword(req.body?.password);
+        sendSessionCookie(req, res, sessionToken);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const retryAfter = getLoginRetryAfter(req.ip);
+        if (retryAfter > 0) {
+            res.setHeader('Retry-After', String(retryAfter));
+            return res.status(429).json({ success: false, error: 'Too many failed attempts. Try again later.' });
+        }
+        const sessionToken = await login(req.body?.password);
+        if (!sessionToken) {
+            recordLoginFailure(req.ip);
+            return res.status(401).json({ success: false, error: 'Wrong password.' });
+        }
+        clearLoginFailures(req.ip);
+        sendSessionCookie(req, res, sessionToken);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.use('/api', async (req, res, next) => {
+    try {
+        req.auth = await authenticateRequest(req);
+    } catch (error) {
+        console.error('Error checking authentication:', error.message);
+    }
+    if (!req.auth) {
+        return res.status(401).json({ success: false, error: 'Authentication required.' });
+    }
+    next();
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        if (req.auth.type === 'session') {
+            await logout(req.auth.sessionToken);
+        }
+        sendSessionCookie(req, res, null);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Changing the password logs out every other session
+app.post('/api/auth/password', async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body || {};
+        const keepSession = req.auth.type === 'session' ? req.auth.sessionToken : null;
+        const changed = await changePassword(currentPassword, newPassword, keepSession);
+        if (!changed) {
+            return res.status(403).json({ success: false, error: 'Current password is wrong.' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// API tokens for scripted REST and WebSocket access
+app.get('/api/auth/tokens', async (req, res) => {
+    try {
+        res.json({ tokens: await listApiTokens() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/api/auth/tokens', async (req, res) => {
+    try {
+        const token = await createApiToken(req.body?.name);
+        res.status(201).json({ success: true, token });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/api/auth/tokens/:id', async (req, res) => {
+    try {
+        const revoked = await revokeApiToken(req.params.id);
+        if (!revoked) {
+            return res.status(404).json({ success: false, error: 'Token not found' });
         }
+        res.json({ success: true });
     } catch (error) {
-        // console.error('Error reading API key:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+const server = http.createServer(app);
+
+const contactCache = {};
+let syncProgress = { isRunning: false, processed: 0, total: 0 };
+
+/**
+ * Stores a message and, if it wasn't stored before, notifies webhook subscribers
+ * with a message.sent or message.received event.
+ * @param {string} jid The chat JID.
+ * @param {object} message
+ * @param {object} [options]
+ * @param {boolean} [options.notify=true] Set to false for messages that weren't actually sent.
+ * @returns {Promise<boolean>} True if the message was stored.
+ */
+async function storeMessage(jid, message, { notify = true } = {}) {
+    const inserted = await addMessageToChat(jid, message);
+    if (inserted && notify) {
+        emitWebhookEvent(message.direction === 'sent' ? 'message.sent' : 'message.received', { jid, message });
     }
-    return null;
+    return inserted;
 }
 
 function getAvatarUrl(seed) {
@@ -87,14 +222,36 @@ async function loadGroupMetadata() {
     }
 }
 
+/**
+ * Whether a chat key belongs to a group. Group IDs are either 'creator-timestamp' (older groups)
+ * or 18 digits starting with 120363; phone numbers never exceed 15 digits.
+ * @param {string} jidKey Chat key, with or without the @g.us suffix.
+ * @returns {boolean}
+ */
+function isGroupJid(jidKey) {
+    const value = String(jidKey || '');
+    if (value.endsWith('@g.us')) return true;
+    const id = value.split('@')[0];
+    return /^\d+-\d+$/.test(id) || /^\d{16,}$/.test(id);
+}
+
+/**
+ * Turns a chat key into the WhatsApp ID used by WPPConnect ('123@c.us' or '120363...@g.us').
+ * @param {string} jidKey
+ * @returns {string}
+ */
+function toWhatsAppId(jidKey) {
+    const id = String(jidKey || '').split('@')[0];
+    return isGroupJid(jidKey) ? `${id}@g.us` : `${id}@c.us`;
+}
+
 async function getContactDetails(jidKey) { // Renamed parameter to jidKey for clarity
     if (!jidKey || jidKey === 'status') {
         // console.warn(`[getContactDetails] - Attempted to get contact details for invalid jidKey: ${jidKey}`);
         return { name: 'Unknown', profilePicUrl: getAvatarUrl('unknown') };
     }
 
-    // Check if it's a group chat (has @g.us, contains dash, or starts with 12036 which is WhatsApp group prefix)
-    const isGroup = jidKey.includes('@g.us') || jidKey.includes('-') || jidKey.startsWith('12036');
+    const isGroup = isGroupJid(jidKey);
 
     // Check group metadata cache first
     if (isGroup && groupMetadataCache[jidKey]) {
@@ -480,17 +637,8 @@ app.post('/api/sync-contacts', async (req, res) => {
 
         // Step 5: Update persistent storage
         // console.log('[/api/sync-contacts] - Step 5: Updating chats.json...');
-        let chats = await readChats();
-        
-        for (const contact of fullContacts) {
-            const jidKey = contact.number;
-            if (!chats[jidKey]) {
-                chats[jidKey] = [];
-                // console.log(`[/api/sync-contacts] - Created chat entry for ${jidKey}`);
-            }
-        }
-
-        await writeChats(chats);
+        await ensureChats(fullContacts.map(contact => contact.number));
+        const chats = await readChats();
         // console.log('[/api/sync-contacts] - Updated chats.json successfully');
 
         // Prepare response with contact info
@@ -591,13 +739,331 @@ app.get('/api/chats', async (req, res) => {
         res.status(500).send('Error fetching chat history');
     }
 });
+// Messages of a single chat (used when jumping to a search hit in a chat that isn't loaded yet)
+app.get('/api/chats/:jid/messages', async (req, res) => {
+    try {
+        const { jid } = req.params;
+        const messages = await getBackend().getMessages(jid);
+        if (!messages) {
+            return res.status(404).json({ success: false, error: 'Chat not found' });
+        }
+        const contact = await getContactDetails(jid);
+        res.json({ messages, contact });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Transcribes (or re-transcribes) a stored audio message
+app.post('/api/chats/:jid/messages/:id/transcribe', async (req, res) => {
+    try {
+        const { jid, id } = req.params;
+        const message = await getMessage(jid, id);
+        if (!message) {
+            return res.status(404).json({ success: false, error: 'Message not found' });
+        }
+        if (message.subType !== 'audio' || !message.media?.hash) {
+            return res.status(400).json({ success: false, error: 'Only stored audio messages can be transcribed.' });
+        }
+        if (!await isTranscriptionEnabled()) {
+            return res.status(400).json({ success: false, error: 'Transcription is turned off. Choose a backend in Settings.' });
+        }
+        const updated = await transcribeMessage(jid, message);
+        const transcript = updated?.transcript;
+        if (transcript?.status !== 'done') {
+            return res.status(502).json({ success: false, error: transcript?.error || 'Transcription failed', transcript });
+        }
+        res.json({ success: true, transcript });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// "Catch me up": summary of a chat over a time range (default: the last 24 hours)
+app.post('/api/chats/:jid/summary', async (req, res) => {
+    const { jid } = req.params;
+    const options = { ...req.query, ...(req.body || {}) };
+    let range;
+    try {
+        range = resolveRange(options);
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+    try {
+        if (!await chatExists(jid)) {
+            return res.status(404).json({ success: false, error: 'Chat not found' });
+        }
+        const contact = await getContactDetails(jid);
+        const result = await summarizeChat(jid, {
+            ...range,
+            force: options.force === true || options.force === 'true',
+            contactName: contact.name
+        });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error(`Error summarizing chat ${jid}:`, error.message);
+        res.status(502).json({ success: false, code: error.code, error: error.message });
+    }
+});
+
+// Full-text message search across all chats
+app.get('/api/search', async (req, res) => {
+    try {
+        const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+        if (!q) {
+            return res.status(400).json({ success: false, error: 'Query parameter "q" is required.' });
+        }
+        const { jid, from, to, direction } = req.query;
+        if (direction && direction !== 'sent' && direction !== 'received') {
+            return res.status(400).json({ success: false, error: 'direction must be "sent" or "received".' });
+        }
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+        const result = await searchMessages(q, { jid, from, to, direction, limit, offset });
+        for (const hit of result.hits) {
+            const contact = await getContactDetails(hit.jid);
+            hit.contactName = contact.name;
+            hit.contactProfilePicUrl = contact.profilePicUrl;
+        }
+        res.json({ query: q, total: result.total, limit, offset, hits: result.hits });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Send a text or media message over REST (same rewrite, storage and broadcast path as the UI)
+const MAX_UPLOAD_BYTES = 64 * 1024 * 1024;
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_UPLOAD_BYTES } });
+const SEND_ERROR_STATUS = {
+    INVALID_REQUEST: 400,
+    INVALID_RECIPIENT: 400,
+    MEDIA_FETCH_FAILED: 422
+};
+
+function handleUpload(req, res, next) {
+    upload.single('file')(req, res, (error) => {
+        if (error) {
+            const message = error.code === 'LIMIT_FILE_SIZE' ? 'File is too large.' : error.message;
+            return res.status(400).json({ success: false, code: 'INVALID_REQUEST', error: message });
+        }
+        next();
+    });
+}
+
+// Addresses a mediaUrl may not lead to: this machine and private or link-local networks
+const BLOCKED_MEDIA_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]]) {
+    BLOCKED_MEDIA_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]) {
+    BLOCKED_MEDIA_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+function isBlockedMediaAddress(address) {
+    return BLOCKED_MEDIA_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * dns.lookup for media downloads that refuses blocked addresses. It runs when connecting, so a
+ * host name can't pass a check and then resolve to somewhere else.
+ */
+function lookupPublicAddress(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        if (addresses.some(({ address }) => isBlockedMediaAddress(address))) {
+            return callback(createSendError('INVALID_REQUEST', 'mediaUrl must not point to a local or private address.'));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+const mediaHttpAgent = new http.Agent({ lookup: lookupPublicAddress });
+const mediaHttpsAgent = new https.Agent({ lookup: lookupPublicAddress });
+
+/**
+ * Downloads a media file for POST /api/messages.
+ * @param {string} url
+ * @returns {Promise<{data: Buffer, mimetype: string, filename: string}>}
+ */
+async function fetchMediaFromUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw createSendError('INVALID_REQUEST', 'mediaUrl must be a valid URL.');
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw createSendError('INVALID_REQUEST', 'mediaUrl must use http or https.');
+    }
+    // IP addresses are connected to without a lookup, so they are checked here
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && isBlockedMediaAddress(host)) {
+        throw createSendError('INVALID_REQUEST', 'mediaUrl must not point to a local or private address.');
+    }
+    let response;
+    try {
+        response = await axios.get(url, {
+            responseType: 'arraybuffer',
+            timeout: 30000,
+            maxContentLength: MAX_UPLOAD_BYTES,
+            maxRedirects: 0,
+            httpAgent: mediaHttpAgent,
+            httpsAgent: mediaHttpsAgent
+        });
+    } catch (error) {
+        if (error.cause?.code === 'INVALID_REQUEST') throw error.cause;
+        throw createSendError('MEDIA_FETCH_FAILED', `Could not download mediaUrl: ${error.message}`);
+    }
+    let filename = path.basename(parsed.pathname);
+    try {
+        filename = decodeURIComponent(filename);
+    } catch (error) {
+        // A malformed escape such as a lone '%': keep the name as it is
+    }
+    return {
+        data: Buffer.from(response.data),
+        mimetype: (response.headers['content-type'] || 'application/octet-stream').split(';')[0].trim(),
+        filename: filename || 'file'
+    };
+}
+
+app.post('/api/messages', handleUpload, async (req, res) => {
+    try {
+        const { to, text, caption, mediaUrl, subType, filename, mimetype } = req.body || {};
+        if (!to) {
+            throw createSendError('INVALID_REQUEST', '"to" is required.');
+        }
+        const recipientId = toRecipientId(to);
+        if (!recipientId) {
+            throw createSendError('INVALID_RECIPIENT', `Invalid phone number: ${to}`);
+        }
+        // Store under the bare ID incoming messages use, whatever form "to" was given in
+        const jid = recipientId.split('@')[0];
+
+        let file = null;
+        if (req.file) {
+            file = { data: req.file.buffer, mimetype: req.file.mimetype, filename: req.file.originalname };
+        } else if (mediaUrl) {
+            file = await fetchMediaFromUrl(mediaUrl);
+        }
+
+        if (!file) {
+            const skipRewrite = req.body.skipRewrite === true || req.body.skipRewrite === 'true';
+            const skipTranslation = req.body.skipTranslation === true || req.body.skipTranslation === 'true';
+            const result = await sendTextMessage(jid, text, { skipRewrite, skipTranslation });
+            return res.status(result.status === 'sent' ? 200 : 202)
+                .json({ success: true, id: result.id, waMessageId: result.waMessageId, status: result.status });
+        }
+
+        const result = await sendMediaMessage(jid, {
+            data: file.data,
+            subType,
+            mimetype: mimetype || file.mimetype,
+            filename: filename || file.filename,
+            caption: caption ?? text
+        });
+        // 202 when WhatsApp is offline or erroring and the message waits in the outbox
+        res.status(result.status === 'sent' ? 200 : 202)
+            .json({ success: true, id: result.id, waMessageId: result.waMessageId, status: result.status });
+    } catch (error) {
+        const status = SEND_ERROR_STATUS[error.code];
+        if (!status) {
+            console.error('Error in POST /api/messages:', error.message);
+        }
+        res.status(status || 500).json({ success: false, code: error.code || 'INTERNAL_ERROR', error: error.message });
+    }
+});
+
+// Scheduled messages (one-shot or recurring); the worker is started in server.listen
+app.get('/api/scheduled', async (req, res) => {
+    try {
+        res.json({ jobs: await getScheduledMessages(req.query.jid) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/api/scheduled', handleUpload, async (req, res) => {
+    try {
+        const { to, text, caption, mediaUrl, subType, filename, mimetype, sendAt, cron, catchUp } = req.body || {};
+        const recipientId = to ? toRecipientId(to) : null;
+        if (!recipientId) {
+            return res.status(400).json({ success: false, error: `Invalid phone number: ${to || ''}` });
+        }
+        // Same chat key as incoming messages, so the ?jid= filter and the sent messages line up
+        const jid = recipientId.split('@')[0];
+
+        let file = null;
+        if (req.file) {
+            file = { data: req.file.buffer, mimetype: req.file.mimetype, filename: req.file.originalname };
+        } else if (mediaUrl) {
+            file = await fetchMediaFromUrl(mediaUrl);
+        }
+
+        // Media is stored now, so the job doesn't depend on the upload or URL later
+        let media = null;
+        if (file) {
+            const type = subType || getSubTypeForMimetype(mimetype || file.mimetype);
+            if (!MEDIA_SUBTYPES.includes(type)) {
+                return res.status(400).json({ success: false, error: `subType must be one of: ${MEDIA_SUBTYPES.join(', ')}.` });
+            }
+            const stored = await saveMedia(file.data, { mimetype: mimetype || file.mimetype, filename: filename || file.filename });
+            media = { ...stored, subType: type };
+        }
+
+        const job = await addScheduledMessage({
+            jid,
+            text: file ? (caption ?? text ?? '') : text,
+            media,
+            sendAt,
+            cron,
+            catchUp: catchUp || undefined
+        });
+        res.status(201).json({ success: true, job });
+    } catch (error) {
+        res.status(SEND_ERROR_STATUS[error.code] || 400).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/api/scheduled/:id', async (req, res) => {
+    try {
+        const job = await removeScheduledMessage(req.params.id);
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'Scheduled message not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 app.get('/api/contacts', (req, res) => res.json(contactCache));
+
+// Serve stored media by content hash (supports Range requests for audio/video seeking)
+app.get('/api/media/:hash', async (req, res) => {
+    try {
+        const info = await getMediaInfo(req.params.hash);
+        if (!info) {
+            return res.status(404).send('Media not found');
+        }
+        res.setHeader('Content-Type', info.mimetype);
+        res.sendFile(info.path, { maxAge: '1y', immutable: true, acceptRanges: true }, (error) => {
+            if (error && !res.headersSent) {
+                res.status(error.status || 500).send('Error reading media');
+            }
+        });
+    } catch (error) {
+        res.status(500).send('Error reading media');
+    }
+});
 app.get('/api/profile-pic/:jid', async (req, res) => {
     try {
         if (!wppClient || (wppStatus !== 'isLogged' && wppStatus !== 'inChat')) {
             return res.status(503).send('WhatsApp client not ready');
         }
-        const jid = req.params.jid + '@c.us';
+        const jid = toWhatsAppId(req.params.jid);
         const dpUrl = await wppClient.getProfilePicFromServer(jid);
         const picUrl = dpUrl && (dpUrl.eurl || dpUrl.imgFull) ? (dpUrl.eurl || dpUrl.imgFull) : null;
         if (!picUrl) return res.status(404).send('No profile pic');
@@ -626,136 +1092,464 @@ app.post('/api/mode/:jid', async (req, res) => {
         res.status(500).send('Error setting chat mode');
     }
 });
-app.get('/api/ai-instruction', async (req, res) => {
+// Webhooks
+app.get('/api/webhooks', async (req, res) => {
     try {
-        const instruction = await getAIInstruction();
-        res.json({ instruction });
+        res.json({ webhooks: await listWebhooks(), events: WEBHOOK_EVENTS });
     } catch (error) {
-        res.status(500).send('Error getting AI instruction');
+        res.status(500).json({ success: false, error: error.message });
     }
 });
-app.post('/api/ai-instruction', async (req, res) => {
+app.post('/api/webhooks', async (req, res) => {
+    let webhook;
     try {
-        await setAIInstruction(req.body.instruction);
-        res.json({ success: true });
+        webhook = await createWebhook(req.body || {});
     } catch (error) {
-        res.status(500).send('Error setting AI instruction');
+        return res.status(400).json({ success: false, error: error.message });
     }
+    // The secret is only returned in full here
+    res.status(201).json({ success: true, webhook });
 });
-app.post('/api/ai-suggest', async (req, res) => {
+app.patch('/api/webhooks/:id', async (req, res) => {
     try {
-        const { message } = req.body;
-        const instruction = await getAIInstruction();
-        const apiKey = await getStoredApiKey();
-        const aiReply = await getAIReply(message, instruction, apiKey);
-        res.json({ reply: aiReply });
+        const webhook = await updateWebhook(req.params.id, req.body || {});
+        if (!webhook) {
+            return res.status(404).json({ success: false, error: 'Webhook not found' });
+        }
+        res.json({ success: true, webhook });
     } catch (error) {
-        res.status(500).send('Error getting AI suggestion');
+        res.status(400).json({ success: false, error: error.message });
     }
 });
-app.post('/api/rewrite-formal', async (req, res) => {
+app.delete('/api/webhooks/:id', async (req, res) => {
     try {
-        const { message } = req.body;
-        const formalRewriteInstruction =
-            'Rewrite the user message in a clear, polite, formal tone. Preserve meaning. Return only the rewritten message text.';
-        const apiKey = await getStoredApiKey();
-        const rewritten = await getAIReply(message, formalRewriteInstruction, apiKey);
-        res.json({ rewritten });
+        const deleted = await deleteWebhook(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'Webhook not found' });
+        }
+        res.json({ success: true });
     } catch (error) {
-        res.status(500).send('Error rewriting message');
+        res.status(500).json({ success: false, error: error.message });
     }
 });
-
-// Settings API endpoints
-app.post('/api/settings', async (req, res) => {
+app.get('/api/webhooks/:id/deliveries', async (req, res) => {
     try {
-        const { groqApiKey, aiTraining, aiSchedule } = req.body;
-        
-        // Save to .env file
-        const fs = require('fs').promises;
-        const path = require('path');
-        const envPath = path.join(__dirname, '.env');
-        
-        let envContent = '';
-        try {
-            envContent = await fs.readFile(envPath, 'utf-8');
-        } catch (error) {
-            envContent = '';
-        }
-        
-        // Update or add settings
-        const lines = envContent.split('\n');
-        let hasApiKey = false;
-        let hasTraining = false;
-        let hasSchedule = false;
-        
-        const updatedLines = lines.map(line => {
-            if (line.startsWith('GROQ_API_KEY=')) {
-                hasApiKey = true;
-                return `GROQ_API_KEY=${groqApiKey}`;
-            }
-            if (line.startsWith('AI_TRAINING=')) {
-                hasTraining = true;
-                return `AI_TRAINING="${aiTraining.replace(/"/g, '\\"')}"`;
-            }
-            if (line.startsWith('AI_SCHEDULE=')) {
-                hasSchedule = true;
-                return `AI_SCHEDULE="${aiSchedule.replace(/"/g, '\\"')}"`;
-            }
-            return line;
-        });
-        
-        // Add new settings if they don't exist
-        if (!hasApiKey) {
-            updatedLines.push(`GROQ_API_KEY=${groqApiKey}`);
-        }
-        if (!hasTraining) {
-            updatedLines.push(`AI_TRAINING="${aiTraining.replace(/"/g, '\\"')}"`);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+        const result = await getDeliveries(req.params.id, limit);
+        if (!result) {
+            return res.status(404).json({ success: false, error: 'Webhook not found' });
         }
-        if (!hasSchedule) {
-            updatedLines.push(`AI_SCHEDULE="${aiSchedule.replace(/"/g, '\\"')}"`);
-        }
-        
-        const newContent = updatedLines.join('\n');
-        await fs.writeFile(envPath, newContent);
-        
-        // console.log('Settings saved successfully to .env');
-        // console.log('AI Training:', aiTraining ? 'Updated' : 'Empty');
-        // console.log('AI Schedule:', aiSchedule ? 'Updated' : 'Empty');
-        
-        res.json({ success: true });
+        res.json(result);
     } catch (error) {
-        // console.error('Error saving settings:', error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// Delete message API
-app.delete('/api/delete-message/:chatId/:messageId', async (req, res) => {
+// Weekly schedule, used for the AI's status and the {activity} rule variable
+app.get('/api/schedule', async (req, res) => {
     try {
-        const { chatId, messageId } = req.params;
-        const deleteForEveryone = req.query.everyone === 'true';
-        
-        // Try exact match first
-        let deleted = await deleteMessageFromChat(chatId, messageId);
-        
-        // If not found, try partial match
-        if (!deleted) {
-            deleted = await deleteMessageFromChatPartial(chatId, messageId);
-        }
-        
-        if (!deleted) {
-            return res.status(404).json({ success: false, error: 'Message not found in local storage' });
-        }
-        
-        // If delete for everyone, try to delete from WhatsApp
-        if (deleteForEveryone && wppClient && (wppStatus === 'isLogged' || wppStatus === 'inChat')) {
-            try {
-                const fullJid = chatId.includes('@c.us') || chatId.includes('@g.us') 
-                    ? chatId 
-                    : `${chatId}@c.us`;
-                
-                // Use WPP.chat.deleteMessage with revoke=true for delete for everyone
+        res.json({ schedule: await getSchedule(), statuses: SCHEDULE_STATUSES, current: await getScheduleStatus() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+app.put('/api/schedule', async (req, res) => {
+    try {
+        const schedule = await saveSchedule(req.body || {});
+        res.json({ success: true, schedule, current: await getScheduleStatus() });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+app.get('/api/schedule/status', async (req, res) => {
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+    if (Number.isNaN(at.getTime())) {
+        return res.status(400).json({ success: false, error: 'at must be an ISO 8601 timestamp.' });
+    }
+    try {
+        res.json(await getScheduleStatus(at));
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+// Converts old free-text schedules; nothing is saved
+app.post('/api/schedule/import', (req, res) => {
+    const { text } = req.body || {};
+    if (typeof text !== 'string' || !text.trim()) {
+        return res.status(400).json({ success: false, error: 'text is required.' });
+    }
+    res.json({ success: true, ...parseLegacySchedule(text) });
+});
+app.post('/api/schedule/exceptions', async (req, res) => {
+    try {
+        const exception = await addScheduleException(req.body || {});
+        res.status(201).json({ success: true, exception });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+app.delete('/api/schedule/exceptions/:id', async (req, res) => {
+    try {
+        const deleted = await removeScheduleException(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'Exception not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Auto-reply rules
+app.get('/api/rules', async (req, res) => {
+    try {
+        res.json({ rules: await listRules(), modes: RULE_MODES });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+app.get('/api/rules/:id', async (req, res) => {
+    try {
+        const rule = await getRule(req.params.id);
+        if (!rule) {
+            return res.status(404).json({ success: false, error: 'Rule not found' });
+        }
+        res.json({ rule });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+app.post('/api/rules', async (req, res) => {
+    try {
+        const rule = await createRule(req.body || {});
+        res.status(201).json({ success: true, rule });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+app.put('/api/rules/:id', async (req, res) => {
+    try {
+        const rule = await updateRule(req.params.id, req.body || {});
+        if (!rule) {
+            return res.status(404).json({ success: false, error: 'Rule not found' });
+        }
+        res.json({ success: true, rule });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+app.delete('/api/rules/:id', async (req, res) => {
+    try {
+        const deleted = await deleteRule(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'Rule not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+// Dry run: nothing is sent and no cooldown starts
+app.post('/api/rules/:id/test', async (req, res) => {
+    const { text, to, time, mode, tags, name } = req.body || {};
+    if (typeof text !== 'string') {
+        return res.status(400).json({ success: false, error: 'text is required.' });
+    }
+    const now = time ? new Date(time) : new Date();
+    if (Number.isNaN(now.getTime())) {
+        return res.status(400).json({ success: false, error: 'time must be an ISO 8601 timestamp.' });
+    }
+    if (tags !== undefined && !Array.isArray(tags)) {
+        return res.status(400).json({ success: false, error: 'tags must be an array of strings.' });
+    }
+    try {
+        const jid = to ? String(to).replace(/@.*$/, '') : '';
+        const contactName = name || (jid ? (await getContactDetails(jid)).name : '');
+        const result = await testRule(req.params.id, {
+            jid,
+            text,
+            mode,
+            tags: tags && tags.map(tag => String(tag).trim().toLowerCase()),
+            contactName,
+            activity: (await getScheduleStatus(now)).activity,
+            now
+        });
+        if (!result) {
+            return res.status(404).json({ success: false, error: 'Rule not found' });
+        }
+        res.json({ success: true, ...result });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Contact tags, used by rules
+app.get('/api/tags', async (req, res) => {
+    try {
+        const contactTags = await getAllContactTags();
+        const tags = Array.from(new Set(Object.values(contactTags).flat())).sort();
+        res.json({ tags, contacts: contactTags });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+app.put('/api/contacts/:jid/tags', async (req, res) => {
+    try {
+        const tags = await setContactTags(req.params.jid.replace(/@.*$/, ''), req.body?.tags);
+        res.json({ success: true, tags });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// Languages: detection, per-contact preference and translation
+app.get('/api/languages', (req, res) => {
+    res.json({ languages: LANGUAGES });
+});
+app.get('/api/contacts/:jid/language', async (req, res) => {
+    try {
+        const language = await getContactLanguage(req.params.jid.replace(/@.*$/, ''));
+        res.json({ success: true, ...language });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+app.put('/api/contacts/:jid/language', async (req, res) => {
+    try {
+        const language = await setContactLanguage(req.params.jid.replace(/@.*$/, ''), req.body?.language);
+        res.json({ success: true, ...language });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// Per-chat AI personas, added to the global training in that chat's system prompt
+app.get('/api/personas', async (req, res) => {
+    try {
+        const personas = await listPersonas();
+        res.json({ success: true, personas, tones: PERSONA_TONES, replyLengths: Object.keys(REPLY_LENGTHS) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+app.get('/api/contacts/:jid/persona', async (req, res) => {
+    try {
+        const persona = await getPersona(req.params.jid.replace(/@.*$/, ''));
+        res.json({ success: true, persona });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+app.put('/api/contacts/:jid/persona', async (req, res) => {
+    try {
+        const persona = await setPersona(req.params.jid.replace(/@.*$/, ''), req.body);
+        res.json({ success: true, persona });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+app.delete('/api/contacts/:jid/persona', async (req, res) => {
+    try {
+        const deleted = await deletePersona(req.params.jid.replace(/@.*$/, ''));
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'Persona not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Draft replies (mode 'D') awaiting approval
+app.get('/api/drafts', async (req, res) => {
+    try {
+        const drafts = await getDrafts(req.query.jid);
+        res.json({ drafts });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+app.patch('/api/drafts/:id', async (req, res) => {
+    try {
+        const changes = {};
+        if (typeof req.body.content === 'string') {
+            if (!req.body.content.trim()) {
+                return res.status(400).json({ success: false, error: 'content must not be empty.' });
+            }
+            changes.content = req.body.content.trim();
+        }
+        if (req.body.sendAt === null) {
+            changes.sendAt = null; // Cancel auto-send
+        }
+        const draft = await updateDraft(req.params.id, changes);
+        if (!draft) {
+            return res.status(404).json({ success: false, error: 'Draft not found' });
+        }
+        broadcast({ type: 'draft', draft });
+        res.json({ success: true, draft });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+app.post('/api/drafts/:id/approve', async (req, res) => {
+    try {
+        const draft = (await readState()).drafts?.[req.params.id];
+        const sent = await sendDraft(req.params.id, req.body?.content);
+        if (!sent) {
+            return res.status(404).json({ success: false, error: 'Draft not found' });
+        }
+        // Approving counts as the user taking part, so the Auto-AI streak starts over
+        recordHumanMessage(draft.jid);
+        res.json({ success: true, message: sent });
+    } catch (error) {
+        res.status(503).json({ success: false, error: error.message });
+    }
+});
+app.delete('/api/drafts/:id', async (req, res) => {
+    try {
+        const draft = await removeDraft(req.params.id);
+        if (!draft) {
+            return res.status(404).json({ success: false, error: 'Draft not found' });
+        }
+        broadcast({ type: 'draft-removed', id: draft.id, jid: draft.jid, reason: 'discarded' });
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+// With ?jid= it shows the full prompt for that chat, including its persona
+app.get('/api/ai-instruction', async (req, res) => {
+    try {
+        const jid = typeof req.query.jid === 'string' ? req.query.jid.replace(/@.*$/, '') : '';
+        const instruction = await getAIInstruction(jid || undefined);
+        res.json({ instruction });
+    } catch (error) {
+        res.status(500).send('Error getting AI instruction');
+    }
+});
+// Sets the AI training text; the schedule is still appended to it
+app.post('/api/ai-instruction', async (req, res) => {
+    try {
+        await updateConfig({ aiTraining: req.body.instruction });
+        res.json({ success: true });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+// Candidate replies for the composer, grounded in the chat's recent messages
+app.post('/api/ai-suggest', async (req, res) => {
+    const { jid, message } = req.body || {};
+    const chatJid = typeof jid === 'string' ? jid.replace(/@.*$/, '') : '';
+    if (!chatJid && !(typeof message === 'string' && message.trim())) {
+        return res.status(400).json({ success: false, error: 'jid or message is required' });
+    }
+    try {
+        if (chatJid && !await chatExists(chatJid)) {
+            return res.status(404).json({ success: false, error: 'Chat not found' });
+        }
+        const suggestions = await suggestReplies(chatJid, { message: typeof message === 'string' ? message.trim() : '' });
+        res.json({ success: true, suggestions, reply: suggestions[0]?.text || '' });
+    } catch (error) {
+        console.error('Error getting AI suggestions:', error.message);
+        res.status(502).json({ success: false, code: error.code, error: error.message });
+    }
+});
+// Semi-AI preview: the composer shows the rewrite before anything is sent
+app.post('/api/rewrite', async (req, res) => {
+    const { message, tone = 'fix', jid } = req.body || {};
+    if (typeof message !== 'string' || !message.trim()) {
+        return res.status(400).json({ success: false, error: 'message is required' });
+    }
+    if (!REWRITE_TONES.includes(tone)) {
+        return res.status(400).json({ success: false, error: `tone must be one of: ${REWRITE_TONES.join(', ')}` });
+    }
+    try {
+        // Written in the contact's language when there is one, like a Semi-AI send
+        const language = await getReplyLanguage(typeof jid === 'string' ? jid.replace(/@.*$/, '') : '');
+        const rewritten = await rewriteMessage(message, tone, { language });
+        res.json({ success: true, tone, language, original: message, rewritten, changed: rewritten !== message });
+    } catch (error) {
+        console.error('Error rewriting message:', error.message);
+        res.status(502).json({ success: false, code: error.code, error: error.message });
+    }
+});
+// Kept for existing clients; same as /api/rewrite with tone 'formal'
+app.post('/api/rewrite-formal', async (req, res) => {
+    try {
+        const { message } = req.body;
+        const rewritten = await rewriteMessage(message, 'formal');
+        res.json({ rewritten });
+    } catch (error) {
+        res.status(500).send('Error rewriting message');
+    }
+});
+
+// Settings API endpoints
+// Secrets come back masked; sending a masked value back leaves the secret unchanged.
+app.post('/api/settings', async (req, res) => {
+    try {
+        const { version, ...changes } = req.body || {}; // version is informational, as returned by GET
+        await updateConfig(changes);
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+    try {
+        res.json({ success: true, settings: await getPublicConfig() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Health of AI requests, so the UI can say why Auto-AI went quiet
+app.get('/api/ai-status', (req, res) => {
+    res.json({ success: true, status: getAIStatus() });
+});
+// Ends a pause after failures and tries the next AI request right away
+app.post('/api/ai-status/reset', (req, res) => {
+    res.json({ success: true, status: resetAIStatus() });
+});
+aiEvents.on('status', (status) => {
+    if (status.state !== 'ok') {
+        console.warn(`AI requests ${status.state}: ${status.error?.message || ''}`);
+    }
+    broadcast({ type: 'ai-status', status });
+});
+
+// Settings apply live: tell open pages so their forms stay in sync
+configEvents.on('change', ({ changed }) => {
+    // console.log(`Settings changed: ${changed.join(', ')}`);
+    getPublicConfig()
+        .then(settings => broadcast({ type: 'settings', settings }))
+        .catch(error => console.error('Error broadcasting settings:', error.message));
+});
+
+// Delete message API
+app.delete('/api/delete-message/:chatId/:messageId', async (req, res) => {
+    try {
+        const { chatId, messageId } = req.params;
+        const deleteForEveryone = req.query.everyone === 'true';
+        
+        // Try exact match first
+        let deleted = await deleteMessageFromChat(chatId, messageId);
+        
+        // If not found, try partial match
+        if (!deleted) {
+            deleted = await deleteMessageFromChatPartial(chatId, messageId);
+        }
+        
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'Message not found in local storage' });
+        }
+        emitWebhookEvent('message.deleted', { jid: chatId, messageId, forEveryone: deleteForEveryone });
+        
+        // If delete for everyone, try to delete from WhatsApp
+        if (deleteForEveryone && wppClient && (wppStatus === 'isLogged' || wppStatus === 'inChat')) {
+            try {
+                const fullJid = chatId.includes('@c.us') || chatId.includes('@g.us') 
+                    ? chatId 
+                    : `${chatId}@c.us`;
+                
+                // Use WPP.chat.deleteMessage with revoke=true for delete for everyone
                 if (typeof wppClient.WPP !== 'undefined' && typeof wppClient.WPP.chat === 'object') {
                     await wppClient.WPP.chat.deleteMessage(fullJid, messageId, false, true);
                 } else if (typeof wppClient.deleteMessage === 'function') {
@@ -771,133 +1565,1028 @@ app.delete('/api/delete-message/:chatId/:messageId', async (req, res) => {
         console.error('Error deleting message:', error);
         res.status(500).json({ success: false, error: error.message });
     }
-});
+});
+
+// Delete chat API
+app.delete('/api/delete-chat/:jid', async (req, res) => {
+    try {
+        const { jid } = req.params;
+        
+        const deleted = await deleteChat(jid);
+        
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'Chat not found' });
+        }
+        await clearSummaries(jid);
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting chat:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/settings', async (req, res) => {
+    try {
+        res.json(await getPublicConfig());
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Manual sync endpoint for testing
+app.post('/api/sync-sent-messages', async (req, res) => {
+    if (!wppClient) {
+        return res.status(500).json({ error: 'WPPConnect not ready' });
+    }
+    
+    try {
+        const chats = await wppClient.getAllChats();
+        // Sync from all chats, not just recent ones
+        const recentChats = chats.slice(0, 20);
+        
+        let syncedCount = 0;
+        
+        for (const chat of recentChats) {
+            const chatId = chat.id._serialized || chat.id;
+            const jid = chatId.replace('@c.us', '').replace('@g.us', '');
+            
+            try {
+                const messages = await wppClient.getAllMessagesInChat(chatId, true, false);
+                if (!messages?.length) continue;
+                
+                const recentSent = messages
+                    .filter(m => m.fromMe && m.t > Math.floor((Date.now() - 60000) / 1000))
+                    .sort((a, b) => a.t - b.t);
+                
+                for (const msg of recentSent) {
+                    const content = msg.body || msg.caption || '';
+                    if (!content) continue;
+                    
+                    const msgId = msg.id?._serialized || msg.id;
+                    const msgTimestamp = new Date(msg.t * 1000).toISOString();
+                    
+                    const sentMessage = {
+                        id: msgId,
+                        subType: msg.type === 'ptt' ? 'audio' : (msg.type || 'chat'),
+                        content: content,
+                        timestamp: msgTimestamp,
+                        direction: 'sent',
+                        status: ackToStatus(msg.ack)
+                    };
+                    
+                    const inserted = await storeMessage(jid, sentMessage);
+                    if (inserted) {
+                        syncedCount++;
+                        const contact = await getContactDetails(jid);
+                        const payload = {
+                            type: 'message',
+                            subType: sentMessage.subType,
+                            from: jid,
+                            content: content,
+                            timestamp: msgTimestamp,
+                            direction: 'sent',
+                            contactName: contact.name,
+                            contactProfilePicUrl: contact.profilePicUrl,
+                            id: sentMessage.id,
+                            status: sentMessage.status
+                        };
+                        wss.clients.forEach(c => {
+                            if (c.readyState === WebSocket.OPEN) {
+                                c.send(JSON.stringify(payload));
+                            }
+                        });
+                    }
+                }
+            } catch (e) {
+                // Skip
+            }
+        }
+        
+        res.json({ success: true, syncedCount });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// --- Auto-AI replies ---
+let ownWid = null;
+
+/**
+ * Our own WhatsApp ID, as used in mentions and quotes.
+ * @returns {Promise<string|null>}
+ */
+async function getOwnWid() {
+    if (!ownWid && wppClient) {
+        try {
+            const wid = await wppClient.getWid();
+            ownWid = typeof wid === 'string' ? wid : wid?._serialized || null;
+        } catch (error) {
+            console.error('Error reading own WhatsApp ID:', error.message);
+        }
+    }
+    return ownWid;
+}
+
+/**
+ * Whether a group message @-mentions us or replies to one of our messages.
+ * @param {object} message The WPPConnect message.
+ * @returns {Promise<boolean>}
+ */
+async function isMentionOrReplyToMe(message) {
+    const ownNumbers = new Set();
+    const wid = await getOwnWid();
+    if (wid) ownNumbers.add(wid.split('@')[0]);
+    // For incoming group messages `to` is our own ID, which also covers the LID form
+    if (typeof message.to === 'string' && !message.to.endsWith('@g.us')) {
+        ownNumbers.add(message.to.split('@')[0]);
+    }
+    const isOwn = (value) => {
+        const id = typeof value === 'string' ? value : value?._serialized;
+        return Boolean(id) && ownNumbers.has(id.split('@')[0]);
+    };
+
+    if ((message.mentionedJidList || []).some(isOwn)) return true;
+    if (message.quotedMsg?.fromMe || isOwn(message.quotedParticipant)) return true;
+    // Mentions show up in the text as '@<number>'
+    const body = typeof message.body === 'string' ? message.body : '';
+    return Array.from(ownNumbers).some(number => body.includes(`@${number}`));
+}
+
+/**
+ * Generates the Auto-AI reply to an incoming message, using the recent conversation as context.
+ * Prepends Ava's introduction when the last chat with this contact was more than 3 hours ago.
+ * @param {string} senderJid The chat JID.
+ * @param {object} messageForDb The stored incoming message.
+ * @returns {Promise<string>} The reply text.
+ */
+async function generateAutoReply(senderJid, messageForDb) {
+    const instruction = await getAIInstruction(senderJid);
+    const replyLimits = getReplyLimits(await getPersona(senderJid));
+    const config = await getConfig();
+
+    // Check last chat time for self-introduction
+    const state = await readState();
+    const lastChat = state.lastChatTime?.[senderJid];
+    const now = Date.now();
+    const HOURS_3 = 3 * 60 * 60 * 1000; // 3 hours in ms
+    const shouldIntroduce = !lastChat || (now - new Date(lastChat).getTime()) > HOURS_3;
+
+    // Reply with the recent conversation as context, not just the latest message
+    let history = await getChatHistory(senderJid, config.aiContextMessages);
+    if (!history.some(msg => msg.id === messageForDb.id)) {
+        history.push(messageForDb);
+    }
+    // In groups, tell the model who said what
+    if (isGroupJid(senderJid)) {
+        history = history.map(msg => (msg.direction === 'received' && msg.senderName
+            ? { ...msg, content: `${msg.senderName}: ${getMessageText(msg)}` }
+            : msg));
+    }
+    const conversation = buildConversation(history, {
+        maxMessages: config.aiContextMessages,
+        maxTokens: config.aiContextTokens
+    });
+
+    let aiReplyText = await getAIReply(conversation, instruction, replyLimits);
+
+    // Add self-introduction if needed (gap > 3 hours)
+    if (shouldIntroduce) {
+        const hour = new Date().getHours();
+        const greeting = hour < 12 ? 'Good morning' : hour < 17 ? 'Good afternoon' : 'Good evening';
+        const intro = `${greeting}. This is Ava, the AI Personal Assistant. `;
+
+        // Prepend introduction if not already present
+        if (!aiReplyText.toLowerCase().startsWith('good') || !aiReplyText.includes('Ava')) {
+            aiReplyText = intro + aiReplyText;
+        }
+
+        // Update last chat time
+        await updateState((latestState) => {
+            latestState.lastChatTime = latestState.lastChatTime || {};
+            latestState.lastChatTime[senderJid] = new Date().toISOString();
+        });
+    }
+    return aiReplyText;
+}
+
+/**
+ * Sends an AI-written reply through WhatsApp, stores it and pushes it to the UI.
+ * @param {string} senderJid The chat JID used as storage key.
+ * @param {string} to WhatsApp ID to send to (e.g. '123@c.us').
+ * @param {string} aiReplyText
+ * @returns {Promise<object>} The stored message.
+ */
+async function sendAIReply(senderJid, to, aiReplyText) {
+    if (!wppClient || (wppStatus !== 'isLogged' && wppStatus !== 'inChat')) {
+        throw new Error('WhatsApp client is not connected.');
+    }
+    const sentMessage = await wppClient.sendText(to, aiReplyText);
+
+    // Store and broadcast AI reply immediately since Meta AI sync is disabled
+    const aiTimestamp = new Date().toISOString();
+    const aiMessageForDb = {
+        id: `ai_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        subType: 'chat',
+        content: aiReplyText,
+        timestamp: aiTimestamp,
+        direction: 'sent',
+        status: 'sent',
+        waMessageId: getWaMessageId(sentMessage)
+    };
+
+    const aiContactDetails = await getContactDetails(senderJid);
+    const aiPayloadForWs = {
+        type: 'message',
+        from: senderJid, // Use consistent JID format
+        subType: 'chat',
+        content: aiReplyText,
+        timestamp: aiTimestamp,
+        direction: 'sent',
+        contactName: aiContactDetails.name,
+        contactProfilePicUrl: aiContactDetails.profilePicUrl,
+        id: aiMessageForDb.id,
+        status: aiMessageForDb.status
+    };
+
+    // Store in database - IMPORTANT: Store with correct chat JID as the key
+    await storeMessage(senderJid, aiMessageForDb);
+    emitWebhookEvent('ai.reply', { jid: senderJid, message: aiMessageForDb });
+    applyEarlyAck(senderJid, aiMessageForDb.waMessageId);
+
+    // Broadcast to all connected clients
+    broadcast(aiPayloadForWs);
+    return aiMessageForDb;
+}
+
+/**
+ * Checks a received message against the auto-reply limits and loop detection. When it trips, the
+ * chat goes back to Manual and the UI is told why.
+ * @param {string} senderJid The chat JID.
+ * @param {object} messageForDb The stored incoming message.
+ * @returns {Promise<boolean>} Whether an automatic reply may be sent.
+ */
+async function allowAutoReply(senderJid, messageForDb) {
+    try {
+        const config = await getConfig();
+        const verdict = await checkAutoReply(senderJid, messageForDb, {
+            maxPerMinute: config.autoReplyMaxPerMinute,
+            maxPerHour: config.autoReplyMaxPerHour,
+            maxConsecutive: config.autoReplyMaxConsecutive,
+            detectLoops: config.autoReplyLoopDetection === 'on'
+        });
+        if (verdict.allowed) return true;
+
+        console.warn(`Automatic replies to ${senderJid} paused (${verdict.reason}): ${verdict.detail}`);
+        await setChatMode(senderJid, 'A');
+        resetLoopGuard(senderJid);
+        broadcast({ type: 'auto-reply-paused', jid: senderJid, mode: 'A', reason: verdict.reason, detail: verdict.detail });
+        return false;
+    } catch (error) {
+        // Better to miss one reply than to risk a loop
+        console.error(`Error checking auto-reply limits for ${senderJid}:`, error.message);
+        return false;
+    }
+}
+
+/**
+ * Answers an incoming message according to the chat's mode: auto-reply rules first, then the AI in
+ * Auto-AI and Draft mode. Voice notes come in here with their transcript as content.
+ * @param {string} senderJid The chat JID.
+ * @param {object} message The WPPConnect message.
+ * @param {object} messageForDb The stored message.
+ * @param {string} contactName
+ */
+async function autoReplyToMessage(senderJid, message, messageForDb, contactName) {
+    const chatMode = await getChatMode(senderJid);
+    // console.log(`Chat mode for ${senderJid} is '${chatMode}'.`);
+
+    const hasContent = messageForDb.content && messageForDb.content.trim().length > 0;
+
+    // In groups, only answer messages that @-mention us or reply to one of ours
+    const isGroup = isGroupJid(senderJid) || Boolean(message.isGroupMsg);
+    const isAddressedToMe = !isGroup || await isMentionOrReplyToMe(message);
+    const isAutoReplyCandidate = messageForDb.direction === 'received' && hasContent && isAddressedToMe;
+
+    if (messageForDb.direction === 'sent') {
+        // Written on the phone
+        recordHumanMessage(senderJid);
+    }
+
+    // Stop ping-pong with bots and floods before anything is sent. In the other modes only rules
+    // reply, so the limits are checked once a rule matches.
+    const isAutomatic = chatMode === 'C' || chatMode === 'D';
+    if (isAutomatic && isAutoReplyCandidate && !await allowAutoReply(senderJid, messageForDb)) {
+        return;
+    }
+
+    // Deterministic rules go first; a match skips the AI
+    let repliedByRule = false;
+    if (isAutoReplyCandidate) {
+        repliedByRule = await replyWithRule(senderJid, message.from, messageForDb, chatMode,
+            messageForDb.senderName || contactName, { checkLimits: !isAutomatic });
+        if (repliedByRule) recordAutoReply(senderJid);
+    }
+
+    if (isAutomatic && isAutoReplyCandidate && !repliedByRule) {
+        try {
+            const aiReplyText = await generateAutoReply(senderJid, messageForDb);
+            if (chatMode === 'D') {
+                // Draft mode: hold the reply until it is approved in the UI
+                await createDraftReply(senderJid, message.from, aiReplyText, messageForDb.id);
+            } else {
+                await sendAIReply(senderJid, message.from, aiReplyText);
+            }
+            recordAutoReply(senderJid);
+        } catch (error) {
+            // AI failures also reach the UI as 'ai-status'
+            console.error(`Auto-reply to ${senderJid} failed (${error.code || 'ERROR'}):`, error.message);
+        }
+    }
+}
+
+// --- Voice note transcription ---
+/**
+ * Transcribes a stored audio message and saves the transcript on it. The UI is told when
+ * transcription starts and when it ends.
+ * @param {string} jid The chat JID.
+ * @param {object} message The stored message.
+ * @returns {Promise<object|null>} The updated message, or null if it no longer exists.
+ */
+async function transcribeMessage(jid, message) {
+    const setTranscript = async (transcript) => {
+        const updated = await updateMessage(jid, message.id, {
+            transcript: { ...transcript, updatedAt: new Date().toISOString() }
+        });
+        if (updated) {
+            broadcast({ type: 'transcript', jid, id: updated.id, transcript: updated.transcript });
+        }
+        return updated;
+    };
+
+    if (!await setTranscript({ status: 'pending' })) return null;
+    try {
+        const { text, backend } = await transcribeMedia(message.media);
+        return await setTranscript({ status: 'done', text, backend });
+    } catch (error) {
+        console.error(`Error transcribing message ${message.id}:`, error.message);
+        return setTranscript({ status: 'failed', error: error.message });
+    }
+}
+
+// --- Translation ---
+/**
+ * Detects the language of a received text message and adds a translation when it is not in the
+ * user's language, then tells the UI.
+ * @param {string} jid The chat JID.
+ * @param {object} message The stored message.
+ */
+async function translateIncomingMessage(jid, message) {
+    try {
+        const updated = await processIncomingLanguage(jid, message);
+        if (updated) {
+            broadcast({ type: 'translation', jid, id: updated.id, language: updated.language, translation: updated.translation });
+        }
+    } catch (error) {
+        console.error(`Error handling the language of message ${message.id}:`, error.message);
+    }
+}
+
+function broadcast(payload) {
+    wss.clients.forEach(c => {
+        if (c.readyState === WebSocket.OPEN) {
+            c.send(JSON.stringify(payload));
+        }
+    });
+}
+
+/**
+ * Stores an Auto-AI reply as a pending draft and pushes it to the UI for approval.
+ * @param {string} senderJid The chat JID.
+ * @param {string} to WhatsApp ID the reply will be sent to.
+ * @param {string} content The generated reply.
+ * @param {string} [replyToId] ID of the message being answered.
+ * @returns {Promise<object>} The draft.
+ */
+async function createDraftReply(senderJid, to, content, replyToId) {
+    const createdAt = new Date();
+    // Minutes after which a pending draft is sent without approval (0 = never)
+    const { draftAutosendMinutes } = await getConfig();
+    const draft = await addDraft({
+        id: `draft_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        jid: senderJid,
+        to,
+        content,
+        replyToId,
+        createdAt: createdAt.toISOString(),
+        sendAt: draftAutosendMinutes > 0
+            ? new Date(createdAt.getTime() + draftAutosendMinutes * 60 * 1000).toISOString()
+            : null
+    });
+    broadcast({ type: 'draft', draft });
+    return draft;
+}
+
+/**
+ * Sends a pending draft. The draft is removed before sending so it can't go out twice;
+ * it is put back if sending fails.
+ * @param {string} id The draft ID.
+ * @param {string} [content] Edited text to send instead of the draft's own.
+ * @returns {Promise<object|null>} The sent message, or null if the draft no longer exists.
+ */
+async function sendDraft(id, content) {
+    const draft = await removeDraft(id);
+    if (!draft) return null;
+
+    const text = typeof content === 'string' && content.trim() ? content.trim() : draft.content;
+    try {
+        const sent = await sendAIReply(draft.jid, draft.to, text);
+        broadcast({ type: 'draft-removed', id: draft.id, jid: draft.jid, reason: 'sent' });
+        return sent;
+    } catch (error) {
+        await addDraft(draft);
+        throw error;
+    }
+}
+
+const DRAFT_AUTOSEND_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Sends the drafts whose auto-send time has passed. Runs every DRAFT_AUTOSEND_INTERVAL_MS once the
+ * server is listening.
+ */
+async function sendDueDrafts() {
+    if (!wppClient || (wppStatus !== 'isLogged' && wppStatus !== 'inChat')) return;
+    try {
+        const now = Date.now();
+        const due = (await getDrafts()).filter(draft => draft.sendAt && new Date(draft.sendAt).getTime() <= now);
+        for (const draft of due) {
+            await sendDraft(draft.id);
+        }
+    } catch (error) {
+        console.error('Error auto-sending drafts:', error.message);
+    }
+}
+
+// --- Auto-reply rules ---
+
+/**
+ * Answers an incoming message with the first matching rule, if any. In draft mode the
+ * reply waits for approval like an AI draft.
+ * @param {string} senderJid The chat JID.
+ * @param {string} to WhatsApp ID to reply to.
+ * @param {object} messageForDb The stored incoming message.
+ * @param {string} chatMode
+ * @param {string} contactName Used for the {name} variable.
+ * @param {object} [options]
+ * @param {boolean} [options.checkLimits=false] Check the auto-reply limits before sending a match
+ * @returns {Promise<boolean>} Whether a rule replied.
+ */
+async function replyWithRule(senderJid, to, messageForDb, chatMode, contactName, { checkLimits = false } = {}) {
+    try {
+        const now = new Date();
+        const match = await evaluateRules({
+            jid: senderJid,
+            text: messageForDb.content,
+            mode: chatMode,
+            contactName,
+            activity: (await getScheduleStatus(now)).activity,
+            now
+        });
+        if (!match) return false;
+        if (checkLimits && !await allowAutoReply(senderJid, messageForDb)) return false;
+
+        if (chatMode === 'D') {
+            await createDraftReply(senderJid, to, match.reply, messageForDb.id);
+        } else {
+            await sendAIReply(senderJid, to, match.reply);
+        }
+        await recordRuleFired(match.rule.id, senderJid);
+        return true;
+    } catch (error) {
+        console.error(`Error applying auto-reply rules for ${senderJid}:`, error.message);
+        return false;
+    }
+}
+
+// --- Outgoing messages ---
+// Shared by the WebSocket 'send' / 'send-file' messages and POST /api/messages
+
+/**
+ * Creates an error with a machine-readable code for API responses.
+ * @param {string} code e.g. 'INVALID_REQUEST', 'INVALID_RECIPIENT', 'MEDIA_FETCH_FAILED'
+ * @param {string} message
+ * @returns {Error}
+ */
+function createSendError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Extracts the phone number from a JID or a formatted number ('123@c.us', '+1 234-567-8901').
+ * @param {string} to
+ * @returns {string|null} The digits without leading zeros, or null if it isn't a valid number.
+ */
+function toPhoneNumber(to) {
+    let number = String(to || '');
+    // Remove any existing suffix and characters
+    if (number.includes('@')) {
+        number = number.split('@')[0];
+    }
+    number = number.replace(/\D/g, '');
+    if (!number || number.length < 10) {
+        return null;
+    }
+    return number.replace(/^0+/, '');
+}
+
+/**
+ * Resolves the WhatsApp ID to send to: the group ID for groups, otherwise the phone number's '@c.us' ID.
+ * @param {string} to
+ * @returns {string|null} Null if it is neither a valid group ID nor a valid phone number.
+ */
+function toRecipientId(to) {
+    if (isGroupJid(to)) {
+        const groupId = String(to).split('@')[0];
+        return /^[\d-]+$/.test(groupId) ? `${groupId}@g.us` : null;
+    }
+    const number = toPhoneNumber(to);
+    return number ? `${number}@c.us` : null;
+}
+
+// --- Delivery status ---
+// WPPConnect ack levels: -1 error, 0 waiting (clock), 1 sent to the server, 2 delivered, 3 read, 4 played
+const MESSAGE_STATUS_RANK = { pending: 0, sent: 1, delivered: 2, read: 3 };
+const EARLY_ACK_LIMIT = 500;
+const earlyAcks = new Map(); // waMessageId -> status, for acks that arrive before the message is stored
+
+/**
+ * @param {number} ack WPPConnect ack level.
+ * @returns {'pending'|'sent'|'delivered'|'read'|'failed'}
+ */
+function ackToStatus(ack) {
+    if (ack === -1) return 'failed';
+    if (ack >= 3) return 'read';
+    if (ack === 2) return 'delivered';
+    if (ack === 1) return 'sent';
+    return 'pending';
+}
+
+function getWaMessageId(sentMessage) {
+    return sentMessage?.id?._serialized || sentMessage?.id || null;
+}
+
+/**
+ * Records a delivery status for a stored outgoing message and pushes it to the UI as an 'ack' event.
+ * Acks can arrive out of order, so the status never moves backwards (read stays read), except that
+ * a failed message moves on once a retry succeeds.
+ * @param {string} jid The chat JID.
+ * @param {string} messageId Our message ID or its WhatsApp ID.
+ * @param {'pending'|'sent'|'delivered'|'read'|'failed'} status
+ * @param {object} [extra] Other fields to store, e.g. waMessageId or error.
+ * @returns {Promise<object|null>} The updated message, or null if unknown or unchanged.
+ */
+async function setMessageStatus(jid, messageId, status, extra = {}) {
+    const updated = await updateMessage(jid, messageId, (message) => {
+        if (message.direction !== 'sent') return null;
+        const current = message.status;
+        const isForward = status === 'failed' || !current || current === 'failed'
+            || MESSAGE_STATUS_RANK[status] > MESSAGE_STATUS_RANK[current];
+        if (!isForward) return null;
+        return { ...extra, status, error: status === 'failed' ? (extra.error || 'Sending failed') : undefined };
+    });
+    if (updated) {
+        broadcast({
+            type: 'ack',
+            jid,
+            id: updated.id,
+            status: updated.status,
+            ...(updated.error ? { error: updated.error } : {})
+        });
+    }
+    return updated;
+}
+
+/**
+ * Remembers an ack for a message that isn't stored yet (WhatsApp can acknowledge a message
+ * before sendText resolves).
+ * @param {string} waMessageId
+ * @param {string} status
+ */
+function rememberEarlyAck(waMessageId, status) {
+    const known = earlyAcks.get(waMessageId);
+    if (known && (MESSAGE_STATUS_RANK[known] || 0) >= (MESSAGE_STATUS_RANK[status] || 0)) return;
+    earlyAcks.delete(waMessageId);
+    earlyAcks.set(waMessageId, status);
+    if (earlyAcks.size > EARLY_ACK_LIMIT) {
+        earlyAcks.delete(earlyAcks.keys().next().value);
+    }
+}
+
+/**
+ * Applies an ack that arrived before the message was stored with its WhatsApp ID.
+ * @param {string} jid
+ * @param {string|null} waMessageId
+ */
+async function applyEarlyAck(jid, waMessageId) {
+    const status = waMessageId && earlyAcks.get(waMessageId);
+    if (!status) return;
+    earlyAcks.delete(waMessageId);
+    try {
+        await setMessageStatus(jid, waMessageId, status);
+    } catch (error) {
+        console.error('Error applying early ack:', error.message);
+    }
+}
+
+/**
+ * Sends text to a WhatsApp ID. Contacts are tried in several JID formats, then as the bare number.
+ * @param {string} recipientId From toRecipientId.
+ * @param {string} text
+ * @returns {Promise<object>} WPPConnect's sent message.
+ */
+async function sendTextToRecipient(recipientId, text) {
+    const jid = recipientId.split('@')[0];
+    const jidFormats = recipientId.endsWith('@g.us') ? [recipientId] : [
+        jid + '@c.us',
+        jid + '@s.whatsapp.net',
+        jid + '@lid',
+        jid
+    ];
+    let sendError = null;
+    for (const testJid of jidFormats) {
+        try {
+            return await wppClient.sendText(testJid, text);
+        } catch (e) {
+            sendError = e; // Try next format
+        }
+    }
+    throw sendError;
+}
+
+/**
+ * Sends a text message. In mode 'B' the text is rewritten first unless the UI already showed the
+ * rewrite as a preview. Text that is not in the contact's language is then translated (see
+ * translation.js). Only the message that goes out is stored; a rewrite or translation keeps the
+ * text it was made from in `originalContent`.
+ * The message carries the delivery status (see setMessageStatus). If it can't be sent right now it
+ * waits in the outbox and the status stays 'pending'.
+ * @param {string} chatJid The chat JID (also used as storage key).
+ * @param {string} text
+ * @param {object} [options]
+ * @param {string} [options.clientMessageId] ID the UI already uses for the message.
+ * @param {boolean} [options.skipRewrite] Send as-is even in mode 'B'.
+ * @param {boolean} [options.skipTranslation] Don't translate into the contact's language.
+ * @param {string} [options.rewrittenFrom] The user's own text when `text` is a previewed rewrite of it; implies skipRewrite.
+ * @returns {Promise<{id: string, waMessageId: string|null, status: 'sent'|'pending', content: string, rewritten: boolean}>}
+ */
+async function sendTextMessage(chatJid, text, { clientMessageId, skipRewrite = false, skipTranslation = false, rewrittenFrom } = {}) {
+    if (typeof text !== 'string' || !text.trim()) {
+        throw createSendError('INVALID_REQUEST', 'Message text must not be empty.');
+    }
+    if (!toRecipientId(chatJid)) {
+        throw createSendError('INVALID_RECIPIENT', `Invalid phone number: ${chatJid}`);
+    }
+
+    let originalMessage = text;
+    let finalMessage = text;
+    if (typeof rewrittenFrom === 'string' && rewrittenFrom.trim()) {
+        originalMessage = rewrittenFrom;
+    } else if (!skipRewrite && await getChatMode(chatJid) === 'B') {
+        try {
+            finalMessage = await rewriteMessage(text, 'fix', { language: await getReplyLanguage(chatJid) });
+        } catch (error) {
+            console.error('Semi-AI rewrite failed, sending the original message:', error.message);
+        }
+    }
+
+    let language = detectMessageLanguage(finalMessage);
+    let originalLanguage;
+    if (!skipTranslation) {
+        try {
+            const outgoing = await prepareOutgoingText(chatJid, finalMessage);
+            if (outgoing.originalText) {
+                finalMessage = outgoing.text;
+                language = outgoing.language;
+                originalLanguage = outgoing.originalLanguage;
+            }
+        } catch (error) {
+            console.error('Translation failed, sending the untranslated message:', error.message);
+        }
+    }
+    const rewritten = finalMessage !== originalMessage;
+
+    const messageForDb = {
+        id: clientMessageId || `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        subType: 'chat',
+        content: finalMessage,
+        timestamp: new Date().toISOString(),
+        direction: 'sent',
+        status: 'pending'
+    };
+    if (language !== 'und') {
+        messageForDb.language = language;
+    }
+    if (rewritten) {
+        messageForDb.isAIRewrite = true;
+        messageForDb.originalContent = originalMessage;
+        if (originalLanguage) messageForDb.originalLanguage = originalLanguage;
+    }
+
+    const contactDetails = await getContactDetails(chatJid);
+    await storeMessage(chatJid, messageForDb, { notify: false });
+    recordHumanMessage(chatJid);
+    broadcast({
+        type: 'message',
+        from: chatJid,
+        subType: 'chat',
+        content: finalMessage,
+        timestamp: messageForDb.timestamp,
+        direction: 'sent',
+        contactName: contactDetails.name,
+        contactProfilePicUrl: contactDetails.profilePicUrl,
+        id: messageForDb.id,
+        isAIRewrite: rewritten,
+        originalContent: messageForDb.originalContent,
+        language: messageForDb.language,
+        originalLanguage: messageForDb.originalLanguage,
+        status: messageForDb.status
+    });
+
+    const { status, waMessageId } = await sendOrQueue({ jid: chatJid, messageId: messageForDb.id, text: finalMessage });
+    return {
+        id: messageForDb.id,
+        waMessageId,
+        status,
+        content: finalMessage,
+        rewritten
+    };
+}
+
+const MEDIA_SUBTYPES = ['image', 'sticker', 'video', 'audio', 'document'];
+
+function getSubTypeForMimetype(mimetype) {
+    if (/^image\//.test(mimetype)) return 'image';
+    if (/^video\//.test(mimetype)) return 'video';
+    if (/^audio\//.test(mimetype)) return 'audio';
+    return 'document';
+}
+
+/**
+ * Sends a media file to a WhatsApp ID with the base64 function matching its type.
+ * @param {string} recipientId From toRecipientId.
+ * @param {string} dataUrl
+ * @param {string} type One of MEDIA_SUBTYPES.
+ * @param {string} [filename]
+ * @param {string} [caption]
+ * @returns {Promise<object>} WPPConnect's sent message.
+ */
+async function sendMediaToRecipient(recipientId, dataUrl, type, filename, caption) {
+    // CRITICAL: Use base64-specific functions for base64 data URLs
+    if (type === 'image' || type === 'sticker') {
+        return wppClient.sendImageFromBase64(recipientId, dataUrl, filename, caption || '');
+    } else if (type === 'video') {
+        return wppClient.sendVideoFromBase64(recipientId, dataUrl, filename, caption || '');
+    } else if (type === 'audio') {
+        return wppClient.sendAudioFromBase64(recipientId, dataUrl, filename, caption || '');
+    }
+    return wppClient.sendDocumentFromBase64(recipientId, dataUrl, filename, caption || '');
+}
+
+/**
+ * Stores an image, video, audio or document in the media store, broadcasts it as pending and sends it.
+ * If it can't be sent right now it waits in the outbox.
+ * @param {string} chatJid The chat JID (also used as storage key).
+ * @param {object} file
+ * @param {string|Buffer} file.data Base64 string, data URL or Buffer.
+ * @param {string} [file.subType] One of MEDIA_SUBTYPES; derived from the mimetype when omitted.
+ * @param {string} file.mimetype
+ * @param {string} [file.filename]
+ * @param {string} [file.caption]
+ * @param {string} [file.clientMessageId] ID the UI already uses for the message.
+ * @returns {Promise<{id: string, waMessageId: string|null, status: 'sent'|'pending', media: object}>}
+ */
+async function sendMediaMessage(chatJid, { data, subType, mimetype, filename, caption, clientMessageId }) {
+    if (!data || (typeof data !== 'string' && !Buffer.isBuffer(data))) {
+        throw createSendError('INVALID_REQUEST', 'Media data is missing.');
+    }
+    const type = subType || getSubTypeForMimetype(mimetype || '');
+    if (!MEDIA_SUBTYPES.includes(type)) {
+        throw createSendError('INVALID_REQUEST', `subType must be one of: ${MEDIA_SUBTYPES.join(', ')}.`);
+    }
+    if (!toRecipientId(chatJid)) {
+        throw createSendError('INVALID_RECIPIENT', `Invalid phone number: ${chatJid}`);
+    }
+
+    // Create the full data URL that WPPConnect expects
+    let dataUrl = Buffer.isBuffer(data) ? data.toString('base64') : data;
+    if (!dataUrl.startsWith('data:')) {
+        dataUrl = `data:${mimetype};base64,${dataUrl}`;
+    }
 
-// Delete chat API
-app.delete('/api/delete-chat/:jid', async (req, res) => {
-    try {
-        const { jid } = req.params;
-        
-        const deleted = await deleteChat(jid);
-        
-        if (!deleted) {
-            return res.status(404).json({ success: false, error: 'Chat not found' });
-        }
-        
-        res.json({ success: true });
-    } catch (error) {
-        console.error('Error deleting chat:', error);
-        res.status(500).json({ success: false, error: error.message });
+    // Store and broadcast the outgoing file message right away, as pending
+    const media = await saveMedia(dataUrl, { mimetype, filename });
+    const timestamp = new Date().toISOString();
+    const messageForDb = {
+        id: clientMessageId || `file_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        subType: type,
+        content: caption || '',
+        mimetype: media.mimetype,
+        media: media,
+        timestamp: timestamp,
+        direction: 'sent',
+        status: 'pending'
+    };
+
+    const contactDetails = await getContactDetails(chatJid);
+
+    // Store in database; it counts as sent once WhatsApp accepts it
+    await storeMessage(chatJid, messageForDb, { notify: false });
+
+    // Broadcast to all connected clients
+    broadcast({
+        type: 'message',
+        from: chatJid,
+        subType: type,
+        content: messageForDb.content,
+        mimetype: media.mimetype,
+        media: media,
+        timestamp: timestamp,
+        direction: 'sent',
+        contactName: contactDetails.name,
+        contactProfilePicUrl: contactDetails.profilePicUrl,
+        id: messageForDb.id,
+        status: messageForDb.status
+    });
+
+    const { status, waMessageId } = await sendOrQueue({
+        jid: chatJid,
+        messageId: messageForDb.id,
+        text: messageForDb.content,
+        media,
+        subType: type
+    });
+    return {
+        id: messageForDb.id,
+        waMessageId,
+        status,
+        media
+    };
+}
+
+/**
+ * Queues a failed outgoing message again. The message keeps its ID, so the UI updates the
+ * existing bubble from the 'ack' events.
+ * @param {string} chatJid The chat JID.
+ * @param {string} messageId
+ * @returns {Promise<object>} The message, now pending.
+ */
+async function retryMessage(chatJid, messageId) {
+    if (!toRecipientId(chatJid)) {
+        throw createSendError('INVALID_RECIPIENT', `Invalid phone number: ${chatJid}`);
     }
-});
+    // Claim the message by moving it to pending, so a double click can't queue it twice
+    const message = await updateMessage(chatJid, messageId,
+        current => (current.direction === 'sent' && current.status === 'failed' ? { status: 'pending', error: undefined } : null));
+    if (!message) {
+        throw createSendError('INVALID_REQUEST', 'Only failed messages can be retried.');
+    }
+    broadcast({ type: 'ack', jid: chatJid, id: message.id, status: 'pending' });
+
+    await enqueueOutgoing({
+        jid: chatJid,
+        messageId: message.id,
+        text: message.content,
+        media: message.media?.hash ? message.media : null,
+        subType: message.subType
+    });
+    processOutbox(outboxHandlers);
+    return message;
+}
 
-app.get('/api/settings', async (req, res) => {
+// --- Outbox ---
+// Messages that can't be sent right away (WhatsApp offline or erroring) wait in outbox.js and
+// are retried in the background, and all at once when WhatsApp reconnects.
+
+/**
+ * Sends a stored outgoing message to WhatsApp.
+ * @param {object} job An outbox job (see outbox.js).
+ * @returns {Promise<object>} WPPConnect's sent message.
+ */
+async function sendOutboxMessage(job) {
+    const recipientId = toRecipientId(job.jid);
+    if (!recipientId) {
+        const error = new Error(`Invalid phone number: ${job.jid}`);
+        error.permanent = true;
+        throw error;
+    }
+    if (!job.media) {
+        return sendTextToRecipient(recipientId, job.text);
+    }
+
+    let data;
     try {
-        const fs = require('fs').promises;
-        const path = require('path');
-        const envPath = path.join(__dirname, '.env');
-        
-        let envContent = '';
+        data = await readMediaBase64(job.media.hash);
+    } catch (readError) {
+        const error = new Error('The media file is no longer available.');
+        error.permanent = true;
+        throw error;
+    }
+    const dataUrl = `data:${job.media.mimetype};base64,${data}`;
+    return sendMediaToRecipient(recipientId, dataUrl, job.subType, job.media.filename, job.text);
+}
+
+/**
+ * Marks a stored message as sent and tells webhook subscribers.
+ * @param {string} jid
+ * @param {string} messageId
+ * @param {object} sentMessage WPPConnect's sent message.
+ * @returns {Promise<string|null>} The WhatsApp message ID.
+ */
+async function markMessageSent(jid, messageId, sentMessage) {
+    const waMessageId = getWaMessageId(sentMessage);
+    const sent = await setMessageStatus(jid, messageId, 'sent', { waMessageId });
+    if (sent) {
+        emitWebhookEvent('message.sent', { jid, message: sent });
+    }
+    await applyEarlyAck(jid, waMessageId);
+    return waMessageId;
+}
+
+const outboxHandlers = {
+    isReady: () => Boolean(wppClient) && (wppStatus === 'isLogged' || wppStatus === 'inChat'),
+    send: sendOutboxMessage,
+    onSent: (job, sentMessage) => markMessageSent(job.jid, job.messageId, sentMessage),
+    onFailed: (job, reason) => setMessageStatus(job.jid, job.messageId, 'failed', { error: reason })
+};
+
+/**
+ * Sends a stored message right away if WhatsApp is connected. Otherwise, or if that fails,
+ * the message goes to the outbox and stays 'pending'.
+ * @param {object} job jid, messageId, text, and media/subType for files.
+ * @returns {Promise<{status: 'sent'|'pending', waMessageId: string|null}>}
+ */
+async function sendOrQueue(job) {
+    let error;
+    if (outboxHandlers.isReady()) {
         try {
-            envContent = await fs.readFile(envPath, 'utf-8');
-        } catch (error) {
-            envContent = '';
+            const sentMessage = await sendOutboxMessage(job);
+            return { status: 'sent', waMessageId: await markMessageSent(job.jid, job.messageId, sentMessage) };
+        } catch (sendError) {
+            error = sendError?.message || String(sendError);
+            console.error(`Error sending message ${job.messageId}, queued for retry:`, error);
         }
-        
-        const lines = envContent.split('\n');
-        const settings = {};
-        
-        lines.forEach(line => {
-            if (line.startsWith('GROQ_API_KEY=')) {
-                settings.groqApiKey = line.substring('GROQ_API_KEY='.length);
-            } else if (line.startsWith('AI_TRAINING=')) {
-                settings.aiTraining = line.substring('AI_TRAINING='.length).replace(/"/g, '');
-            } else if (line.startsWith('AI_SCHEDULE=')) {
-                settings.aiSchedule = line.substring('AI_SCHEDULE='.length).replace(/"/g, '');
-            }
-        });
-        
-        res.json(settings);
-    } catch (error) {
-        // console.error('Error getting settings:', error);
-        res.status(500).json({ error: error.message });
     }
-});
+    await enqueueOutgoing({ ...job, error });
+    return { status: 'pending', waMessageId: null };
+}
 
-// Manual sync endpoint for testing
-app.post('/api/sync-sent-messages', async (req, res) => {
-    if (!wppClient) {
-        return res.status(500).json({ error: 'WPPConnect not ready' });
+/**
+ * Sends one run of a scheduled message (see scheduler.js). Text is sent as written, without the
+ * Semi-AI rewrite, since it was composed ahead of time. A message that can't go out right away
+ * waits in the outbox, so the run still counts as done.
+ * @param {object} job
+ */
+async function sendScheduledMessage(job) {
+    if (job.media) {
+        const data = await readMediaBase64(job.media.hash);
+        await sendMediaMessage(job.jid, {
+            data,
+            subType: job.media.subType,
+            mimetype: job.media.mimetype,
+            filename: job.media.filename,
+            caption: job.text
+        });
+        return;
     }
-    
-    try {
-        const chats = await wppClient.getAllChats();
-        // Sync from all chats, not just recent ones
-        const recentChats = chats.slice(0, 20);
-        
-        let syncedCount = 0;
-        
-        for (const chat of recentChats) {
-            const chatId = chat.id._serialized || chat.id;
-            const jid = chatId.replace('@c.us', '').replace('@g.us', '');
-            
+    await sendTextMessage(job.jid, job.text, { skipRewrite: true });
+}
+
+// WebSocket Server Setup
+const wss = new WebSocket.Server({
+    server,
+    // Same credentials as the REST API; the browser sends its session cookie with the upgrade
+    verifyClient: (info, done) => {
+        const { origin, host } = info.req.headers;
+        if (origin && info.req.headers.cookie) {
             try {
-                const messages = await wppClient.getAllMessagesInChat(chatId, true, false);
-                if (!messages?.length) continue;
-                
-                const recentSent = messages
-                    .filter(m => m.fromMe && m.t > Math.floor((Date.now() - 60000) / 1000))
-                    .sort((a, b) => a.t - b.t);
-                
-                for (const msg of recentSent) {
-                    const content = msg.body || msg.caption || '';
-                    if (!content) continue;
-                    
-                    const msgId = msg.id?._serialized || msg.id;
-                    const msgTimestamp = new Date(msg.t * 1000).toISOString();
-                    
-                    const sentMessage = {
-                        id: msgId,
-                        subType: msg.type === 'ptt' ? 'audio' : (msg.type || 'chat'),
-                        content: content,
-                        timestamp: msgTimestamp,
-                        direction: 'sent'
-                    };
-                    
-                    const inserted = await addMessageToChat(jid, sentMessage);
-                    if (inserted) {
-                        syncedCount++;
-                        const contact = await getContactDetails(jid);
-                        const payload = {
-                            type: 'message',
-                            subType: sentMessage.subType,
-                            from: jid,
-                            content: content,
-                            timestamp: msgTimestamp,
-                            direction: 'sent',
-                            contactName: contact.name,
-                            contactProfilePicUrl: contact.profilePicUrl
-                        };
-                        wss.clients.forEach(c => {
-                            if (c.readyState === WebSocket.OPEN) {
-                                c.send(JSON.stringify(payload));
-                            }
-                        });
-                    }
+                if (new URL(origin).host !== host) {
+                    return done(false, 403, 'Origin not allowed');
                 }
-            } catch (e) {
-                // Skip
+            } catch (error) {
+                return done(false, 403, 'Origin not allowed');
             }
         }
-        
-        res.json({ success: true, syncedCount });
-    } catch (e) {
-        res.status(500).json({ error: e.message });
+        authenticateRequest(info.req)
+            .then(auth => (auth ? done(true) : done(false, 401, 'Authentication required')))
+            .catch((error) => {
+                console.error('Error checking WebSocket authentication:', error.message);
+                done(false, 500);
+            });
     }
 });
-
-// WebSocket Server Setup
-const wss = new WebSocket.Server({ server });
 let wppClient = null;
 let wppStatus = null;
 const lastSyncedMetaSentTsByJid = new Map();
@@ -905,295 +2594,48 @@ const lastSyncedMetaReceivedTsByJid = new Map();
 
 wss.on('connection', ws => {
     // console.log('Frontend connected');
-    ws.on('message', async message => {
-        const msg = JSON.parse(message);
-        if (!wppClient || (wppStatus !== 'isLogged' && wppStatus !== 'inChat')) {
-            // console.warn('WPPConnect client not ready. Status:', wppStatus);
-            // console.warn('Client exists:', !!wppClient);
-            return;
-        }
 
-        // Properly format JID - ensure it's a valid phone number
-        let jid = msg.to;
-        
-        // Remove any existing suffix and characters
-        if (jid.includes('@')) {
-            jid = jid.split('@')[0];
+    // Tells this client that its message was rejected before it could be stored and sent
+    const rejectSend = (msg, error) => {
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({ type: 'ack', jid: msg.to, id: msg.id, status: 'failed', error }));
         }
-        
-        // Remove any non-digit characters
-        jid = jid.replace(/\D/g, '');
-        
-        // Validate phone number format
-        if (!jid || jid.length < 10) {
-            // console.error('Invalid phone number format:', jid, 'Original:', msg.to);
-            return;
-        }
-        
-        // Remove leading zeros and ensure proper format
-        jid = jid.replace(/^0+/, '');
-        
-        // Try different JID formats
-        let jidFormats = [
-            jid + '@c.us',
-            jid + '@s.whatsapp.net', 
-            jid + '@lid'
-        ];
-
-        // console.log('Processing message:', {
-        //     type: msg.type, 
-        //     originalTo: msg.to, 
-        //     cleanedTo: jid.replace('@c.us', ''), 
-        //     formattedJid: jid, 
-        //     id: msg.id,
-        //     messageLength: msg.message ? msg.message.length : 0
-        // });
+    };
+
+    ws.on('message', async message => {
+        const msg = JSON.parse(message);
 
+        // While WhatsApp is offline, sends are stored and wait in the outbox
         if (msg.type === 'send') { // Text message
             try {
-                let outgoingText = msg.message;
-                // console.log('Sending text to:', jid, 'Message:', outgoingText);
-                const mode = await getChatMode(msg.to);
-                const originalMessage = msg.message;
-                let finalMessage = originalMessage;
-
-                if (mode === 'B' && !msg.is_rewritten_preview) {
-                    try {
-                        // Get chat history for context
-                        const chatHistory = await getChatHistory(msg.to, 5); // Last 5 messages
-                        
-                        // Check if message contains Hindi characters or common Hinglish patterns
-                        const hasHindiChars = /[\u0900-\u097F]/.test(originalMessage);
-                        const hasHinglishPatterns = /\b(tum|tera|mera|maim|main|kaun|kya|kaise|kyu|abhi|aur|yeh|woh|hai|ho|raha|rahi|rhe|hoga|kar|rahe|karo|karna|karni|hain|se|ko|ki|ke|me|mein|pe|theek|thik|accha|achha|chalo|chal|ruk|dekh|btao|karunga|karogi|hu|hun|hota|hogaya|hua|tha|thi|the|sab|kuch|sirf|bas|phir|fir|to|yehi|wahi|iska|uska|unka|mera|tera|unka|hamara|apna|dusra|doosra|ek|do|teen|char|panch|haan|nahi|nahin|matlab|kaha|kahan|kidhar|idhar|udhar|acha|acchi|acche|bura|buri|buri|sahi|galat|kaafi|bohot|jada|kam|zyada|pata|kalam|kal|aaj|raat|din|subah|shaam|phla|pahla|baad|pichla|agli|agle|pehla| last|next|previous)\b/i.test(originalMessage) && /[a-zA-Z]/.test(originalMessage);
-                        
-                        let rewriteRequest;
-                        if (hasHindiChars || hasHinglishPatterns) {
-                            // Convert Hinglish to English
-                            rewriteRequest = `Convert Hinglish/Hindi to English. Examples: "mai theek hu" -> "I am fine", "tum kya kar rahe ho" -> "What are you doing", "kya haal hai" -> "How are you". Translate to English only. NO Hindi words. Output ONLY the English.
-Input: ${originalMessage}
-Output:`;
-                        } else {
-                            // Just fix grammar for English text
-                            rewriteRequest = `Fix grammar/punctuation only. Output ONLY the fixed text, nothing else.
-Input: ${originalMessage}
-Output:`;
-                        }
-                        
-                        const apiKey = await getStoredApiKey();
-                        const rewritten = await getAIReply(rewriteRequest, "You are a text formatter. Return ONLY the corrected text, no explanations.", apiKey);
-                        
-                        // Only use rewrite if it doesn't add new content (indicates AI followed instructions)
-                        if (typeof rewritten === 'string' && rewritten.trim() && 
-                            rewritten.trim().length <= originalMessage.length * 1.5 &&
-                            !rewritten.toLowerCase().includes("i'd be happy") &&
-                            !rewritten.toLowerCase().includes("i can help") &&
-                            !rewritten.toLowerCase().includes("here is")) {
-                            finalMessage = rewritten.trim();
-                        }
-                    } catch (rewriteError) {
-                        // console.error('Semi-AI rewrite failed, sending original message:', rewriteError.message);
-                    }
-                }
-
-                // Always store original message first
-                const timestamp = new Date().toISOString();
-                const clientMessageId = msg.id;
-                const originalMessageForDb = {
-                    id: clientMessageId,
-                    subType: 'chat',
-                    content: originalMessage,
-                    timestamp: timestamp,
-                    direction: 'sent',
-                    isOriginalInSemiAI: mode === 'B' // Persist semi-AI status
-                };
-
-                const contactDetails = await getContactDetails(msg.to);
-                
-                // Store original message first
-                await addMessageToChat(msg.to, originalMessageForDb);
-                
-                // Broadcast original message to all clients with special flag for semi-AI mode
-                const originalPayloadForWs = {
-                    type: 'message',
-                    from: msg.to,
-                    subType: 'chat',
-                    content: originalMessage,
-                    timestamp: originalMessageForDb.timestamp,
-                    direction: 'sent',
-                    contactName: contactDetails.name,
-                    contactProfilePicUrl: contactDetails.profilePicUrl,
-                    id: originalMessageForDb.id,
-                    isOriginalInSemiAI: mode === 'B'
-                };
-                
-                // console.log('Broadcasting original message to clients:', originalPayloadForWs);
-                wss.clients.forEach(c => {
-                    if (c.readyState === WebSocket.OPEN) {
-                        c.send(JSON.stringify(originalPayloadForWs));
-                    }
+                await sendTextMessage(msg.to, msg.message, {
+                    clientMessageId: msg.id,
+                    skipRewrite: msg.is_rewritten_preview,
+                    skipTranslation: msg.skip_translation,
+                    rewrittenFrom: msg.is_rewritten_preview ? msg.original : undefined
                 });
-
-                // Send the final message (rewritten if in semi-AI mode, otherwise original)
-                // Try different JID formats
-                let sent = false;
-                for (const testJid of jidFormats) {
-                    try {
-                        await wppClient.sendText(testJid, finalMessage);
-                        sent = true;
-                        break;
-                    } catch (e) {
-                        // Try next format
-                    }
-                }
-                
-                if (!sent) {
-                    // Fallback: try without any suffix
-                    try {
-                        await wppClient.sendText(jid, finalMessage);
-                    } catch (e) {}
-                }
-                
-                // If message was rewritten, also store and broadcast the AI version
-                if (finalMessage !== originalMessage) {
-                    const aiMessageId = `ai_rewrite_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-                    const aiMessageForDb = {
-                        id: aiMessageId,
-                        subType: 'chat',
-                        content: finalMessage,
-                        timestamp: new Date().toISOString(),
-                        direction: 'sent',
-                        isAIRewrite: true // Persist AI rewrite status
-                    };
-                    
-                    // Store AI message in database
-                    await addMessageToChat(msg.to, aiMessageForDb);
-                    
-                    // Broadcast AI message to all clients
-                    const aiPayloadForWs = {
-                        type: 'message',
-                        from: msg.to,
-                        subType: 'chat',
-                        content: finalMessage,
-                        timestamp: aiMessageForDb.timestamp,
-                        direction: 'sent',
-                        contactName: contactDetails.name,
-                        contactProfilePicUrl: contactDetails.profilePicUrl,
-                        id: aiMessageForDb.id,
-                        isAIRewrite: true
-                    };
-                    
-                    // console.log('Broadcasting AI message to clients:', aiPayloadForWs);
-                    wss.clients.forEach(c => {
-                        if (c.readyState === WebSocket.OPEN) {
-                            c.send(JSON.stringify(aiPayloadForWs));
-                        }
-                    });
-                }
-                
-                // console.log(`Stored and broadcast outgoing message to ${msg.to}: ${outgoingText}`);
             } catch (error) {
-                // console.error('Failed to send text message:', error);
+                // Send failures are reported through 'ack' events; this only catches rejected requests
+                rejectSend(msg, error.message);
             }
         } else if (msg.type === 'send-file') { // File message
             try {
-                // Apply same JID formatting for file messages
-                let fileJid = msg.to;
-                
-                // Remove any existing suffix and add @c.us
-                if (fileJid.includes('@')) {
-                    fileJid = fileJid.split('@')[0];
-                }
-                
-                // Validate phone number format
-                if (!/^\d+$/.test(fileJid)) {
-                    // console.error('Invalid phone number format for file:', fileJid);
-                    return;
-                }
-                
-                fileJid = fileJid + '@c.us';
-
-                // console.log('Received file message on server:', {
-                //     subType: msg.subType,
-                //     mimetype: msg.mimetype,
-                //     filename: msg.filename,
-                //     contentLength: msg.content ? msg.content.length : 0,
-                //     formattedJid: fileJid
-                // });
-                
-                // Create the full data URL that WPPConnect expects
-                let dataUrl = msg.content;
-                if (!msg.content.startsWith('data:')) {
-                    dataUrl = `data:${msg.mimetype};base64,${msg.content}`;
-                }
-                
-                // console.log('Using data URL:', dataUrl.substring(0, 50) + '...');
-                
-                // Use the new sendFileMessage API
-                const options = {
-                    type: msg.subType,
-                    caption: msg.caption || msg.filename,
-                    filename: msg.filename,
-                    mimetype: msg.mimetype
-                };
-                
-                // Special handling for audio (PTT)
-                if (msg.subType === 'audio') {
-                    options.isPtt = true;
-                }
-                
-                // CRITICAL: Use base64-specific functions for base64 data URLs
-                if (msg.subType === 'image' || msg.subType === 'sticker') {
-                    // console.log('Sending image via sendImageFromBase64');
-                    await wppClient.sendImageFromBase64(fileJid, dataUrl, msg.filename, msg.caption || '');
-                } else if (msg.subType === 'video') {
-                    // console.log('Sending video via sendVideoFromBase64');
-                    await wppClient.sendVideoFromBase64(fileJid, dataUrl, msg.filename, msg.caption || '');
-                } else if (msg.subType === 'audio') {
-                    // console.log('Sending audio via sendAudioFromBase64');
-                    await wppClient.sendAudioFromBase64(fileJid, dataUrl, msg.filename, msg.caption || '');
-                } else {
-                    // console.log('Sending document via sendDocumentFromBase64');
-                    await wppClient.sendDocumentFromBase64(fileJid, dataUrl, msg.filename, msg.caption || '');
-                }
-                
-                // Immediately store and broadcast outgoing file message
-                const timestamp = new Date().toISOString();
-                const messageForDb = {
-                    id: `file_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-                    subType: msg.subType,
-                    content: msg.content,
-                    mimetype: msg.mimetype,
-                    timestamp: timestamp,
-                    direction: 'sent'
-                };
-                
-                const contactDetails = await getContactDetails(msg.to);
-                const payloadForWs = {
-                    type: 'message',
-                    from: msg.to,
+                await sendMediaMessage(msg.to, {
+                    data: msg.content,
                     subType: msg.subType,
-                    content: msg.content,
                     mimetype: msg.mimetype,
-                    timestamp: timestamp,
-                    direction: 'sent',
-                    contactName: contactDetails.name,
-                    contactProfilePicUrl: contactDetails.profilePicUrl,
-                    id: messageForDb.id
-                };
-                
-                // Store in database
-                await addMessageToChat(msg.to, messageForDb);
-                
-                // Broadcast to all connected clients
-                wss.clients.forEach(c => {
-                    if (c.readyState === WebSocket.OPEN) {
-                        c.send(JSON.stringify(payloadForWs));
-                    }
+                    filename: msg.filename,
+                    caption: msg.caption,
+                    clientMessageId: msg.id
                 });
-                
-                // console.log(`Stored and broadcast outgoing ${msg.subType} to ${msg.to}`);
             } catch (error) {
-                // console.error('Failed to send file message:', error);
+                rejectSend(msg, error.message);
+            }
+        } else if (msg.type === 'retry') { // Queue a failed message again; the outcome arrives as 'ack' events
+            try {
+                await retryMessage(msg.to, msg.id);
+            } catch (error) {
+                console.error(`Failed to retry message ${msg.id}:`, error.message);
             }
         }
     });
@@ -1215,11 +2657,16 @@ function startWPPConnect() {
             console.log('===========================\n');
         },
         statusFind: (statusSession) => {
+            if (statusSession !== wppStatus) {
+                emitWebhookEvent('connection.status', { status: statusSession });
+            }
             wppStatus = statusSession;
             // console.log('WPPConnect Status:', statusSession);
             if (statusSession === 'isLogged' || statusSession === 'inChat') {
                 wss.clients.forEach(c => c.send(JSON.stringify({ type: 'connected' })));
                 loadGroupMetadata();
+                // Send everything that queued up while offline
+                processOutbox(outboxHandlers, { force: true });
             }
         },
         headless: true,
@@ -1238,7 +2685,7 @@ function startWPPConnect() {
             const isStatus = fromJid === 'status@broadcast' || message.isStatus || message.type === 'status';
             const isChannel = fromJid.endsWith('@newsletter') || message.isNewsletter || message.isChannel;
             const isBroadcast = fromJid.endsWith('@broadcast') || message.isBroadcast;
-            const isFiltered = message.isGroupMsg || isStatus || isChannel || isBroadcast;
+            const isFiltered = isStatus || isChannel || isBroadcast;
 
             if (isFiltered) {
                 // console.log('Filtered message sample:', {
@@ -1254,9 +2701,15 @@ function startWPPConnect() {
             }
 
             const toJidPart = (value) => typeof value === 'string' ? value.split('@')[0] : '';
-            const senderJid = message.fromMe
-                ? (toJidPart(message.to) || toJidPart(message.invokedBotWid) || toJidPart(message.chatId) || toJidPart(message.from))
-                : toJidPart(message.from);
+            // Group messages are stored under the group; the participant goes into senderJid/senderName
+            const groupId = [message.chatId?._serialized || message.chatId, message.from, message.to]
+                .find(value => typeof value === 'string' && value.endsWith('@g.us'));
+            const isGroupMessage = Boolean(groupId) || Boolean(message.isGroupMsg);
+            const senderJid = groupId
+                ? toJidPart(groupId)
+                : message.fromMe
+                    ? (toJidPart(message.to) || toJidPart(message.invokedBotWid) || toJidPart(message.chatId) || toJidPart(message.from))
+                    : toJidPart(message.from);
             if (!senderJid) {
                 // console.warn(`Unable to resolve sender JID for message ${message.id}`);
                 return;
@@ -1266,6 +2719,14 @@ function startWPPConnect() {
             const direction = message.fromMe ? 'sent' : 'received';
             let messageForDb = { id: message.id, timestamp, direction };
             let payloadForWs = { type: 'message', from: senderJid, timestamp, direction };
+            if (message.fromMe) {
+                messageForDb.status = ackToStatus(message.ack);
+            }
+            if (isGroupMessage && !message.fromMe) {
+                const author = message.author?._serialized || message.author || message.sender?.id?._serialized || message.sender?.id;
+                messageForDb.senderJid = toJidPart(author) || null;
+                messageForDb.senderName = message.sender?.pushname || message.sender?.name || message.sender?.formattedName || message.notifyName || messageForDb.senderJid;
+            }
             const looksLikeBase64Blob = (value) =>
                 typeof value === 'string' &&
                 value.length > 200 &&
@@ -1374,7 +2835,7 @@ function startWPPConnect() {
                             direction: 'sent'
                         };
 
-                        const inserted = await addMessageToChat(senderJid, sentMessage);
+                        const inserted = await storeMessage(senderJid, sentMessage);
                         if (!inserted) {
                             continue;
                         }
@@ -1443,7 +2904,7 @@ function startWPPConnect() {
                             direction: 'received'
                         };
 
-                        const inserted = await addMessageToChat(senderJid, receivedMessage);
+                        const inserted = await storeMessage(senderJid, receivedMessage);
                         if (!inserted) {
                             continue;
                         }
@@ -1482,13 +2943,17 @@ function startWPPConnect() {
                 try {
                     // Use full media download to avoid thumbnails
                     const mediaData = await client.downloadMedia(message);
-                    if (typeof mediaData === 'string') {
-                        messageForDb.content = mediaData.includes(',') ? mediaData.split(',').pop() : mediaData;
-                    } else if (Buffer.isBuffer(mediaData)) {
-                        messageForDb.content = mediaData.toString('base64');
-                    }
+                    const media = await saveMedia(mediaData, { mimetype: message.mimetype, filename: message.filename });
+                    messageForDb.content = typeof message.caption === 'string' ? message.caption : '';
+                    messageForDb.media = media;
                     messageForDb.subType = message.type === 'ptt' ? 'audio' : message.type;
-                    messageForDb.mimetype = message.mimetype;
+                    messageForDb.mimetype = media.mimetype;
+                    if (message.type === 'ptt') {
+                        messageForDb.voiceNote = true;
+                    }
+                    if (Number(message.duration) > 0) {
+                        messageForDb.duration = Number(message.duration);
+                    }
                 } catch (e) {
                     // console.error(`Error processing media message (ID: ${message.id}, Type: ${message.type}):`, e);
                     messageForDb.content = '[Error processing media]';
@@ -1533,7 +2998,7 @@ function startWPPConnect() {
 
                     addCandidate(normalizedRefId);
 
-                    const remoteJids = [message.from, message.to, message.invokedBotWid, `${senderJid}@c.us`]
+                    const remoteJids = [message.from, message.to, message.invokedBotWid, toWhatsAppId(senderJid)]
                         .filter((jid) => typeof jid === 'string' && jid.includes('@'));
 
                     // Build full serialized IDs from key fragments like "AC45FBC...".
@@ -1565,7 +3030,7 @@ function startWPPConnect() {
 
                 const resolveFromRecentChatMessages = async () => {
                     try {
-                        const chatId = `${senderJid}@c.us`;
+                        const chatId = toWhatsAppId(senderJid);
                         const recentMessages = await client.getAllMessagesInChat(chatId, true, false);
                         if (!Array.isArray(recentMessages) || recentMessages.length === 0) {
                             return '';
@@ -1675,7 +3140,7 @@ function startWPPConnect() {
                                 direction: referencedDirection
                             };
 
-                            const inserted = await addMessageToChat(referencedJid, recoveredMessage);
+                            const inserted = await storeMessage(referencedJid, recoveredMessage);
                             if (inserted) {
                                 const recoveredContact = await getContactDetails(referencedJid);
                                 const recoveredPayload = {
@@ -1769,12 +3234,19 @@ function startWPPConnect() {
             }
             
             Object.assign(payloadForWs, {
+                id: messageForDb.id,
                 subType: messageForDb.subType,
                 content: messageForDb.content,
-                mimetype: messageForDb.mimetype
+                mimetype: messageForDb.mimetype,
+                media: messageForDb.media,
+                voiceNote: messageForDb.voiceNote,
+                duration: messageForDb.duration,
+                senderJid: messageForDb.senderJid,
+                senderName: messageForDb.senderName,
+                status: messageForDb.status
             });
 
-            const inserted = await addMessageToChat(senderJid, messageForDb);
+            const inserted = await storeMessage(senderJid, messageForDb);
             if (!inserted) {
                 if (shouldRunMetaReceivedBackfill) {
                     await syncRecentMetaReceivedMessages();
@@ -1783,7 +3255,8 @@ function startWPPConnect() {
             }
 
             const contactDetails = await getContactDetails(senderJid);
-            const senderProfile = message?.sender?.profilePicThumbObj;
+            // In groups the sender's picture belongs to the participant, not the chat
+            const senderProfile = isGroupMessage ? null : message?.sender?.profilePicThumbObj;
             if (senderProfile && (senderProfile.imgFull || senderProfile.eurl || senderProfile.img)) {
                 contactDetails.profilePicUrl = senderProfile.imgFull || senderProfile.eurl || senderProfile.img;
             }
@@ -1798,100 +3271,22 @@ function startWPPConnect() {
             await syncSentMessagesForChat(senderJid);
 
             if (messageForDb.subType === 'chat') {
-                const chatMode = await getChatMode(senderJid);
-                // console.log(`Chat mode for ${senderJid} is '${chatMode}'.`);
-
-                const hasContent = messageForDb.content && messageForDb.content.trim().length > 0;
-                
-                if (chatMode === 'C' && messageForDb.direction === 'received' && hasContent) {
-                    // console.log(`Auto-replying to ${senderJid}...`);
-                    // console.log('Original message structure:', { 
-                    //     from: message.from, 
-                    //     fromType: typeof message.from, 
-                    //     senderJid: senderJid,
-                    //     messageKeys: Object.keys(message)
-                    // });
-                    try {
-                        const instruction = await getAIInstruction();
-                        // console.log('Full AI instruction length:', instruction.length);
-                        // console.log('AI instruction preview:', instruction.substring(0, 200) + '...');
-                        
-                        // Check last chat time for self-introduction
-                        const state = await readState();
-                        const lastChat = state.lastChatTime?.[senderJid];
-                        const now = Date.now();
-                        const HOURS_3 = 3 * 60 * 60 * 1000; // 3 hours in ms
-                        const shouldIntroduce = !lastChat || (now - new Date(lastChat).getTime()) > HOURS_3;
-                        
-                        const apiKey = await getStoredApiKey();
-                        let aiReplyText = await getAIReply(messageForDb.content, instruction, apiKey);
-                        // console.log(`AI reply generated: "${aiReplyText}"`);
-                        // console.log(`message.from (where to send): ${message.from}`);
-                        // console.log(`senderJid: ${senderJid}`);
-                        // console.log(`message.fromMe: ${message.fromMe}`);
-                        // console.log(`shouldIntroduce: ${shouldIntroduce}, lastChat: ${lastChat}`);
-                        
-                        // Add self-introduction if needed (gap > 3 hours)
-                        if (shouldIntroduce) {
-                            const hour = new Date().getHours();
-                            const greeting = hour < 12 ? 'Good morning' : hour < 17 ? 'Good afternoon' : 'Good evening';
-                            const intro = `${greeting}. This is Ava, the AI Personal Assistant. `;
-                            
-                            // Prepend introduction if not already present
-                            if (!aiReplyText.toLowerCase().startsWith('good') || !aiReplyText.includes('Ava')) {
-                                aiReplyText = intro + aiReplyText;
-                            }
-                            
-                            // Update last chat time
-                            state.lastChatTime = state.lastChatTime || {};
-                            state.lastChatTime[senderJid] = new Date().toISOString();
-                            await writeState(state);
-                        }
-                        
-                        await client.sendText(message.from, aiReplyText);
-                        
-                        // Store and broadcast AI reply immediately since Meta AI sync is disabled
-                        const aiTimestamp = new Date().toISOString();
-                        const aiMessageForDb = {
-                            id: `ai_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-                            subType: 'chat',
-                            content: aiReplyText,
-                            timestamp: aiTimestamp,
-                            direction: 'sent'
-                        };
-                        
-                        const aiContactDetails = await getContactDetails(senderJid);
-                        const aiPayloadForWs = {
-                            type: 'message',
-                            from: senderJid, // Use consistent JID format
-                            subType: 'chat',
-                            content: aiReplyText,
-                            timestamp: aiTimestamp,
-                            direction: 'sent',
-                            contactName: aiContactDetails.name,
-                            contactProfilePicUrl: aiContactDetails.profilePicUrl,
-                            id: aiMessageForDb.id
-                        };
-                        
-                        // Store in database - IMPORTANT: Store with correct chat JID as the key
-                        // Use the same JID extraction logic as the original message
-                        const chatJidForStorage = senderJid;
-                        await addMessageToChat(chatJidForStorage, aiMessageForDb);
-                        
-                        // Broadcast to all connected clients
-                        wss.clients.forEach(c => {
-                            if (c.readyState === WebSocket.OPEN) {
-                                c.send(JSON.stringify(aiPayloadForWs));
-                            }
-                        });
-                        
-                        // console.log('AI reply sent and broadcasted to frontend');
-
-                    } catch (error) {
-                        // console.error('Auto-reply failed:', error.message);
-                        // console.error('Stack trace:', error.stack);
-                    }
+                if (messageForDb.direction === 'received') {
+                    // Translating can take a moment; the message is already on screen
+                    translateIncomingMessage(senderJid, messageForDb);
                 }
+                await autoReplyToMessage(senderJid, message, messageForDb, contactDetails.name);
+            } else if (messageForDb.voiceNote && messageForDb.direction === 'received' && await isTranscriptionEnabled()) {
+                // Transcribing can take a while; don't hold up the next message
+                transcribeMessage(senderJid, messageForDb)
+                    .then((transcribed) => {
+                        if (transcribed?.transcript?.status === 'done' && transcribed.transcript.text) {
+                            // Answer the transcript like a text message
+                            return autoReplyToMessage(senderJid, message,
+                                { ...transcribed, content: transcribed.transcript.text }, contactDetails.name);
+                        }
+                    })
+                    .catch(error => console.error('Error handling voice note:', error.message));
             }
 
             // Temporarily disable Meta AI sync to prevent message flooding
@@ -1901,6 +3296,25 @@ function startWPPConnect() {
             }
             */
         });
+
+        // Delivery and read receipts for our own messages
+        client.onAck(async (ack) => {
+            try {
+                if (!ack?.id || ack.id.fromMe === false) return;
+                const waMessageId = ack.id._serialized || ack.id;
+                const remote = ack.id.remote?._serialized || ack.id.remote || ack.to;
+                const jid = typeof remote === 'string' ? remote.split('@')[0] : '';
+                if (!jid || typeof waMessageId !== 'string') return;
+
+                const status = ackToStatus(ack.ack);
+                const updated = await setMessageStatus(jid, waMessageId, status);
+                if (!updated) {
+                    rememberEarlyAck(waMessageId, status);
+                }
+            } catch (error) {
+                console.error('Error handling message ack:', error.message);
+            }
+        });
     })
     .catch((error) => {
         // console.error('Error starting WPPConnect:', error);
@@ -1951,10 +3365,11 @@ function startWPPConnect() {
                             subType: msg.type === 'ptt' ? 'audio' : (msg.type || 'chat'),
                             content: content,
                             timestamp: msgTimestamp,
-                            direction: 'sent'
+                            direction: 'sent',
+                            status: ackToStatus(msg.ack)
                         };
                         
-                        const inserted = await addMessageToChat(jid, sentMessage);
+                        const inserted = await storeMessage(jid, sentMessage);
                         if (inserted) {
                             const contact = await getContactDetails(jid);
                             const payload = {
@@ -1965,7 +3380,9 @@ function startWPPConnect() {
                                 timestamp: msgTimestamp,
                                 direction: 'sent',
                                 contactName: contact.name,
-                                contactProfilePicUrl: contact.profilePicUrl
+                                contactProfilePicUrl: contact.profilePicUrl,
+                                id: sentMessage.id,
+                                status: sentMessage.status
                             };
                             wss.clients.forEach(c => {
                                 if (c.readyState === WebSocket.OPEN) {
@@ -1993,7 +3410,7 @@ async function syncSentMessagesForChat(jid) {
     if (!wppClient || wppStatus !== 'isLogged') return 0;
     
     try {
-        const chatId = `${jid}@c.us`;
+        const chatId = toWhatsAppId(jid);
         const messages = await wppClient.getAllMessagesInChat(chatId, true, false);
         if (!messages?.length) return 0;
         
@@ -2014,10 +3431,11 @@ async function syncSentMessagesForChat(jid) {
                 subType: msg.type === 'ptt' ? 'audio' : (msg.type || 'chat'),
                 content: content,
                 timestamp: msgTimestamp,
-                direction: 'sent'
+                direction: 'sent',
+                status: ackToStatus(msg.ack)
             };
             
-            const inserted = await addMessageToChat(jid, sentMessage);
+            const inserted = await storeMessage(jid, sentMessage);
             if (inserted) {
                 synced++;
                 const contact = await getContactDetails(jid);
@@ -2029,7 +3447,9 @@ async function syncSentMessagesForChat(jid) {
                     timestamp: msgTimestamp,
                     direction: 'sent',
                     contactName: contact.name,
-                    contactProfilePicUrl: contact.profilePicUrl
+                    contactProfilePicUrl: contact.profilePicUrl,
+                    id: sentMessage.id,
+                    status: sentMessage.status
                 };
                 wss.clients.forEach(c => {
                     if (c.readyState === WebSocket.OPEN) {
@@ -2060,6 +3480,37 @@ app.post('/api/sync-chat/:jid', async (req, res) => {
 server.listen(PORT, () => {
     // console.log(`Server is running on http://localhost:${PORT}`);
     startWPPConnect();
+    startWebhookWorker();
+    startOutboxWorker(outboxHandlers);
+    startScheduler({
+        isReady: () => Boolean(wppClient) && (wppStatus === 'isLogged' || wppStatus === 'inChat'),
+        send: sendScheduledMessage
+    });
+    setInterval(sendDueDrafts, DRAFT_AUTOSEND_INTERVAL_MS).unref();
+
+    // Move base64 media stored inline by older versions into the media store
+    migrateInlineMedia()
+        .then((migrated) => {
+            if (migrated > 0) {
+                console.log(`Moved ${migrated} inline media messages to the media store.`);
+            }
+        })
+        .catch((error) => console.error('Inline media migration failed:', error.message))
+        .then(() => ensureSearchIndex())
+        .catch((error) => console.error('Building the search index failed:', error.message));
+
+    // Load settings now so the one-time import from .env happens at startup
+    getConfig().catch((error) => console.error('Loading settings failed:', error.message));
+
+    // Import the old free-text AI_SCHEDULE into the structured schedule once
+    migrateLegacySchedule(process.env.AI_SCHEDULE)
+        .then((result) => {
+            if (result) {
+                console.log(`Imported ${result.imported} blocks from AI_SCHEDULE into the schedule.`);
+                result.skipped.forEach(line => console.log(`  Skipped unreadable schedule line: ${line}`));
+            }
+        })
+        .catch((error) => console.error('Schedule migration failed:', error.message));
 });
 
 
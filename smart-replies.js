@@ -0,0 +1,112 @@
+const { getChatHistory, getAIInstruction } = require('./data-storage');
+const { getAICompletion, buildConversation } = require('./ai');
+const { getConfig } = require('./config');
+
+const SUGGESTION_STYLES = ['short', 'friendly', 'formal'];
+const SUGGESTION_MAX_TOKENS = 300;
+const MAX_SUGGESTION_LENGTH = 500;
+
+const SUGGESTION_INSTRUCTION = `Suggest replies the account owner could send next in this WhatsApp conversation.
+Your earlier turns are messages the owner sent; the other turns are from the other person.
+Reply with JSON only, no other text, in exactly this shape:
+{"short": "...", "friendly": "...", "formal": "..."}
+- short: a few words at most.
+- friendly: warm and casual, one or two sentences.
+- formal: polite and professional, one or two sentences.
+The three replies must say clearly different things or say them in clearly different ways.
+Write in the language of the conversation. Do not add quotes, names or emojis that are not needed.`;
+
+/**
+ * @typedef {object} SmartReply
+ * @property {'short' | 'friendly' | 'formal'} style
+ * @property {string} text
+ */
+
+function cleanSuggestion(value) {
+    if (typeof value !== 'string') return '';
+    const text = value.trim().replace(/^["'“]+|["'”]+$/g, '').trim();
+    return text.length > MAX_SUGGESTION_LENGTH ? `${text.slice(0, MAX_SUGGESTION_LENGTH)}...` : text;
+}
+
+/**
+ * Reads the model's answer into suggestions. Accepts the requested object, an array of strings or
+ * `{style, text}` objects, or plain lines when the model ignores the JSON format.
+ * @param {string} text
+ * @returns {SmartReply[]} Without empty and duplicate replies.
+ */
+function parseSuggestions(text) {
+    let candidates = [];
+    const start = text.search(/[[{]/);
+    const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+    if (start !== -1 && end > start) {
+        try {
+            const parsed = JSON.parse(text.slice(start, end + 1));
+            if (Array.isArray(parsed)) {
+                candidates = parsed.map((item, index) => (typeof item === 'string'
+                    ? { style: SUGGESTION_STYLES[index], text: item }
+                    : { style: item?.style, text: item?.text }));
+            } else if (parsed && typeof parsed === 'object') {
+                candidates = SUGGESTION_STYLES.map(style => ({ style, text: parsed[style] }));
+            }
+        } catch (error) {
+            // Fall through to plain lines
+        }
+    }
+    if (candidates.length === 0) {
+        // Prefer list items, so a lead-in like "Here are some replies:" is not offered as a reply
+        const lines = text.split('\n').map(line => line.trim()).filter(line => line && !line.endsWith(':'));
+        const listMarker = /^(?:[-*•]|\d+[.)])\s*/;
+        const items = lines.some(line => listMarker.test(line)) ? lines.filter(line => listMarker.test(line)) : lines;
+        candidates = items
+            .map(line => line.replace(listMarker, '').replace(/^(short|friendly|formal)\s*:\s*/i, ''))
+            .map((line, index) => ({ style: SUGGESTION_STYLES[index], text: line }));
+    }
+
+    const seen = new Set();
+    const suggestions = [];
+    for (const candidate of candidates) {
+        const reply = cleanSuggestion(candidate.text);
+        const key = reply.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+        if (!key || seen.has(key)) continue;
+        seen.add(key);
+        const style = SUGGESTION_STYLES.includes(candidate.style) ? candidate.style : SUGGESTION_STYLES[suggestions.length];
+        suggestions.push({ style: style || 'friendly', text: reply });
+        if (suggestions.length === SUGGESTION_STYLES.length) break;
+    }
+    return suggestions;
+}
+
+/**
+ * Suggests up to three replies (short, friendly and formal) to the latest messages of a chat.
+ * @param {string} jid
+ * @param {object} [options]
+ * @param {string} [options.message] - A message to answer that is not stored yet; without a chat
+ *   it is the only context
+ * @returns {Promise<SmartReply[]>} Throws when the AI request fails.
+ */
+async function suggestReplies(jid, { message = '' } = {}) {
+    const config = await getConfig();
+    const history = jid ? await getChatHistory(jid, config.aiContextMessages) : [];
+    if (message && history[history.length - 1]?.content !== message) {
+        history.push({ direction: 'received', content: message });
+    }
+    const conversation = buildConversation(history, {
+        maxMessages: config.aiContextMessages,
+        maxTokens: config.aiContextTokens
+    });
+    if (conversation.length === 0) {
+        return [];
+    }
+
+    const instruction = await getAIInstruction(jid);
+    const answer = await getAICompletion([
+        { role: 'system', content: `${instruction}\n\n${SUGGESTION_INSTRUCTION}` },
+        ...conversation
+    ], { maxTokens: SUGGESTION_MAX_TOKENS, temperature: 0.8 });
+    return parseSuggestions(answer);
+}
+
+module.exports = {
+    SUGGESTION_STYLES,
+    suggestReplies
+};
@@ -0,0 +1,262 @@
+const fs = require('fs');
+const path = require('path');
+
+const DB_FILE_PATH = path.join(__dirname, 'ava.db');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS chats (
+        jid TEXT PRIMARY KEY,
+        created_at TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS messages (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        jid TEXT NOT NULL REFERENCES chats(jid) ON DELETE CASCADE,
+        id TEXT,
+        ts INTEGER,
+        direction TEXT,
+        sub_type TEXT,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_messages_jid_seq ON messages(jid, seq);
+    CREATE INDEX IF NOT EXISTS idx_messages_jid_id ON messages(jid, id);
+    CREATE INDEX IF NOT EXISTS idx_messages_jid_ts ON messages(jid, ts);
+    CREATE TABLE IF NOT EXISTS state (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+    );
+`;
+
+/**
+ * Creates a storage backend that keeps chats, messages and app state in a SQLite database.
+ * Exposes the same async interface as the JSON file backend in data-storage.js.
+ * @param {object} [options]
+ * @param {string} [options.dbPath] - Path of the database file.
+ * @returns {object} The backend.
+ */
+function createSqliteBackend({ dbPath = DB_FILE_PATH } = {}) {
+    // Required lazily so the JSON backend keeps working when the native module is missing.
+    const Database = require('better-sqlite3');
+    const db = new Database(dbPath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+    db.exec(SCHEMA);
+
+    const stmts = {
+        listChats: db.prepare('SELECT jid FROM chats ORDER BY rowid'),
+        listMessages: db.prepare('SELECT jid, data FROM messages ORDER BY seq'),
+        chatExists: db.prepare('SELECT 1 FROM chats WHERE jid = ?'),
+        ensureChat: db.prepare('INSERT OR IGNORE INTO chats (jid, created_at) VALUES (?, ?)'),
+        deleteChat: db.prepare('DELETE FROM chats WHERE jid = ?'),
+        deleteAllChats: db.prepare('DELETE FROM chats'),
+        chatMessages: db.prepare('SELECT data FROM messages WHERE jid = ? ORDER BY seq'),
+        hasMessageId: db.prepare('SELECT 1 FROM messages WHERE jid = ? AND id = ? LIMIT 1'),
+        messagesBetween: db.prepare('SELECT data FROM messages WHERE jid = ? AND ts BETWEEN ? AND ? ORDER BY seq'),
+        insertMessage: db.prepare(`
+            INSERT INTO messages (jid, id, ts, direction, sub_type, data)
+            VALUES (@jid, @id, @ts, @direction, @subType, @data)
+        `),
+        deleteMessage: db.prepare('DELETE FROM messages WHERE jid = ? AND id = ?'),
+        updateMessage: db.prepare(`
+            UPDATE messages SET ts = @ts, direction = @direction, sub_type = @subType, data = @data
+            WHERE jid = @jid AND id = @id
+        `),
+        readState: db.prepare('SELECT key, value FROM state'),
+        writeStateKey: db.prepare('INSERT OR REPLACE INTO state (key, value) VALUES (?, ?)'),
+        clearState: db.prepare('DELETE FROM state'),
+        getMeta: db.prepare('SELECT value FROM meta WHERE key = ?'),
+        setMeta: db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)'),
+        countMessages: db.prepare('SELECT COUNT(*) AS count FROM messages')
+    };
+
+    const ensureChat = (jid) => stmts.ensureChat.run(jid, new Date().toISOString());
+
+    const insertMessage = (jid, message) => {
+        const ts = Date.parse(message?.timestamp || '');
+        stmts.insertMessage.run({
+            jid,
+            id: message?.id != null ? String(message.id) : null,
+            ts: Number.isFinite(ts) ? ts : null,
+            direction: message?.direction || null,
+            subType: message?.subType || 'chat',
+            data: JSON.stringify(message)
+        });
+    };
+
+    const replaceAllChats = db.transaction((chats) => {
+        stmts.deleteAllChats.run();
+        for (const [jid, messages] of Object.entries(chats || {})) {
+            ensureChat(jid);
+            for (const message of Array.isArray(messages) ? messages : []) {
+                insertMessage(jid, message);
+            }
+        }
+    });
+
+    const appendMessage = db.transaction((jid, message) => {
+        ensureChat(jid);
+        insertMessage(jid, message);
+    });
+
+    const removeMessages = db.transaction((jid, ids) => {
+        let removed = 0;
+        for (const id of ids) {
+            removed += stmts.deleteMessage.run(jid, String(id)).changes;
+        }
+        return removed;
+    });
+
+    const replaceMessages = db.transaction((jid, replacements) => {
+        let replaced = 0;
+        for (const [id, message] of Object.entries(replacements)) {
+            const ts = Date.parse(message?.timestamp || '');
+            replaced += stmts.updateMessage.run({
+                jid,
+                id,
+                ts: Number.isFinite(ts) ? ts : null,
+                direction: message?.direction || null,
+                subType: message?.subType || 'chat',
+                data: JSON.stringify(message)
+            }).changes;
+        }
+        return replaced;
+    });
+
+    const ensureChats = db.transaction((jids) => {
+        for (const jid of jids) {
+            ensureChat(jid);
+        }
+    });
+
+    const replaceState = db.transaction((stateData) => {
+        stmts.clearState.run();
+        for (const [key, value] of Object.entries(stateData || {})) {
+            if (value === undefined) continue;
+            stmts.writeStateKey.run(key, JSON.stringify(value));
+        }
+    });
+
+    return {
+        name: 'sqlite',
+        db,
+
+        async readChats() {
+            const chats = {};
+            for (const row of stmts.listChats.all()) {
+                chats[row.jid] = [];
+            }
+            for (const row of stmts.listMessages.all()) {
+                (chats[row.jid] = chats[row.jid] || []).push(JSON.parse(row.data));
+            }
+            return chats;
+        },
+
+        async writeChats(chatsData) {
+            replaceAllChats(chatsData);
+        },
+
+        async getMessages(jid) {
+            if (!stmts.chatExists.get(jid)) return null;
+            return stmts.chatMessages.all(jid).map(row => JSON.parse(row.data));
+        },
+
+        async hasChat(jid) {
+            return Boolean(stmts.chatExists.get(jid));
+        },
+
+        async hasMessageId(jid, id) {
+            return Boolean(stmts.hasMessageId.get(jid, String(id)));
+        },
+
+        async getMessagesBetween(jid, fromMs, toMs) {
+            return stmts.messagesBetween.all(jid, fromMs, toMs).map(row => JSON.parse(row.data));
+        },
+
+        async appendMessage(jid, message) {
+            appendMessage(jid, message);
+        },
+
+        async removeMessages(jid, ids) {
+            return removeMessages(jid, ids);
+        },
+
+        async replaceMessages(jid, replacements) {
+            return replaceMessages(jid, replacements);
+        },
+
+        async ensureChats(jids) {
+            ensureChats(jids);
+        },
+
+        async deleteChat(jid) {
+            return stmts.deleteChat.run(jid).changes > 0;
+        },
+
+        async readState() {
+            const state = {};
+            for (const row of stmts.readState.all()) {
+                try {
+                    state[row.key] = JSON.parse(row.value);
+                } catch (error) {
+                    console.error(`Error parsing state key "${row.key}":`, error);
+                }
+            }
+            return state;
+        },
+
+        async writeState(stateData) {
+            replaceState(stateData);
+        },
+
+        /**
+         * Imports chats.json and state.json into the database once.
+         * Skipped when a previous import is recorded or the database already holds messages.
+         * @param {object} paths
+         * @param {string} paths.chatsPath - Path of the legacy chats.json.
+         * @param {string} paths.statePath - Path of the legacy state.json.
+         * @param {boolean} [force=false] - Import even if an earlier import was recorded.
+         * @returns {{migrated: boolean, chats?: number, messages?: number, reason?: string}}
+         */
+        migrateFromJson({ chatsPath, statePath }, force = false) {
+            if (!force && stmts.getMeta.get('json_migrated_at')) {
+                return { migrated: false, reason: 'already migrated' };
+            }
+            if (!force && stmts.countMessages.get().count > 0) {
+                return { migrated: false, reason: 'database not empty' };
+            }
+
+            const readJsonFile = (filePath) => {
+                if (!filePath || !fs.existsSync(filePath)) return null;
+                return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+            };
+            const legacyChats = readJsonFile(chatsPath);
+            const legacyState = readJsonFile(statePath);
+            if (!legacyChats && !legacyState) {
+                stmts.setMeta.run('json_migrated_at', new Date().toISOString());
+                return { migrated: false, reason: 'nothing to migrate' };
+            }
+
+            let chatCount = 0;
+            let messageCount = 0;
+            db.transaction(() => {
+                if (legacyChats) {
+                    replaceAllChats(legacyChats);
+                    chatCount = Object.keys(legacyChats).length;
+                    messageCount = Object.values(legacyChats)
+                        .reduce((sum, messages) => sum + (Array.isArray(messages) ? messages.length : 0), 0);
+                }
+                if (legacyState) {
+                    replaceState(legacyState);
+                }
+                stmts.setMeta.run('json_migrated_at', new Date().toISOString());
+            })();
+
+            return { migrated: true, chats: chatCount, messages: messageCount };
+        }
+    };
+}
+
+module.exports = { createSqliteBackend, DB_FILE_PATH };
@@ -0,0 +1,229 @@
+const { readState, updateState, getMessagesInRange } = require('./data-storage');
+const { getAICompletion, getMessageText, estimateTokens } = require('./ai');
+
+const DEFAULT_RANGE_MS = 24 * 60 * 60 * 1000;
+// Budget for the transcript in one request; longer ranges are summarized in parts and merged
+const CHUNK_TOKEN_BUDGET = 3000;
+const SUMMARY_MAX_TOKENS = 700;
+const MAX_CACHED_PER_CHAT = 10;
+const MAX_LIST_ITEMS = 20;
+
+const SUMMARY_INSTRUCTION = `You summarize WhatsApp conversations for the owner of the account, who appears as "Me".
+Reply with JSON only, no other text, in exactly this shape:
+{"overview": "two or three sentences", "keyPoints": ["..."], "questionsForMe": ["..."], "actionItems": ["..."]}
+- keyPoints: the important facts, decisions and news.
+- questionsForMe: questions others asked Me that Me has not answered yet, with who asked (e.g. "Jo: Are you coming on Friday?").
+- actionItems: things Me promised or still needs to do.
+Use empty arrays when there is nothing. Write in the language of the conversation.`;
+
+const MERGE_INSTRUCTION = `You combine partial summaries of consecutive parts of one WhatsApp conversation, oldest first.
+Reply with JSON only, in the same shape as the parts:
+{"overview": "two or three sentences", "keyPoints": ["..."], "questionsForMe": ["..."], "actionItems": ["..."]}
+Drop duplicates, and drop questions and action items that a later part shows were answered or done.`;
+
+/**
+ * @typedef {object} ChatSummary
+ * @property {string} overview
+ * @property {string[]} keyPoints
+ * @property {string[]} questionsForMe - Unanswered questions addressed to the account owner
+ * @property {string[]} actionItems
+ */
+
+/**
+ * @typedef {object} SummaryResult
+ * @property {string} jid
+ * @property {string} since - ISO 8601 timestamp
+ * @property {string} until - ISO 8601 timestamp
+ * @property {number} messageCount - Messages in the range
+ * @property {number} chunks - Parts the range was summarized in
+ * @property {boolean} cached - Whether the summary came from the cache
+ * @property {ChatSummary} summary
+ * @property {string} createdAt - ISO 8601 timestamp of when the summary was generated
+ */
+
+function parseTime(value, name) {
+    const date = typeof value === 'number' || /^\d+$/.test(String(value)) ? new Date(Number(value)) : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`${name} must be an ISO 8601 timestamp or milliseconds since the epoch.`);
+    }
+    return date;
+}
+
+/**
+ * Works out the range to summarize. Without `since`, the 24 hours before `until` are used.
+ * @param {object} options
+ * @param {string|number} [options.since]
+ * @param {string|number} [options.until] - Defaults to now
+ * @returns {{since: Date, until: Date}}
+ */
+function resolveRange({ since, until } = {}) {
+    const end = until !== undefined && until !== '' ? parseTime(until, 'until') : new Date();
+    const start = since !== undefined && since !== '' ? parseTime(since, 'since') : new Date(end.getTime() - DEFAULT_RANGE_MS);
+    if (start.getTime() >= end.getTime()) {
+        throw new Error('since must be before until.');
+    }
+    return { since: start, until: end };
+}
+
+function formatTime(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * One transcript line per message, e.g. "[2024-05-01 09:30] Jo: See you at 10".
+ * @param {object} message
+ * @param {string} contactName - Who "they" are in one-to-one chats
+ * @returns {string}
+ */
+function formatMessageLine(message, contactName) {
+    const author = message.direction === 'sent' ? 'Me' : (message.senderName || contactName || 'Them');
+    let text = getMessageText(message);
+    if (text && message.transcript?.text && !message.content) {
+        text = `(voice note) ${text}`;
+    } else if (!text) {
+        text = `[${message.subType || 'message'}${message.media?.filename ? `: ${message.media.filename}` : ''}]`;
+    }
+    return `[${formatTime(new Date(message.timestamp))}] ${author}: ${text.replace(/\s*\n\s*/g, ' ')}`;
+}
+
+/**
+ * Splits transcript lines into parts that fit the token budget. Overlong lines are cut.
+ * @param {string[]} lines
+ * @returns {string[]}
+ */
+function chunkLines(lines) {
+    const chunks = [];
+    let current = [];
+    let tokens = 0;
+    for (const fullLine of lines) {
+        const line = fullLine.length > CHUNK_TOKEN_BUDGET * 2 ? `${fullLine.slice(0, CHUNK_TOKEN_BUDGET * 2)}...` : fullLine;
+        const lineTokens = estimateTokens(line);
+        if (current.length > 0 && tokens + lineTokens > CHUNK_TOKEN_BUDGET) {
+            chunks.push(current.join('\n'));
+            current = [];
+            tokens = 0;
+        }
+        current.push(line);
+        tokens += lineTokens;
+    }
+    if (current.length > 0) chunks.push(current.join('\n'));
+    return chunks;
+}
+
+function toStringList(value) {
+    if (!Array.isArray(value)) return [];
+    return value
+        .map(item => (typeof item === 'string' ? item : item && typeof item === 'object' ? Object.values(item).join(': ') : ''))
+        .map(item => item.trim())
+        .filter(Boolean)
+        .slice(0, MAX_LIST_ITEMS);
+}
+
+/**
+ * Reads the model's JSON answer. Models sometimes wrap it in prose or code fences; if no JSON can be
+ * found, the whole answer becomes the overview.
+ * @param {string} text
+ * @returns {ChatSummary}
+ */
+function parseSummary(text) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+        try {
+            const parsed = JSON.parse(text.slice(start, end + 1));
+            return {
+                overview: typeof parsed.overview === 'string' ? parsed.overview.trim() : '',
+                keyPoints: toStringList(parsed.keyPoints),
+                questionsForMe: toStringList(parsed.questionsForMe),
+                actionItems: toStringList(parsed.actionItems)
+            };
+        } catch (error) {
+            // Fall through to plain text
+        }
+    }
+    return { overview: text.trim(), keyPoints: [], questionsForMe: [], actionItems: [] };
+}
+
+async function summarizeText(instruction, content) {
+    const answer = await getAICompletion([
+        { role: 'system', content: instruction },
+        { role: 'user', content }
+    ], { maxTokens: SUMMARY_MAX_TOKENS, temperature: 0.2 });
+    return parseSummary(answer);
+}
+
+/**
+ * Summarizes a chat over a time range. Summaries are cached per chat and reused as long as the range
+ * holds the same messages.
+ * @param {string} jid
+ * @param {object} [options]
+ * @param {string|number} [options.since] - Defaults to 24 hours before `until`
+ * @param {string|number} [options.until] - Defaults to now
+ * @param {boolean} [options.force=false] - Summarize again even if a cached summary exists
+ * @param {string} [options.contactName] - Name used for the other person in one-to-one chats
+ * @returns {Promise<SummaryResult>}
+ */
+async function summarizeChat(jid, { since, until, force = false, contactName = '' } = {}) {
+    const range = resolveRange({ since, until });
+    const messages = (await getMessagesInRange(jid, range.since.getTime(), range.until.getTime()))
+        .filter(message => message.direction === 'sent' || message.direction === 'received');
+    const result = {
+        jid,
+        since: range.since.toISOString(),
+        until: range.until.toISOString(),
+        messageCount: messages.length
+    };
+    if (messages.length === 0) {
+        return {
+            ...result,
+            chunks: 0,
+            cached: false,
+            summary: { overview: 'No messages in this period.', keyPoints: [], questionsForMe: [], actionItems: [] },
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    // The same messages give the same summary, whatever exact range was asked for
+    const key = `${messages[0].id}|${messages[messages.length - 1].id}|${messages.length}`;
+    if (!force) {
+        const state = await readState();
+        const hit = (state.summaries?.[jid] || []).find(entry => entry.key === key);
+        if (hit) {
+            return { ...result, chunks: hit.chunks, cached: true, summary: hit.summary, createdAt: hit.createdAt };
+        }
+    }
+
+    const chunks = chunkLines(messages.map(message => formatMessageLine(message, contactName)));
+    const partials = [];
+    for (const chunk of chunks) {
+        partials.push(await summarizeText(SUMMARY_INSTRUCTION, chunk));
+    }
+    const summary = partials.length === 1
+        ? partials[0]
+        : await summarizeText(MERGE_INSTRUCTION, partials.map((partial, index) => `Part ${index + 1}: ${JSON.stringify(partial)}`).join('\n'));
+
+    const entry = { key, chunks: chunks.length, summary, createdAt: new Date().toISOString() };
+    await updateState((state) => {
+        state.summaries = state.summaries || {};
+        const cached = (state.summaries[jid] || []).filter(existing => existing.key !== key);
+        state.summaries[jid] = [entry, ...cached].slice(0, MAX_CACHED_PER_CHAT);
+    });
+    return { ...result, chunks: entry.chunks, cached: false, summary, createdAt: entry.createdAt };
+}
+
+/**
+ * Forgets the cached summaries of a chat.
+ * @param {string} jid
+ */
+async function clearSummaries(jid) {
+    await updateState((state) => {
+        if (state.summaries?.[jid]) delete state.summaries[jid];
+    });
+}
+
+module.exports = {
+    resolveRange,
+    summarizeChat,
+    clearSummaries
+};
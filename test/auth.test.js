@@ -0,0 +1,110 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createSandbox } = require('./helpers');
+
+let sandbox;
+let auth;
+
+before(() => {
+    sandbox = createSandbox();
+    auth = sandbox.load('auth.js');
+});
+
+after(() => sandbox.cleanup());
+
+const PASSWORD = 'correct horse';
+
+function request({ session, bearer, url = '/api/chats' } = {}) {
+    const headers = {};
+    if (session) headers.cookie = `theme=dark; ${auth.SESSION_COOKIE}=${session}`;
+    if (bearer) headers.authorization = `Bearer ${bearer}`;
+    return { headers, url };
+}
+
+// The tests below build on each other: the password is set up once
+test('sets the password once and starts a session', async () => {
+    assert.strictEqual(await auth.isPasswordSet(), false);
+    await assert.rejects(auth.setupPassword('short'), /at least 8 characters/);
+
+    const session = await auth.setupPassword(PASSWORD);
+    assert.strictEqual(await auth.isPasswordSet(), true);
+    assert.deepStrictEqual(await auth.authenticateRequest(request({ session })), { type: 'session', sessionToken: session });
+    await assert.rejects(auth.setupPassword('another password'), /already set/);
+});
+
+test('logs in with the password and out again', async () => {
+    assert.strictEqual(await auth.login('wrong password'), null);
+    const session = await auth.login(PASSWORD);
+    assert.ok(session);
+    assert.strictEqual((await auth.authenticateRequest(request({ session }))).type, 'session');
+
+    await auth.logout(session);
+    assert.strictEqual(await auth.authenticateRequest(request({ session })), null);
+    assert.strictEqual(await auth.authenticateRequest(request({ session: 'forged' })), null);
+    assert.strictEqual(await auth.authenticateRequest(request()), null);
+});
+
+test('changing the password ends the other sessions', async () => {
+    const current = await auth.login(PASSWORD);
+    const other = await auth.login(PASSWORD);
+    assert.strictEqual(await auth.changePassword('wrong password', 'new password 1', current), false);
+    assert.strictEqual(await auth.changePassword(PASSWORD, 'new password 1', current), true);
+
+    assert.strictEqual((await auth.authenticateRequest(request({ session: current }))).type, 'session');
+    assert.strictEqual(await auth.authenticateRequest(request({ session: other })), null);
+    assert.strictEqual(await auth.login(PASSWORD), null);
+    assert.ok(await auth.login('new password 1'));
+    await auth.changePassword('new password 1', PASSWORD);
+});
+
+test('accepts API tokens from the header or the query until revoked', async () => {
+    await assert.rejects(auth.createApiToken('  '), /name is required/);
+    const created = await auth.createApiToken(' CI ');
+    assert.match(created.token, /^ava_[0-9a-f]{48}$/);
+    assert.strictEqual(created.name, 'CI');
+    assert.ok(created.token.startsWith(created.prefix));
+
+    const [listed] = await auth.listApiTokens();
+    assert.strictEqual(listed.id, created.id);
+    assert.strictEqual(listed.hash, undefined);
+    assert.strictEqual(listed.token, undefined);
+
+    const expected = { type: 'token', tokenId: created.id };
+    assert.deepStrictEqual(await auth.authenticateRequest(request({ bearer: created.token })), expected);
+    assert.deepStrictEqual(await auth.authenticateRequest(request({ url: `/ws?token=${created.token}` })), expected);
+    const tampered = created.token.slice(0, -1) + (created.token.endsWith('0') ? '1' : '0');
+    assert.strictEqual(await auth.authenticateRequest(request({ bearer: tampered })), null);
+    assert.strictEqual(await auth.authenticateRequest(request({ bearer: 'not-a-token' })), null);
+
+    assert.strictEqual(await auth.revokeApiToken(created.id), true);
+    assert.strictEqual(await auth.revokeApiToken(created.id), false);
+    assert.strictEqual(await auth.authenticateRequest(request({ bearer: created.token })), null);
+});
+
+test('parses cookies and builds the session cookie', () => {
+    assert.deepStrictEqual(auth.parseCookies('a=1; b = x%20y ;bad; c=%E0'), { a: '1', b: 'x y', c: '%E0' });
+    assert.deepStrictEqual(auth.parseCookies(undefined), {});
+    assert.strictEqual(auth.buildSessionCookie('abc'),
+        'ava_session=abc; Path=/; HttpOnly; SameSite=Strict; Max-Age=2592000');
+    assert.strictEqual(auth.buildSessionCookie(null, { secure: true }),
+        'ava_session=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0; Secure');
+});
+
+test('slows down repeated failed logins', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const client = '203.0.113.7';
+    for (let i = 0; i < 4; i++) {
+        auth.recordLoginFailure(client);
+    }
+    assert.strictEqual(auth.getLoginRetryAfter(client), 0);
+    auth.recordLoginFailure(client);
+    assert.strictEqual(auth.getLoginRetryAfter(client), 15 * 60);
+    assert.strictEqual(auth.getLoginRetryAfter('198.51.100.1'), 0);
+
+    t.mock.timers.tick(15 * 60 * 1000);
+    assert.strictEqual(auth.getLoginRetryAfter(client), 0);
+
+    auth.recordLoginFailure(client);
+    auth.clearLoginFailures(client);
+    assert.strictEqual(auth.getLoginRetryAfter(client), 0);
+});
@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createCircuitBreaker } = require('../circuit-breaker');
+
+test('opens after the failure threshold and refuses calls', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const breaker = createCircuitBreaker({ failureThreshold: 3, cooldownMs: 1000 });
+    const error = new Error('boom');
+
+    breaker.recordFailure(error);
+    breaker.recordFailure(error);
+    assert.strictEqual(breaker.getState().state, 'closed');
+    assert.strictEqual(breaker.canRequest(), true);
+
+    breaker.recordFailure(error);
+    assert.deepStrictEqual(breaker.getState(), { state: 'open', failures: 3, openUntil: 1000, lastError: error });
+    assert.strictEqual(breaker.canRequest(), false);
+});
+
+test('lets one trial call through after the cooldown', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const breaker = createCircuitBreaker({ failureThreshold: 1, cooldownMs: 1000 });
+    breaker.recordFailure(new Error('boom'));
+
+    t.mock.timers.tick(999);
+    assert.strictEqual(breaker.canRequest(), false);
+    t.mock.timers.tick(1);
+    assert.strictEqual(breaker.canRequest(), true);
+    assert.strictEqual(breaker.getState().state, 'half-open');
+    assert.strictEqual(breaker.canRequest(), false);
+
+    breaker.recordSuccess();
+    assert.deepStrictEqual(breaker.getState(), { state: 'closed', failures: 0, openUntil: null, lastError: null });
+    assert.strictEqual(breaker.canRequest(), true);
+});
+
+test('doubles the cooldown each time the trial call fails, up to the maximum', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const breaker = createCircuitBreaker({ failureThreshold: 1, cooldownMs: 1000, maxCooldownMs: 3000 });
+    const cooldowns = [];
+    breaker.recordFailure(new Error('boom'));
+    cooldowns.push(breaker.getState().openUntil - Date.now());
+    for (let i = 0; i < 3; i++) {
+        t.mock.timers.tick(breaker.getState().openUntil - Date.now());
+        assert.strictEqual(breaker.canRequest(), true);
+        breaker.recordFailure(new Error('boom'));
+        cooldowns.push(breaker.getState().openUntil - Date.now());
+    }
+    assert.deepStrictEqual(cooldowns, [1000, 2000, 3000, 3000]);
+
+    // A success starts over from the first cooldown
+    t.mock.timers.tick(3000);
+    breaker.canRequest();
+    breaker.recordSuccess();
+    breaker.recordFailure(new Error('boom'));
+    assert.strictEqual(breaker.getState().openUntil - Date.now(), 1000);
+});
+
+test('opens right away for as long as asked', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const breaker = createCircuitBreaker({ failureThreshold: 5 });
+    breaker.recordFailure(new Error('quota'), { openForMs: 60000 });
+    assert.strictEqual(breaker.getState().state, 'open');
+    assert.strictEqual(breaker.getState().openUntil, 60000);
+});
+
+test('reports changes, and reset closes the circuit', () => {
+    const states = [];
+    const breaker = createCircuitBreaker({ failureThreshold: 2, onChange: state => states.push(state.state) });
+    breaker.recordSuccess();
+    breaker.recordFailure(new Error('boom'));
+    breaker.recordFailure(new Error('boom'));
+    breaker.reset();
+    breaker.reset();
+    assert.deepStrictEqual(states, ['closed', 'open', 'closed']);
+    assert.strictEqual(breaker.canRequest(), true);
+});
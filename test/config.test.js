@@ -0,0 +1,70 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createSandbox } = require('./helpers');
+
+let sandbox;
+let config;
+let storage;
+
+before(() => {
+    process.env.STT_COMMAND = 'whisper -f {file}';
+    sandbox = createSandbox();
+    storage = sandbox.load('data-storage.js');
+    config = sandbox.load('config.js');
+});
+
+after(() => {
+    delete process.env.STT_COMMAND;
+    sandbox.cleanup();
+});
+
+test('concurrent saves keep each other\'s changes', async () => {
+    await config.getConfig();
+    const events = [];
+    config.configEvents.on('change', event => events.push(event.changed));
+
+    await Promise.all([
+        config.updateConfig({ aiContextMessages: 20 }),
+        config.updateConfig({ llmTimeoutMs: 30000 }),
+        config.updateConfig({ sttBackend: 'http' })
+    ]);
+
+    const current = await config.getConfig();
+    assert.strictEqual(current.aiContextMessages, 20);
+    assert.strictEqual(current.llmTimeoutMs, 30000);
+    assert.strictEqual(current.sttBackend, 'http');
+    const { settings } = (await storage.readState()).config;
+    assert.strictEqual(settings.aiContextMessages, 20);
+    assert.strictEqual(settings.llmTimeoutMs, 30000);
+    assert.strictEqual(settings.sttBackend, 'http');
+    assert.deepStrictEqual(events, [['aiContextMessages'], ['llmTimeoutMs'], ['sttBackend']]);
+});
+
+test('an invalid value saves nothing', async () => {
+    await assert.rejects(config.updateConfig({ aiContextMessages: 30, llmTimeoutMs: 5 }));
+
+    const current = await config.getConfig();
+    assert.strictEqual(current.aiContextMessages, 20);
+    assert.strictEqual((await storage.readState()).config.settings.aiContextMessages, 20);
+});
+
+test('secrets are stored apart from settings and masked for the browser', async () => {
+    await config.updateConfig({ groqApiKey: 'gsk_abcdefghijklmnop' });
+
+    const state = await storage.readState();
+    assert.strictEqual(state.secrets.groqApiKey, 'gsk_abcdefghijklmnop');
+    assert.strictEqual(state.config.settings.groqApiKey, undefined);
+    const { groqApiKey } = await config.getPublicConfig();
+    assert.ok(groqApiKey.endsWith('mnop') && !groqApiKey.includes('gsk'));
+    assert.deepStrictEqual(await config.updateConfig({ groqApiKey }), []);
+});
+
+test('the transcription command comes from .env and can\'t be changed over the settings API', async () => {
+    assert.strictEqual((await config.getConfig()).sttCommand, 'whisper -f {file}');
+    await assert.rejects(config.updateConfig({ sttCommand: 'sh -c "id" {file}' }), /STT_COMMAND/);
+    assert.deepStrictEqual(await config.updateConfig({ sttCommand: 'whisper -f {file}', sttTimeoutMs: 60000 }), ['sttTimeoutMs']);
+
+    const { settings } = (await storage.readState()).config;
+    assert.strictEqual(settings.sttCommand, undefined);
+    assert.strictEqual((await config.getPublicConfig()).sttCommand, 'whisper -f {file}');
+});
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseCron, getNextCronTime } = require('../cron');
+
+test('parses lists, ranges and steps', () => {
+    const cron = parseCron('*/15 9-17 1,15 * 1-5');
+    assert.deepStrictEqual(cron.minutes, [0, 15, 30, 45]);
+    assert.deepStrictEqual(cron.hours, [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+    assert.deepStrictEqual(cron.days, [1, 15]);
+    assert.strictEqual(cron.months.length, 12);
+    assert.deepStrictEqual(cron.weekdays, [1, 2, 3, 4, 5]);
+    assert.strictEqual(cron.anyDay, false);
+    assert.strictEqual(cron.anyWeekday, false);
+});
+
+test('expands macros and treats 7 as Sunday', () => {
+    assert.deepStrictEqual(parseCron('@daily'), parseCron('0 0 * * *'));
+    assert.deepStrictEqual(parseCron('0 8 * * 7').weekdays, [0]);
+    assert.deepStrictEqual(parseCron('0 8 * * 5/1').weekdays, [5, 6, 0]);
+});
+
+test('rejects malformed expressions', () => {
+    assert.throws(() => parseCron('* * * *'), /5 fields/);
+    assert.throws(() => parseCron('60 * * * *'), /minute must be between 0 and 59/);
+    assert.throws(() => parseCron('* * * * mon'), /Invalid day of week/);
+    assert.throws(() => parseCron('* 5-2 * * *'), /Invalid hour range/);
+    assert.throws(() => parseCron('*/0 * * * *'), /between 1 and 59/);
+});
+
+test('finds the next matching minute after the given time', () => {
+    const after = new Date(2026, 2, 10, 9, 7, 30); // Tuesday
+    assert.deepStrictEqual(getNextCronTime('*/15 * * * *', after), new Date(2026, 2, 10, 9, 15));
+    assert.deepStrictEqual(getNextCronTime('0 9 * * *', after), new Date(2026, 2, 11, 9, 0));
+    assert.deepStrictEqual(getNextCronTime('30 8 * * 1', after), new Date(2026, 2, 16, 8, 30));
+    assert.deepStrictEqual(getNextCronTime('0 0 1 1 *', after), new Date(2027, 0, 1, 0, 0));
+});
+
+test('never returns the current minute', () => {
+    const after = new Date(2026, 2, 10, 9, 15, 0);
+    assert.deepStrictEqual(getNextCronTime('15 9 * * *', after), new Date(2026, 2, 11, 9, 15));
+});
+
+test('matches either day field when both are restricted, like classic cron', () => {
+    const after = new Date(2026, 2, 10, 12, 0); // Tuesday the 10th
+    // The 13th, or any Wednesday: Wednesday the 11th comes first
+    assert.deepStrictEqual(getNextCronTime('0 12 13 * 3', after), new Date(2026, 2, 11, 12, 0));
+});
+
+test('returns null for dates that never come', () => {
+    assert.strictEqual(getNextCronTime('0 0 30 2 *', new Date(2026, 0, 1)), null);
+});
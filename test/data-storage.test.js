@@ -0,0 +1,94 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { createSandbox } = require('./helpers');
+
+let sandbox;
+let storage;
+
+before(() => {
+    sandbox = createSandbox();
+    storage = sandbox.load('data-storage.js');
+});
+
+after(() => sandbox.cleanup());
+
+beforeEach(() => {
+    for (const file of fs.readdirSync(sandbox.dir)) {
+        if (file.startsWith('state.json')) {
+            fs.rmSync(`${sandbox.dir}/${file}`);
+        }
+    }
+});
+
+function quietly(fn) {
+    const { warn, error } = console;
+    console.warn = () => {};
+    console.error = () => {};
+    return Promise.resolve(fn()).finally(() => {
+        console.warn = warn;
+        console.error = error;
+    });
+}
+
+test('a write keeps the previous file as .bak', async () => {
+    await storage.updateState((state) => { state.counter = 1; });
+    await storage.updateState((state) => { state.counter = 2; });
+
+    const backup = JSON.parse(fs.readFileSync(`${storage.STATE_FILE_PATH}.bak`, 'utf-8'));
+    assert.strictEqual(backup.counter, 1);
+    assert.strictEqual((await storage.readState()).counter, 2);
+});
+
+test('a truncated file is restored from .bak', async () => {
+    await storage.updateState((state) => { state.counter = 1; });
+    await storage.updateState((state) => { state.counter = 2; });
+    fs.writeFileSync(storage.STATE_FILE_PATH, '{"counter": ');
+
+    const state = await quietly(() => storage.readState());
+
+    assert.strictEqual(state.counter, 1);
+    assert.strictEqual(JSON.parse(fs.readFileSync(storage.STATE_FILE_PATH, 'utf-8')).counter, 1);
+});
+
+test('a missing file is restored from .bak', async () => {
+    await storage.updateState((state) => { state.counter = 1; });
+    await storage.updateState((state) => { state.counter = 2; });
+    fs.rmSync(storage.STATE_FILE_PATH);
+
+    const state = await quietly(() => storage.readState());
+
+    assert.strictEqual(state.counter, 1);
+    assert.ok(fs.existsSync(storage.STATE_FILE_PATH));
+});
+
+test('a corrupt file without a backup is moved aside', async () => {
+    fs.writeFileSync(storage.STATE_FILE_PATH, 'not json');
+
+    const state = await quietly(() => storage.readState());
+
+    assert.strictEqual(state.counter, undefined);
+    assert.ok(!fs.existsSync(storage.STATE_FILE_PATH));
+    assert.ok(fs.readdirSync(sandbox.dir).some(file => file.startsWith('state.json.corrupt-')));
+});
+
+test('reads during writes never lose a write', async () => {
+    const writes = 200;
+    let writing = true;
+    // Several readers, so some of them hit the moment a write replaces the file
+    const readers = Array.from({ length: 4 }, async () => {
+        while (writing) {
+            await storage.readState();
+        }
+    });
+
+    const updates = [];
+    for (let i = 0; i < writes; i++) {
+        updates.push(storage.updateState((state) => { state.counter = (state.counter || 0) + 1; }));
+    }
+    await quietly(() => Promise.all(updates));
+    writing = false;
+    await Promise.all(readers);
+
+    assert.strictEqual((await storage.readState()).counter, writes);
+});
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const http = require('http');
+const Module = require('module');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Copies the app's modules into a temp directory and loads them from there, so tests get their
+ * own chats.json and state.json (which live next to data-storage.js) and a fresh set of module
+ * instances. Storage uses the JSON backend.
+ * @returns {{dir: string, load: (name: string) => any, cleanup: () => void}}
+ */
+function createSandbox() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ava-test-'));
+    for (const file of fs.readdirSync(ROOT)) {
+        if (file.endsWith('.js')) {
+            fs.copyFileSync(path.join(ROOT, file), path.join(dir, file));
+        }
+    }
+    const modulesDir = path.join(ROOT, 'node_modules');
+    if (fs.existsSync(modulesDir)) {
+        fs.symlinkSync(modulesDir, path.join(dir, 'node_modules'), 'dir');
+    }
+    process.env.STORAGE_BACKEND = 'json';
+
+    return {
+        dir,
+        load: (name) => require(path.join(dir, name)),
+        cleanup: () => fs.rmSync(dir, { recursive: true, force: true })
+    };
+}
+
+/**
+ * A stand-in for the WPPConnect client. Sends are recorded in `sent`; `receive` delivers an
+ * incoming message to the server's onMessage handler and waits for it to be handled.
+ */
+function createFakeClient() {
+    const sent = [];
+    let messageHandler = null;
+    const methods = {
+        sent,
+        onMessage: (handler) => { messageHandler = handler; },
+        onAck: () => {},
+        receive: message => messageHandler(message),
+        getAllChats: async () => [],
+        getAllContacts: async () => [],
+        getAllMessagesInChat: async () => [],
+        sendText: async (to, text) => {
+            sent.push({ to, text });
+            return { id: `true_${to}_WA${sent.length}` };
+        }
+    };
+    // Anything else resolves to nothing; 'then' stays undefined so the client isn't taken for a promise
+    return new Proxy(methods, {
+        get: (target, name) => (name in target || name === 'then' || typeof name !== 'string' ? target[name] : async () => undefined)
+    });
+}
+
+/**
+ * Starts server.js from the sandbox on a free port, logged in to a fake WhatsApp client.
+ * @param {{dir: string, load: (name: string) => any}} sandbox From createSandbox.
+ * @returns {Promise<{client: object, request: (method: string, url: string, body?: object) => Promise<{status: number, body: any}>, stop: () => Promise<void>}>}
+ */
+async function startServer(sandbox) {
+    const client = createFakeClient();
+    let connected;
+    const ready = new Promise((resolve) => { connected = resolve; });
+    const wppconnect = {
+        SocketState: {},
+        create: (options) => {
+            setImmediate(() => {
+                options.statusFind('isLogged');
+                connected();
+            });
+            return Promise.resolve(client);
+        }
+    };
+
+    // The server starts its workers at load and keeps no handles, so collect them here
+    const timers = [];
+    const { setInterval } = global;
+    global.setInterval = (...args) => {
+        const timer = setInterval(...args);
+        timers.push(timer);
+        return timer;
+    };
+
+    let server = null;
+    const { listen } = http.Server.prototype;
+    http.Server.prototype.listen = function (...args) {
+        server = this;
+        return listen.apply(this, args);
+    };
+    const { _load: load } = Module;
+    Module._load = function (request, ...rest) {
+        return request === '@wppconnect-team/wppconnect' ? wppconnect : load.call(this, request, ...rest);
+    };
+    process.env.PORT = '0';
+    try {
+        sandbox.load('server.js');
+    } finally {
+        Module._load = load;
+        http.Server.prototype.listen = listen;
+    }
+    if (!server.listening) {
+        await new Promise(resolve => server.once('listening', resolve));
+    }
+    await ready;
+
+    const { token } = await sandbox.load('auth.js').createApiToken('tests');
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    return {
+        client,
+        async request(method, url, body) {
+            const response = await fetch(`${baseUrl}${url}`, {
+                method,
+                headers: { authorization: `Bearer ${token}`, 'content-type': 'application/json' },
+                body: body ? JSON.stringify(body) : undefined
+            });
+            return { status: response.status, body: await response.json() };
+        },
+        async stop() {
+            global.setInterval = setInterval;
+            timers.forEach(clearInterval);
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+module.exports = { createSandbox, startServer };
@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { LANGUAGE_CODES, MIN_CONFIDENCE, detectLanguage, isDifferentLanguage, getLanguageName } = require('../language');
+
+test('tells Latin-script languages apart, Hinglish included', () => {
+    const samples = {
+        en: 'Hey, are we still meeting for dinner tonight at the usual place?',
+        'hi-latn': 'Kya haal hai bhai, kal milte hain kya? Main ghar pe hi hoon',
+        es: '¿Dónde estás? Te estoy esperando en la estación desde hace una hora',
+        fr: 'Bonjour, est-ce que tu viens ce soir pour le dîner avec nous?',
+        de: 'Ich komme heute etwas später nach Hause, wir sehen uns beim Abendessen'
+    };
+    for (const [language, text] of Object.entries(samples)) {
+        const detected = detectLanguage(text);
+        assert.strictEqual(detected.language, language, text);
+        assert.strictEqual(detected.script, 'Latin');
+        assert.ok(detected.confidence >= MIN_CONFIDENCE, `${language}: ${detected.confidence}`);
+    }
+});
+
+test('names the language of other scripts', () => {
+    assert.deepStrictEqual(detectLanguage('नमस्ते आप कैसे हैं'), { language: 'hi', confidence: 1, script: 'Devanagari' });
+    assert.strictEqual(detectLanguage('Привет, как дела?').language, 'ru');
+    assert.strictEqual(detectLanguage('안녕하세요').language, 'ko');
+    assert.strictEqual(detectLanguage('你好吗').language, 'zh');
+    // Kana marks Japanese even when Han characters outnumber it
+    assert.strictEqual(detectLanguage('元気ですか').language, 'ja');
+});
+
+test('leaves short and letterless text undetected', () => {
+    assert.strictEqual(detectLanguage('ok').language, 'und');
+    assert.strictEqual(detectLanguage('👍 123').language, 'und');
+    assert.strictEqual(detectLanguage('https://example.com/some/long/path @911234567890').language, 'und');
+    assert.strictEqual(detectLanguage(null).language, 'und');
+});
+
+test('compares languages for translation', () => {
+    assert.strictEqual(isDifferentLanguage('hi', 'hi-latn'), true);
+    assert.strictEqual(isDifferentLanguage('en', 'en'), false);
+    assert.strictEqual(isDifferentLanguage('und', 'en'), false);
+    assert.strictEqual(isDifferentLanguage('', 'en'), false);
+});
+
+test('names languages', () => {
+    assert.ok(LANGUAGE_CODES.includes('hi-latn'));
+    assert.strictEqual(getLanguageName('es'), 'Spanish');
+    assert.strictEqual(getLanguageName('xx'), 'xx');
+});
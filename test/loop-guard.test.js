@@ -0,0 +1,105 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createSandbox } = require('./helpers');
+
+let sandbox;
+let storage;
+let guard;
+
+before(() => {
+    sandbox = createSandbox();
+    storage = sandbox.load('data-storage.js');
+    guard = sandbox.load('loop-guard.js');
+});
+
+after(() => sandbox.cleanup());
+
+const LIMITS = { maxPerMinute: 0, maxPerHour: 0, maxConsecutive: 0, detectLoops: false };
+let messageCount = 0;
+
+// Stores a message in a chat, a minute after the previous one
+async function store(jid, direction, content) {
+    messageCount += 1;
+    const message = {
+        id: `m${messageCount}`,
+        content,
+        timestamp: new Date(Date.UTC(2026, 2, 10, 10, messageCount)).toISOString(),
+        direction,
+        subType: 'chat'
+    };
+    await storage.addMessageToChat(jid, message);
+    return message;
+}
+
+test('limits replies per minute and per hour', async () => {
+    const jid = '911111111111@c.us';
+    const message = { id: 'x', content: 'hello' };
+    for (let i = 0; i < 3; i++) {
+        assert.strictEqual((await guard.checkAutoReply(jid, message, { ...LIMITS, maxPerMinute: 3 })).allowed, true);
+        guard.recordAutoReply(jid);
+    }
+    const verdict = await guard.checkAutoReply(jid, message, { ...LIMITS, maxPerMinute: 3 });
+    assert.strictEqual(verdict.allowed, false);
+    assert.strictEqual(verdict.reason, 'rate-minute');
+    assert.strictEqual((await guard.checkAutoReply(jid, message, { ...LIMITS, maxPerHour: 3 })).reason, 'rate-hour');
+    // The same chat under another JID form shares the count
+    assert.strictEqual((await guard.checkAutoReply('911111111111', message, { ...LIMITS, maxPerMinute: 3 })).allowed, false);
+
+    guard.resetChat(jid);
+    assert.strictEqual((await guard.checkAutoReply(jid, message, { ...LIMITS, maxPerMinute: 3 })).allowed, true);
+});
+
+test('a message from the user ends the streak of automatic replies', async () => {
+    const jid = '912222222222';
+    const message = { id: 'x', content: 'hello' };
+    guard.recordAutoReply(jid);
+    guard.recordAutoReply(jid);
+    const verdict = await guard.checkAutoReply(jid, message, { ...LIMITS, maxConsecutive: 2 });
+    assert.strictEqual(verdict.reason, 'consecutive');
+
+    guard.recordHumanMessage(jid);
+    assert.strictEqual((await guard.checkAutoReply(jid, message, { ...LIMITS, maxConsecutive: 2 })).allowed, true);
+});
+
+test('spots auto-responders and other AI assistants', async () => {
+    const check = text => guard.checkAutoReply('913333333333', { id: 'x', content: text }, { ...LIMITS, detectLoops: true });
+    assert.strictEqual((await check('This is an automated message, please do not reply.')).reason, 'bot');
+    assert.strictEqual((await check("Hi! I'm Ava, an AI assistant. How can I help?")).reason, 'bot');
+    assert.strictEqual((await check('I am a virtual assistant')).reason, 'bot');
+    assert.strictEqual((await check('Can you ask your AI assistant to book a table?')).allowed, true);
+    assert.strictEqual((await check("I'm out of office until Monday, back then")).allowed, true);
+});
+
+test('spots our own reply sent back', async () => {
+    const jid = '914444444444';
+    await store(jid, 'received', 'What time does the shop open tomorrow?');
+    await store(jid, 'sent', 'The shop opens at nine in the morning, see you then!');
+    const echo = await store(jid, 'received', 'Hi there! The shop opens at nine in the morning, see you then!');
+
+    const verdict = await guard.checkAutoReply(jid, echo, { ...LIMITS, detectLoops: true });
+    assert.strictEqual(verdict.reason, 'echo');
+
+    const reply = await store(jid, 'received', 'Great, thanks a lot for letting me know');
+    assert.strictEqual((await guard.checkAutoReply(jid, reply, { ...LIMITS, detectLoops: true })).allowed, true);
+});
+
+test('spots the same message sent three times in a row', async () => {
+    const jid = '915555555555';
+    const limits = { ...LIMITS, detectLoops: true };
+    await store(jid, 'received', 'Are you there?');
+    await store(jid, 'received', 'Are you there?');
+    const third = await store(jid, 'received', 'Are you there?');
+    assert.strictEqual((await guard.checkAutoReply(jid, third, limits)).reason, 'repeated');
+});
+
+test('spots answers too fast for a person to type', async () => {
+    const jid = '916666666666';
+    const limits = { ...LIMITS, detectLoops: true };
+    const verdicts = [];
+    for (let i = 0; i < 3; i++) {
+        guard.recordAutoReply(jid);
+        verdicts.push(await guard.checkAutoReply(jid, { id: `fast${i}`, content: `question number ${i}` }, limits));
+    }
+    assert.deepStrictEqual(verdicts.map(verdict => verdict.allowed), [true, true, false]);
+    assert.strictEqual(verdicts[2].reason, 'fast');
+});
@@ -0,0 +1,54 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { createSandbox } = require('./helpers');
+
+let sandbox;
+let media;
+
+before(() => {
+    sandbox = createSandbox();
+    media = sandbox.load('media-store.js');
+});
+
+after(() => sandbox.cleanup());
+
+const PNG_BASE64 = Buffer.from('fake png bytes').toString('base64');
+
+test('stores media under its hash and reads it back', async () => {
+    const ref = await media.saveMedia(`data:image/png;base64,${PNG_BASE64}`, { filename: 'photo.png' });
+    assert.ok(media.isValidHash(ref.hash));
+    assert.deepStrictEqual(ref, { hash: ref.hash, mimetype: 'image/png', size: 14, filename: 'photo.png' });
+
+    const info = await media.getMediaInfo(ref.hash);
+    assert.strictEqual(info.mimetype, 'image/png');
+    assert.strictEqual(info.size, 14);
+    assert.ok(info.path.startsWith(media.MEDIA_DIR));
+    assert.strictEqual(await media.readMediaBase64(ref.hash), PNG_BASE64);
+
+    assert.strictEqual(await media.getMediaInfo('../state.json'), null);
+    assert.strictEqual(await media.getMediaInfo('0'.repeat(64)), null);
+    await assert.rejects(media.saveMedia(''), /empty/);
+});
+
+test('saving the same content many times at once stores it once', async () => {
+    const buffer = Buffer.from('same content every time');
+    const refs = await Promise.all(Array.from({ length: 20 }, () => media.saveMedia(buffer, { mimetype: 'text/plain' })));
+    assert.strictEqual(new Set(refs.map(ref => ref.hash)).size, 1);
+    assert.strictEqual(await media.readMediaBase64(refs[0].hash), buffer.toString('base64'));
+
+    const leftovers = fs.readdirSync(media.MEDIA_DIR, { recursive: true }).filter(file => file.endsWith('.tmp'));
+    assert.deepStrictEqual(leftovers, []);
+});
+
+test('moves inline base64 content of media messages into the store', async () => {
+    const content = Buffer.alloc(150, 7).toString('base64');
+    const message = { id: 'm1', subType: 'image', mimetype: 'image/png', filename: 'a.png', content };
+    const moved = await media.extractInlineMedia(message);
+    assert.strictEqual(moved.content, '');
+    assert.strictEqual(moved.media.filename, 'a.png');
+    assert.strictEqual(await media.readMediaBase64(moved.media.hash), content);
+
+    assert.strictEqual(await media.extractInlineMedia({ id: 'm2', subType: 'chat', content: 'hello' }), null);
+    assert.strictEqual(await media.extractInlineMedia(moved), null);
+});
@@ -0,0 +1,131 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createSandbox } = require('./helpers');
+
+let sandbox;
+let storage;
+let outbox;
+
+before(() => {
+    sandbox = createSandbox();
+    storage = sandbox.load('data-storage.js');
+    outbox = sandbox.load('outbox.js');
+});
+
+after(() => sandbox.cleanup());
+
+beforeEach(async () => {
+    await storage.updateState((state) => { state.outbox = []; });
+});
+
+const JID = '911234567890';
+
+// Handlers that record what happened; `fail` decides whether a send throws
+function createHandlers(fail = () => null) {
+    const calls = { sent: [], failed: [], attempts: 0 };
+    return {
+        calls,
+        isReady: () => true,
+        send: async (job) => {
+            calls.attempts += 1;
+            const error = fail(job);
+            if (error) throw error;
+            return { id: `wa_${job.messageId}` };
+        },
+        onSent: async (job, sentMessage) => { calls.sent.push([job.messageId, sentMessage.id]); },
+        onFailed: async (job, reason) => { calls.failed.push([job.messageId, reason]); }
+    };
+}
+
+function quietly(fn) {
+    const { error } = console;
+    console.error = () => {};
+    return Promise.resolve(fn()).finally(() => { console.error = error; });
+}
+
+test('sends queued messages and removes them', async () => {
+    await outbox.enqueueOutgoing({ jid: JID, messageId: 'm1', text: 'hello' });
+    await outbox.enqueueOutgoing({ jid: '919876543210', messageId: 'm2', text: 'hi' });
+    assert.deepStrictEqual((await outbox.getOutbox(JID)).map(job => job.messageId), ['m1']);
+
+    const handlers = createHandlers();
+    await outbox.processOutbox(handlers);
+    assert.deepStrictEqual(handlers.calls.sent, [['m1', 'wa_m1'], ['m2', 'wa_m2']]);
+    assert.deepStrictEqual(await outbox.getOutbox(), []);
+});
+
+test('waits while WhatsApp is offline', async () => {
+    await outbox.enqueueOutgoing({ jid: JID, messageId: 'm1', text: 'hello' });
+    const handlers = { ...createHandlers(), isReady: () => false };
+    await outbox.processOutbox(handlers);
+    assert.strictEqual(handlers.calls.attempts, 0);
+    assert.strictEqual((await outbox.getOutbox()).length, 1);
+});
+
+test('retries with doubling delays and gives up after the last attempt', (t) => quietly(async () => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const handlers = createHandlers(() => new Error('offline'));
+    const job = await outbox.enqueueOutgoing({ jid: JID, messageId: 'm1', text: 'hello', error: 'timeout' });
+    assert.strictEqual(job.attempts, 1);
+    assert.strictEqual(job.nextAttemptAt, new Date(15 * 1000).toISOString());
+
+    // Not due yet
+    await outbox.processOutbox(handlers);
+    assert.strictEqual(handlers.calls.attempts, 0);
+
+    const delays = [];
+    for (let attempt = 1; attempt < 8; attempt++) {
+        const [queued] = await outbox.getOutbox();
+        const delay = new Date(queued.nextAttemptAt).getTime() - Date.now();
+        delays.push(delay / 1000);
+        t.mock.timers.tick(delay);
+        await outbox.processOutbox(handlers);
+    }
+    assert.deepStrictEqual(delays, [15, 30, 60, 120, 240, 480, 600]);
+    assert.strictEqual(handlers.calls.attempts, 7);
+    assert.deepStrictEqual(handlers.calls.failed, [['m1', 'offline']]);
+    assert.deepStrictEqual(await outbox.getOutbox(), []);
+}));
+
+test('a forced run ignores the backoff, and a permanent error is not retried', (t) => quietly(async () => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    await outbox.enqueueOutgoing({ jid: JID, messageId: 'm1', text: 'hello', error: 'timeout' });
+    await outbox.enqueueOutgoing({ jid: JID, messageId: 'm2', text: 'bad file', error: 'timeout' });
+    const handlers = createHandlers((job) => {
+        if (job.messageId !== 'm2') return null;
+        return Object.assign(new Error('unsupported file'), { permanent: true });
+    });
+
+    await outbox.processOutbox(handlers, { force: true });
+    assert.deepStrictEqual(handlers.calls.sent, [['m1', 'wa_m1']]);
+    assert.deepStrictEqual(handlers.calls.failed, [['m2', 'unsupported file']]);
+    assert.deepStrictEqual(await outbox.getOutbox(), []);
+}));
+
+test('queueing a message again replaces its earlier job', async () => {
+    await outbox.enqueueOutgoing({ jid: JID, messageId: 'm1', text: 'first', error: 'timeout' });
+    await outbox.enqueueOutgoing({ jid: JID, messageId: 'm1', text: 'second' });
+    const jobs = await outbox.getOutbox();
+    assert.strictEqual(jobs.length, 1);
+    assert.strictEqual(jobs[0].text, 'second');
+    assert.strictEqual(jobs[0].attempts, 0);
+});
+
+test('the worker gives up on messages that were being sent when the server stopped', async () => {
+    await outbox.enqueueOutgoing({ jid: JID, messageId: 'm1', text: 'interrupted' });
+    await storage.updateState((state) => { state.outbox[0].sendingAt = new Date().toISOString(); });
+    await outbox.enqueueOutgoing({ jid: JID, messageId: 'm2', text: 'waiting' });
+
+    const handlers = createHandlers();
+    const sent = new Promise((resolve) => {
+        const { onSent } = handlers;
+        handlers.onSent = (...args) => onSent(...args).then(resolve);
+    });
+    const timer = await outbox.startOutboxWorker(handlers);
+    clearInterval(timer);
+    await sent;
+    assert.strictEqual(handlers.calls.failed.length, 1);
+    assert.strictEqual(handlers.calls.failed[0][0], 'm1');
+    assert.match(handlers.calls.failed[0][1], /not retried/);
+    assert.deepStrictEqual(handlers.calls.sent, [['m2', 'wa_m2']]);
+});
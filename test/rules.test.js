@@ -0,0 +1,119 @@
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { createSandbox } = require('./helpers');
+
+let sandbox;
+let rules;
+
+before(() => {
+    sandbox = createSandbox();
+    rules = sandbox.load('rules.js');
+});
+
+after(() => sandbox.cleanup());
+
+afterEach(async () => {
+    for (const rule of await rules.listRules()) {
+        await rules.deleteRule(rule.id);
+    }
+});
+
+const JID = '911234567890';
+// A Tuesday, in server local time like the rules themselves
+const TUESDAY_NOON = new Date(2026, 2, 10, 12, 0);
+
+test('fills in defaults and rejects invalid rules', async () => {
+    const rule = await rules.createRule({ pattern: 'price', template: 'See the price list.' });
+    assert.strictEqual(rule.name, 'price');
+    assert.strictEqual(rule.flags, 'i');
+    assert.deepStrictEqual(rule.modes, ['C']);
+    assert.strictEqual(rule.cooldownMinutes, 60);
+
+    await assert.rejects(rules.createRule({ pattern: '(', template: 'x' }), /Invalid pattern/);
+    await assert.rejects(rules.createRule({ pattern: 'x', flags: 'g', template: 'x' }), /not supported/);
+    await assert.rejects(rules.createRule({ pattern: 'x', template: '  ' }), /template must not be empty/);
+    await assert.rejects(rules.createRule({ template: 'x', hours: '9-17' }), /HH:MM-HH:MM/);
+    await assert.rejects(rules.createRule({ template: 'x', modes: ['Z'] }), /modes must be/);
+    await assert.rejects(rules.createRule({ template: 'x', days: [7] }), /weekdays/);
+});
+
+test('rejects patterns that repeat a repeat', async () => {
+    for (const pattern of ['(a+)+$', '(?:\\w*\\s)*x', '((ab)*c)+', '(a|b+){2,}']) {
+        await assert.rejects(rules.createRule({ pattern, template: 'x' }), /must not contain a repeat/, pattern);
+    }
+    for (const pattern of ['(ab)+', 'a+b*(c)?', '[(a+)]+', '\\(a+\\)+', '(a+)?']) {
+        await rules.createRule({ pattern, template: 'x' });
+    }
+});
+
+test('patterns only see the start of long messages', async () => {
+    await rules.createRule({ pattern: 'needle', template: 'Found it' });
+    const context = { jid: JID, now: TUESDAY_NOON };
+    assert.strictEqual((await rules.evaluateRules({ ...context, text: 'a needle' })).reply, 'Found it');
+    assert.strictEqual(await rules.evaluateRules({ ...context, text: `${'x'.repeat(3000)} needle` }), null);
+});
+
+test('the highest priority matching rule wins', async () => {
+    await rules.createRule({ name: 'Any', template: 'Generic reply', priority: 0 });
+    await rules.createRule({ pattern: 'hours|open', template: 'We open at 9.', priority: 10 });
+
+    const hours = await rules.evaluateRules({ jid: JID, text: 'When are you OPEN?', mode: 'C', now: TUESDAY_NOON });
+    assert.strictEqual(hours.reply, 'We open at 9.');
+    const other = await rules.evaluateRules({ jid: JID, text: 'Hello', mode: 'C', now: TUESDAY_NOON });
+    assert.strictEqual(other.reply, 'Generic reply');
+    assert.strictEqual(await rules.evaluateRules({ jid: JID, text: 'Hello', mode: 'A', now: TUESDAY_NOON }), null);
+});
+
+test('checks tags, days and hours, including ranges past midnight', async () => {
+    const rule = await rules.createRule({ template: 'Night reply', tags: ['VIP '], days: [2], hours: '22:00 - 07:00' });
+    assert.deepStrictEqual(rule.tags, ['vip']);
+    const context = { jid: JID, text: 'hi', tags: ['vip'] };
+
+    assert.ok(await rules.evaluateRules({ ...context, now: new Date(2026, 2, 10, 23, 30) }));
+    assert.ok(await rules.evaluateRules({ ...context, now: new Date(2026, 2, 10, 6, 59) }));
+    assert.strictEqual(await rules.evaluateRules({ ...context, now: new Date(2026, 2, 10, 7, 0) }), null);
+    assert.strictEqual(await rules.evaluateRules({ ...context, now: new Date(2026, 2, 11, 23, 30) }), null);
+    assert.strictEqual(await rules.evaluateRules({ ...context, tags: [], now: new Date(2026, 2, 10, 23, 30) }), null);
+
+    await rules.setContactTags(JID, ['VIP']);
+    assert.deepStrictEqual(await rules.getAllContactTags(), { [JID]: ['vip'] });
+    assert.ok(await rules.evaluateRules({ jid: JID, text: 'hi', now: new Date(2026, 2, 10, 23, 30) }));
+    await rules.setContactTags(JID, []);
+    assert.deepStrictEqual(await rules.getAllContactTags(), {});
+});
+
+test('fills in template variables and capture groups', async () => {
+    await rules.createRule({ pattern: 'order #(\\d+)', template: 'Hi {first_name}, order {1} ships {day}. You said "{message}" {unknown}' });
+    const result = await rules.evaluateRules({ jid: JID, text: 'Where is order #42?', contactName: 'Asha Rao', now: TUESDAY_NOON });
+    assert.strictEqual(result.reply, 'Hi Asha, order 42 ships Tuesday. You said "Where is order #42?" {unknown}');
+});
+
+test('a rule cools down per contact after firing', async () => {
+    const rule = await rules.createRule({ pattern: 'ping', template: 'pong', cooldownMinutes: 10 });
+    const context = { jid: JID, text: 'ping' };
+    assert.ok(await rules.evaluateRules(context));
+
+    await rules.recordRuleFired(rule.id, JID);
+    assert.strictEqual(await rules.evaluateRules(context), null);
+    assert.ok(await rules.evaluateRules({ ...context, jid: '919876543210' }));
+    assert.ok(await rules.evaluateRules({ ...context, now: new Date(Date.now() + 11 * 60 * 1000) }));
+
+    const dryRun = await rules.testRule(rule.id, context);
+    assert.strictEqual(dryRun.matched, false);
+    assert.match(dryRun.reason, /Cooling down/);
+    assert.strictEqual(dryRun.reply, 'pong');
+    assert.strictEqual(dryRun.cooldownIgnored, true);
+});
+
+test('updates and deletes rules', async () => {
+    const rule = await rules.createRule({ pattern: 'a', template: 'x' });
+    const updated = await rules.updateRule(rule.id, { enabled: false });
+    assert.strictEqual(updated.enabled, false);
+    assert.strictEqual(updated.pattern, 'a');
+    assert.strictEqual(await rules.evaluateRules({ jid: JID, text: 'a' }), null);
+    assert.strictEqual(await rules.updateRule('rule_missing', { enabled: true }), null);
+
+    assert.strictEqual(await rules.deleteRule(rule.id), true);
+    assert.strictEqual(await rules.deleteRule(rule.id), false);
+    assert.strictEqual(await rules.getRule(rule.id), null);
+});
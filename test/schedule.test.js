@@ -0,0 +1,94 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createSandbox } = require('./helpers');
+
+let sandbox;
+let schedule;
+
+before(() => {
+    sandbox = createSandbox();
+    schedule = sandbox.load('schedule.js');
+});
+
+after(() => sandbox.cleanup());
+
+// 2026-03-10 is a Tuesday
+const at = (time, date = '2026-03-10') => new Date(`${date}T${time}:00Z`);
+
+const weekly = {
+    timezone: 'UTC',
+    blocks: [
+        { days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00', activity: 'Work', status: 'busy' },
+        { days: [2], start: '12:00', end: '13:00', activity: 'Lunch', status: 'available' },
+        { days: [1, 2, 3, 4, 5], start: '23:00', end: '07:00', activity: 'Sleep', status: 'sleeping' }
+    ],
+    exceptions: []
+};
+
+test('rejects invalid blocks', async () => {
+    await assert.rejects(schedule.saveSchedule({ blocks: [{ days: [7], start: '09:00', end: '10:00', activity: 'x' }] }), /weekdays/);
+    await assert.rejects(schedule.saveSchedule({ blocks: [{ days: [1], start: '9am', end: '10:00', activity: 'x' }] }), /time like/);
+    await assert.rejects(schedule.saveSchedule({ blocks: [{ days: [1], start: '09:00', end: '09:00', activity: 'x' }] }), /same time/);
+    await assert.rejects(schedule.saveSchedule({ blocks: [{ days: [1], start: '09:00', end: '10:00' }] }), /activity is required/);
+    await assert.rejects(schedule.saveSchedule({ timezone: 'Mars/Olympus', blocks: [] }), /Unknown time zone/);
+});
+
+test('saves a schedule and resolves the current block', async () => {
+    const saved = await schedule.saveSchedule(weekly);
+    assert.ok(saved.blocks.every(block => block.id.startsWith('blk_')));
+    assert.strictEqual(saved.blocks[0].status, 'busy');
+
+    const status = await schedule.getScheduleStatus(at('10:30'));
+    assert.strictEqual(status.activity, 'Work');
+    assert.strictEqual(status.until, '17:00');
+    assert.strictEqual(status.day, 'Tuesday');
+    assert.strictEqual(status.source, 'block');
+});
+
+test('a later block wins where blocks overlap', () => {
+    const status = schedule.resolveScheduleStatus(weekly, at('12:15'));
+    assert.strictEqual(status.activity, 'Lunch');
+    assert.strictEqual(status.until, '13:00');
+});
+
+test('overnight blocks run into the next day', () => {
+    assert.strictEqual(schedule.resolveScheduleStatus(weekly, at('23:30')).activity, 'Sleep');
+    assert.strictEqual(schedule.resolveScheduleStatus(weekly, at('06:00')).activity, 'Sleep');
+    // Friday night's block runs into Saturday, but nothing starts on Saturday night
+    assert.strictEqual(schedule.resolveScheduleStatus(weekly, at('06:00', '2026-03-14')).activity, 'Sleep');
+    assert.strictEqual(schedule.resolveScheduleStatus(weekly, at('23:30', '2026-03-14')).source, 'default');
+});
+
+test('the schedule\'s time zone decides the local time', () => {
+    const status = schedule.resolveScheduleStatus({ ...weekly, timezone: 'Asia/Kolkata' }, at('04:00'));
+    assert.strictEqual(status.time, '09:30');
+    assert.strictEqual(status.activity, 'Work');
+});
+
+test('exceptions win over blocks', async () => {
+    const exception = await schedule.addScheduleException({ from: '2026-03-09', to: '2026-03-11', activity: 'Holiday', status: 'away' });
+    const status = await schedule.getScheduleStatus(at('10:30'));
+    assert.strictEqual(status.activity, 'Holiday');
+    assert.strictEqual(status.until, '2026-03-11');
+    assert.strictEqual(status.source, 'exception');
+
+    assert.match(await schedule.buildScheduleContext(at('10:30')), /Currently Holiday \(through 2026-03-11\)/);
+    assert.strictEqual(await schedule.removeScheduleException(exception.id), true);
+    assert.strictEqual(await schedule.removeScheduleException(exception.id), false);
+    assert.match(await schedule.buildScheduleContext(at('10:30')), /Currently Work \(until 17:00\)/);
+});
+
+test('rejects exceptions that end before they start', async () => {
+    await assert.rejects(schedule.addScheduleException({ from: '2026-03-10', to: '2026-03-09', activity: 'Trip' }), /must not be before/);
+    await assert.rejects(schedule.addScheduleException({ from: '2026-02-30', activity: 'Trip' }), /date like/);
+});
+
+test('parses the legacy AI_SCHEDULE text', () => {
+    const { blocks, skipped } = schedule.parseLegacySchedule('Mon-Fri 9-5pm: Work\\nWeekends 10:00-11:30: Study\\n1-5pm Gym\\nwhenever: nap');
+    assert.deepStrictEqual(blocks.map(({ days, start, end, activity, status }) => ({ days, start, end, activity, status })), [
+        { days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00', activity: 'Work', status: 'busy' },
+        { days: [0, 6], start: '10:00', end: '11:30', activity: 'Study', status: 'busy' },
+        { days: [0, 1, 2, 3, 4, 5, 6], start: '13:00', end: '17:00', activity: 'Gym', status: 'available' }
+    ]);
+    assert.deepStrictEqual(skipped, ['whenever: nap']);
+});
@@ -0,0 +1,93 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createSearchIndex, getSearchableText, tokenize } = require('../search-index');
+
+const ALICE = '911234567890';
+const BOB = '919876543210';
+
+function message(id, content, extra = {}) {
+    return { id, content, timestamp: `2026-03-10T10:0${id.slice(-1)}:00.000Z`, direction: 'received', ...extra };
+}
+
+function buildIndex() {
+    const index = createSearchIndex();
+    index.add(ALICE, message('a1', 'Are we still meeting for dinner tonight?'));
+    index.add(ALICE, message('a2', 'The dinner reservation is at eight', { direction: 'sent' }));
+    index.add(ALICE, message('a3', 'See you tomorrow'));
+    index.add(BOB, message('b1', 'Dinner was great, thanks!'));
+    index.add(BOB, message('b2', 'Café opens at nine'));
+    return index;
+}
+
+test('tokenizes case- and accent-insensitively', () => {
+    assert.deepStrictEqual(tokenize('Café, NAÏVE 2nd-try!'), ['cafe', 'naive', '2nd', 'try']);
+    assert.deepStrictEqual(tokenize(''), []);
+    assert.deepStrictEqual(tokenize(null), []);
+});
+
+test('searches the text, file name, transcript and translation', () => {
+    const text = getSearchableText({
+        content: ' caption ',
+        media: { filename: 'invoice.pdf' },
+        transcript: { text: 'spoken words' },
+        translation: { text: 'translated' },
+        originalContent: 'typed'
+    });
+    assert.deepStrictEqual(text.split('\n'), ['caption', 'invoice.pdf', 'spoken words', 'translated', 'typed']);
+    assert.strictEqual(getSearchableText({ media: {} }), '');
+});
+
+test('every query word must match, as a word or a prefix', () => {
+    const index = buildIndex();
+    assert.deepStrictEqual(index.search('dinner').hits.map(hit => hit.id).sort(), ['a1', 'a2', 'b1']);
+    assert.deepStrictEqual(index.search('dinner tonight').hits.map(hit => hit.id), ['a1']);
+    assert.deepStrictEqual(index.search('reserv').hits.map(hit => hit.id), ['a2']);
+    assert.deepStrictEqual(index.search('cafe').hits.map(hit => hit.id), ['b2']);
+    assert.strictEqual(index.search('lunch').total, 0);
+    assert.strictEqual(index.search('  ').total, 0);
+});
+
+test('filters by chat, direction and time', () => {
+    const index = buildIndex();
+    assert.deepStrictEqual(index.search('dinner', { jid: BOB }).hits.map(hit => hit.id), ['b1']);
+    assert.deepStrictEqual(index.search('dinner', { direction: 'sent' }).hits.map(hit => hit.id), ['a2']);
+    assert.deepStrictEqual(index.search('dinner', { from: '2026-03-10T10:01:30Z' }).hits.map(hit => hit.id).sort(), ['a2']);
+    assert.deepStrictEqual(index.search('dinner', { to: Date.parse('2026-03-10T10:01:00Z') }).hits.map(hit => hit.id).sort(), ['a1', 'b1']);
+});
+
+test('pages through results and reports the total', () => {
+    const index = buildIndex();
+    const first = index.search('dinner', { limit: 2 });
+    const second = index.search('dinner', { limit: 2, offset: 2 });
+    assert.strictEqual(first.total, 3);
+    assert.strictEqual(first.hits.length, 2);
+    assert.strictEqual(second.hits.length, 1);
+    assert.ok(!first.hits.some(hit => hit.id === second.hits[0].id));
+});
+
+test('highlights matches in the snippet', () => {
+    const index = createSearchIndex();
+    const long = `${'word '.repeat(40)}the needle is here ${'more '.repeat(40)}`.trim();
+    index.add(ALICE, message('a1', long));
+    const [hit] = index.search('needle').hits;
+    assert.ok(hit.snippet.startsWith('…') && hit.snippet.endsWith('…'));
+    const [start, end] = hit.highlights[0];
+    assert.strictEqual(hit.snippet.slice(start, end), 'needle');
+});
+
+test('updates and removes documents', () => {
+    const index = buildIndex();
+    assert.strictEqual(index.size, 5);
+    index.add(ALICE, message('a3', 'Dinner tomorrow instead'));
+    assert.strictEqual(index.size, 5);
+    assert.strictEqual(index.search('see').total, 0);
+    assert.strictEqual(index.search('dinner').total, 4);
+
+    assert.strictEqual(index.remove(ALICE, 'a1'), true);
+    assert.strictEqual(index.remove(ALICE, 'a1'), false);
+    index.removeChat(BOB);
+    assert.deepStrictEqual(index.search('dinner').hits.map(hit => hit.id).sort(), ['a2', 'a3']);
+    index.clear();
+    assert.strictEqual(index.size, 0);
+    assert.strictEqual(index.search('dinner').total, 0);
+});
@@ -0,0 +1,83 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createSandbox, startServer } = require('./helpers');
+
+let sandbox;
+let server;
+let storage;
+
+before(async () => {
+    sandbox = createSandbox();
+    server = await startServer(sandbox);
+    storage = sandbox.load('data-storage.js');
+});
+
+after(async () => {
+    await server.stop();
+    sandbox.cleanup();
+});
+
+test('POST /api/messages stores every form of a number in the same chat', async () => {
+    for (const to of ['+91 12345 67890', '911234567890@c.us', '911234567890']) {
+        const { status, body } = await server.request('POST', '/api/messages', { to, text: `to ${to}` });
+        assert.strictEqual(status, 200, JSON.stringify(body));
+    }
+
+    const chats = await storage.readChats();
+    assert.deepStrictEqual(Object.keys(chats), ['911234567890']);
+    assert.deepStrictEqual(chats['911234567890'].map(message => message.content),
+        ['to +91 12345 67890', 'to 911234567890@c.us', 'to 911234567890']);
+    assert.deepStrictEqual([...new Set(server.client.sent.map(sent => sent.to))], ['911234567890@c.us']);
+});
+
+test('POST /api/messages refuses an invalid number', async () => {
+    const { status, body } = await server.request('POST', '/api/messages', { to: '+12 34', text: 'hi' });
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.code, 'INVALID_RECIPIENT');
+});
+
+test('POST /api/scheduled files a "+" number under the bare chat ID', async () => {
+    const sendAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const created = await server.request('POST', '/api/scheduled', { to: '+91 98765 43210', text: 'Reminder', sendAt });
+    assert.strictEqual(created.status, 201, JSON.stringify(created.body));
+    assert.strictEqual(created.body.job.jid, '919876543210');
+
+    const { body } = await server.request('GET', '/api/scheduled?jid=919876543210');
+    assert.deepStrictEqual(body.jobs.map(job => job.id), [created.body.job.id]);
+    assert.deepStrictEqual((await server.request('GET', '/api/scheduled?jid=911234567890')).body.jobs, []);
+
+    const invalid = await server.request('POST', '/api/scheduled', { to: '+12 34', text: 'Reminder', sendAt });
+    assert.strictEqual(invalid.status, 400);
+});
+
+test('auto-reply rules in Manual mode go through the loop guard too', async () => {
+    const jid = '915550001111';
+    let count = 0;
+    const receive = (body) => {
+        count += 1;
+        return server.client.receive({
+            id: `false_${jid}@c.us_IN${count}`,
+            from: `${jid}@c.us`,
+            to: '910000000000@c.us',
+            body,
+            type: 'chat',
+            t: Math.floor(Date.now() / 1000) + count,
+            fromMe: false
+        });
+    };
+    const repliesTo = () => server.client.sent.filter(sent => sent.to === `${jid}@c.us`);
+    await sandbox.load('rules.js').createRule({ pattern: 'order', template: 'Your order is on its way.', modes: ['A', 'C'], cooldownMinutes: 0 });
+    await storage.setChatMode(jid, 'C');
+
+    // The guard pauses the chat, which puts it in Manual
+    await receive('This is an automated message about your order.');
+    assert.strictEqual(await storage.getChatMode(jid), 'A');
+    assert.deepStrictEqual(repliesTo(), []);
+
+    // The rule also applies in Manual, but must not answer the bot either
+    await receive('This is an automated message: your order has an update.');
+    assert.deepStrictEqual(repliesTo(), []);
+
+    await receive('Hi, where is my order?');
+    assert.deepStrictEqual(repliesTo().map(sent => sent.text), ['Your order is on its way.']);
+});
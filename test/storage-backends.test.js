@@ -0,0 +1,125 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createSandbox } = require('./helpers');
+
+let hasSqlite = true;
+try {
+    require.resolve('better-sqlite3');
+} catch (error) {
+    hasSqlite = false;
+}
+const skip = hasSqlite ? false : 'better-sqlite3 is not installed';
+
+let sandbox;
+let jsonBackend;
+let createSqliteBackend;
+const openBackends = [];
+
+before(() => {
+    sandbox = createSandbox();
+    jsonBackend = sandbox.load('data-storage.js').getBackend();
+    ({ createSqliteBackend } = sandbox.load('sqlite-storage.js'));
+});
+
+after(() => {
+    openBackends.forEach(backend => backend.db.close());
+    sandbox.cleanup();
+});
+
+function openSqlite(name) {
+    const backend = createSqliteBackend({ dbPath: path.join(sandbox.dir, name) });
+    openBackends.push(backend);
+    return backend;
+}
+
+function message(id, minute, extra = {}) {
+    return {
+        id,
+        content: `message ${id}`,
+        timestamp: new Date(Date.UTC(2026, 2, 10, 10, minute)).toISOString(),
+        direction: 'received',
+        subType: 'chat',
+        ...extra
+    };
+}
+
+// Runs the same calls against a backend and collects what it returns
+async function exercise(backend) {
+    const results = {};
+    await backend.ensureChats(['911111111111', '912222222222']);
+    await backend.appendMessage('911111111111', message('a1', 0));
+    await backend.appendMessage('911111111111', message('a2', 1, { direction: 'sent' }));
+    await backend.appendMessage('911111111111', message('a3', 5));
+    await backend.appendMessage('913333333333', message('c1', 2));
+
+    results.messages = await backend.getMessages('911111111111');
+    results.emptyChat = await backend.getMessages('912222222222');
+    results.missingChat = await backend.getMessages('919999999999');
+    results.hasId = await backend.hasMessageId('911111111111', 'a2');
+    results.hasOtherChatsId = await backend.hasMessageId('911111111111', 'c1');
+    results.between = await backend.getMessagesBetween('911111111111',
+        Date.UTC(2026, 2, 10, 10, 0, 30), Date.UTC(2026, 2, 10, 10, 5));
+    results.removed = await backend.removeMessages('911111111111', ['a1', 'missing']);
+    results.removedFromMissingChat = await backend.removeMessages('919999999999', ['a1']);
+    results.deleted = await backend.deleteChat('913333333333');
+    results.deletedAgain = await backend.deleteChat('913333333333');
+    results.chats = await backend.readChats();
+
+    await backend.writeState({ chatModes: { '911111111111': 'C' }, aiInstruction: 'Be brief.' });
+    results.state = await backend.readState();
+    return results;
+}
+
+test('the SQLite backend behaves like the JSON files', { skip }, async () => {
+    const expected = await exercise(jsonBackend);
+    assert.deepStrictEqual(expected.chats, {
+        '911111111111': [message('a2', 1, { direction: 'sent' }), message('a3', 5)],
+        '912222222222': []
+    });
+    assert.strictEqual(expected.missingChat, null);
+    assert.deepStrictEqual(expected.between.map(m => m.id), ['a2', 'a3']);
+
+    assert.deepStrictEqual(await exercise(openSqlite('parity.db')), expected);
+});
+
+test('imports chats.json and state.json once', { skip }, async () => {
+    const chatsPath = path.join(sandbox.dir, 'legacy-chats.json');
+    const statePath = path.join(sandbox.dir, 'legacy-state.json');
+    const legacyChats = {
+        '911111111111': [message('a1', 0), message('a2', 1, { direction: 'sent' })],
+        '912222222222': [message('b1', 2)],
+        '913333333333': []
+    };
+    const legacyState = { chatModes: { '912222222222': 'B' }, aiInstruction: 'Be brief.' };
+    fs.writeFileSync(chatsPath, JSON.stringify(legacyChats));
+    fs.writeFileSync(statePath, JSON.stringify(legacyState));
+
+    const backend = openSqlite('migrate.db');
+    assert.deepStrictEqual(backend.migrateFromJson({ chatsPath, statePath }),
+        { migrated: true, chats: 3, messages: 3 });
+    assert.deepStrictEqual(await backend.readChats(), legacyChats);
+    assert.deepStrictEqual(await backend.readState(), legacyState);
+
+    assert.deepStrictEqual(backend.migrateFromJson({ chatsPath, statePath }),
+        { migrated: false, reason: 'already migrated' });
+    await backend.appendMessage('913333333333', message('c1', 3));
+    assert.deepStrictEqual(backend.migrateFromJson({ chatsPath, statePath }, true),
+        { migrated: true, chats: 3, messages: 3 });
+    assert.deepStrictEqual(await backend.getMessages('913333333333'), []);
+});
+
+test('skips the import when there is nothing to import or the database has messages', { skip }, async () => {
+    const missing = path.join(sandbox.dir, 'missing.json');
+    const empty = openSqlite('empty.db');
+    assert.deepStrictEqual(empty.migrateFromJson({ chatsPath: missing, statePath: missing }),
+        { migrated: false, reason: 'nothing to migrate' });
+
+    const chatsPath = path.join(sandbox.dir, 'legacy-chats.json');
+    fs.writeFileSync(chatsPath, JSON.stringify({ '911111111111': [message('a1', 0)] }));
+    const used = openSqlite('used.db');
+    await used.appendMessage('912222222222', message('b1', 1));
+    assert.deepStrictEqual(used.migrateFromJson({ chatsPath, statePath: missing }),
+        { migrated: false, reason: 'database not empty' });
+});
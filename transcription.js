@@ -0,0 +1,171 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { exec } = require('child_process');
+const axios = require('axios');
+const { getConfig } = require('./config');
+const { getMediaInfo } = require('./media-store');
+
+// Larger files are most likely not voice notes, and Whisper servers commonly reject them
+const MAX_AUDIO_BYTES = 25 * 1024 * 1024;
+const MAX_OUTPUT_BYTES = 1024 * 1024;
+
+const AUDIO_EXTENSIONS = {
+    'audio/ogg': '.ogg',
+    'audio/opus': '.opus',
+    'audio/mpeg': '.mp3',
+    'audio/mp4': '.m4a',
+    'audio/aac': '.aac',
+    'audio/amr': '.amr',
+    'audio/wav': '.wav',
+    'audio/x-wav': '.wav',
+    'audio/webm': '.webm'
+};
+
+/**
+ * @typedef {object} Transcript
+ * @property {'pending' | 'done' | 'failed'} status
+ * @property {string} [text] - Set once done
+ * @property {string} [error] - Why it failed
+ * @property {string} [backend] - 'cli' or 'http'
+ * @property {string} updatedAt - ISO 8601 timestamp
+ */
+
+function getExtension(mimetype) {
+    const type = String(mimetype || '').split(';')[0].trim().toLowerCase();
+    return AUDIO_EXTENSIONS[type] || '.ogg';
+}
+
+/**
+ * Turns CLI output into plain text, dropping Whisper's "[00:00.000 --> 00:02.000]" timestamps.
+ * @param {string} output
+ * @returns {string}
+ */
+function cleanTranscript(output) {
+    return String(output || '')
+        .split('\n')
+        .map(line => line.replace(/^\s*\[[\d:.]+\s*-->\s*[\d:.]+\]\s*/, '').trim())
+        .filter(Boolean)
+        .join(' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Runs the STT_COMMAND from .env on a copy of the audio. It goes through a shell, which is why it
+ * can't be set over HTTP. `{file}` in the command is replaced with the path of the copy; whatever
+ * the command prints to stdout is the transcript.
+ * @param {string} audioPath
+ * @param {string} mimetype
+ * @param {object} config
+ * @returns {Promise<string>}
+ */
+async function transcribeWithCli(audioPath, mimetype, config) {
+    if (!config.sttCommand) {
+        throw new Error('No transcription command is set.');
+    }
+    if (!config.sttCommand.includes('{file}')) {
+        throw new Error('The transcription command must contain {file}.');
+    }
+    // A private directory, so tools that write output files next to the input don't litter
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ava-stt-'));
+    try {
+        const inputPath = path.join(workDir, `audio${getExtension(mimetype)}`);
+        await fs.copyFile(audioPath, inputPath);
+        const command = config.sttCommand.replace(/\{file\}/g, `'${inputPath.replace(/'/g, `'\\''`)}'`);
+        const stdout = await new Promise((resolve, reject) => {
+            exec(command, { cwd: workDir, timeout: config.sttTimeoutMs, maxBuffer: MAX_OUTPUT_BYTES }, (error, out, err) => {
+                if (error) {
+                    const detail = String(err || '').trim().split('\n').pop();
+                    reject(new Error(error.killed
+                        ? 'The transcription command timed out.'
+                        : `The transcription command failed${detail ? `: ${detail}` : '.'}`));
+                } else {
+                    resolve(out);
+                }
+            });
+        });
+        return cleanTranscript(stdout);
+    } finally {
+        await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+}
+
+/**
+ * Posts the audio to a Whisper-compatible HTTP endpoint: the OpenAI-style
+ * `/v1/audio/transcriptions` (faster-whisper-server, LocalAI...) or whisper.cpp's `/inference`.
+ * @param {string} audioPath
+ * @param {string} mimetype
+ * @param {object} config
+ * @returns {Promise<string>}
+ */
+async function transcribeWithHttp(audioPath, mimetype, config) {
+    if (!config.sttUrl) {
+        throw new Error('No transcription URL is set.');
+    }
+    const form = new FormData();
+    const audio = await fs.readFile(audioPath);
+    form.append('file', new Blob([audio], { type: mimetype }), `audio${getExtension(mimetype)}`);
+    form.append('response_format', 'json');
+    if (config.sttModel) form.append('model', config.sttModel);
+    if (config.sttLanguage) form.append('language', config.sttLanguage);
+
+    const headers = config.sttApiKey ? { Authorization: `Bearer ${config.sttApiKey}` } : {};
+    try {
+        const response = await axios.post(config.sttUrl, form, { headers, timeout: config.sttTimeoutMs });
+        const text = typeof response.data === 'string' ? response.data : response.data?.text;
+        if (typeof text !== 'string') {
+            throw new Error('Invalid response from the transcription server.');
+        }
+        return cleanTranscript(text);
+    } catch (error) {
+        if (error.response) {
+            throw new Error(`The transcription server answered ${error.response.status}.`);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Whether a transcription backend is configured.
+ * @returns {Promise<boolean>}
+ */
+async function isTranscriptionEnabled() {
+    return (await getConfig()).sttBackend !== 'off';
+}
+
+// Transcription is CPU-heavy on a local machine, so files are done one at a time
+let queue = Promise.resolve();
+
+/**
+ * Transcribes a stored audio file with the configured backend. Calls are queued and run one at a time.
+ * @param {import('./media-store').MediaRef} media
+ * @returns {Promise<{text: string, backend: string}>} Throws when disabled or on failure.
+ */
+function transcribeMedia(media) {
+    const run = queue.then(async () => {
+        const config = await getConfig();
+        if (config.sttBackend === 'off') {
+            throw new Error('Transcription is turned off.');
+        }
+        const info = await getMediaInfo(media?.hash);
+        if (!info) {
+            throw new Error('The audio file is missing.');
+        }
+        if (info.size > MAX_AUDIO_BYTES) {
+            throw new Error('The audio file is too large to transcribe.');
+        }
+        const mimetype = media.mimetype || info.mimetype;
+        const text = config.sttBackend === 'cli'
+            ? await transcribeWithCli(info.path, mimetype, config)
+            : await transcribeWithHttp(info.path, mimetype, config);
+        return { text, backend: config.sttBackend };
+    });
+    queue = run.catch(() => {});
+    return run;
+}
+
+module.exports = {
+    isTranscriptionEnabled,
+    transcribeMedia
+};
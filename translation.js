@@ -0,0 +1,168 @@
+const { readState, updateState, updateMessage } = require('./data-storage');
+const { getAICompletion, estimateTokens } = require('./ai');
+const { getConfig } = require('./config');
+const { LANGUAGE_CODES, MIN_CONFIDENCE, detectLanguage, isDifferentLanguage, getLanguageName } = require('./language');
+
+/**
+ * @typedef {object} Translation
+ * @property {string} text
+ * @property {string} language - Language of the translation
+ * @property {string} updatedAt - ISO 8601 timestamp
+ */
+
+/**
+ * @typedef {object} ContactLanguage
+ * @property {string|null} preferred - Set by the user
+ * @property {string|null} detected - Language of the contact's latest confidently detected message
+ * @property {string|null} effective - Language outgoing messages are written in, if any (see translateOutgoing)
+ */
+
+/**
+ * The language of a text, or 'und' when the detection is only a guess.
+ * @param {string} text
+ * @returns {string}
+ */
+function detectMessageLanguage(text) {
+    const detected = detectLanguage(text);
+    return detected.confidence >= MIN_CONFIDENCE ? detected.language : 'und';
+}
+
+/**
+ * Translates text with the active AI provider.
+ * @param {string} text
+ * @param {string} language - Target language code
+ * @returns {Promise<string>} Throws when the AI request fails or returns nothing.
+ */
+async function translateText(text, language) {
+    const answer = await getAICompletion([
+        {
+            role: 'system',
+            content: `You translate WhatsApp messages into ${getLanguageName(language)}. Keep the tone, emojis, names and links. Output ONLY the translation.`
+        },
+        { role: 'user', content: text }
+    ], { maxTokens: Math.max(150, estimateTokens(text) * 3), temperature: 0.2 });
+    const translated = answer.trim().replace(/^"([\s\S]*)"$/, '$1').trim();
+    if (!translated) {
+        throw new Error('The translation came back empty.');
+    }
+    return translated;
+}
+
+/**
+ * The language settings of a contact.
+ * @param {string} jid
+ * @returns {Promise<ContactLanguage>}
+ */
+async function getContactLanguage(jid) {
+    const [state, config] = await Promise.all([readState(), getConfig()]);
+    const entry = state.contactLanguages?.[jid] || {};
+    const preferred = entry.preferred || null;
+    const detected = entry.detected || null;
+    let effective = null;
+    if (config.translateOutgoing === 'preferred') effective = preferred;
+    if (config.translateOutgoing === 'detected') effective = preferred || detected;
+    return { preferred, detected, effective };
+}
+
+/**
+ * Sets the language messages to a contact are translated into.
+ * @param {string} jid
+ * @param {string|null} language - null (or '') goes back to not translating, or to the detected language
+ * @returns {Promise<ContactLanguage>}
+ */
+async function setContactLanguage(jid, language) {
+    const preferred = language ? String(language).trim().toLowerCase() : null;
+    if (preferred && !LANGUAGE_CODES.includes(preferred)) {
+        throw new Error(`language must be one of: ${LANGUAGE_CODES.join(', ')}.`);
+    }
+    await updateState((state) => {
+        state.contactLanguages = state.contactLanguages || {};
+        const entry = { ...state.contactLanguages[jid], preferred };
+        if (!entry.preferred && !entry.detected) {
+            delete state.contactLanguages[jid];
+        } else {
+            state.contactLanguages[jid] = entry;
+        }
+    });
+    return getContactLanguage(jid);
+}
+
+async function recordDetectedLanguage(jid, language) {
+    const { contactLanguages } = await readState();
+    if (contactLanguages?.[jid]?.detected === language) return;
+    await updateState((state) => {
+        state.contactLanguages = state.contactLanguages || {};
+        state.contactLanguages[jid] = { preferred: null, ...state.contactLanguages[jid], detected: language };
+    });
+}
+
+/**
+ * Detects the language of a received message, remembers it for the contact, and translates the
+ * message into the user's language when it differs (see the translateIncoming setting).
+ * @param {string} jid
+ * @param {object} message - The stored message
+ * @returns {Promise<object|null>} The updated message, or null if nothing was added to it.
+ */
+async function processIncomingLanguage(jid, message) {
+    const text = typeof message.content === 'string' ? message.content : '';
+    const language = detectMessageLanguage(text);
+    if (language === 'und') return null;
+    await recordDetectedLanguage(jid, language);
+
+    const config = await getConfig();
+    const changes = { language };
+    if (config.translateIncoming === 'on' && isDifferentLanguage(language, config.myLanguage)) {
+        try {
+            changes.translation = {
+                text: await translateText(text, config.myLanguage),
+                language: config.myLanguage,
+                updatedAt: new Date().toISOString()
+            };
+        } catch (error) {
+            console.error(`Error translating message ${message.id}:`, error.message);
+        }
+    }
+    return updateMessage(jid, message.id, changes);
+}
+
+/**
+ * Works out what to send for text the user wrote: the text itself, or its translation into the
+ * contact's language.
+ * @param {string} jid
+ * @param {string} text
+ * @returns {Promise<{text: string, language: string, originalText?: string, originalLanguage?: string}>}
+ *   Throws when a needed translation fails.
+ */
+async function prepareOutgoingText(jid, text) {
+    const language = detectMessageLanguage(text);
+    const { effective } = await getContactLanguage(jid);
+    if (!isDifferentLanguage(language, effective)) {
+        return { text, language };
+    }
+    const translated = await translateText(text, effective);
+    return { text: translated, language: effective, originalText: text, originalLanguage: language };
+}
+
+/**
+ * The language text written for a contact should be in: theirs if known (see translateOutgoing),
+ * otherwise the user's own.
+ * @param {string} [jid]
+ * @returns {Promise<string>}
+ */
+async function getReplyLanguage(jid) {
+    const [{ effective }, config] = await Promise.all([
+        jid ? getContactLanguage(jid) : { effective: null },
+        getConfig()
+    ]);
+    return effective || config.myLanguage;
+}
+
+module.exports = {
+    detectMessageLanguage,
+    translateText,
+    getContactLanguage,
+    setContactLanguage,
+    processIncomingLanguage,
+    prepareOutgoingText,
+    getReplyLanguage
+};
@@ -0,0 +1,351 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { readState, updateState } = require('./data-storage');
+
+const WEBHOOK_EVENTS = ['message.received', 'message.sent', 'message.deleted', 'ai.reply', 'connection.status'];
+
+const MAX_ATTEMPTS = 8;
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const DELIVERY_TIMEOUT_MS = 10000;
+const DELIVERY_LOG_LIMIT = 100;
+const WORKER_INTERVAL_MS = 15 * 1000;
+
+/**
+ * @typedef {object} Webhook
+ * @property {string} id
+ * @property {string} url - Endpoint that receives POST requests
+ * @property {string[]} events - Subscribed events, or ['*'] for all
+ * @property {string} secret - HMAC key used to sign payloads
+ * @property {boolean} enabled
+ * @property {string} createdAt - ISO 8601 timestamp
+ */
+
+/**
+ * @typedef {object} WebhookJob
+ * @property {string} id - Delivery ID, stable across retries
+ * @property {string} webhookId
+ * @property {string} event
+ * @property {object} payload - Body that is POSTed
+ * @property {number} attempts - Failed attempts so far
+ * @property {string} nextAttemptAt - ISO 8601 timestamp
+ */
+
+/**
+ * @typedef {object} DeliveryLogEntry
+ * @property {string} id - Delivery ID
+ * @property {string} event
+ * @property {'delivered' | 'retrying' | 'failed'} status
+ * @property {number} attempt - Attempt number (1-based)
+ * @property {number|null} statusCode - HTTP status of the response, if any
+ * @property {string} [error]
+ * @property {number} durationMs
+ * @property {string} timestamp - ISO 8601 timestamp
+ */
+
+function newId(prefix) {
+    return `${prefix}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+}
+
+function validateUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw new Error('url must be a valid URL.');
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new Error('url must use http or https.');
+    }
+}
+
+function validateEvents(events) {
+    if (!Array.isArray(events) || events.length === 0) {
+        throw new Error(`events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')} or "*".`);
+    }
+    const unknown = events.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown webhook events: ${unknown.join(', ')}.`);
+    }
+}
+
+/**
+ * Hides the secret except for its last 4 characters.
+ * @param {Webhook} webhook
+ * @returns {Webhook}
+ */
+function toPublicWebhook(webhook) {
+    return { ...webhook, secret: `…${webhook.secret.slice(-4)}` };
+}
+
+/**
+ * Signs a payload. Receivers recompute HMAC-SHA256 over `${timestamp}.${body}` with the shared
+ * secret and compare it to the X-Ava-Signature header.
+ * @param {string} secret
+ * @param {string} timestamp - Unix time in seconds, sent as X-Ava-Timestamp
+ * @param {string} body - The raw JSON body
+ * @returns {string} 'sha256=<hex digest>'
+ */
+function signPayload(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+}
+
+/**
+ * Delay before the next attempt: 30s, 1m, 2m, 4m... capped at 1 hour.
+ * @param {number} attempts - Failed attempts so far
+ * @returns {number} Milliseconds
+ */
+function getRetryDelay(attempts) {
+    return Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Lists configured webhooks (secrets masked).
+ * @returns {Promise<Webhook[]>}
+ */
+async function listWebhooks() {
+    const state = await readState();
+    return Object.values(state.webhooks || {}).map(toPublicWebhook);
+}
+
+/**
+ * Registers a webhook. The returned object is the only place the full secret is shown.
+ * @param {object} options
+ * @param {string} options.url
+ * @param {string[]} [options.events=['*']]
+ * @param {string} [options.secret] - Generated when omitted
+ * @param {boolean} [options.enabled=true]
+ * @returns {Promise<Webhook>}
+ */
+async function createWebhook({ url, events = ['*'], secret, enabled = true } = {}) {
+    validateUrl(url);
+    validateEvents(events);
+    const webhook = {
+        id: newId('wh'),
+        url,
+        events: Array.from(new Set(events)),
+        secret: secret || crypto.randomBytes(24).toString('hex'),
+        enabled: enabled !== false,
+        createdAt: new Date().toISOString()
+    };
+    await updateState((state) => {
+        state.webhooks = state.webhooks || {};
+        state.webhooks[webhook.id] = webhook;
+    });
+    return webhook;
+}
+
+/**
+ * Changes a webhook's url, events, secret or enabled flag.
+ * @param {string} id
+ * @param {Partial<Webhook>} changes
+ * @returns {Promise<Webhook|null>} The updated webhook (secret masked), or null if unknown.
+ */
+async function updateWebhook(id, { url, events, secret, enabled } = {}) {
+    if (url !== undefined) validateUrl(url);
+    if (events !== undefined) validateEvents(events);
+    return updateState((state) => {
+        const webhook = state.webhooks?.[id];
+        if (!webhook) return null;
+        if (url !== undefined) webhook.url = url;
+        if (events !== undefined) webhook.events = Array.from(new Set(events));
+        if (secret) webhook.secret = secret;
+        if (enabled !== undefined) webhook.enabled = Boolean(enabled);
+        return toPublicWebhook(webhook);
+    });
+}
+
+/**
+ * Removes a webhook together with its pending deliveries and delivery log.
+ * @param {string} id
+ * @returns {Promise<boolean>} False if the webhook didn't exist.
+ */
+async function deleteWebhook(id) {
+    return updateState((state) => {
+        if (!state.webhooks?.[id]) return false;
+        delete state.webhooks[id];
+        state.webhookQueue = (state.webhookQueue || []).filter(job => job.webhookId !== id);
+        if (state.webhookDeliveries) delete state.webhookDeliveries[id];
+        return true;
+    });
+}
+
+/**
+ * Returns the most recent delivery attempts of a webhook, newest first.
+ * @param {string} id
+ * @param {number} [limit=50]
+ * @returns {Promise<{webhook: Webhook, deliveries: DeliveryLogEntry[], pending: number}|null>} Null if unknown.
+ */
+async function getDeliveries(id, limit = 50) {
+    const state = await readState();
+    const webhook = state.webhooks?.[id];
+    if (!webhook) return null;
+    const deliveries = (state.webhookDeliveries?.[id] || []).slice(-limit).reverse();
+    const pending = (state.webhookQueue || []).filter(job => job.webhookId === id).length;
+    return { webhook: toPublicWebhook(webhook), deliveries, pending };
+}
+
+/**
+ * Queues an event for every enabled webhook subscribed to it. Never throws;
+ * delivery happens in the background.
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {object} data - Event-specific data
+ */
+async function emitWebhookEvent(event, data) {
+    const isSubscribed = (webhook) => webhook.enabled && (webhook.events.includes('*') || webhook.events.includes(event));
+    try {
+        // Cheap read first so events without subscribers don't rewrite the state
+        const { webhooks } = await readState();
+        if (!Object.values(webhooks || {}).some(isSubscribed)) return;
+
+        const queued = await updateState((state) => {
+            const subscribers = Object.values(state.webhooks || {}).filter(isSubscribed);
+            if (subscribers.length === 0) return 0;
+
+            const timestamp = new Date().toISOString();
+            state.webhookQueue = state.webhookQueue || [];
+            for (const webhook of subscribers) {
+                const id = newId('dlv');
+                state.webhookQueue.push({
+                    id,
+                    webhookId: webhook.id,
+                    event,
+                    payload: { id, event, timestamp, data },
+                    attempts: 0,
+                    nextAttemptAt: timestamp
+                });
+            }
+            return subscribers.length;
+        });
+        if (queued > 0) {
+            processWebhookQueue();
+        }
+    } catch (error) {
+        console.error(`Error queueing webhook event ${event}:`, error.message);
+    }
+}
+
+/**
+ * POSTs one job to its webhook.
+ * @param {Webhook} webhook
+ * @param {WebhookJob} job
+ * @returns {Promise<{ok: boolean, statusCode: number|null, error?: string, durationMs: number}>}
+ */
+async function deliver(webhook, job) {
+    const body = JSON.stringify(job.payload);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const startedAt = Date.now();
+    try {
+        const response = await axios.post(webhook.url, body, {
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'Ava-Webhooks/1.0',
+                'X-Ava-Event': job.event,
+                'X-Ava-Delivery': job.id,
+                'X-Ava-Timestamp': timestamp,
+                'X-Ava-Signature': signPayload(webhook.secret, timestamp, body)
+            },
+            timeout: DELIVERY_TIMEOUT_MS,
+            maxRedirects: 0,
+            // Any 2xx counts as delivered; everything else is retried
+            validateStatus: () => true
+        });
+        const ok = response.status >= 200 && response.status < 300;
+        return {
+            ok,
+            statusCode: response.status,
+            error: ok ? undefined : `HTTP ${response.status}`,
+            durationMs: Date.now() - startedAt
+        };
+    } catch (error) {
+        return { ok: false, statusCode: null, error: error.message, durationMs: Date.now() - startedAt };
+    }
+}
+
+let isProcessing = false;
+let runAgain = false; // Jobs were queued while a run was in progress
+
+/**
+ * Delivers every due job in the persistent queue. Failed jobs are rescheduled with
+ * exponential backoff and dropped after MAX_ATTEMPTS.
+ */
+async function processWebhookQueue() {
+    if (isProcessing) {
+        runAgain = true;
+        return;
+    }
+    isProcessing = true;
+    runAgain = false;
+    try {
+        const state = await readState();
+        const now = Date.now();
+        const dueJobs = (state.webhookQueue || [])
+            .filter(job => new Date(job.nextAttemptAt).getTime() <= now);
+
+        for (const job of dueJobs) {
+            const webhook = state.webhooks?.[job.webhookId];
+            const result = webhook
+                ? await deliver(webhook, job)
+                : { ok: false, statusCode: null, error: 'Webhook no longer exists', durationMs: 0 };
+            const attempt = job.attempts + 1;
+            const giveUp = !webhook || (!result.ok && attempt >= MAX_ATTEMPTS);
+
+            await updateState((latestState) => {
+                const queue = latestState.webhookQueue || [];
+                const queued = queue.find(entry => entry.id === job.id);
+                if (result.ok || giveUp) {
+                    latestState.webhookQueue = queue.filter(entry => entry.id !== job.id);
+                } else if (queued) {
+                    queued.attempts = attempt;
+                    queued.nextAttemptAt = new Date(Date.now() + getRetryDelay(attempt)).toISOString();
+                }
+
+                if (!webhook || !latestState.webhooks?.[job.webhookId]) return;
+                latestState.webhookDeliveries = latestState.webhookDeliveries || {};
+                const log = latestState.webhookDeliveries[job.webhookId] || [];
+                log.push({
+                    id: job.id,
+                    event: job.event,
+                    status: result.ok ? 'delivered' : (giveUp ? 'failed' : 'retrying'),
+                    attempt,
+                    statusCode: result.statusCode,
+                    ...(result.error ? { error: result.error } : {}),
+                    durationMs: result.durationMs,
+                    timestamp: new Date().toISOString()
+                });
+                latestState.webhookDeliveries[job.webhookId] = log.slice(-DELIVERY_LOG_LIMIT);
+            });
+        }
+    } catch (error) {
+        console.error('Error processing webhook queue:', error.message);
+    } finally {
+        isProcessing = false;
+        if (runAgain) {
+            processWebhookQueue();
+        }
+    }
+}
+
+/**
+ * Starts the background worker that retries queued deliveries, including ones left over
+ * from before a restart.
+ * @returns {NodeJS.Timeout}
+ */
+function startWebhookWorker() {
+    processWebhookQueue();
+    return setInterval(processWebhookQueue, WORKER_INTERVAL_MS);
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    listWebhooks,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    getDeliveries,
+    emitWebhookEvent,
+    processWebhookQueue,
+    startWebhookWorker,
+    signPayload
+};